@@ -0,0 +1,504 @@
+'use strict';
+
+// ======================================================================
+// CLIENT-SIDE VALUES FOR MOCK EE OBJECTS
+// ======================================================================
+//
+// With createEnvironment({evaluate: true}) (or loadModule/runScript
+// option evaluate: true), getInfo() and evaluate() compute what a mock
+// object would hold when its chain only uses numbers, strings, lists,
+// dictionaries, features, feature collections, filters and simple
+// reducers. Everything that needs server data (images, reductions,
+// assets, geometry operations) is a leaf: options.getInfo(obj, value) is
+// called for every step of the chain, so a test can supply e.g. the
+// result of reduceRegion() and check the rows built from it.
+//
+// Values: Feature → {type: 'Feature', geometry, properties};
+// FeatureCollection → {type: 'FeatureCollection', features: [...]}.
+// Steps that cannot be computed leave the type default of ee_mock.js.
+// Geometries are not modelled: filterBounds() keeps every feature.
+// ======================================================================
+
+const UNKNOWN = Symbol('unknown');
+
+function isFeature(v) {
+  return Boolean(v && typeof v === 'object' && v.type === 'Feature' && v.properties);
+}
+
+function isCollection(v) {
+  return Boolean(v && typeof v === 'object' && v.type === 'FeatureCollection' && Array.isArray(v.features));
+}
+
+function isDictionary(v) {
+  return Boolean(v && typeof v === 'object' && !Array.isArray(v) && !isFeature(v) && !isCollection(v) &&
+    !v.reducer && !v.filter);
+}
+
+function feature(geometry, properties) {
+  return {type: 'Feature', geometry: geometry === undefined ? null : geometry, properties: properties || {}};
+}
+
+function collection(features) {
+  return {type: 'FeatureCollection', features: features};
+}
+
+function truthy(v) {
+  return v !== null && v !== undefined && v !== false && v !== 0 && v !== '';
+}
+
+function bool(v) {
+  return v ? 1 : 0;
+}
+
+// Printf subset used by the scripts: %d, %s, %.Nf, %0Nd
+function format(value, pattern) {
+  return String(pattern).replace(/%(0?\d*)(\.\d+)?([dsf])/g, (m, width, precision, kind) => {
+    let text;
+    if (kind === 'd') {
+      text = String(Math.trunc(value));
+    } else if (kind === 'f') {
+      text = Number(value).toFixed(precision ? +precision.slice(1) : 6);
+    } else {
+      text = String(value);
+    }
+    if (width && width.charAt(0) === '0') {
+      while (text.length < +width) {
+        text = '0' + text;
+      }
+    }
+    return text;
+  });
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const NUMBER_OPS = {
+  add: (v, b) => v + b,
+  subtract: (v, b) => v - b,
+  multiply: (v, b) => v * b,
+  divide: (v, b) => (b === 0 ? 0 : v / b),
+  mod: (v, b) => v % b,
+  pow: (v, b) => Math.pow(v, b),
+  max: (v, b) => Math.max(v, b),
+  min: (v, b) => Math.min(v, b),
+  round: (v) => Math.round(v),
+  floor: (v) => Math.floor(v),
+  ceil: (v) => Math.ceil(v),
+  abs: (v) => Math.abs(v),
+  sqrt: (v) => Math.sqrt(v),
+  log: (v) => Math.log(v),
+  log10: (v) => Math.log10(v),
+  exp: (v) => Math.exp(v),
+  int: (v) => Math.trunc(v),
+  toInt: (v) => Math.trunc(v),
+  long: (v) => Math.trunc(v),
+  float: (v) => v,
+  toFloat: (v) => v,
+  double: (v) => v,
+  gt: (v, b) => bool(v > b),
+  gte: (v, b) => bool(v >= b),
+  lt: (v, b) => bool(v < b),
+  lte: (v, b) => bool(v <= b),
+  eq: (v, b) => bool(v === b),
+  neq: (v, b) => bool(v !== b),
+  and: (v, b) => bool(truthy(v) && truthy(b)),
+  or: (v, b) => bool(truthy(v) || truthy(b)),
+  not: (v) => bool(!truthy(v)),
+  format: (v, pattern) => format(v, pattern === undefined ? '%s' : pattern)
+};
+
+const REDUCERS = {
+  sum: (values) => values.reduce((a, b) => a + b, 0),
+  mean: (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null),
+  min: (values) => (values.length ? Math.min.apply(null, values) : null),
+  max: (values) => (values.length ? Math.max.apply(null, values) : null),
+  count: (values) => values.length
+};
+
+function reduceValues(reducer, values) {
+  const fn = reducer && REDUCERS[reducer.reducer];
+  return fn ? fn(values) : UNKNOWN;
+}
+
+const FILTERS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  equals: (a, b) => a === b,
+  inList: (a, b) => b.indexOf(a) !== -1,
+  notNull: null
+};
+
+function createFilter(name, args) {
+  if (name === 'and' || name === 'or') {
+    const parts = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+    return {filter: (f) => (name === 'and' ? parts.every((p) => p.filter(f)) : parts.some((p) => p.filter(f)))};
+  }
+  if (name === 'notNull') {
+    return {filter: (f) => args[0].every((p) => f.properties[p] !== null && f.properties[p] !== undefined)};
+  }
+  if (name === 'inList' && typeof args[0] === 'string' && Array.isArray(args[1])) {
+    return {filter: (f) => args[1].indexOf(f.properties[args[0]]) !== -1};
+  }
+  const test = FILTERS[name];
+  if (!test || typeof args[0] !== 'string') {
+    return UNKNOWN;
+  }
+  return {filter: (f) => test(f.properties[args[0]], args[1])};
+}
+
+// Evaluator bound to one mock environment
+//   wrap(value, type) → mock ee object holding a literal value
+//   steps(obj)        → [{object, op, type}] for every prefix of obj's chain
+//   leaf(obj, value)  → options.getInfo override (undefined = keep value)
+function createEvaluator(wrap, steps, leaf, isEEObject) {
+  function known(v) {
+    return v !== UNKNOWN;
+  }
+
+  // Evaluate an argument (ee objects, plain arrays/objects of them, literals)
+  function arg(value) {
+    if (isEEObject(value)) {
+      return evaluate(value);
+    }
+    if (Array.isArray(value)) {
+      const out = value.map(arg);
+      return out.every(known) ? out : UNKNOWN;
+    }
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const key of Object.keys(value)) {
+        out[key] = arg(value[key]);
+        if (!known(out[key])) {
+          return UNKNOWN;
+        }
+      }
+      return out;
+    }
+    return value;
+  }
+
+  function call(fn, values, types) {
+    return arg(fn.apply(null, values.map((v, i) => wrap(v, types[i] || 'ComputedObject'))));
+  }
+
+  function construct(type, args) {
+    if (args.length === 0) {
+      return type === 'Dictionary' ? {} : type === 'List' ? [] : UNKNOWN;
+    }
+    switch (type) {
+      case 'Number':
+      case 'String':
+      case 'List':
+      case 'Dictionary':
+      case 'ComputedObject':
+        return arg(args[0]);
+      case 'Feature': {
+        const first = arg(args[0]);
+        if (isFeature(first)) {
+          return feature(first.geometry, Object.assign({}, first.properties));
+        }
+        const properties = args.length > 1 ? arg(args[1]) : {};
+        return known(properties) ? feature(known(first) ? first : null, properties || {}) : UNKNOWN;
+      }
+      case 'FeatureCollection': {
+        const first = arg(args[0]);
+        if (isCollection(first)) {
+          return first;
+        }
+        if (isFeature(first)) {
+          return collection([first]);
+        }
+        return Array.isArray(first) ? collection(first) : UNKNOWN;
+      }
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  function staticCall(name, rawArgs) {
+    const parts = name.split('.');
+    const ns = parts[0];
+    const method = parts[1];
+    if (ns === 'Algorithms' && method === 'If') {
+      const condition = arg(rawArgs[0]);
+      if (!known(condition)) {
+        return UNKNOWN;
+      }
+      return arg(truthy(condition) ? rawArgs[1] : rawArgs[2]);
+    }
+    const args = rawArgs.map(arg);
+    if (!args.every(known)) {
+      return UNKNOWN;
+    }
+    if (ns === 'Reducer' && REDUCERS[method]) {
+      return {reducer: method};
+    }
+    if (ns === 'Filter') {
+      return createFilter(method, args);
+    }
+    if (ns === 'Dictionary' && method === 'fromLists') {
+      const out = {};
+      args[0].forEach((k, i) => { out[k] = args[1][i]; });
+      return out;
+    }
+    if (ns === 'List' && method === 'sequence') {
+      const out = [];
+      const step = args[2] || 1;
+      for (let v = args[0]; v <= args[1]; v += step) {
+        out.push(v);
+      }
+      return out;
+    }
+    return UNKNOWN;
+  }
+
+  function getValue(v, key, args) {
+    if (Array.isArray(v)) {
+      const i = key < 0 ? v.length + key : key;
+      return i in v ? v[i] : UNKNOWN;
+    }
+    const props = isFeature(v) ? v.properties : v;
+    if (Object.prototype.hasOwnProperty.call(props, key)) {
+      return props[key];
+    }
+    return args.length > 1 ? args[1] : null;
+  }
+
+  function setValues(props, args) {
+    const out = Object.assign({}, props);
+    if (args.length === 1 && isDictionary(args[0])) {
+      Object.assign(out, args[0]);
+    } else {
+      for (let i = 0; i + 1 < args.length; i += 2) {
+        out[args[i]] = args[i + 1];
+      }
+    }
+    return out;
+  }
+
+  function pick(props, names) {
+    const out = {};
+    (names || Object.keys(props)).forEach((k) => {
+      if (Object.prototype.hasOwnProperty.call(props, k)) {
+        out[k] = props[k];
+      }
+    });
+    return out;
+  }
+
+  function flattenCollection(v) {
+    const out = [];
+    v.features.forEach((f) => {
+      if (isCollection(f)) {
+        out.push.apply(out, f.features);
+      } else {
+        out.push(f);
+      }
+    });
+    return collection(out);
+  }
+
+  function sortFeatures(features, property, ascending) {
+    const sorted = features.slice().sort((a, b) => compare(a.properties[property], b.properties[property]));
+    return ascending === false ? sorted.reverse() : sorted;
+  }
+
+  // One instance method on a computed value
+  function apply(v, method, rawArgs) {
+    if (isCollection(v) && method === 'filterBounds') {
+      return v;
+    }
+    // Callbacks get wrapped values; other arguments are evaluated first
+    const args = rawArgs.map((a) => (typeof a === 'function' ? a : arg(a)));
+    if (!args.every(known)) {
+      return UNKNOWN;
+    }
+
+    if (typeof v === 'number' && Object.prototype.hasOwnProperty.call(NUMBER_OPS, method)) {
+      return NUMBER_OPS[method](v, args[0]);
+    }
+
+    if (isCollection(v)) {
+      switch (method) {
+        case 'map': {
+          const out = [];
+          for (const f of v.features) {
+            const r = call(args[0], [f], ['Feature']);
+            if (!known(r)) {
+              return UNKNOWN;
+            }
+            if (r !== null || args[1] !== true) {
+              out.push(r);
+            }
+          }
+          return collection(out);
+        }
+        case 'flatten': return flattenCollection(v);
+        case 'filter': return args[0] && args[0].filter ? collection(v.features.filter(args[0].filter)) : UNKNOWN;
+        case 'sort': return collection(sortFeatures(v.features, args[0], args[1]));
+        case 'limit': {
+          const features = args[1] ? sortFeatures(v.features, args[1], args[2]) : v.features;
+          return collection(features.slice(0, args[0]));
+        }
+        case 'first': return v.features.length ? v.features[0] : null;
+        case 'size': return v.features.length;
+        case 'toList': return v.features.slice(args[1] || 0, (args[1] || 0) + args[0]);
+        case 'merge': return collection(v.features.concat(args[0].features));
+        case 'aggregate_array': return v.features.map((f) => f.properties[args[0]])
+          .filter((p) => p !== null && p !== undefined);
+        case 'aggregate_sum': return REDUCERS.sum(v.features.map((f) => f.properties[args[0]]));
+        case 'aggregate_mean': return REDUCERS.mean(v.features.map((f) => f.properties[args[0]]));
+        case 'aggregate_min': return REDUCERS.min(v.features.map((f) => f.properties[args[0]]));
+        case 'aggregate_max': return REDUCERS.max(v.features.map((f) => f.properties[args[0]]));
+        case 'aggregate_count': return v.features.filter((f) => f.properties[args[0]] !== null &&
+          f.properties[args[0]] !== undefined).length;
+        case 'iterate': {
+          let acc = args[1];
+          for (const f of v.features) {
+            acc = call(args[0], [f, acc], ['Feature', 'ComputedObject']);
+            if (!known(acc)) {
+              return UNKNOWN;
+            }
+          }
+          return acc;
+        }
+        default: return UNKNOWN;
+      }
+    }
+
+    if (isFeature(v)) {
+      switch (method) {
+        case 'get':
+        case 'getNumber':
+        case 'getString':
+        case 'getArray': return getValue(v, args[0], args);
+        case 'set': return feature(v.geometry, setValues(v.properties, args));
+        case 'setMulti': return feature(v.geometry, setValues(v.properties, args));
+        case 'toDictionary': return pick(v.properties, args[0]);
+        case 'propertyNames': return Object.keys(v.properties);
+        case 'select': return feature(v.geometry, pick(v.properties, args[0]));
+        case 'copyProperties': return feature(v.geometry,
+          Object.assign({}, pick(args[0].properties, args[1]), v.properties));
+        default: return UNKNOWN;
+      }
+    }
+
+    if (Array.isArray(v)) {
+      switch (method) {
+        case 'get': return getValue(v, args[0], args);
+        case 'size':
+        case 'length': return v.length;
+        case 'map': {
+          const out = [];
+          for (const item of v) {
+            const r = call(args[0], [item], ['ComputedObject']);
+            if (!known(r)) {
+              return UNKNOWN;
+            }
+            out.push(r);
+          }
+          return out;
+        }
+        case 'iterate': {
+          let acc = args[1];
+          for (const item of v) {
+            acc = call(args[0], [item, acc], ['ComputedObject', 'ComputedObject']);
+            if (!known(acc)) {
+              return UNKNOWN;
+            }
+          }
+          return acc;
+        }
+        case 'reduce': return reduceValues(args[0], v);
+        case 'add': return v.concat([args[0]]);
+        case 'cat': return v.concat(args[0]);
+        case 'slice': return v.slice(args[0], args[1]);
+        case 'contains': return bool(v.indexOf(args[0]) !== -1);
+        case 'indexOf': return v.indexOf(args[0]);
+        case 'distinct': return v.filter((x, i) => v.indexOf(x) === i);
+        case 'sort': return v.slice().sort(compare);
+        case 'flatten': return [].concat.apply([], v.map((x) => (Array.isArray(x) ? x : [x])));
+        case 'join': return v.join(args[0] === undefined ? ',' : args[0]);
+        case 'zip': return v.map((x, i) => [x, args[0][i]]);
+        default: return UNKNOWN;
+      }
+    }
+
+    if (typeof v === 'string') {
+      switch (method) {
+        case 'cat': return v + args[0];
+        case 'length': return v.length;
+        case 'slice': return v.slice(args[0], args[1]);
+        case 'toUpperCase': return v.toUpperCase();
+        case 'toLowerCase': return v.toLowerCase();
+        case 'split': return v.split(args[0]);
+        case 'equals': return bool(v === args[0]);
+        case 'compareTo': return compare(v, args[0]);
+        case 'format': return v;
+        default: return UNKNOWN;
+      }
+    }
+
+    if (isDictionary(v)) {
+      switch (method) {
+        case 'get':
+        case 'getNumber':
+        case 'getString':
+        case 'getArray': return getValue(v, args[0], args);
+        case 'set': return setValues(v, args);
+        case 'contains': return bool(Object.prototype.hasOwnProperty.call(v, args[0]));
+        case 'keys': return Object.keys(v).sort();
+        case 'values': return (args[0] || Object.keys(v).sort()).map((k) => v[k]);
+        case 'size': return Object.keys(v).length;
+        case 'combine': return Object.assign({}, v, args[0]);
+        case 'select': return pick(v, args[0]);
+        case 'toDictionary': return v;
+        case 'map': {
+          const out = {};
+          for (const key of Object.keys(v).sort()) {
+            out[key] = call(args[0], [key, v[key]], ['String', 'ComputedObject']);
+            if (!known(out[key])) {
+              return UNKNOWN;
+            }
+          }
+          return out;
+        }
+        default: return UNKNOWN;
+      }
+    }
+
+    return UNKNOWN;
+  }
+
+  // Value of a mock ee object, or UNKNOWN
+  function evaluate(obj) {
+    let value = UNKNOWN;
+    for (const step of steps(obj)) {
+      if (!step.op) {
+        value = obj._origin.literal ? obj._origin.args[0] : construct(obj._origin.type, obj._origin.args);
+      } else if (step.op.isStatic) {
+        value = staticCall(step.op.method, step.op.args);
+      } else {
+        value = known(value) ? apply(value, step.op.method, step.op.args) : UNKNOWN;
+      }
+      const override = leaf(step.object, known(value) ? value : undefined);
+      if (override !== undefined) {
+        value = override;
+      }
+    }
+    return value;
+  }
+
+  return evaluate;
+}
+
+module.exports = {
+  createEvaluator: createEvaluator,
+  UNKNOWN: UNKNOWN
+};
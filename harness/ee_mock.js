@@ -0,0 +1,660 @@
+'use strict';
+
+// ======================================================================
+// OFFLINE EARTH ENGINE STAND-IN
+// ======================================================================
+//
+// A local mock of the Code Editor globals (ee, Map, Export, ui, print,
+// require). Every ee object is a chainable proxy that remembers how it was
+// built, so tests can assert on what a script queued without a server.
+//
+// - Any method call returns a new ee object (type inferred from RETURNS).
+// - Callbacks given to map()/iterate()/evaluate() are invoked once with
+//   stand-in arguments so errors inside them surface in tests.
+// - getInfo() returns a type-based default; override via options.getInfo.
+// - options.evaluate: getInfo() computes client-side values where it can
+//   (ee_eval.js), asking options.getInfo for the server-side leaves.
+// ======================================================================
+
+const TYPES = [
+  'Algorithms', 'Array', 'Classifier', 'Clusterer', 'ComputedObject', 'Date',
+  'DateRange', 'Dictionary', 'ErrorMargin', 'Feature', 'FeatureCollection',
+  'Filter', 'Geometry', 'Image', 'ImageCollection', 'Join', 'Kernel', 'List',
+  'Number', 'PixelType', 'Projection', 'Reducer', 'String', 'Terrain'
+];
+
+// Return types that differ from the receiver's type: RETURNS[type][method],
+// falling back to RETURNS['*'][method], then to the receiver's own type.
+const RETURNS = {
+  '*': {
+    get: 'ComputedObject', getNumber: 'Number', getString: 'String',
+    getArray: 'Array', size: 'Number', length: 'Number', area: 'Number',
+    perimeter: 'Number', millis: 'Number', toDictionary: 'Dictionary',
+    reduceRegion: 'Dictionary', reduceRegions: 'FeatureCollection',
+    aggregate_array: 'List', aggregate_histogram: 'Dictionary',
+    aggregate_sum: 'Number', aggregate_mean: 'Number', aggregate_count: 'Number',
+    aggregate_min: 'Number', aggregate_max: 'Number', aggregate_stats: 'Dictionary',
+    bandNames: 'List', propertyNames: 'List', keys: 'List', values: 'List',
+    toList: 'List', coordinates: 'List', geometry: 'Geometry', bounds: 'Geometry',
+    projection: 'Projection', date: 'Date', format: 'String', cat: 'String',
+    style: 'Image', reduceToImage: 'Image', reduceToVectors: 'FeatureCollection',
+    sample: 'FeatureCollection', sampleRegions: 'FeatureCollection',
+    id: 'String', contains: 'ComputedObject', iterate: 'ComputedObject',
+    serialize: 'String', If: 'ComputedObject', nominalScale: 'Number',
+    distinct: 'FeatureCollection', histogram: 'Dictionary'
+  },
+  ImageCollection: {
+    first: 'Image', mean: 'Image', median: 'Image', sum: 'Image', min: 'Image',
+    max: 'Image', count: 'Image', mode: 'Image', mosaic: 'Image',
+    qualityMosaic: 'Image', reduce: 'Image', toBands: 'Image', product: 'Image'
+  },
+  FeatureCollection: {
+    first: 'Feature', union: 'FeatureCollection'
+  },
+  List: {
+    get: 'ComputedObject', first: 'ComputedObject', reduce: 'ComputedObject'
+  },
+  Feature: {
+    area: 'Number'
+  },
+  Geometry: {
+    geometry: 'Geometry', distance: 'Number', intersects: 'ComputedObject'
+  },
+  Date: {
+    get: 'Number', difference: 'Number', getRange: 'DateRange', advance: 'Date'
+  },
+  DateRange: {
+    start: 'Date', end: 'Date'
+  }
+};
+
+// Element type handed to callbacks of map()/iterate() on a collection
+const ELEMENT_TYPES = {
+  ImageCollection: 'Image',
+  FeatureCollection: 'Feature',
+  List: 'ComputedObject',
+  Dictionary: 'ComputedObject'
+};
+
+// Default getInfo() result by type (options.getInfo can override)
+const GETINFO_DEFAULTS = {
+  Number: 1,
+  String: 'string',
+  List: [],
+  Dictionary: {},
+  Date: 0,
+  Geometry: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]}
+};
+
+// ee.Number(5).getInfo() === 5 etc.
+const PRIMITIVE_TYPES = ['Number', 'String', 'List', 'Dictionary', 'Date'];
+
+// Static helpers whose result type differs from their namespace
+const STATIC_RETURNS = {
+  Algorithms: {If: 'ComputedObject', IsEqual: 'ComputedObject', Describe: 'ComputedObject'},
+  Terrain: {products: 'Image', slope: 'Image', aspect: 'Image', hillshade: 'Image'}
+};
+
+const {createEvaluator, UNKNOWN} = require('./ee_eval');
+
+const MARK = Symbol('eeObject');
+
+function isEEObject(value) {
+  return Boolean(value && value[MARK]);
+}
+
+function describeValue(value, depth) {
+  if (isEEObject(value)) {
+    return depth > 6 ? value._type + '(…)' : value.describe(depth + 1);
+  }
+  if (typeof value === 'function') {
+    return 'function';
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map((v) => describeValue(v, depth)).join(', ') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).map((k) => k + ': ' + describeValue(value[k], depth)).join(', ') + '}';
+  }
+  return String(value);
+}
+
+function createEE(recorder, options) {
+  const ee = {};
+  const constructors = {};
+
+  function EEObject(type, origin, ops) {
+    this._type = type;
+    this._origin = origin;   // {type, args} of the constructor call
+    this._ops = ops;         // [{method, args, isStatic}]
+  }
+
+  EEObject.prototype.describe = function(depth) {
+    depth = depth || 0;
+    let text = '';
+    if (this._origin) {
+      text = this._origin.type + '(' + this._origin.args.map((a) => describeValue(a, depth)).join(', ') + ')';
+    }
+    this._ops.forEach((op) => {
+      text += (op.isStatic ? '' : '.') + op.method +
+        '(' + op.args.map((a) => describeValue(a, depth)).join(', ') + ')';
+    });
+    return text;
+  };
+
+  // Last method applied (e.g. 'size' for fc.size())
+  EEObject.prototype.lastMethod = function() {
+    return this._ops.length ? this._ops[this._ops.length - 1].method : null;
+  };
+
+  // Did any step in the chain call `method` (optionally with an argument containing `text`)?
+  EEObject.prototype.hasOp = function(method, text) {
+    return this._ops.some((op) => op.method === method &&
+      (text === undefined || op.args.some((a) => describeValue(a, 0).indexOf(text) !== -1)));
+  };
+
+  EEObject.prototype.getInfo = function(callback) {
+    let value;
+    if (evaluator) {
+      value = evaluator(this);
+      if (value === UNKNOWN) {
+        value = defaultValue(this._type);
+      }
+    } else if (this._origin && this._ops.length === 0 && this._origin.args.length === 1 &&
+        PRIMITIVE_TYPES.indexOf(this._type) !== -1 && !isEEObject(this._origin.args[0])) {
+      value = this._origin.args[0];
+    } else {
+      value = defaultValue(this._type);
+    }
+    if (options.getInfo && !evaluator) {
+      const override = options.getInfo(this, value);
+      if (override !== undefined) {
+        value = override;
+      }
+    }
+    recorder.getInfoCalls.push(this.describe());
+    if (typeof callback === 'function') {
+      callback(value);
+      return undefined;
+    }
+    return value;
+  };
+
+  EEObject.prototype.evaluate = function(callback) {
+    callback(this.getInfo(), undefined);
+  };
+
+  EEObject.prototype.toString = function() {
+    return this.describe();
+  };
+
+  function defaultValue(type) {
+    if (!Object.prototype.hasOwnProperty.call(GETINFO_DEFAULTS, type)) {
+      return null;
+    }
+    const value = GETINFO_DEFAULTS[type];
+    return typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  // Every prefix of an object's chain with its type ({object, op: null} = constructor)
+  function steps(obj) {
+    const out = [];
+    let type = obj._origin ? obj._origin.type : null;
+    if (obj._origin) {
+      out.push({object: make(type, obj._origin, []), op: null});
+    }
+    obj._ops.forEach((op, i) => {
+      if (op.isStatic) {
+        const parts = op.method.split('.');
+        type = (STATIC_RETURNS[parts[0]] || {})[parts[1]] || parts[0];
+      } else {
+        type = returnType(type, op.method);
+      }
+      out.push({object: i === obj._ops.length - 1 ? obj : make(type, obj._origin, obj._ops.slice(0, i + 1)), op: op});
+    });
+    return out;
+  }
+
+  // Mock object holding a computed value (callback arguments while evaluating)
+  function wrap(value, type) {
+    return make(type, {type: type, args: [value], literal: true}, []);
+  }
+
+  const evaluator = options.evaluate ?
+    createEvaluator(wrap, steps, (obj, value) => (options.getInfo ? options.getInfo(obj, value) : undefined),
+      isEEObject) :
+    null;
+
+  function returnType(type, method) {
+    const own = RETURNS[type] || {};
+    if (Object.prototype.hasOwnProperty.call(own, method)) {
+      return own[method];
+    }
+    if (Object.prototype.hasOwnProperty.call(RETURNS['*'], method)) {
+      return RETURNS['*'][method];
+    }
+    return type;
+  }
+
+  // Call callbacks once with stand-in arguments
+  function invokeCallbacks(type, method, args) {
+    args.forEach((arg) => {
+      if (typeof arg !== 'function') {
+        return;
+      }
+      const elementType = method === 'evaluate' ? null : (ELEMENT_TYPES[type] || 'ComputedObject');
+      const callbackArgs = [];
+      for (let i = 0; i < Math.max(arg.length, 1); i++) {
+        callbackArgs.push(make(elementType || 'ComputedObject', null, []));
+      }
+      arg.apply(null, callbackArgs);
+    });
+  }
+
+  const instanceHandler = {
+    get(target, prop) {
+      if (prop === MARK) {
+        return true;
+      }
+      if (typeof prop === 'symbol') {
+        if (prop === Symbol.toPrimitive) {
+          return () => target.describe();
+        }
+        return undefined;
+      }
+      if (prop === 'then' || prop === 'toJSON') {
+        return undefined;
+      }
+      if (prop in target) {
+        return target[prop];
+      }
+      return function() {
+        const args = Array.prototype.slice.call(arguments);
+        invokeCallbacks(target._type, prop, args);
+        return make(returnType(target._type, prop), target._origin,
+          target._ops.concat([{method: prop, args: args}]));
+      };
+    }
+  };
+
+  function make(type, origin, ops) {
+    const obj = new constructors[type]._Real(type, origin, ops);
+    return new Proxy(obj, instanceHandler);
+  }
+
+  TYPES.forEach((type) => {
+    function Real(t, origin, ops) {
+      EEObject.call(this, t, origin, ops);
+    }
+    Real.prototype = Object.create(EEObject.prototype);
+    Real.prototype.constructor = Real;
+
+    const construct = function() {
+      const args = Array.prototype.slice.call(arguments);
+      if (typeof args[0] === 'string' &&
+          (type === 'Image' || type === 'ImageCollection' || type === 'FeatureCollection')) {
+        recorder.datasets.push({type: type, id: args[0]});
+      }
+      invokeCallbacks(type, type, args);
+      return make(type, {type: type, args: args}, []);
+    };
+
+    const staticTarget = function() {};
+    staticTarget.prototype = Real.prototype;
+    staticTarget._Real = Real;
+
+    constructors[type] = new Proxy(staticTarget, {
+      apply(target, thisArg, args) {
+        return construct.apply(null, args);
+      },
+      construct(target, args) {
+        return construct.apply(null, args);
+      },
+      get(target, prop) {
+        if (prop === 'prototype' || prop === '_Real') {
+          return target[prop];
+        }
+        if (typeof prop === 'symbol') {
+          return undefined;
+        }
+        return function() {
+          const args = Array.prototype.slice.call(arguments);
+          invokeCallbacks(type, prop, args);
+          const staticReturn = (STATIC_RETURNS[type] || {})[prop];
+          return make(staticReturn || type, null,
+            [{method: type + '.' + prop, args: args, isStatic: true}]);
+        };
+      }
+    });
+  });
+
+  TYPES.forEach((type) => {
+    ee[type] = constructors[type];
+  });
+
+  ee.data = {};
+  ee.isEEObject = isEEObject;
+  return ee;
+}
+
+// ----------------------------------------------------------------------
+// ui widgets
+// ----------------------------------------------------------------------
+
+function createUi(recorder) {
+  function Widget(kind, props) {
+    this.kind = kind;
+    this.props = props || {};
+    this.handlers = {};
+    this.children = [];
+  }
+
+  Widget.prototype.widgets = function() {
+    const self = this;
+    return {
+      add: function(w) { self.children.push(w); return self; },
+      insert: function(i, w) { self.children.splice(i, 0, w); return self; },
+      remove: function(w) {
+        const i = self.children.indexOf(w);
+        if (i !== -1) {
+          self.children.splice(i, 1);
+        }
+        return w;
+      },
+      reset: function(list) { self.children = (list || []).slice(); return self; },
+      get: function(i) { return self.children[i]; },
+      set: function(i, w) { self.children[i] = w; return self; },
+      length: function() { return self.children.length; },
+      forEach: function(fn) { self.children.forEach(fn); }
+    };
+  };
+  Widget.prototype.add = function(w) { this.children.push(w); return this; };
+  Widget.prototype.clear = function() { this.children = []; return this; };
+  Widget.prototype.remove = function(w) { return this.widgets().remove(w); };
+  Widget.prototype.insert = function(i, w) { return this.widgets().insert(i, w); };
+
+  // Fire a registered handler (tests use this to "click" buttons etc.)
+  Widget.prototype.trigger = function(event) {
+    const args = Array.prototype.slice.call(arguments, 1);
+    (this.handlers[event] || []).forEach((fn) => fn.apply(null, args));
+  };
+
+  const widgetHandler = {
+    get(target, prop) {
+      if (typeof prop === 'symbol' || prop in target) {
+        return target[prop];
+      }
+      // setValue(x) / getValue() / onClick(fn) style accessors
+      const match = /^(set|get|on)([A-Z]\w*)$/.exec(prop);
+      if (match) {
+        const key = match[2].charAt(0).toLowerCase() + match[2].slice(1);
+        if (match[1] === 'set') {
+          return function(value) { target.props[key] = value; return proxy(target); };
+        }
+        if (match[1] === 'get') {
+          return function() { return target.props[key]; };
+        }
+        return function(fn) {
+          (target.handlers[key] = target.handlers[key] || []).push(fn);
+          return fn;
+        };
+      }
+      return function() { return proxy(target); };
+    }
+  };
+
+  const proxies = new WeakMap();
+  function proxy(target) {
+    if (!proxies.has(target)) {
+      proxies.set(target, new Proxy(target, widgetHandler));
+    }
+    return proxies.get(target);
+  }
+
+  function widgetFactory(kind, argNames) {
+    return function() {
+      let props = {};
+      if (arguments.length === 1 && arguments[0] && typeof arguments[0] === 'object' &&
+          !Array.isArray(arguments[0]) && !(arguments[0] instanceof Widget) && !isEEObject(arguments[0])) {
+        props = Object.assign({}, arguments[0]);
+      } else {
+        for (let i = 0; i < arguments.length; i++) {
+          props[argNames[i] || ('arg' + i)] = arguments[i];
+        }
+      }
+      const widget = new Widget(kind, props);
+      Object.keys(props).forEach((key) => {
+        if (/^on[A-Z]/.test(key) && typeof props[key] === 'function') {
+          const event = key.charAt(2).toLowerCase() + key.slice(3);
+          widget.handlers[event] = [props[key]];
+        }
+      });
+      if (Array.isArray(props.widgets)) {
+        widget.children = props.widgets.slice();
+      }
+      return proxy(widget);
+    };
+  }
+
+  function chart(source, props) {
+    const widget = new Widget('Chart', Object.assign({source: source}, props));
+    widget.props.options = widget.props.options || {};
+    widget.setOptions = function(opts) { Object.assign(this.props.options, opts); return proxy(this); };
+    widget.setChartType = function(t) { this.props.chartType = t; return proxy(this); };
+    widget.setSeriesNames = function(names) { this.props.seriesNames = names; return proxy(this); };
+    const p = proxy(widget);
+    recorder.charts.push(p);
+    return p;
+  }
+
+  function chartFactory(source) {
+    return function(params) {
+      return chart(source, {params: params || {}});
+    };
+  }
+
+  const ui = {
+    Panel: widgetFactory('Panel', ['widgets', 'layout', 'style']),
+    Label: widgetFactory('Label', ['value', 'style', 'targetUrl']),
+    Button: widgetFactory('Button', ['label', 'onClick', 'disabled', 'style']),
+    Select: widgetFactory('Select', ['items', 'placeholder', 'value', 'onChange', 'disabled', 'style']),
+    Textbox: widgetFactory('Textbox', ['placeholder', 'value', 'onChange', 'disabled', 'style']),
+    Checkbox: widgetFactory('Checkbox', ['label', 'value', 'onChange', 'disabled', 'style']),
+    Slider: widgetFactory('Slider', ['min', 'max', 'value', 'step', 'onChange', 'direction', 'disabled', 'style']),
+    DateSlider: widgetFactory('DateSlider', ['start', 'end', 'value', 'period', 'onChange', 'disabled', 'style']),
+    DateRange: widgetFactory('DateRange', ['start', 'end']),
+    Thumbnail: widgetFactory('Thumbnail', ['image', 'params', 'onClick', 'style']),
+    SplitPanel: widgetFactory('SplitPanel', ['firstPanel', 'secondPanel', 'orientation', 'wipe', 'style']),
+    Map: widgetFactory('Map', ['center', 'onClick', 'style']),
+    Chart: function(dataTable, chartType, options) {
+      return chart('DataTable', {dataTable: dataTable, chartType: chartType, options: options || {}});
+    },
+    url: {get: function() { return null; }, set: function() {}},
+    util: {
+      debounce: function(fn) { return fn; },
+      throttle: function(fn) { return fn; },
+      setTimeout: function(fn) { fn(); return 0; },
+      clearTimeout: function() {}
+    },
+    data: {
+      ActiveDictionary: widgetFactory('ActiveDictionary', ['object']),
+      ActiveList: widgetFactory('ActiveList', ['list'])
+    }
+  };
+  ui.Panel.Layout = {
+    flow: function(direction, wrap) { return {layout: 'flow', direction: direction, wrap: wrap}; },
+    absolute: function() { return {layout: 'absolute'}; }
+  };
+  ui.Chart.image = {
+    histogram: chartFactory('image.histogram'),
+    series: chartFactory('image.series'),
+    seriesByRegion: chartFactory('image.seriesByRegion'),
+    byRegion: chartFactory('image.byRegion'),
+    byClass: chartFactory('image.byClass'),
+    regions: chartFactory('image.regions'),
+    doySeries: chartFactory('image.doySeries')
+  };
+  ui.Chart.feature = {
+    byFeature: chartFactory('feature.byFeature'),
+    byProperty: chartFactory('feature.byProperty'),
+    groups: chartFactory('feature.groups'),
+    histogram: chartFactory('feature.histogram')
+  };
+  ui.Chart.array = {values: chartFactory('array.values')};
+  ui.root = proxy(new Widget('Root', {}));
+  ui.Widget = Widget;
+
+  return ui;
+}
+
+// ----------------------------------------------------------------------
+// Map / Export / print
+// ----------------------------------------------------------------------
+
+function createMap(recorder, ui) {
+  const map = {
+    addLayer: function(eeObject, visParams, name, shown, opacity) {
+      let layer;
+      if (eeObject && !isEEObject(eeObject) && typeof eeObject === 'object' && 'eeObject' in eeObject) {
+        layer = Object.assign({}, eeObject);
+      } else {
+        layer = {eeObject: eeObject, visParams: visParams, name: name, shown: shown, opacity: opacity};
+      }
+      if (!isEEObject(layer.eeObject)) {
+        throw new Error('Map.addLayer: eeObject must be an ee object (layer "' + layer.name + '")');
+      }
+      recorder.layers.push(layer);
+      return layer;
+    },
+    centerObject: function(object, zoom) {
+      recorder.center = {object: object, zoom: zoom};
+    },
+    setCenter: function(lon, lat, zoom) {
+      recorder.center = {lon: lon, lat: lat, zoom: zoom};
+    },
+    layers: function() {
+      return {
+        length: function() { return recorder.layers.length; },
+        get: function(i) { return recorder.layers[i]; },
+        reset: function() { recorder.layers.length = 0; },
+        forEach: function(fn) { recorder.layers.forEach(fn); }
+      };
+    },
+    clear: function() {
+      recorder.layers.length = 0;
+    },
+    drawingTools: function() {
+      return recorder.drawingTools;
+    }
+  };
+  recorder.drawingTools = ui.Panel();
+  return new Proxy(map, {
+    get(target, prop) {
+      if (prop in target || typeof prop === 'symbol') {
+        return target[prop];
+      }
+      return function() {};
+    }
+  });
+}
+
+// Allowed parameters per export function (mirrors the Code Editor checks)
+const EXPORT_PARAMS = {
+  'image.toDrive': ['image', 'description', 'folder', 'fileNamePrefix', 'dimensions', 'region',
+    'scale', 'crs', 'crsTransform', 'maxPixels', 'shardSize', 'fileDimensions',
+    'skipEmptyTiles', 'fileFormat', 'formatOptions', 'priority'],
+  'image.toCloudStorage': ['image', 'description', 'bucket', 'fileNamePrefix', 'dimensions',
+    'region', 'scale', 'crs', 'crsTransform', 'maxPixels', 'shardSize', 'fileDimensions',
+    'skipEmptyTiles', 'fileFormat', 'formatOptions', 'priority'],
+  'image.toAsset': ['image', 'description', 'assetId', 'pyramidingPolicy', 'dimensions', 'region',
+    'scale', 'crs', 'crsTransform', 'maxPixels', 'shardSize', 'priority'],
+  'table.toDrive': ['collection', 'description', 'folder', 'fileNamePrefix', 'fileFormat',
+    'selectors', 'maxVertices', 'priority'],
+  'table.toCloudStorage': ['collection', 'description', 'bucket', 'fileNamePrefix', 'fileFormat',
+    'selectors', 'maxVertices', 'priority'],
+  'table.toAsset': ['collection', 'description', 'assetId', 'maxVertices', 'priority'],
+  'table.toBigQuery': ['collection', 'description', 'table', 'overwrite', 'append', 'selectors',
+    'maxVertices', 'priority']
+};
+
+function createExport(recorder, ee) {
+  const Export = {image: {}, table: {}};
+
+  Object.keys(EXPORT_PARAMS).forEach((key) => {
+    const parts = key.split('.');
+    const kind = parts[0];
+    const destination = parts[1].replace(/^to/, '');
+
+    Export[kind][parts[1]] = function(params) {
+      if (!params || typeof params !== 'object' || isEEObject(params)) {
+        throw new Error('Export.' + key + ': expected a parameter object');
+      }
+      const unknown = Object.keys(params).filter((p) => EXPORT_PARAMS[key].indexOf(p) === -1);
+      if (unknown.length) {
+        throw new Error('Export.' + key + ': unknown configuration options: ' + unknown.join(', '));
+      }
+      if (kind === 'image' && !(params.image instanceof ee.Image)) {
+        throw new Error('Export.' + key + ': "image" must be an ee.Image');
+      }
+      // ImageCollection.map() returning Features is exported as a table too
+      if (kind === 'table' && !(params.collection instanceof ee.FeatureCollection) &&
+          !(params.collection instanceof ee.ImageCollection)) {
+        throw new Error('Export.' + key + ': "collection" must be an ee.FeatureCollection');
+      }
+      recorder.exports.push({
+        kind: kind,
+        destination: destination,
+        name: params.description,
+        params: params
+      });
+    };
+  });
+
+  return Export;
+}
+
+function createPrint(recorder) {
+  return function print() {
+    recorder.prints.push(Array.prototype.slice.call(arguments));
+  };
+}
+
+function createRecorder() {
+  return {
+    exports: [],
+    layers: [],
+    prints: [],
+    charts: [],
+    datasets: [],
+    requires: [],
+    getInfoCalls: [],
+    center: null,
+    drawingTools: null
+  };
+}
+
+// Build a fresh set of Code Editor globals sharing one recorder
+function createEnvironment(options) {
+  options = options || {};
+  const recorder = createRecorder();
+  const ee = createEE(recorder, options);
+  const ui = createUi(recorder);
+  return {
+    recorder: recorder,
+    ee: ee,
+    ui: ui,
+    Map: createMap(recorder, ui),
+    Export: createExport(recorder, ee),
+    print: createPrint(recorder)
+  };
+}
+
+module.exports = {
+  createEnvironment: createEnvironment,
+  isEEObject: isEEObject,
+  describeValue: describeValue,
+  EXPORT_PARAMS: EXPORT_PARAMS
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+// ======================================================================
+// MODULE FIXTURES — a shared module with its helpers in one sandbox
+// ======================================================================
+//
+//   const {loadFixture} = require('../harness/fixtures');
+//   const fx = loadFixture('forest_loss', {area_unit: 'km2', getInfo: (obj, value) => ...});
+//   fx.lib                 → scripts/modules/forest_loss.js
+//   fx.ee, fx.ui, fx.recorder, fx.context
+//   fx.areas               → area.js createAreas({area_unit, area_crs})
+//   fx.require('zones')    → another module from the same sandbox
+//   fx.problems(settings)  → problems lib.validate() finds in `settings`
+//   fx.value(obj)          → obj.getInfo()
+//   collection([{...}])    → FeatureCollection value for a getInfo override
+//   rows(fx.value(fc))     → properties of every feature
+//
+// Fixtures evaluate by default (ee_eval.js): getInfo() returns the rows a
+// module builds from the leaf values (reductions, assets) that the test's
+// getInfo override supplies. Pass evaluate: false for type defaults only.
+// validate.js and area.js are loaded on first use of problems() / areas.
+// ======================================================================
+
+const {loadModule} = require('./run_script');
+
+const MODULE_ROOT = 'users/test/RS-Conservation-GEE:scripts/modules/';
+
+function loadFixture(name, options) {
+  options = options || {};
+  const loaded = loadModule('scripts/modules/' + name + '.js', {
+    getInfo: options.getInfo,
+    evaluate: options.evaluate !== false,
+    imports: options.imports
+  });
+
+  function requireModule(other) {
+    return loaded.context.require(MODULE_ROOT + other + '.js');
+  }
+
+  let validateLib = null;
+  let areas = null;
+
+  function validator() {
+    if (!validateLib) {
+      validateLib = requireModule('validate');
+    }
+    return validateLib;
+  }
+
+  return {
+    lib: loaded.module,
+    ee: loaded.ee,
+    ui: loaded.ui,
+    Map: loaded.Map,
+    context: loaded.context,
+    recorder: loaded.recorder,
+    get areas() {
+      if (!areas) {
+        areas = requireModule('area').createAreas({area_unit: options.area_unit, area_crs: options.area_crs});
+      }
+      return areas;
+    },
+    get validateLib() {
+      return validator();
+    },
+    require: requireModule,
+    problems: function(settings) {
+      const check = validator().createValidator();
+      loaded.module.validate(check, settings);
+      return [...check.problems()];
+    },
+    value: function(obj) {
+      return obj.getInfo();
+    }
+  };
+}
+
+// Client-side FeatureCollection with one feature per property object
+function collection(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map((properties) => ({type: 'Feature', geometry: null, properties: properties}))
+  };
+}
+
+// Properties of every feature of a FeatureCollection value
+function rows(fc) {
+  return fc.features.map((f) => f.properties);
+}
+
+module.exports = {
+  loadFixture: loadFixture,
+  collection: collection,
+  rows: rows
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+// ======================================================================
+// SCRIPT RUNNER — load a Code Editor script under Node
+// ======================================================================
+//
+//   const {runScript} = require('../harness/run_script');
+//   const run = runScript('scripts/gfc_hansen_forest_change_generic.js', {
+//     settings: {use_custom_aoi: false, country_name: 'Kenya'},
+//     imports: {AOI: 'FeatureCollection'}
+//   });
+//   run.exports  → [{kind, destination, name, params}, ...]
+//   run.layers   → [{eeObject, visParams, name, shown}, ...]
+//   run.prints   → [[arg, ...], ...]
+//
+// settings : replaces the initializer of top-level `var <name> = ...;`
+//            lines (the USER SETTINGS block) before the script runs.
+// imports  : Imports-panel variables; a type name ('FeatureCollection',
+//            'Feature', 'Geometry') or a function(ee) returning an object.
+// getInfo  : function(obj, defaultValue) overriding getInfo() results.
+// evaluate : true → getInfo() computes client-side values (ee_eval.js) and
+//            calls getInfo(obj, value) for every step, server data included.
+// ======================================================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createEnvironment} = require('./ee_mock');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const MODULE_PATH = /^users\/[^/]+\/RS-Conservation-GEE:(.+)$/;
+
+// Find the end of the expression starting at `start` (first `;` at depth 0)
+function findExpressionEnd(source, start) {
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    const c = source[i];
+    const next = source[i + 1];
+    if (c === '/' && next === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) {
+        return source.length;
+      }
+      continue;
+    }
+    if (c === '/' && next === '*') {
+      i = source.indexOf('*/', i) + 2;
+      continue;
+    }
+    if (c === '\'' || c === '"' || c === '`') {
+      i++;
+      while (i < source.length && source[i] !== c) {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      continue;
+    }
+    if (c === '(' || c === '[' || c === '{') {
+      depth++;
+    } else if (c === ')' || c === ']' || c === '}') {
+      depth--;
+    } else if (c === ';' && depth === 0) {
+      return i;
+    }
+    i++;
+  }
+  throw new Error('Unterminated expression at offset ' + start);
+}
+
+// Replace `var <name> = <expr>;` initializers with JSON literals
+function overrideSettings(source, settings) {
+  Object.keys(settings || {}).forEach((name) => {
+    const pattern = new RegExp('^var\\s+' + name + '\\s*=', 'm');
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error('Setting "' + name + '" not found (expected a top-level `var ' + name + ' = ...;`)');
+    }
+    const start = match.index + match[0].length;
+    const end = findExpressionEnd(source, start);
+    source = source.slice(0, start) + ' ' + JSON.stringify(settings[name]) + source.slice(end);
+  });
+  return source;
+}
+
+function createImport(ee, name, spec) {
+  if (typeof spec === 'function') {
+    return spec(ee);
+  }
+  const polygon = [[[36.0, -1.5], [37.0, -1.5], [37.0, -0.5], [36.0, -0.5], [36.0, -1.5]]];
+  switch (spec) {
+    case 'FeatureCollection':
+      return ee.FeatureCollection('projects/test/assets/' + name);
+    case 'Feature':
+      return ee.Feature(ee.Geometry.Polygon(polygon), {name: name});
+    case 'Geometry':
+      return ee.Geometry.Polygon(polygon);
+    default:
+      throw new Error('Unknown import type for "' + name + '": ' + spec);
+  }
+}
+
+// GEE-style require(): repository paths resolve to local files
+function createRequire(context, env) {
+  const cache = {};
+  return function geeRequire(modulePath) {
+    const match = MODULE_PATH.exec(modulePath);
+    if (!match) {
+      throw new Error('require(): only RS-Conservation-GEE modules are available offline: ' + modulePath);
+    }
+    const file = path.join(REPO_ROOT, match[1]);
+    env.recorder.requires.push(match[1]);
+    if (!cache[file]) {
+      const exportsObj = {};
+      const wrapper = '(function(exports) {\n' + fs.readFileSync(file, 'utf8') + '\n})';
+      vm.runInContext(wrapper, context, {filename: file, lineOffset: -1})(exportsObj);
+      cache[file] = exportsObj;
+    }
+    return cache[file];
+  };
+}
+
+function createContext(options) {
+  const env = createEnvironment({getInfo: options.getInfo, evaluate: options.evaluate});
+  const context = vm.createContext({
+    ee: env.ee,
+    Map: env.Map,
+    Export: env.Export,
+    ui: env.ui,
+    print: env.print,
+    console: console
+  });
+  context.require = createRequire(context, env);
+
+  const imports = options.imports || {};
+  Object.keys(imports).forEach((name) => {
+    context[name] = createImport(env.ee, name, imports[name]);
+  });
+
+  return {env: env, context: context};
+}
+
+// Run a script file (path relative to the repository root)
+function runScript(relPath, options) {
+  options = options || {};
+  const file = path.join(REPO_ROOT, relPath);
+  const source = overrideSettings(fs.readFileSync(file, 'utf8'), options.settings);
+  const sandbox = createContext(options);
+
+  vm.runInContext(source, sandbox.context, {filename: file});
+
+  return Object.assign({
+    ee: sandbox.env.ee,
+    ui: sandbox.env.ui,
+    context: sandbox.context,
+    exportNames: sandbox.env.recorder.exports.map((e) => e.name),
+    findExport: function(suffix) {
+      return sandbox.env.recorder.exports.filter((e) => e.name.slice(-suffix.length) === suffix)[0];
+    },
+    findLayer: function(name) {
+      return sandbox.env.recorder.layers.filter((l) => l.name === name)[0];
+    }
+  }, sandbox.env.recorder);
+}
+
+// Load a shared module (e.g. 'scripts/modules/aoi.js') in a fresh environment
+function loadModule(relPath, options) {
+  const sandbox = createContext(options || {});
+  const mod = sandbox.context.require('users/test/RS-Conservation-GEE:' + relPath);
+  return {
+    module: mod,
+    ee: sandbox.env.ee,
+    ui: sandbox.env.ui,
+    Map: sandbox.env.Map,
+    context: sandbox.context,
+    recorder: sandbox.env.recorder
+  };
+}
+
+module.exports = {
+  runScript: runScript,
+  loadModule: loadModule,
+  overrideSettings: overrideSettings,
+  REPO_ROOT: REPO_ROOT
+};
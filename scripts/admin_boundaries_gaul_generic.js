@@ -11,6 +11,10 @@ var country_name = 'Kenya';  // Change to your country
 // Output prefix (all exports will use this)
 var output_prefix = 'Admin_' + country_name;
 
+// Export destination: 'drive' (Drive root), 'drive:FOLDER', 'gcs:BUCKET/PATH',
+// 'asset:projects/PROJECT/assets/FOLDER' or 'bigquery:PROJECT.DATASET'
+var export_target = 'drive';
+
 // Toggle which admin levels to display/export
 var show_level0 = true;   // Country boundary
 var show_level1 = true;   // Region/Province boundaries
@@ -23,9 +27,12 @@ var show_labels = true;   // Show text labels on map
 // LOAD DATA FROM FAO GAUL
 // ======================================================================
 
-var level0 = ee.FeatureCollection("FAO/GAUL/2015/level0");
-var level1 = ee.FeatureCollection("FAO/GAUL/2015/level1");
-var level2 = ee.FeatureCollection("FAO/GAUL/2015/level2");
+// Dataset IDs come from the registry (scripts/modules/datasets.js)
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var level0 = datasetsLib.load('GAUL0');
+var level1 = datasetsLib.load('GAUL1');
+var level2 = datasetsLib.load('GAUL2');
 
 print("Loaded FAO GAUL 2015 administrative boundaries");
 
@@ -122,55 +129,63 @@ if (show_level2) {
 // EXPORTS (using output_prefix)
 // ======================================================================
 
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+
+// User settings recorded in the provenance table
+var run_settings = {
+  country_name: country_name, output_prefix: output_prefix, export_target: export_target,
+  show_level0: show_level0, show_level1: show_level1, show_level2: show_level2, show_labels: show_labels
+};
+
+// Settings, datasets and country of this run (see scripts/modules/provenance.js)
+var provenance = provenanceLib.createProvenance({
+  script: 'admin_boundaries_gaul_generic.js',
+  settings: run_settings,
+  datasets: datasetsLib.provenance(['GAUL0', 'GAUL1', 'GAUL2']),
+  aoi: aoiLib.resolveAoi({country_name: country_name, admin_level: 0, check_empty: false})
+});
+
+var exporter = exportLib.createExporter({
+  export_target: export_target,
+  output_prefix: output_prefix
+});
+
 if (show_level0) {
-  Export.table.toDrive({
-    collection: admin0,
-    description: output_prefix + '_Level0_Country',
-    fileNamePrefix: output_prefix + '_Level0_Country',
+  exporter.table(admin0, 'Level0_Country', {
     fileFormat: 'SHP'
   });
 }
 
 if (show_level1) {
-  Export.table.toDrive({
-    collection: admin1,
-    description: output_prefix + '_Level1_Regions',
-    fileNamePrefix: output_prefix + '_Level1_Regions',
+  exporter.table(admin1, 'Level1_Regions', {
     fileFormat: 'SHP'
   });
 }
 
 if (show_level2) {
-  Export.table.toDrive({
-    collection: admin2,
-    description: output_prefix + '_Level2_Counties',
-    fileNamePrefix: output_prefix + '_Level2_Counties',
+  exporter.table(admin2, 'Level2_Counties', {
     fileFormat: 'SHP'
   });
 }
 
 // Export labels as well (useful for mapping)
 if (show_labels) {
-  Export.table.toDrive({
-    collection: admin0Labels,
-    description: output_prefix + '_Labels_Level0',
-    fileNamePrefix: output_prefix + '_Labels_Level0',
+  exporter.table(admin0Labels, 'Labels_Level0', {
     fileFormat: 'SHP'
   });
   
-  Export.table.toDrive({
-    collection: admin1Labels,
-    description: output_prefix + '_Labels_Level1',
-    fileNamePrefix: output_prefix + '_Labels_Level1',
+  exporter.table(admin1Labels, 'Labels_Level1', {
     fileFormat: 'SHP'
   });
   
-  Export.table.toDrive({
-    collection: admin2Labels,
-    description: output_prefix + '_Labels_Level2',
-    fileNamePrefix: output_prefix + '_Labels_Level2',
+  exporter.table(admin2Labels, 'Labels_Level2', {
     fileFormat: 'SHP'
   });
 }
 
+// Export run provenance (settings, datasets, country hash, every task above)
+provenance.exportTable(exporter);
+
 print("All exports queued with prefix:", output_prefix);
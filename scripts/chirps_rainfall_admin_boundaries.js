@@ -10,6 +10,7 @@ var country_name = 'Portugal'; // change to country of interest
 
 // Choose AOI source
 var use_custom_aoi = false;  // TRUE = use imported AOI, FALSE = use GAUL admin boundaries
+// Custom AOI: import it and rename it to "AOI" in the Imports panel, or draw a geometry
 
 // Admin level selection (only used if use_custom_aoi = false)
 // 0 = country, 1 = regions/provinces, 2 = municipalities/counties
@@ -19,229 +20,110 @@ var admin_level = 2;
 var admin1_names = []; // change to region e.g. ['Lisboa', 'Porto']
 var admin2_names = ['Odemira']; // change to municipality e.g. ['Odemira']
 
-// Study period
-var study_start = '2024-01-01';
-var study_end   = '2024-12-31';
-
-// Baseline period
+// ZONES: the units every table summarizes (rasters always cover the whole AOI)
+// 'aoi'      = the admin units of the AOI (names ADM0_NAME.. down to admin_level)
+// 'gaul'     = FAO GAUL units at zone_admin_level inside the AOI (ADMn_CODE and names)
+// 'wdpa'     = protected areas (WDPAID, NAME, DESIG_ENG) with the designations below
+// 'features' = your own polygons: import them and rename the import to "ZONES";
+//              zone_id_fields lists their ID columns (the last one names the zone in charts)
+// 'grid'     = regular hexagons or squares of zone_grid_size metres (zone_id, row, col)
+var zone_source = 'aoi';
+
+var zone_admin_level = 2;           // 'gaul': 0 = country, 1 = regions, 2 = municipalities
+var allowedDesigs = [];             // 'wdpa': designations to include ([] = every designation)
+var zone_id_fields = [];            // 'features': e.g. ['SITE_ID', 'SITE_NAME']
+var zone_grid_shape = 'hex';        // 'grid': 'hex' or 'square'
+var zone_grid_size = 5000;          // 'grid': cell width in metres (one table row per cell)
+
+// Rainy season: first and last day as 'MM-DD' (both included). A season may
+// cross the new year, e.g. '10-01' to '02-28' (October–February); it then
+// belongs to the year it starts in. The study total and every baseline total
+// use this same season.
+var season_start = '01-01';
+var season_end   = '12-31';
+
+// Study season: the season starting in this year
+var study_year = 2024;
+
+// Baseline seasons (years the seasons start in)
 var baseline_start_year = 2000;
 var baseline_end_year   = 2015;
 
-// Day of year range (for seasonal analysis)
-var doy_start = 1;
-var doy_end   = 365;
+// Rainfall time series per zone: totals of every season ('season') or
+// calendar month ('monthly') from series_start_year to series_end_year,
+// each with its baseline mean and anomaly (chart + long-format CSV)
+var series_mode = 'season';
+var series_start_year = 2010;
+var series_end_year   = 2024;
+
+// Severity classes of the rainfall anomaly (map layer, area per class per AOI/zone, stacked bar):
+// severity_index = 'pct_of_normal' (% of the baseline mean), 'z_score' or 'anomaly_mm';
+// severity_classes lists {name, max, color} from driest to wettest, a pixel falls in
+// the first class whose max it is below and the last class has no max. [] = preset:
+// pct_of_normal < 50 / 75 / 90 / 110 / 125 / above (severe_deficit ... well_above_normal)
+var severity_index = 'pct_of_normal';
+var severity_classes = [];
+
+// Second opinion on CHIRPS: other precipitation products summed over the same study and
+// baseline seasons, in mm: 'ERA5_LAND' (ERA5-Land reanalysis, from 1950) and/or 'IMERG'
+// (GPM IMERG Final, from June 2000 — start the baseline in 2001 or later). Adds side-by-side
+// totals/anomalies, an agreement map and per-zone comparison tables. [] = CHIRPS only.
+var compare_products = [];
+
+// Standardized Precipitation Index: accumulation periods in months, each
+// ending with the last month of the study season (a 30-year baseline is recommended)
+var spi_timescales = [1, 3, 6, 12];
+
+// Processing scale in metres (statistics and exports; CHIRPS native resolution is ~5.5 km)
+var scale = 1000;
+
+// Pixel budget: 'auto' = coarsen oversized statistics and tile large exports,
+// 'warn' = keep the scale and print warnings, 'off' = no checks
+var pixel_budget = 'auto';
+
+// Area statistics (drought class areas) and grid cells: equal-area CRS and unit of every area column
+var area_crs = 'EPSG:6933';  // e.g. 'EPSG:6933' (global equal-area), a UTM zone or a LAEA projection
+var area_unit = 'km2';       // 'm2', 'ha' or 'km2'
 
 // Output prefix (all exports will use this)
-var output_prefix = 'Rainfall_' + country_name;
-
-// ======================================================================
-// LOAD ADMIN BOUNDARIES (GAUL)
-// ======================================================================
-
-var level0 = ee.FeatureCollection("FAO/GAUL/2015/level0");
-var level1 = ee.FeatureCollection("FAO/GAUL/2015/level1");
-var level2 = ee.FeatureCollection("FAO/GAUL/2015/level2");
-
-// ======================================================================
-// BUILD AOI (custom or admin boundaries)
-// ======================================================================
-
-var AOI;
-var AOIgeom;
-var aoi_label;
-
-if (use_custom_aoi) {
-  AOI = AOI;  // Imported variable from Imports panel
-  AOIgeom = AOI.geometry ? AOI.geometry() : AOI;
-  aoi_label = 'Custom AOI (imported)';
-  output_prefix = output_prefix + '_CustomAOI';
-  print("Using custom AOI from Imports panel");
-} else {
-  if (admin_level === 0) {
-    AOI = level0.filter(ee.Filter.eq('ADM0_NAME', country_name));
-    aoi_label = country_name + ' (Level 0)';
-  } else if (admin_level === 1) {
-    AOI = level1.filter(ee.Filter.eq('ADM0_NAME', country_name));
-    if (admin1_names.length > 0) {
-      AOI = AOI.filter(ee.Filter.inList('ADM1_NAME', admin1_names));
-      aoi_label = country_name + ' (Level 1: ' + admin1_names.join(', ') + ')';
-    } else {
-      aoi_label = country_name + ' (All Level 1)';
-    }
-  } else if (admin_level === 2) {
-    AOI = level2.filter(ee.Filter.eq('ADM0_NAME', country_name));
-    if (admin1_names.length > 0) {
-      AOI = AOI.filter(ee.Filter.inList('ADM1_NAME', admin1_names));
-    }
-    if (admin2_names.length > 0) {
-      AOI = AOI.filter(ee.Filter.inList('ADM2_NAME', admin2_names));
-      aoi_label = country_name + ' (Level 2: ' + admin2_names.join(', ') + ')';
-    } else {
-      aoi_label = country_name + ' (All Level 2)';
-    }
-  } else {
-    throw new Error('admin_level must be 0, 1, or 2');
-  }
-
-  AOIgeom = AOI.geometry();
-  output_prefix = output_prefix + '_AdminLevel' + admin_level;
-  print("Using GAUL admin boundaries:", aoi_label);
-}
-
-print("AOI feature count:", AOI.size());
-
-// ======================================================================
-// MAP STYLE
-// ======================================================================
-
-var AOIVis = AOI.style({
-  color: "FF4500",
-  width: 2,
-  fillColor: "FFFFFF00"
+var output_prefix = 'Rainfall';  // AOI name is appended automatically
+
+// Export destination: 'drive' (Drive root), 'drive:FOLDER', 'gcs:BUCKET/PATH',
+// 'asset:projects/PROJECT/assets/FOLDER' or 'bigquery:PROJECT.DATASET' (tables only)
+var export_target = 'drive';
+var image_export_target = '';  // Optional separate destination for rasters (needed with BigQuery)
+
+// Batch mode: queue the full set of exports for several AOIs in one run
+var batch_mode = false;
+var batch_source = 'gaul';       // 'countries', 'gaul' (units inside country_name) or 'features'
+var batch_names = ['Odemira', 'Aljezur'];  // country names/ISO3 codes, GAUL unit names, or AOI feature
+                                           // names ('features' only; [] = every feature)
+var batch_admin_level = 2;       // 'gaul' only: GAUL level of batch_names (1 or 2)
+var batch_name_field = 'NAME';   // 'features' only: AOI property that names each feature
+
+// ======================================================================
+// RUN (workflow: scripts/workflows/rainfall.js)
+// ======================================================================
+
+var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/rainfall.js');
+
+workflow.run({
+  country_name: country_name, use_custom_aoi: use_custom_aoi, admin_level: admin_level,
+  admin1_names: admin1_names, admin2_names: admin2_names,
+  zone_source: zone_source, allowedDesigs: allowedDesigs, zone_admin_level: zone_admin_level,
+  zone_id_fields: zone_id_fields, zone_grid_shape: zone_grid_shape, zone_grid_size: zone_grid_size,
+  season_start: season_start, season_end: season_end, study_year: study_year,
+  baseline_start_year: baseline_start_year, baseline_end_year: baseline_end_year,
+  series_mode: series_mode, series_start_year: series_start_year, series_end_year: series_end_year,
+  severity_index: severity_index, severity_classes: severity_classes, compare_products: compare_products,
+  spi_timescales: spi_timescales,
+  scale: scale, pixel_budget: pixel_budget, area_crs: area_crs, area_unit: area_unit,
+  output_prefix: output_prefix, export_target: export_target, image_export_target: image_export_target,
+  batch_mode: batch_mode, batch_source: batch_source, batch_names: batch_names,
+  batch_admin_level: batch_admin_level, batch_name_field: batch_name_field
+}, {
+  script: 'chirps_rainfall_admin_boundaries.js',
+  custom_aoi: typeof AOI !== 'undefined' ? AOI : null,
+  drawn_geometry: typeof geometry !== 'undefined' ? geometry : null,
+  zone_features: typeof ZONES !== 'undefined' ? ZONES : null
 });
-
-Map.centerObject(AOIgeom, 7);
-Map.addLayer(AOIVis, {}, aoi_label);
-
-// ======================================================================
-// CHIRPS DAILY RAINFALL
-// ======================================================================
-
-var chirps = ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY')
-  .select('precipitation')
-  .filterBounds(AOIgeom);
-
-print("Study period:", study_start, "to", study_end);
-print("Baseline period:", baseline_start_year, "to", baseline_end_year);
-
-// 1. Total rainfall during study period
-var chirps_study = chirps
-  .filter(ee.Filter.date(study_start, study_end))
-  .sum()
-  .clip(AOIgeom);
-
-Map.addLayer(chirps_study, {
-  min: 50, max: 600,
-  palette: ['#f1eef6', '#bdc9e1', '#74a9cf', '#2b8cbe', '#045a8d']
-}, 'Total precipitation (Study period)');
-
-// 2. Baseline rainfall (mean total for season across baseline years)
-var chirps_mam = chirps.filter(ee.Filter.dayOfYear(doy_start, doy_end));
-var years = ee.List.sequence(baseline_start_year, baseline_end_year);
-
-var chirps_baseline = ee.ImageCollection.fromImages(
-  years.map(function (y) {
-    return chirps_mam
-      .filter(ee.Filter.calendarRange(y, y, 'year'))
-      .sum()
-      .clip(AOIgeom)
-      .set('year', y);
-  })
-).mean();
-
-Map.addLayer(chirps_baseline, {
-  min: 50, max: 600,
-  palette: ['#f1eef6', '#bdc9e1', '#74a9cf', '#2b8cbe', '#045a8d']
-}, 'Baseline avg precipitation (' + baseline_start_year + '–' + baseline_end_year + ')');
-
-// 3. Rainfall anomaly
-var baseline_masked = chirps_baseline.updateMask(chirps_study.mask());
-
-var rainfall_anomaly = chirps_study
-  .subtract(baseline_masked)
-  .clip(AOIgeom);
-
-var anomalyVis = {
-  min: -300,
-  max: 300,
-  palette: ['#67001f','#b2182b','#d6604d','#f4a582','#fddbc7',
-            '#e0e0e0',
-            '#d1e5f0','#92c5de','#4393c3','#2166ac','#053061']
-};
-
-Map.addLayer(rainfall_anomaly, anomalyVis, 'Rainfall anomaly (Study vs Baseline)');
-
-// ======================================================================
-// SPATIAL REDUCERS — per admin unit
-// ======================================================================
-
-var reducers_all = ee.Reducer.mean()
-  .combine(ee.Reducer.min(), null, true)
-  .combine(ee.Reducer.max(), null, true)
-  .combine(ee.Reducer.sum(), null, true);
-
-var admin_stats = chirps_study.reduceRegions({
-  collection: AOI,
-  reducer: reducers_all,
-  scale: 250
-});
-
-var admin_stats_clean = admin_stats.filter(ee.Filter.notNull(['mean']));
-
-// Add centroid coordinates for labels/exports
-var admin_stats_with_centroid = admin_stats_clean.map(function(f) {
-  var centroid = f.geometry().centroid(1);
-  var lon = centroid.coordinates().get(0);
-  var lat = centroid.coordinates().get(1);
-  return f.set({'longitude': lon, 'latitude': lat});
-});
-
-print("Admin stats:", admin_stats_with_centroid);
-
-// Build export selectors based on level
-var selectors = ['ADM0_NAME', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum'];
-if (admin_level === 1) {
-  selectors = ['ADM0_NAME', 'ADM1_NAME', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum'];
-}
-if (admin_level === 2) {
-  selectors = ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum'];
-}
-
-// ======================================================================
-// EXPORTS
-// ======================================================================
-
-Export.image.toDrive({
-  image: chirps_study,
-  description: output_prefix + '_StudyPeriod',
-  fileNamePrefix: output_prefix + '_StudyPeriod',
-  region: AOIgeom,
-  scale: 250,
-  maxPixels: 1e13
-});
-
-Export.image.toDrive({
-  image: chirps_baseline,
-  description: output_prefix + '_Baseline_' + baseline_start_year + '_' + baseline_end_year,
-  fileNamePrefix: output_prefix + '_Baseline_' + baseline_start_year + '_' + baseline_end_year,
-  region: AOIgeom,
-  scale: 250,
-  maxPixels: 1e13
-});
-
-Export.image.toDrive({
-  image: rainfall_anomaly,
-  description: output_prefix + '_Anomaly',
-  fileNamePrefix: output_prefix + '_Anomaly',
-  region: AOIgeom,
-  scale: 250,
-  maxPixels: 1e13
-});
-
-Export.table.toDrive({
-  collection: admin_stats_with_centroid,
-  description: output_prefix + '_Admin_Stats',
-  fileNamePrefix: output_prefix + '_Admin_Stats',
-  fileFormat: 'CSV',
-  selectors: selectors
-});
-
-// Optional: export admin boundaries
-Export.table.toDrive({
-  collection: AOI,
-  description: output_prefix + '_Admin_Boundaries',
-  fileNamePrefix: output_prefix + '_Admin_Boundaries',
-  fileFormat: 'SHP'
-});
-
-print("All exports queued with prefix:", output_prefix);
@@ -7,28 +7,24 @@
 // ======================================================================
 
 var country_name = 'Kenya';  // Change to your country
+var iso3 = '';               // Optional ISO3 code (e.g. 'KEN'), used instead of country_name when set
 
 // CHOOSE AOI TYPE
 var use_custom_aoi = true;  // Set to TRUE to use imported AOI, FALSE for entire country
 // If use_custom_aoi = TRUE, make sure to import your AOI vector file in the Code Editor
-// (it will appear in the Imports panel automatically)
-
-// Study period
-var study_start = '2023-03-01';    
-var study_end   = '2023-05-31';
-
-// Baseline period
-var baseline_start_year = 2000;
-var baseline_end_year   = 2015;
-
-// Day of year range (for seasonal analysis)
-var doy_start = 60;   // March 1
-var doy_end   = 151;  // May 31
-
-// Output prefix (all exports will use this)
-var output_prefix = 'Rainfall_' + country_name;
-
-// Protected area designations to include
+// (it will appear in the Imports panel automatically) and rename it to "AOI",
+// or draw a geometry on the map (the "geometry" import is used as fallback)
+
+// ZONES: the units every table summarizes (rasters always cover the whole AOI)
+// 'wdpa'     = protected areas (WDPAID, NAME, DESIG_ENG) with the designations below
+// 'gaul'     = FAO GAUL units at zone_admin_level (ADMn_CODE and names)
+// 'features' = your own polygons: import them and rename the import to "ZONES";
+//              zone_id_fields lists their ID columns (the last one names the zone in charts)
+// 'grid'     = regular hexagons or squares of zone_grid_size metres (zone_id, row, col)
+// 'aoi'      = the AOI features themselves
+var zone_source = 'wdpa';
+
+// Protected area designations to include ('wdpa'; [] = every designation)
 var allowedDesigs = [
   'National Park',
   'National Reserve',
@@ -39,262 +35,97 @@ var allowedDesigs = [
   'UNESCO-MAB Biosphere Reserve'
 ];
 
-// ======================================================================
-// RECOMMENDED SCALE VALUES FOR CHIRPS
-// ======================================================================
-
-// Scale options:
-// - 250 m  : Very fine detail, large files, slow processing
-// - 1000 m (1 km) : Good detail, reasonable files, good speed (DEFAULT)
-// - 5000 m (5 km) : Current setting, coarse but fast
-
-// ======================================================================
-// LOAD AOI (Country or Custom - imported via Imports panel)
-// ======================================================================
-
-var AOI;
-var AOIgeom;
-var aoi_label;
-
-if (use_custom_aoi) {
-  // Use the imported AOI variable (you must import it in the Code Editor Imports panel first)
-  AOI = AOI;  // This references the imported variable from Imports
-  AOIgeom = AOI.geometry ? AOI.geometry() : AOI;
-  aoi_label = 'Custom AOI (imported)';
-  output_prefix = output_prefix + '_CustomAOI';
-  print("Using custom AOI from Imports panel");
-} else {
-  // Load country boundary (LSIB dataset)
-  AOI = ee.FeatureCollection("USDOS/LSIB_SIMPLE/2017")
-    .filter(ee.Filter.eq('country_na', country_name));
-  AOIgeom = AOI.geometry();
-  aoi_label = country_name + ' (entire country)';
-  output_prefix = output_prefix + '_Country';
-  print("Using entire country:", country_name);
-}
-
-// ======================================================================
-// LOAD PROTECTED AREAS
-// ======================================================================
-
-// Filter WDPA by designation + intersection with AOI
-var PA = ee.FeatureCollection("WCMC/WDPA/current/polygons")
-  .filter(ee.Filter.inList('DESIG_ENG', allowedDesigs))
-  .map(function(f){ 
-    return f.set('intersects', f.geometry().intersects(AOIgeom, 1));
-  })
-  .filter(ee.Filter.eq('intersects', true));
-  
-var PA_polygons = PA.map(function(f){
-  var geomType = f.geometry().type();
-  return f.set('geometry_type', geomType);
-})
-.filter(ee.Filter.inList('geometry_type', ['Polygon', 'MultiPolygon']));
-
-print("AOI:", aoi_label);
-print("Number of Protected Areas (PA):", PA.size());
-
-// ======================================================================
-// MAP STYLE LAYERS
-// ======================================================================
-
-var AOIVis = AOI.style({
-  color: "FF4500",
-  width: 2,
-  fillColor: "FFFFFF00"
-});
-
-var PAVis = PA.style({
-  color: "006400",
-  width: 1,
-  fillColor: "FFFFFF00"
-});
-
-Map.centerObject(AOIgeom, 7);
-Map.addLayer(AOIVis, {}, aoi_label);
-Map.addLayer(PAVis, {}, "Protected Areas (PA)");
-
-// ======================================================================
-// TEMPORAL REDUCERS — CHIRPS DAILY RAINFALL
-// ======================================================================
-
-var chirps = ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY')
-  .select('precipitation')
-  .filterBounds(AOIgeom);
-
-print("Study period:", study_start, "to", study_end);
-print("Baseline period:", baseline_start_year, "to", baseline_end_year);
-
-// ======================================================================
-// 1. Total rainfall during study period
-// ======================================================================
-
-var chirps_study = chirps
-  .filter(ee.Filter.date(study_start, study_end))
-  .sum()
-  .clip(AOIgeom);
-
-Map.addLayer(chirps_study, {
-  min: 50, max: 600,
-  palette: ['#f1eef6', '#bdc9e1', '#74a9cf', '#2b8cbe', '#045a8d']
-}, 'Total precipitation (Study period)');
+var zone_admin_level = 2;           // 'gaul': 0 = country, 1 = regions, 2 = districts
+var zone_id_fields = [];            // 'features': e.g. ['SITE_ID', 'SITE_NAME']
+var zone_grid_shape = 'hex';        // 'grid': 'hex' or 'square'
+var zone_grid_size = 10000;         // 'grid': cell width in metres (one table row per cell)
 
-// ======================================================================
-// 2. Baseline rainfall (mean total for season across baseline years)
-// ======================================================================
-
-var chirps_mam = chirps.filter(ee.Filter.dayOfYear(doy_start, doy_end));
-var years = ee.List.sequence(baseline_start_year, baseline_end_year);
-
-var chirps_baseline = ee.ImageCollection.fromImages(
-  years.map(function (y) {
-    return chirps_mam
-      .filter(ee.Filter.calendarRange(y, y, 'year'))
-      .sum()
-      .clip(AOIgeom)
-      .set('year', y);
-  })
-).mean();
-
-Map.addLayer(chirps_baseline, {
-  min: 50, max: 600,
-  palette: ['#f1eef6', '#bdc9e1', '#74a9cf', '#2b8cbe', '#045a8d']
-}, 'Baseline avg precipitation (' + baseline_start_year + '–' + baseline_end_year + ')');
-
-// ======================================================================
-// 3. Rainfall anomaly
-// ======================================================================
-
-var baseline_masked = chirps_baseline.updateMask(chirps_study.mask());
-
-var rainfall_anomaly = chirps_study
-  .subtract(baseline_masked)
-  .clip(AOIgeom);
-
-var anomalyVis = {
-  min: -300,
-  max: 300,
-  palette: ['#67001f','#b2182b','#d6604d','#f4a582','#fddbc7',
-            '#e0e0e0',
-            '#d1e5f0','#92c5de','#4393c3','#2166ac','#053061']
-};
+// Rainy season: first and last day as 'MM-DD' (both included). A season may
+// cross the new year, e.g. '10-01' to '02-28' (October–February); it then
+// belongs to the year it starts in. The study total and every baseline total
+// use this same season.
+var season_start = '03-01';
+var season_end   = '05-31';
 
-Map.addLayer(rainfall_anomaly, anomalyVis, 'Rainfall anomaly (Study vs Baseline)');
+// Study season: the season starting in this year
+var study_year = 2023;
 
-// ======================================================================
-// SPATIAL REDUCERS — Rainfall stats for ENTIRE AOI
-// ======================================================================
-
-var reducers_all = ee.Reducer.mean()
-  .combine(ee.Reducer.min(), null, true)
-  .combine(ee.Reducer.max(), null, true)
-  .combine(ee.Reducer.sum(), null, true);
-
-// Create a feature for the entire AOI with stats
-var aoi_stats = chirps_study.reduceRegions({
-  collection: AOI,
-  reducer: reducers_all,
-  scale: 1000 // ← ADJUST HERE: 5000m = 5km resolution
-              // Common values: 250 (250m), 1000 (1km), 5000 (5km)
-              // Larger = faster but less accurate
-              // Smaller = slower but more accurate
-});
-
-var aoi_stats_clean = aoi_stats.filter(ee.Filter.notNull(['mean']));
-
-print("AOI-wide stats (mean, min, max, sum):", aoi_stats_clean);
-
-// ======================================================================
-// SPATIAL REDUCERS — Rainfall stats for each Protected Area (PA)
-// ======================================================================
-
-var reducers_all = ee.Reducer.mean()
-  .combine(ee.Reducer.min(), null, true)
-  .combine(ee.Reducer.max(), null, true);
-
-var pa_stats = chirps_study.reduceRegions({
-  collection: PA,
-  reducer: reducers_all,
-  scale: 1000  // ← ADJUST HERE: Same scale for consistency
-});
+// Baseline seasons (years the seasons start in)
+var baseline_start_year = 2000;
+var baseline_end_year   = 2015;
 
-// Remove empty rows
-var pa_stats_clean = pa_stats.filter(ee.Filter.notNull(['mean']));
+// Rainfall time series per zone: totals of every season ('season') or
+// calendar month ('monthly') from series_start_year to series_end_year,
+// each with its baseline mean and anomaly (chart + long-format CSV)
+var series_mode = 'season';
+var series_start_year = 2010;
+var series_end_year   = 2023;
+
+// Severity classes of the rainfall anomaly (map layer, area per class per AOI/zone, stacked bar):
+// severity_index = 'pct_of_normal' (% of the baseline mean), 'z_score' or 'anomaly_mm';
+// severity_classes lists {name, max, color} from driest to wettest, a pixel falls in
+// the first class whose max it is below and the last class has no max. [] = preset:
+// pct_of_normal < 50 / 75 / 90 / 110 / 125 / above (severe_deficit ... well_above_normal)
+var severity_index = 'pct_of_normal';
+var severity_classes = [];
+
+// Second opinion on CHIRPS: other precipitation products summed over the same study and
+// baseline seasons, in mm: 'ERA5_LAND' (ERA5-Land reanalysis, from 1950) and/or 'IMERG'
+// (GPM IMERG Final, from June 2000 — start the baseline in 2001 or later). Adds side-by-side
+// totals/anomalies, an agreement map and per-zone comparison tables. [] = CHIRPS only.
+var compare_products = [];
+
+// Standardized Precipitation Index: accumulation periods in months, each
+// ending with the last month of the study season (a 30-year baseline is recommended)
+var spi_timescales = [1, 3, 6, 12];
 
-// Add centroid coordinates for QGIS labeling
-var pa_stats_with_centroid = pa_stats_clean.map(function(f) {
-  var centroid = f.geometry().centroid(1);
-  var lon = centroid.coordinates().get(0);
-  var lat = centroid.coordinates().get(1);
-  return f.set({
-    'longitude': lon,
-    'latitude': lat
-  });
-});
+// Output prefix (all exports will use this)
+var output_prefix = 'Rainfall';  // AOI name is appended automatically
 
-print("Clean PA stats + coords:", pa_stats_with_centroid);
+// Export destination: 'drive' (Drive root), 'drive:FOLDER', 'gcs:BUCKET/PATH',
+// 'asset:projects/PROJECT/assets/FOLDER' or 'bigquery:PROJECT.DATASET' (tables only)
+var export_target = 'drive';
+var image_export_target = '';  // Optional separate destination for rasters (needed with BigQuery)
 
 // ======================================================================
-// EXPORTS (using output_prefix)
+// PROCESSING SCALE (statistics and exports)
 // ======================================================================
 
-// Export raster: study period
-Export.image.toDrive({
-  image: chirps_study,
-  description: output_prefix + '_StudyPeriod',
-  fileNamePrefix: output_prefix + '_StudyPeriod',
-  region: AOIgeom,
-  scale: 1000, // ← ADJUST HERE: Match with reduceRegions scale above for consistency
-  maxPixels: 1e13
-  crs: 'EPSG:4326'  // ← ADD THIS: Explicitly set to WGS84
-});
-
-// Export raster: baseline
-Export.image.toDrive({
-  image: chirps_baseline,
-  description: output_prefix + '_Baseline_' + baseline_start_year + '_' + baseline_end_year,
-  fileNamePrefix: output_prefix + '_Baseline_' + baseline_start_year + '_' + baseline_end_year,
-  region: AOIgeom,
-  scale: 1000, // ← ADJUST HERE: Match with reduceRegions scale above for consistency
-  maxPixels: 1e13
-  crs: 'EPSG:4326'  // ← ADD THIS
-});
-
-// Export raster: anomaly
-Export.image.toDrive({
-  image: rainfall_anomaly,
-  description: output_prefix + '_Anomaly',
-  fileNamePrefix: output_prefix + '_Anomaly',
-  region: AOIgeom,
-  scale: 1000, // ← ADJUST HERE: Match with reduceRegions scale above for consistency
-  maxPixels: 1e13
-  crs: 'EPSG:4326'  // ← ADD THIS
-});
-
-// Export CSV: AOI-wide statistics
-Export.table.toDrive({
-  collection: aoi_stats_clean,
-  description: output_prefix + '_AOI_Stats',
-  fileNamePrefix: output_prefix + '_AOI_Stats',
-  fileFormat: 'CSV',
-  selectors: ['mean', 'min', 'max', 'sum']
-});
-
-// Export CSV: PA statistics
-Export.table.toDrive({
-  collection: pa_stats_with_centroid,
-  description: output_prefix + '_PA_Stats',
-  fileNamePrefix: output_prefix + '_PA_Stats',
-  fileFormat: 'CSV',
-  selectors: ['NAME', 'DESIG_ENG', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum']
-});
-
-// Export shapefile: PA polygons
-Export.table.toDrive({
-  collection: PA_polygons,
-  description: output_prefix + '_PA_Polygons',
-  fileNamePrefix: output_prefix + '_PA_Polygons',
-  fileFormat: 'SHP'
+// Scale options (CHIRPS native resolution is ~5.5 km):
+// - 250 m  : Very fine detail, large files, slow processing
+// - 1000 m (1 km) : Good detail, reasonable files, good speed (DEFAULT)
+// - 5000 m (5 km) : Coarse but fast
+var scale = 1000;
+
+// Pixel budget: 'auto' = coarsen oversized statistics and tile large exports,
+// 'warn' = keep the scale and print warnings, 'off' = no checks
+var pixel_budget = 'auto';
+
+// Area statistics (drought class areas) and grid cells: equal-area CRS and unit of every area column
+var area_crs = 'EPSG:6933';  // e.g. 'EPSG:6933' (global equal-area), a UTM zone or a LAEA projection
+var area_unit = 'km2';       // 'm2', 'ha' or 'km2'
+
+// ======================================================================
+// RUN (workflow: scripts/workflows/rainfall.js)
+// ======================================================================
+
+var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/rainfall.js');
+
+workflow.run({
+  country_name: country_name, iso3: iso3, use_custom_aoi: use_custom_aoi,
+  zone_source: zone_source, allowedDesigs: allowedDesigs, zone_admin_level: zone_admin_level,
+  zone_id_fields: zone_id_fields, zone_grid_shape: zone_grid_shape, zone_grid_size: zone_grid_size,
+  season_start: season_start, season_end: season_end, study_year: study_year,
+  baseline_start_year: baseline_start_year, baseline_end_year: baseline_end_year,
+  series_mode: series_mode, series_start_year: series_start_year, series_end_year: series_end_year,
+  severity_index: severity_index, severity_classes: severity_classes, compare_products: compare_products,
+  spi_timescales: spi_timescales,
+  output_prefix: output_prefix,
+  export_target: export_target, image_export_target: image_export_target,
+  scale: scale, pixel_budget: pixel_budget,
+  area_crs: area_crs, area_unit: area_unit
+}, {
+  custom_aoi: typeof AOI !== 'undefined' ? AOI : null,
+  drawn_geometry: typeof geometry !== 'undefined' ? geometry : null,
+  zone_features: typeof ZONES !== 'undefined' ? ZONES : null
 });
-
-print("All exports queued with prefix:", output_prefix);
@@ -0,0 +1,467 @@
+// ======================================================================
+// CONSERVATION ANALYSIS APP — ui.Panel front-end for the generic scripts
+// ======================================================================
+//
+// Pick a workflow, choose the AOI (country / admin unit, or draw it on the
+// map), set the dates and press Run. The app calls the same workflow
+// modules as the scripts (scripts/workflows/*.js), so the layers, charts
+// and export tasks are the ones the scripts produce. Settings without a
+// control in the panel keep the workflow DEFAULTS.
+//
+// Publish: Apps → New App → source: this script. Published apps cannot
+// start export tasks: untick "Queue export tasks" there to list the
+// exports instead, or run this script from the Code Editor (Tasks tab).
+// ======================================================================
+
+// ======================================================================
+// APP SETTINGS (edit these)
+// ======================================================================
+
+var app_title = 'Conservation analysis';
+var default_workflow = 'rainfall';   // key in WORKFLOWS below
+var default_country = 'Kenya';       // FAO GAUL country name (ADM0_NAME)
+
+// Export destination: 'drive' (Drive root), 'drive:FOLDER', 'gcs:BUCKET/PATH',
+// 'asset:projects/PROJECT/assets/FOLDER' or 'bigquery:PROJECT.DATASET' (tables only)
+var export_target = 'drive';
+
+// ======================================================================
+// SHARED MODULES AND WORKFLOWS
+// ======================================================================
+
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var WORKFLOW_PATH = 'users/remoteop/RS-Conservation-GEE:scripts/workflows/';
+
+// Workflows in the picker. dates: the date controls of each workflow
+// ('date' → date picker, 'year' → year slider, both within a dataset's
+// coverage; 'monthday' → 'MM-DD' text box for season days);
+// derive: settings that follow from the picked dates.
+var WORKFLOWS = [
+  {
+    key: 'rainfall',
+    label: 'Rainfall (CHIRPS)',
+    module: require(WORKFLOW_PATH + 'rainfall.js'),
+    dates: [
+      {name: 'season_start', label: 'Season start (MM-DD)', type: 'monthday'},
+      {name: 'season_end', label: 'Season end (MM-DD, may cross the new year)', type: 'monthday'},
+      {name: 'study_year', label: 'Study season (year it starts)', type: 'year', dataset: 'CHIRPS'},
+      {name: 'baseline_start_year', label: 'Baseline start year', type: 'year', dataset: 'CHIRPS'},
+      {name: 'baseline_end_year', label: 'Baseline end year', type: 'year', dataset: 'CHIRPS'},
+      {name: 'series_start_year', label: 'Time series start year', type: 'year', dataset: 'CHIRPS'},
+      {name: 'series_end_year', label: 'Time series end year', type: 'year', dataset: 'CHIRPS'}
+    ]
+  },
+  {
+    key: 'forest_change',
+    label: 'Forest change (Hansen GFC)',
+    module: require(WORKFLOW_PATH + 'forest_change.js'),
+    dates: [
+      {name: 'start_year', label: 'Start year', type: 'year', dataset: 'HANSEN'},
+      {name: 'end_year', label: 'End year', type: 'year', dataset: 'HANSEN'}
+    ]
+  },
+  {
+    key: 'ndvi_anomaly',
+    label: 'NDVI anomaly (Landsat)',
+    module: require(WORKFLOW_PATH + 'ndvi_anomaly.js'),
+    dates: [
+      {name: 'b_start', label: 'Baseline start', type: 'date', dataset: 'LANDSAT7'},
+      {name: 'b_end', label: 'Baseline end', type: 'date', dataset: 'LANDSAT7'},
+      {name: 'anom_start', label: 'Anomaly start', type: 'date', dataset: 'LANDSAT7'},
+      {name: 'anom_end', label: 'Anomaly end', type: 'date', dataset: 'LANDSAT7'}
+    ],
+    // Collection filter and monthly chart span baseline + anomaly period
+    derive: function(v) {
+      return {
+        f_start: v.b_start,
+        f_end: v.anom_end,
+        startYear: Number(v.b_start.slice(0, 4)),
+        endYear: Number(v.anom_end.slice(0, 4))
+      };
+    }
+  },
+  {
+    key: 'surface_water',
+    label: 'Surface water (GSW)',
+    module: require(WORKFLOW_PATH + 'surface_water.js'),
+    dates: []
+  },
+  {
+    key: 'elevation',
+    label: 'Elevation (DEM)',
+    module: require(WORKFLOW_PATH + 'elevation.js'),
+    dates: []
+  },
+  {
+    key: 'protected_areas',
+    label: 'Protected areas (WDPA)',
+    module: require(WORKFLOW_PATH + 'protected_areas.js'),
+    dates: []
+  },
+  {
+    key: 's2_greenest',
+    label: 'S2 greenest pixel (NDVI)',
+    module: require(WORKFLOW_PATH + 's2_greenest.js'),
+    dates: [
+      {name: 'start_date', label: 'Start date', type: 'date', dataset: 'S2_SR'},
+      {name: 'end_date', label: 'End date', type: 'date', dataset: 'S2_SR'}
+    ]
+  }
+];
+
+var ADMIN_LEVELS = [
+  {label: '0 — country', value: 0},
+  {label: '1 — region / province', value: 1},
+  {label: '2 — district / municipality', value: 2}
+];
+var ALL_UNITS = 'All units';
+var AOI_MODES = ['Country / admin unit', 'Draw on map'];
+
+function workflowByKey(key) {
+  return WORKFLOWS.filter(function(w) { return w.key === key; })[0];
+}
+
+if (!workflowByKey(default_workflow)) {
+  throw new Error('App: unknown default_workflow \'' + default_workflow + '\' (use ' +
+    WORKFLOWS.map(function(w) { return w.key; }).join(', ') + ').');
+}
+
+// ======================================================================
+// STATE (current workflow and the values of its date controls)
+// ======================================================================
+
+var state = {
+  workflow: workflowByKey(default_workflow),
+  values: {}
+};
+
+// 'YYYY-MM-DD' of a DateSlider value ([start, end] in milliseconds)
+function dateText(value) {
+  return new Date(value[0]).toISOString().slice(0, 10);
+}
+
+// Last day of a dataset's coverage ('YYYY-MM-DD'; today if still updated)
+function coverageEnd(cov) {
+  return cov.end || new Date().toISOString().slice(0, 10);
+}
+
+// ======================================================================
+// PANEL WIDGETS
+// ======================================================================
+
+var STYLE_SECTION = {fontWeight: 'bold', margin: '12px 8px 4px 8px'};
+var STYLE_ERROR = {color: 'B22222', whiteSpace: 'pre'};
+
+var panel = ui.Panel({style: {width: '380px', padding: '8px'}});
+var datePanel = ui.Panel();
+var output = ui.Panel();
+
+panel.add(ui.Label(app_title, {fontSize: '20px', fontWeight: 'bold'}));
+panel.add(ui.Label('Pick a workflow and an area, set the dates and press Run.'));
+
+// Workflow picker
+var workflowSelect = ui.Select({
+  items: WORKFLOWS.map(function(w) { return {label: w.label, value: w.key}; }),
+  value: default_workflow,
+  onChange: function(key) {
+    state.workflow = workflowByKey(key);
+    buildDateControls();
+  },
+  style: {stretch: 'horizontal'}
+});
+panel.add(ui.Label('1. Workflow', STYLE_SECTION));
+panel.add(workflowSelect);
+
+// AOI: country / admin unit (FAO GAUL) or a drawn polygon
+var aoiModeSelect = ui.Select({
+  items: AOI_MODES,
+  value: AOI_MODES[0],
+  onChange: function(mode) {
+    var drawing = mode === AOI_MODES[1];
+    adminPanel.style().set('shown', !drawing);
+    drawPanel.style().set('shown', drawing);
+  }
+});
+var countrySelect = ui.Select({
+  items: [default_country],
+  value: default_country,
+  onChange: refreshUnits,
+  style: {stretch: 'horizontal'}
+});
+var levelSelect = ui.Select({
+  items: ADMIN_LEVELS,
+  value: 0,
+  onChange: refreshUnits
+});
+var unitSelect = ui.Select({
+  items: [ALL_UNITS],
+  value: ALL_UNITS,
+  style: {stretch: 'horizontal'}
+});
+var adminPanel = ui.Panel([
+  ui.Label('Country'), countrySelect,
+  ui.Label('Admin level'), levelSelect,
+  ui.Label('Admin unit'), unitSelect
+]);
+var drawPanel = ui.Panel([
+  ui.Label('Draw one polygon on the map; it is used as the AOI.'),
+  ui.Button({
+    label: 'Draw polygon',
+    onClick: function() {
+      var tools = Map.drawingTools();
+      tools.layers().reset();
+      tools.setShape('polygon');
+      tools.draw();
+    }
+  }),
+  ui.Button({
+    label: 'Clear drawing',
+    onClick: function() {
+      Map.drawingTools().layers().reset();
+    }
+  })
+], null, {shown: false});
+
+panel.add(ui.Label('2. Area of interest', STYLE_SECTION));
+panel.add(aoiModeSelect);
+panel.add(adminPanel);
+panel.add(drawPanel);
+
+panel.add(ui.Label('3. Dates', STYLE_SECTION));
+panel.add(datePanel);
+
+// Exports
+var targetBox = ui.Textbox({value: export_target, style: {stretch: 'horizontal'}});
+var queueCheckbox = ui.Checkbox({label: 'Queue export tasks (Code Editor only)', value: true});
+panel.add(ui.Label('4. Exports', STYLE_SECTION));
+panel.add(targetBox);
+panel.add(queueCheckbox);
+
+panel.add(ui.Button({label: 'Run', onClick: runWorkflow, style: {stretch: 'horizontal'}}));
+panel.add(output);
+
+// ======================================================================
+// DATE CONTROLS (rebuilt when the workflow changes)
+// ======================================================================
+
+function buildDateControls() {
+  var wf = state.workflow;
+  state.values = {};
+  datePanel.clear();
+
+  if (wf.dates.length === 0) {
+    datePanel.add(ui.Label('No dates to set: ' + wf.label + ' uses the full dataset record.'));
+    return;
+  }
+
+  wf.dates.forEach(function(d) {
+    var value = wf.module.DEFAULTS[d.name];
+    state.values[d.name] = value;
+    datePanel.add(ui.Label(d.label));
+
+    if (d.type === 'monthday') {
+      datePanel.add(ui.Textbox({
+        placeholder: 'MM-DD',
+        value: value,
+        onChange: function(text) {
+          state.values[d.name] = text;
+        }
+      }));
+      return;
+    }
+
+    var cov = datasetsLib.coverage(d.dataset);
+    if (d.type === 'year') {
+      datePanel.add(ui.Slider({
+        min: Number(cov.start.slice(0, 4)),
+        max: Number(coverageEnd(cov).slice(0, 4)),
+        value: value,
+        step: 1,
+        onChange: function(year) {
+          state.values[d.name] = year;
+        },
+        style: {stretch: 'horizontal'}
+      }));
+    } else {
+      var slider = ui.DateSlider({
+        start: cov.start,
+        end: coverageEnd(cov),
+        value: value,
+        period: 1,
+        onChange: function() {
+          state.values[d.name] = dateText(slider.getValue());
+        },
+        style: {stretch: 'horizontal'}
+      });
+      datePanel.add(slider);
+    }
+  });
+}
+
+// ======================================================================
+// AOI LISTS (FAO GAUL names, loaded asynchronously)
+// ======================================================================
+
+var GAUL_KEYS = ['GAUL0', 'GAUL1', 'GAUL2'];
+var GAUL_NAME_FIELDS = ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME'];
+
+function loadCountries() {
+  datasetsLib.load('GAUL0').aggregate_array('ADM0_NAME').distinct().sort()
+    .evaluate(function(names) {
+      if (names && names.length) {
+        countrySelect.items().reset(names);
+        countrySelect.setValue(default_country, false);
+      }
+    });
+}
+
+// Unit names of the picked country at the picked admin level
+function refreshUnits() {
+  var level = levelSelect.getValue();
+  unitSelect.items().reset([ALL_UNITS]);
+  unitSelect.setValue(ALL_UNITS, false);
+  if (level === 0) {
+    return;
+  }
+  datasetsLib.load(GAUL_KEYS[level])
+    .filter(ee.Filter.eq('ADM0_NAME', countrySelect.getValue()))
+    .aggregate_array(GAUL_NAME_FIELDS[level]).distinct().sort()
+    .evaluate(function(names) {
+      unitSelect.items().reset([ALL_UNITS].concat(names || []));
+    });
+}
+
+// AOI bundle (aoi.js) from the AOI controls
+function resolveAppAoi() {
+  if (aoiModeSelect.getValue() === AOI_MODES[1]) {
+    var layers = Map.drawingTools().layers();
+    if (layers.length() === 0) {
+      throw new Error('App: draw a polygon on the map first (AOI from "Draw on map").');
+    }
+    return aoiLib.resolveAoi({
+      use_custom_aoi: true,
+      drawn_geometry: layers.get(0).toGeometry()
+    });
+  }
+
+  var level = levelSelect.getValue();
+  var unit = unitSelect.getValue();
+  var names = unit && unit !== ALL_UNITS ? [unit] : [];
+  return aoiLib.resolveAoi({
+    country_name: countrySelect.getValue(),
+    admin_level: level,
+    admin1_names: level === 1 ? names : [],
+    admin2_names: level === 2 ? names : []
+  });
+}
+
+// ======================================================================
+// OUTPUT (stands in for the Console: text, values and charts)
+// ======================================================================
+
+// Charts and other widgets go into the panel as they are
+function isWidget(value) {
+  return value instanceof ui.Chart || (typeof ui.Widget === 'function' && value instanceof ui.Widget);
+}
+
+// print() replacement handed to the workflow
+function show() {
+  var parts = [];
+  var charts = [];
+  var label = ui.Label('', {whiteSpace: 'pre-wrap'});
+
+  Array.prototype.slice.call(arguments).forEach(function(arg) {
+    if (isWidget(arg)) {
+      charts.push(arg);
+    } else if (typeof arg === 'string' || typeof arg === 'number' || typeof arg === 'boolean') {
+      parts.push(String(arg));
+    } else if (arg instanceof ee.Image || arg instanceof ee.ImageCollection ||
+               arg instanceof ee.FeatureCollection) {
+      parts.push('(on the map / in the exports)');
+    } else if (arg && typeof arg.evaluate === 'function') {
+      // Small server-side values (numbers, dictionaries): filled in when ready
+      var i = parts.push('…') - 1;
+      arg.evaluate(function(value, error) {
+        parts[i] = error ? '(error: ' + error + ')' : JSON.stringify(value);
+        label.setValue(parts.join(' '));
+      });
+    } else {
+      parts.push(JSON.stringify(arg));
+    }
+  });
+  if (parts.length) {
+    label.setValue(parts.join(' '));
+    output.add(label);
+  }
+  charts.forEach(function(chart) {
+    output.add(chart);
+  });
+}
+
+function showError(message) {
+  output.add(ui.Label(message, STYLE_ERROR));
+}
+
+// ======================================================================
+// RUN
+// ======================================================================
+
+// Workflow settings from the panel (only those the workflow has)
+function settingsFor(wf) {
+  var defaults = wf.module.DEFAULTS;
+  var settings = {};
+  var values = {};
+  Object.keys(state.values).forEach(function(name) {
+    values[name] = state.values[name];
+  });
+  if (wf.derive) {
+    var derived = wf.derive(values);
+    Object.keys(derived).forEach(function(name) {
+      values[name] = derived[name];
+    });
+  }
+  values.country_name = countrySelect.getValue();
+  values.use_custom_aoi = false;   // the AOI comes from the panel
+  values.export_target = targetBox.getValue();
+
+  Object.keys(values).forEach(function(name) {
+    if (defaults.hasOwnProperty(name)) {
+      settings[name] = values[name];
+    }
+  });
+  return settings;
+}
+
+function runWorkflow() {
+  var wf = state.workflow;
+  output.clear();
+  Map.layers().reset();
+  output.add(ui.Label(wf.label, {fontWeight: 'bold'}));
+
+  try {
+    var queued = wf.module.run(settingsFor(wf), {
+      aoi: resolveAppAoi(),
+      print: show,
+      script: 'conservation_app.js (' + wf.key + ')',
+      queue_exports: queueCheckbox.getValue()
+    }) || [];
+
+    show((queueCheckbox.getValue() ? 'Export tasks (Tasks tab): ' : 'Exports (not queued): ') +
+      queued.length);
+    queued.forEach(function(q) {
+      show('• ' + q.name + ' — ' + q.kind + ' → ' + q.destination);
+    });
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+// ======================================================================
+// START
+// ======================================================================
+
+buildDateControls();
+loadCountries();
+ui.root.insert(0, panel);
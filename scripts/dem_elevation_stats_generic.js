@@ -2,152 +2,40 @@
 // SRTM/NASADEM ELEVATION ANALYSIS — GENERIC VERSION
 // ======================================================
 
-// DATASET OPTION (switch as needed)
-// NASADEM (recommended): "NASA/NASADEM_HGT/001"
-// SRTM v3 (30m):        "USGS/SRTMGL1_003"
-// SRTM v4 (if available in GEE): check catalog for exact ID
+// DATASET: NASADEM from the dataset registry (scripts/modules/datasets.js,
+// key 'NASADEM'); the SRTM v3 alternative is listed there as well.
 
 // ======================================================
 // ---- USER SETTINGS (edit these) ----
 // ======================================================
 var country_name = 'Spain';  // Change to your country
+var iso3 = '';               // Optional ISO3 code (e.g. 'ESP'), used instead of country_name when set
+var use_custom_aoi = true;   // TRUE = imported "AOI" (or drawn geometry), FALSE = entire country
 var output_prefix = 'DEM_Elevation';  // Prefix for all exports
-var stats_description = 'AOI stats elevation';
-var percentiles_description = 'AOI percentiles elevation';
+var stats_description = 'AOI_Stats';              // Appended to output_prefix
+var percentiles_description = 'AOI_Percentiles';  // Appended to output_prefix
 
-// ======================================================
-// LOAD DATA
-// ======================================================
-
-// Load country boundary (LSIB dataset)
-var country = ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017')
-  .filter(ee.Filter.eq('country_na', country_name))
-  .geometry();
-
-// Load SRTM elevation data
-var dem = ee.Image("NASA/NASADEM_HGT/001").select('elevation');
-
-// Import AOI (must be imported in Code Editor as "AOI")
+// Export destination: 'drive' (Drive root), 'drive:FOLDER', 'gcs:BUCKET/PATH',
+// 'asset:projects/PROJECT/assets/FOLDER' or 'bigquery:PROJECT.DATASET' (tables only)
+var export_target = 'drive';
+var image_export_target = '';  // Optional separate destination for rasters (needed with BigQuery)
 
-var AOI_geometry = AOI.geometry ? AOI.geometry() : AOI;
-
-print('Country:', country_name);
-print('AOI loaded:', AOI_geometry);
+// Pixel budget: 'auto' = coarsen oversized statistics and tile large exports,
+// 'warn' = keep the scales and print warnings, 'off' = no checks
+var pixel_budget = 'auto';
 
 // ======================================================
-// VISUALIZATION
+// RUN (workflow: scripts/workflows/elevation.js)
 // ======================================================
 
-var AOIVis = AOI.style({color: "FF4500", width: 3, fillColor: "FFFFFF00"});
-Map.addLayer(AOIVis, null, "AOI_boundary");
-Map.centerObject(AOI_geometry, 6);
-
-// Define visualization parameters
-var demVis = {
-  min: 0,
-  max: 3000,
-  palette: ['blue', 'green', 'yellow', 'orange', 'red']
-};
-
-var dem_AOI = dem.clip(AOI_geometry);
-var dem_country = dem.clip(country);
+var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/elevation.js');
 
-Map.addLayer(dem_AOI, demVis, 'AOI Elevation');
-Map.addLayer(dem_country, demVis, country_name + ' DEM');
-
-// ======================================================
-// HISTOGRAM
-// ======================================================
-var histogram = ui.Chart.image.histogram({
-  image: dem_AOI,
-  region: AOI_geometry,
-  scale: 50,
-  minBucketWidth: 50
-});
-histogram.setOptions({
-  title: 'Histogram of Elevation in ' + country_name + ' AOI (meters)'
+workflow.run({
+  country_name: country_name, iso3: iso3, use_custom_aoi: use_custom_aoi,
+  output_prefix: output_prefix, stats_description: stats_description,
+  percentiles_description: percentiles_description, export_target: export_target,
+  image_export_target: image_export_target, pixel_budget: pixel_budget
+}, {
+  custom_aoi: typeof AOI !== 'undefined' ? AOI : null,
+  drawn_geometry: typeof geometry !== 'undefined' ? geometry : null
 });
-
-print(histogram);
-
-// ======================================================
-// SPATIAL REDUCERS — MEAN, MIN, MAX
-// ======================================================
-var reducers_all = ee.Reducer.mean()
-  .combine(ee.Reducer.min(), null, true)
-  .combine(ee.Reducer.max(), null, true);
-
-var AOI_stats = dem_AOI.reduceRegions({
-  collection: AOI,
-  reducer: reducers_all,
-  scale: 30
-});
-
-// Remove empty rows
-var AOI_stats_clean = AOI_stats.filter(ee.Filter.notNull(['mean']));
-print("AOI Stats (mean, min, max):", AOI_stats_clean);
-
-// ======================================================
-// SPATIAL REDUCERS — PERCENTILES [50, 95]
-// ======================================================
-var percentiles = ee.Reducer.percentile([50, 95]);
-
-var AOI_percentiles = dem_AOI.reduceRegions({
-  collection: AOI,
-  reducer: percentiles,
-  scale: 30
-});
-
-// Remove empty rows
-var AOI_percentiles_clean = AOI_percentiles.filter(
-  ee.Filter.notNull(['p50'])
-);
-print("AOI Percentiles (p50, p95):", AOI_percentiles_clean);
-
-// ======================================================
-// EXPORTS (using output_prefix)
-// ======================================================
-
-// Export AOI elevation raster
-Export.image.toDrive({
-  image: dem_AOI,
-  description: output_prefix + '_AOI',
-  fileNamePrefix: output_prefix + '_AOI',
-  region: AOI_geometry,
-  scale: 30,                  // NASADEM/SRTM native resolution
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326', 
-  formatOptions: {cloudOptimized: true}
-});
-
-// Export country elevation raster
-Export.image.toDrive({
-  image: dem_country,
-  description: output_prefix + '_' + country_name,
-  fileNamePrefix: output_prefix + '_' + country_name,
-  region: country,
-  scale: 30,
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326', 
-  formatOptions: {cloudOptimized: true}
-});
-
-// Export statistics CSV
-Export.table.toDrive({
-  collection: AOI_stats_clean,
-  description: stats_description,
-  fileFormat: 'CSV',
-  selectors: ['mean', 'min', 'max']
-});
-
-// Export percentiles CSV
-Export.table.toDrive({
-  collection: AOI_percentiles_clean,
-  description: percentiles_description,
-  fileFormat: 'CSV',
-  selectors: ['p50', 'p95']
-});
-
-print("All exports queued!");
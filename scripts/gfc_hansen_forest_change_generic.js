@@ -7,20 +7,97 @@
 // ======================================================================
 
 var country_name = 'Spain';  // Change to your country
-var output_prefix = 'GFC_' + country_name;
+var iso3 = '';               // Optional ISO3 code (e.g. 'ESP'), used instead of country_name when set
+var output_prefix = 'GFC';   // AOI name is appended automatically
+
+// Export destination: 'drive' (Drive root), 'drive:FOLDER', 'gcs:BUCKET/PATH',
+// 'asset:projects/PROJECT/assets/FOLDER' or 'bigquery:PROJECT.DATASET' (tables only)
+var export_target = 'drive';
+var image_export_target = '';  // Optional separate destination for rasters (needed with BigQuery)
 
 // CHOOSE AOI TYPE
 var use_custom_aoi = true;  // Set to TRUE to use imported AOI, FALSE for entire country
 // If use_custom_aoi = TRUE, make sure to import your AOI vector file in the Code Editor
-// Rename the import to "AOI" in the Imports panel
+// Rename the import to "AOI" in the Imports panel (or draw a geometry on the map)
+
+// BATCH MODE: queue the full set of exports for several AOIs in one run
+var batch_mode = false;
+var batch_source = 'countries';  // 'countries', 'gaul' (units inside country_name) or 'features'
+var batch_names = ['Spain', 'PRT'];  // country names/ISO3 codes, GAUL unit names, or AOI feature
+                                     // names ('features' only; [] = every feature)
+var batch_admin_level = 2;       // 'gaul' only: GAUL level of batch_names (1 or 2)
+var batch_name_field = 'NAME';   // 'features' only: AOI property that names each feature
 
 // ======================================================================
 // TIME PERIOD SETTINGS (Hansen GFC Data)
 // ======================================================================
 
-// Hansen GFC covers 2000-2024
+// Hansen GFC v1.12 covers 2000-2024 (checked against the dataset registry)
 var start_year = 2000;
-var end_year = 2024;
+var end_year = 2024;        // loss is counted for lossyear start_year..end_year (loss years start in 2001)
+
+// Forest in 2000: tree cover above this % (10, 15, 20, 25, 30, 50 or 75). Loss is only
+// counted where there was forest in 2000; water and no-data pixels are always left out.
+var canopy_threshold = 25;
+
+// ======================================================================
+// ZONE STATISTICS (optional per-zone loss tables)
+// ======================================================================
+
+// true = also export <Zone>_Forest_Loss (one row per zone) and <Zone>_Forest_Loss_Annual
+// (one row per zone and year); zones are summarized over their whole polygon
+var zone_stats = false;
+
+// 'wdpa'     = protected areas (WDPAID, NAME, DESIG_ENG) with the designations below
+// 'gaul'     = FAO GAUL units at zone_admin_level (ADMn_CODE and names)
+// 'features' = your own polygons: import them and rename the import to "ZONES";
+//              zone_id_fields lists their ID columns
+// 'grid'     = regular hexagons or squares of zone_grid_size metres (zone_id, row, col)
+// 'aoi'      = the AOI features themselves
+var zone_source = 'wdpa';
+
+// Protected area designations to include ('wdpa'; [] = every designation)
+var allowedDesigs = [
+  'National Park',
+  'National Reserve',
+  'Forest Reserve',
+  'Nature Reserve',
+  'National Sanctuary',
+  'Wildlife Sanctuary',
+  'UNESCO-MAB Biosphere Reserve'
+];
+
+var zone_admin_level = 2;           // 'gaul': 0 = country, 1 = regions, 2 = districts
+var zone_id_fields = [];            // 'features': e.g. ['SITE_ID', 'SITE_NAME']
+var zone_grid_shape = 'hex';        // 'grid': 'hex' or 'square'
+var zone_grid_size = 10000;         // 'grid': cell width in metres (one table row per cell)
+
+// LEAKAGE: loss inside each protected area (allowedDesigs above) vs buffer rings around it.
+// Outer ring edges in metres, e.g. [5000, 10000] → rings 0-5 km and 5-10 km outside every PA,
+// with all other protected areas cut out; exports PA_Leakage and PA_Leakage_Annual ([] = off)
+var leakage_rings = [];
+
+// LOSS DRIVERS: split the loss by driver class (agriculture, commodities, shifting cultivation,
+// logging, wildfire, settlements, other natural disturbances) and year, using the WRI/Google
+// DeepMind drivers of forest loss layer (1 km). Exports Loss_Drivers (and <Zone>_Loss_Drivers)
+var loss_drivers = false;
+var drivers_asset = '';  // '' = registered layer; or another classified image asset with the same classes
+
+// CARBON: committed CO2 emissions of the loss (all biomass of a lost pixel emitted in its loss year).
+// Exports an Emissions raster (agb_t_ha, co2_t_ha), Emissions_Annual (and <Zone>_Emissions)
+var carbon_emissions = false;
+var biomass_source = 'WHRC';   // 'WHRC' = WHRC pantropical AGB 2000 (30 m), 'CCI' = ESA CCI Biomass (global, 2010,
+                               // 100 m; needs start_year 2011 or later, as earlier loss was cleared before the map)
+var biomass_asset = '';        // optional image asset with AGB in Mg/ha in its first band (overrides biomass_source)
+var root_to_shoot = 0.26;      // below-ground / above-ground biomass (e.g. IPCC 2006 Table 4.4 for your forest type)
+var carbon_fraction = 0.47;    // tonnes of carbon per tonne of dry biomass (IPCC 2006 default 0.47)
+
+// FRAGMENTATION: pattern classes (core, edge, perforation, bridge, branch, patch), patch count,
+// mean patch size and edge density of forest in 2000 and at end_year. Exports an MSPA raster,
+// Fragmentation_2000_<end_year> (and <Zone>_Fragmentation)
+var fragmentation = false;
+var fragmentation_scale = 100;       // grid in metres (30-1000); coarser is faster for large AOIs
+var fragmentation_edge_width = 100;  // edge width in metres (1-10 grid pixels)
 
 // ======================================================================
 // PROCESSING SETTINGS
@@ -30,309 +107,35 @@ var scale = 30;  // Resolution in meters
                   // Options: 30m (native Landsat), 100m (fast), 250m (fastest)
                   // Note: Hansen GFC native resolution is 30m
 
-// ======================================================================
-// LOAD AOI (Country or Custom - imported via Imports panel)
-// ======================================================================
-
-var AOI;
-var AOI_geometry;
-var aoi_label;
-
-if (use_custom_aoi) {
-  // Use the imported AOI variable (you must import it in the Code Editor Imports panel first)
-  // Rename your import to "AOI" in the Imports panel
-  AOI = AOI;  // This references the imported variable from Imports
-  
-  // Handle both FeatureCollection and Geometry types
-  if (AOI.geometry) {
-    // If it's a FeatureCollection, extract geometry
-    AOI_geometry = AOI.geometry();
-  } else if (AOI.type && AOI.type() === 'Geometry') {
-    // If it's already a Geometry
-    AOI_geometry = AOI;
-  } else if (AOI instanceof ee.FeatureCollection) {
-    // If it's a FeatureCollection without .geometry method
-    AOI_geometry = AOI.first().geometry();
-  } else {
-    // Fallback: assume it's a geometry
-    AOI_geometry = AOI;
-  }
-  
-  aoi_label = 'Custom AOI (imported)';
-  output_prefix = output_prefix + '_CustomAOI';
-  print("Using custom AOI from Imports panel");
-  print("AOI_geometry:", AOI_geometry);
-  
-} else {
-  // Load country boundary (LSIB dataset)
-  var LSIB = ee.FeatureCollection("USDOS/LSIB_SIMPLE/2017");
-  AOI = LSIB.filter(ee.Filter.eq('country_na', country_name));
-  AOI_geometry = AOI.geometry();
-  aoi_label = country_name + ' (entire country)';
-  output_prefix = output_prefix + '_Country';
-  print("Using entire country:", country_name);
-}
-
-// ======================================================================
-// LOAD HANSEN GLOBAL FOREST CHANGE (GFC) DATA
-// ======================================================================
-
-// ======================================================================
-// HANSEN GLOBAL FOREST CHANGE DATASET INFORMATION
-// ======================================================================
-//
-// DATASET: UMD/hansen/global_forest_change_2024_v1_12
-// Coverage: Global tree cover >25% canopy density, 2000-2024
-// Resolution: 30m Landsat-based
-// Provider: University of Maryland / Google Earth Engine
-//
-// AVAILABLE BANDS:
-// - treecover2000: Tree canopy cover % (0-100) in year 2000
-// - loss: Binary mask (1=forest loss detected, 0=no loss)
-// - lossyear: Year of loss detection (0-24 = 2000-2024, 0=no loss)
-// - gain: Binary mask (1=forest gain, 0=no gain) - limited coverage
-// - datamask: Data quality mask (1=valid, 2=water)
-//
-// KEY METRICS:
-// - Forest loss: Area where tree cover >25% canopy was lost (2000-2024)
-// - Forest gain: Increased tree cover (2000-2012, limited/delayed data)
-// - Tree cover 2000: Baseline forest extent in year 2000
-//
-// INTERPRETATION:
-// - loss/lossyear: Primary deforestation indicator
-// - gain: Secondary (often underestimated, delayed satellite detection)
-// - Combines loss + gain for NET forest change
-//
-// LIMITATIONS:
-// - Detects loss, not necessarily deforestation (includes natural disturbance)
-// - Gain data ends in 2012 (only loss data through 2024)
-// - Threshold: only detects loss in areas with >25% canopy in 2000
-// ======================================================================
-
-var gfc = ee.Image('UMD/hansen/global_forest_change_2024_v1_12');
-
-// Extract individual bands
-var treecover2000 = gfc.select('treecover2000');
-var loss = gfc.select('loss');
-var lossyear = gfc.select('lossyear');
-var gain = gfc.select('gain');
-
-print("Hansen GFC dataset loaded (" + start_year + "-" + end_year + ")");
-print("Dataset bands:", gfc.bandNames());
-
-// ======================================================================
-// CLIP TO AOI
-// ======================================================================
-
-var treecover2000_aoi = treecover2000.clip(AOI_geometry);
-var loss_aoi = loss.clip(AOI_geometry);
-var lossyear_aoi = lossyear.clip(AOI_geometry);
-var gain_aoi = gain.clip(AOI_geometry);
-
-// ======================================================================
-// VISUALIZATION PARAMETERS
-// ======================================================================
-
-// Tree cover 2000 (baseline forest extent)
-var treeCoverVisParam = {
-  bands: ['treecover2000'],
-  min: 0,
-  max: 100,
-  palette: ['000000', '00FF00']  // Black (no forest) to Green (dense forest)
-};
-
-// Loss year (when tree cover was lost)
-var treeLossVisParam = {
-  bands: ['lossyear'],
-  min: 0,
-  max: 24,
-  palette: ['yellow', 'red']  // Yellow (early loss 2000-2010) to Red (recent loss 2020-2024)
-};
-
-// Loss presence/absence (binary)
-var tree_loss_vis = {
-  bands: ['loss'],
-  min: 0,
-  max: 1,
-  palette: ['000000', 'FF0000']  // Black (no loss) to Red (loss detected)
-};
-
-// Gain presence/absence (binary) — NOTE: limited to 2000-2012
-var tree_gain_vis = {
-  bands: ['gain'],
-  min: 0,
-  max: 1,
-  palette: ['000000', '9900FF']  // Black (no gain) to Purple (gain detected)
-};
-
-// ======================================================================
-// MAP VISUALIZATION
-// ======================================================================
-
-var AOI_Vis = AOI.style({
-  color: "FF4500",
-  width: 2,
-  fillColor: "FFFFFF00"
+// Pixel budget: 'auto' = coarsen oversized statistics and tile large exports,
+// 'warn' = keep the scale and print warnings, 'off' = no checks
+var pixel_budget = 'auto';
+
+// Area statistics: equal-area CRS of the pixel grid and unit of every area column
+var area_crs = 'EPSG:6933';  // e.g. 'EPSG:6933' (global equal-area), a UTM zone or a LAEA projection
+var area_unit = 'ha';        // 'm2', 'ha' or 'km2'
+
+// ======================================================================
+// RUN (workflow: scripts/workflows/forest_change.js)
+// ======================================================================
+
+var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/forest_change.js');
+
+workflow.run({
+  country_name: country_name, iso3: iso3, output_prefix: output_prefix,
+  export_target: export_target, image_export_target: image_export_target,
+  use_custom_aoi: use_custom_aoi, batch_mode: batch_mode, batch_source: batch_source,
+  batch_names: batch_names, batch_admin_level: batch_admin_level, batch_name_field: batch_name_field,
+  start_year: start_year, end_year: end_year, canopy_threshold: canopy_threshold,
+  zone_stats: zone_stats, zone_source: zone_source, allowedDesigs: allowedDesigs, zone_admin_level: zone_admin_level,
+  zone_id_fields: zone_id_fields, zone_grid_shape: zone_grid_shape, zone_grid_size: zone_grid_size,
+  leakage_rings: leakage_rings, loss_drivers: loss_drivers, drivers_asset: drivers_asset,
+  carbon_emissions: carbon_emissions, biomass_source: biomass_source, biomass_asset: biomass_asset,
+  root_to_shoot: root_to_shoot, carbon_fraction: carbon_fraction, fragmentation: fragmentation,
+  fragmentation_scale: fragmentation_scale, fragmentation_edge_width: fragmentation_edge_width, scale: scale, pixel_budget: pixel_budget,
+  area_crs: area_crs, area_unit: area_unit
+}, {
+  custom_aoi: typeof AOI !== 'undefined' ? AOI : null,
+  drawn_geometry: typeof geometry !== 'undefined' ? geometry : null,
+  zone_features: typeof ZONES !== 'undefined' ? ZONES : null
 });
-
-Map.addLayer(AOI_Vis, {}, aoi_label);
-Map.centerObject(AOI_geometry, 6);
-
-// Add map layers
-Map.addLayer({
-  eeObject: treecover2000_aoi.updateMask(treecover2000_aoi.gt(0)),
-  visParams: treeCoverVisParam,
-  name: "Tree Cover 2000 (%)",
-  shown: true
-});
-
-Map.addLayer({
-  eeObject: lossyear_aoi.updateMask(lossyear_aoi.gt(0)),
-  visParams: treeLossVisParam,
-  name: "Forest Loss Year (2000-2024)",
-  shown: false
-});
-
-Map.addLayer({
-  eeObject: loss_aoi,
-  visParams: tree_loss_vis,
-  name: "Forest Loss (binary)",
-  shown: false
-});
-
-Map.addLayer({
-  eeObject: gain_aoi,
-  visParams: tree_gain_vis,
-  name: "Forest Gain (2000-2012, binary)",
-  shown: false
-});
-
-// ======================================================================
-// CALCULATE FOREST STATISTICS
-// ======================================================================
-
-// Total forest area in 2000 (pixels with >25% tree cover)
-var forest_2000_area = treecover2000_aoi
-  .gt(25)  // Pixels with >25% canopy density
-  .multiply(ee.Image.pixelArea())
-  .reduceRegion({
-    reducer: ee.Reducer.sum(),
-    geometry: AOI_geometry,
-    scale: scale,
-    bestEffort: true
-  });
-
-// Total loss area (in hectares)
-var loss_area = loss_aoi
-  .multiply(ee.Image.pixelArea())
-  .divide(10000)  // Convert m² to hectares
-  .reduceRegion({
-    reducer: ee.Reducer.sum(),
-    geometry: AOI_geometry,
-    scale: scale,
-    bestEffort: true
-  });
-
-// Total gain area (in hectares) — NOTE: 2000-2012 only
-var gain_area = gain_aoi
-  .multiply(ee.Image.pixelArea())
-  .divide(10000)  // Convert m² to hectares
-  .reduceRegion({
-    reducer: ee.Reducer.sum(),
-    geometry: AOI_geometry,
-    scale: scale,
-    bestEffort: true
-  });
-
-// Loss by year
-var loss_by_year = lossyear_aoi
-  .gt(0)  // Pixels where loss occurred
-  .multiply(ee.Image.pixelArea())
-  .divide(10000)  // Convert m² to hectares
-  .addBands(lossyear_aoi)
-  .reduceRegion({
-    reducer: ee.Reducer.sum().group({
-      groupField: 1,
-      groupName: 'year'
-    }),
-    geometry: AOI_geometry,
-    scale: scale,
-    bestEffort: true
-  });
-
-print("\n=== FOREST CHANGE STATISTICS ===");
-print("Forest area 2000 (>25% canopy, ha):", forest_2000_area.get('treecover2000'));
-print("Total forest loss (ha):", loss_area.get('loss'));
-print("Total forest gain (ha, 2000-2012):", gain_area.get('gain'));
-print("Loss by year:", loss_by_year);
-
-// ======================================================================
-// EXPORT RASTER DATA — WITH CRS
-// ======================================================================
-
-// Export tree cover 2000 (baseline)
-Export.image.toDrive({
-  image: treecover2000_aoi,
-  description: output_prefix + '_TreeCover2000',
-  fileNamePrefix: output_prefix + '_TreeCover2000',
-  region: AOI_geometry,
-  scale: scale,
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326'  // ← ADDED: WGS84 CRS
-});
-
-// Export forest loss (binary)
-Export.image.toDrive({
-  image: loss_aoi,
-  description: output_prefix + '_Loss_Binary_' + start_year + '_' + end_year,
-  fileNamePrefix: output_prefix + '_Loss_Binary_' + start_year + '_' + end_year,
-  region: AOI_geometry,
-  scale: scale,
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326'  // ← ADDED: WGS84 CRS
-});
-
-// Export loss year (when loss occurred)
-Export.image.toDrive({
-  image: lossyear_aoi,
-  description: output_prefix + '_LossYear_' + start_year + '_' + end_year,
-  fileNamePrefix: output_prefix + '_LossYear_' + start_year + '_' + end_year,
-  region: AOI_geometry,
-  scale: scale,
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326'  // ← ADDED: WGS84 CRS
-});
-
-// Export forest gain (binary) — NOTE: limited to 2000-2012
-Export.image.toDrive({
-  image: gain_aoi,
-  description: output_prefix + '_Gain_Binary_2000_2012',
-  fileNamePrefix: output_prefix + '_Gain_Binary_2000_2012',
-  region: AOI_geometry,
-  scale: scale,
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326'  // ← ADDED: WGS84 CRS
-});
-
-// Export all bands together (complete dataset)
-Export.image.toDrive({
-  image: gfc.select('treecover2000', 'loss', 'lossyear', 'gain').clip(AOI_geometry),
-  description: output_prefix + '_Complete_' + start_year + '_' + end_year,
-  fileNamePrefix: output_prefix + '_Complete_' + start_year + '_' + end_year,
-  region: AOI_geometry,
-  scale: scale,
-  maxPixels: 1e13,
-  fileFormat: 'GeoTIFF',
-  crs: 'EPSG:4326'  // ← ADDED: WGS84 CRS
-});
-
-print("\n=== ALL EXPORTS QUEUED ===");
-print("Output prefix:", output_prefix);
-print("AOI:", aoi_label);
-print("Time period:", start_year + "-" + end_year);
-print("Scale:", scale + " m");
-print("All files will be saved to Google Drive");
@@ -0,0 +1,252 @@
+// ======================================================================
+// AOI RESOLVER — shared module for the generic scripts
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+//   var aoi = aoiLib.resolveAoi({
+//     use_custom_aoi: use_custom_aoi,
+//     custom_aoi: typeof AOI !== 'undefined' ? AOI : null,
+//     drawn_geometry: typeof geometry !== 'undefined' ? geometry : null,
+//     country_name: country_name
+//   });
+//
+// Returns {fc, geometry, label, slug, source, dataset, admin_level, name_fields}:
+// - fc          : ee.FeatureCollection (use for reduceRegions / styling)
+// - geometry    : ee.Geometry (use for clip / region / filterBounds)
+// - label       : human readable name for map layers and prints
+// - slug        : export-safe token, appended to output_prefix
+// - source      : 'custom' | 'drawn' | 'LSIB' | 'ISO3' | 'GAUL'
+// - dataset     : boundary dataset ID, or null for custom/drawn AOIs
+// - admin_level : GAUL level (0-2) or null
+// - name_fields : property names identifying each feature (for CSV selectors)
+//
+// AOI SOURCES (first match wins):
+// 1. use_custom_aoi = true  → custom_aoi (Imports panel, renamed to "AOI"),
+//                             otherwise drawn_geometry ("geometry" import)
+// 2. admin_level = 0/1/2    → FAO GAUL 2015, filtered by country_name and
+//                             the optional admin1_names / admin2_names lists
+// 3. iso3 = 'KEN'           → geoBoundaries ADM0 (ISO 3166-1 alpha-3 code)
+// 4. country_name           → LSIB simplified country boundary
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var LSIB_ID = datasetsLib.id('LSIB');
+var ISO3_ID = datasetsLib.id('GEOBOUNDARIES_ADM0');
+var GAUL_IDS = [
+  datasetsLib.id('GAUL0'),
+  datasetsLib.id('GAUL1'),
+  datasetsLib.id('GAUL2')
+];
+var GAUL_NAME_FIELDS = ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME'];
+
+// Safe text for export/task names
+function slugifyName(s) {
+  return String(s)
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^\w\-]/g, '');
+}
+
+function fail(message) {
+  throw new Error('AOI: ' + message);
+}
+
+function isNonEmptyString(s) {
+  return typeof s === 'string' && s.trim().length > 0;
+}
+
+function checkNameList(name, list) {
+  if (list === undefined || list === null) {
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    fail(name + ' must be a list of names, e.g. [\'Odemira\'] (use [] for all).');
+  }
+  return list;
+}
+
+// Wrap an imported/drawn object as a FeatureCollection
+function toFeatureCollection(obj) {
+  if (obj instanceof ee.FeatureCollection) {
+    return obj;
+  }
+  if (obj instanceof ee.Feature) {
+    return ee.FeatureCollection([obj]);
+  }
+  if (obj instanceof ee.Geometry) {
+    return ee.FeatureCollection([ee.Feature(obj)]);
+  }
+  fail('the custom AOI must be a FeatureCollection, Feature or Geometry ' +
+       '(check the "AOI" entry in the Imports panel).');
+}
+
+// Stop early on a misspelled name instead of failing later on an empty geometry
+function checkNotEmpty(fc, description) {
+  if (fc.size().getInfo() === 0) {
+    fail('no boundary matches ' + description + '. Check the spelling against the dataset.');
+  }
+}
+
+function resolveCustom(settings) {
+  var imported = settings.custom_aoi;
+  var drawn = settings.drawn_geometry;
+  var obj = imported || drawn;
+
+  if (!obj) {
+    fail('use_custom_aoi is true, but no AOI was imported or drawn. ' +
+         'Import your AOI and rename it to "AOI" in the Imports panel, or draw a geometry.');
+  }
+
+  var fc = toFeatureCollection(obj);
+  var name = isNonEmptyString(settings.custom_aoi_name) ? settings.custom_aoi_name : null;
+  var source = imported ? 'custom' : 'drawn';
+
+  return {
+    fc: fc,
+    geometry: obj instanceof ee.Geometry ? obj : fc.geometry(),
+    label: name || (imported ? 'Custom AOI (imported)' : 'Custom AOI (drawn)'),
+    slug: slugifyName(name || 'CustomAOI'),
+    source: source,
+    dataset: null,
+    admin_level: null,
+    name_fields: []
+  };
+}
+
+function resolveGaul(settings) {
+  var level = settings.admin_level;
+  var country = settings.country_name;
+  var admin1_names = checkNameList('admin1_names', settings.admin1_names);
+  var admin2_names = checkNameList('admin2_names', settings.admin2_names);
+
+  if (level !== 0 && level !== 1 && level !== 2) {
+    fail('admin_level must be 0, 1, or 2 (got ' + level + ').');
+  }
+  if (!isNonEmptyString(country)) {
+    fail('country_name is required for GAUL admin boundaries.');
+  }
+  if (level < 1 && admin1_names.length > 0) {
+    fail('admin1_names is set, but admin_level is ' + level + '. Use admin_level 1 or 2, or clear admin1_names.');
+  }
+  if (level < 2 && admin2_names.length > 0) {
+    fail('admin2_names is set, but admin_level is ' + level + '. Use admin_level 2, or clear admin2_names.');
+  }
+
+  var fc = ee.FeatureCollection(GAUL_IDS[level])
+    .filter(ee.Filter.eq('ADM0_NAME', country));
+  var selected = [];
+
+  if (admin1_names.length > 0) {
+    fc = fc.filter(ee.Filter.inList('ADM1_NAME', admin1_names));
+    selected = admin1_names;
+  }
+  if (admin2_names.length > 0) {
+    fc = fc.filter(ee.Filter.inList('ADM2_NAME', admin2_names));
+    selected = admin2_names;
+  }
+
+  var label;
+  if (level === 0) {
+    label = country + ' (Level 0)';
+  } else if (selected.length > 0) {
+    label = country + ' (Level ' + level + ': ' + selected.join(', ') + ')';
+  } else {
+    label = country + ' (All Level ' + level + ')';
+  }
+
+  if (settings.check_empty !== false) {
+    checkNotEmpty(fc, 'country_name "' + country + '"' +
+      (selected.length > 0 ? ' with admin names [' + selected.join(', ') + ']' : '') +
+      ' in GAUL level ' + level);
+  }
+
+  var slug = slugifyName(country) + '_AdminLevel' + level;
+  if (selected.length > 0) {
+    slug = slug + '_' + selected.map(slugifyName).join('_');
+  }
+
+  return {
+    fc: fc,
+    geometry: fc.geometry(),
+    label: label,
+    slug: slug,
+    source: 'GAUL',
+    dataset: GAUL_IDS[level],
+    admin_level: level,
+    name_fields: GAUL_NAME_FIELDS.slice(0, level + 1)
+  };
+}
+
+function resolveIso3(settings) {
+  var iso3 = String(settings.iso3).trim().toUpperCase();
+
+  if (!/^[A-Z]{3}$/.test(iso3)) {
+    fail('iso3 must be a three-letter ISO 3166-1 alpha-3 code, e.g. \'KEN\' (got \'' + settings.iso3 + '\').');
+  }
+
+  var fc = ee.FeatureCollection(ISO3_ID).filter(ee.Filter.eq('shapeGroup', iso3));
+
+  if (settings.check_empty !== false) {
+    checkNotEmpty(fc, 'iso3 "' + iso3 + '" in geoBoundaries ADM0');
+  }
+
+  return {
+    fc: fc,
+    geometry: fc.geometry(),
+    label: iso3 + ' (entire country)',
+    slug: iso3,
+    source: 'ISO3',
+    dataset: ISO3_ID,
+    admin_level: null,
+    name_fields: ['shapeGroup', 'shapeName']
+  };
+}
+
+function resolveLsib(settings) {
+  var country = settings.country_name;
+
+  if (!isNonEmptyString(country)) {
+    fail('set country_name (or iso3), or set use_custom_aoi = true and import an AOI.');
+  }
+
+  var fc = ee.FeatureCollection(LSIB_ID).filter(ee.Filter.eq('country_na', country));
+
+  if (settings.check_empty !== false) {
+    checkNotEmpty(fc, 'country_name "' + country + '" in LSIB (country_na)');
+  }
+
+  return {
+    fc: fc,
+    geometry: fc.geometry(),
+    label: country + ' (entire country)',
+    slug: slugifyName(country),
+    source: 'LSIB',
+    dataset: LSIB_ID,
+    admin_level: null,
+    name_fields: ['country_na']
+  };
+}
+
+// Resolve the AOI settings into a {fc, geometry, label, slug, ...} bundle
+function resolveAoi(settings) {
+  if (!settings || typeof settings !== 'object') {
+    fail('resolveAoi() expects a settings object.');
+  }
+
+  if (settings.use_custom_aoi) {
+    return resolveCustom(settings);
+  }
+  if (settings.admin_level !== undefined && settings.admin_level !== null) {
+    return resolveGaul(settings);
+  }
+  if (isNonEmptyString(settings.iso3)) {
+    return resolveIso3(settings);
+  }
+  return resolveLsib(settings);
+}
+
+exports.resolveAoi = resolveAoi;
+exports.slugifyName = slugifyName;
+exports.toFeatureCollection = toFeatureCollection;
@@ -0,0 +1,97 @@
+// ======================================================================
+// AREA SETTINGS — equal-area CRS and units for every area statistic
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var areaLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/area.js');
+//   var areas = areaLib.createAreas({area_crs: area_crs, area_unit: area_unit});
+//
+//   areas.pixelArea()                    → ee.Image of pixel area in area_unit
+//   image.reduceRegion(areas.params({reducer: r, geometry: g, scale: 30}))
+//                                        → reduction on the equal-area pixel grid
+//   areas.geometryArea(f.geometry())     → ee.Number, polygon area in area_unit
+//   areas.field('loss')                  → 'loss_ha' (column name with unit)
+//   areas.tag(fc)                        → adds area_unit / area_crs columns
+//
+// area_crs : any EPSG code; use an equal-area projection for reporting,
+//            e.g. 'EPSG:6933' (WGS 84 / NSIDC EASE-Grid 2.0 Global),
+//            a local UTM zone ('EPSG:32737') or LAEA ('EPSG:3035' for Europe)
+// area_unit: 'm2', 'ha' or 'km2'
+// ======================================================================
+
+var UNITS = {
+  m2: 1,
+  ha: 1e4,
+  km2: 1e6
+};
+
+var DEFAULT_CRS = 'EPSG:6933';
+
+function fail(message) {
+  throw new Error('Area: ' + message);
+}
+
+function createAreas(settings) {
+  settings = settings || {};
+  var unit = settings.area_unit || 'ha';
+  var crs = settings.area_crs || DEFAULT_CRS;
+
+  if (!UNITS.hasOwnProperty(unit)) {
+    fail('area_unit must be \'m2\', \'ha\' or \'km2\' (got \'' + unit + '\').');
+  }
+  if (!/^EPSG:\d{4,6}$/.test(crs)) {
+    fail('area_crs must be an EPSG code such as \'EPSG:6933\' (got \'' + crs + '\').');
+  }
+
+  var factor = UNITS[unit];
+  var projection = ee.Projection(crs);
+
+  // Pixel area image (band 'area') in area_unit
+  function pixelArea() {
+    return ee.Image.pixelArea().divide(factor).rename('area');
+  }
+
+  // Reduction parameters on the equal-area grid (replaces any crsTransform)
+  function params(reduceParams) {
+    var out = {};
+    Object.keys(reduceParams).forEach(function(key) {
+      if (key !== 'crsTransform') {
+        out[key] = reduceParams[key];
+      }
+    });
+    out.crs = crs;
+    return out;
+  }
+
+  // Polygon area in area_unit, measured in area_crs
+  function geometryArea(geometry) {
+    return ee.Geometry(geometry).area({maxError: 1, proj: projection}).divide(factor);
+  }
+
+  // Column name carrying the unit, e.g. field('loss') → 'loss_ha'
+  function field(base) {
+    return base + '_' + unit;
+  }
+
+  // Write the unit and projection into every row of a table
+  function tag(fc) {
+    return ee.FeatureCollection(fc).map(function(f) {
+      return f.set({area_unit: unit, area_crs: crs});
+    });
+  }
+
+  return {
+    unit: unit,
+    crs: crs,
+    factor: factor,
+    pixelArea: pixelArea,
+    params: params,
+    geometryArea: geometryArea,
+    field: field,
+    tag: tag,
+    columns: ['area_unit', 'area_crs']
+  };
+}
+
+exports.createAreas = createAreas;
+exports.UNITS = UNITS;
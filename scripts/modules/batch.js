@@ -0,0 +1,183 @@
+// ======================================================================
+// BATCH MODE — run a script's workflow once per AOI in a list
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var batchLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/batch.js');
+//   var aois = batchLib.resolveBatch({
+//     batch_source: batch_source,
+//     batch_names: batch_names,
+//     batch_name_field: batch_name_field,
+//     admin_level: admin_level,
+//     country_name: country_name,
+//     custom_aoi: typeof AOI !== 'undefined' ? AOI : null
+//   });
+//   batchLib.runBatch(aois, runForAoi, {print: print});  // runForAoi(aoi) returns exporter.queued()
+//
+// BATCH SOURCES (batch_source setting):
+// - 'countries' → batch_names are country names (LSIB) or ISO3 codes
+//                 (geoBoundaries); with admin_level set, each country's
+//                 GAUL units at that level are used instead
+// - 'gaul'      → batch_names are GAUL unit names at admin_level (1 or 2)
+//                 inside country_name
+// - 'features'  → one AOI per feature of the imported "AOI", keyed by
+//                 batch_name_field; batch_names limits the run to those
+//                 values ([] = every feature)
+//
+// Each AOI is the same {fc, geometry, label, slug, ...} bundle returned by
+// aoi.js resolveAoi(), so the slug keeps every AOI's exports apart.
+// runBatch() prints to options.print (a workflow's ctx.print, e.g. the
+// app's result panel), or to the Console.
+// ======================================================================
+
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+
+function fail(message) {
+  throw new Error('Batch: ' + message);
+}
+
+function checkNames(names, required) {
+  if (!Array.isArray(names)) {
+    fail('batch_names must be a list, e.g. [\'Kenya\', \'Tanzania\'].');
+  }
+  if (required && names.length === 0) {
+    fail('batch_names is empty; list the AOIs to run.');
+  }
+  return names.map(function(name) {
+    return String(name).trim();
+  });
+}
+
+function fromCountries(settings) {
+  var level = settings.admin_level;
+  var useGaul = level !== undefined && level !== null;
+
+  return checkNames(settings.batch_names, true).map(function(name) {
+    if (useGaul) {
+      return aoiLib.resolveAoi({country_name: name, admin_level: level, check_empty: settings.check_empty});
+    }
+    if (/^[A-Z]{3}$/.test(name)) {
+      return aoiLib.resolveAoi({iso3: name, check_empty: settings.check_empty});
+    }
+    return aoiLib.resolveAoi({country_name: name, check_empty: settings.check_empty});
+  });
+}
+
+function fromGaul(settings) {
+  var level = settings.admin_level;
+
+  if (level !== 1 && level !== 2) {
+    fail('batch_source \'gaul\' needs admin_level 1 or 2 (got ' + level + ').');
+  }
+
+  return checkNames(settings.batch_names, true).map(function(name) {
+    return aoiLib.resolveAoi({
+      country_name: settings.country_name,
+      admin_level: level,
+      admin1_names: level === 1 ? [name] : [],
+      admin2_names: level === 2 ? [name] : [],
+      check_empty: settings.check_empty
+    });
+  });
+}
+
+function fromFeatures(settings) {
+  var field = settings.batch_name_field;
+
+  if (!settings.custom_aoi) {
+    fail('batch_source \'features\' needs an imported FeatureCollection renamed to "AOI" in the Imports panel.');
+  }
+  if (typeof field !== 'string' || field.trim() === '') {
+    fail('set batch_name_field to the property that names each AOI feature (e.g. \'NAME\').');
+  }
+
+  var fc = aoiLib.toFeatureCollection(settings.custom_aoi);
+  var names = checkNames(settings.batch_names || [], false);
+
+  // No names given: one AOI per distinct value of the name field
+  if (names.length === 0) {
+    names = fc.aggregate_array(field).distinct().getInfo();
+    if (!names || names.length === 0) {
+      fail('the imported AOI has no values in field \'' + field + '\'.');
+    }
+  }
+
+  return names.map(function(name) {
+    var subset = fc.filter(ee.Filter.eq(field, name));
+    if (settings.check_empty !== false && subset.size().getInfo() === 0) {
+      fail('no AOI feature has ' + field + ' = \'' + name + '\'.');
+    }
+    return {
+      fc: subset,
+      geometry: subset.geometry(),
+      label: String(name),
+      slug: aoiLib.slugifyName(name),
+      source: 'feature',
+      dataset: null,
+      admin_level: null,
+      name_fields: [field]
+    };
+  });
+}
+
+// Resolve the batch settings into a list of AOI bundles
+function resolveBatch(settings) {
+  if (!settings || typeof settings !== 'object') {
+    fail('resolveBatch() expects a settings object.');
+  }
+
+  var aois;
+  if (settings.batch_source === 'countries') {
+    aois = fromCountries(settings);
+  } else if (settings.batch_source === 'gaul') {
+    aois = fromGaul(settings);
+  } else if (settings.batch_source === 'features') {
+    aois = fromFeatures(settings);
+  } else {
+    fail('batch_source must be \'countries\', \'gaul\' or \'features\' (got \'' + settings.batch_source + '\').');
+  }
+
+  // Export names are built from the slug, so two AOIs must not share one
+  var seen = {};
+  aois.forEach(function(aoi) {
+    if (seen[aoi.slug]) {
+      fail('"' + seen[aoi.slug] + '" and "' + aoi.label + '" both export as \'' + aoi.slug +
+           '\'; remove the duplicate from batch_names.');
+    }
+    seen[aoi.slug] = aoi.label;
+  });
+
+  return aois;
+}
+
+// Run workflow(aoi) for every AOI and print what was queued per AOI.
+// workflow must return the exporter's queued() list.
+function runBatch(aois, workflow, options) {
+  var show = (options && options.print) || print;
+  var rows = aois.map(function(aoi) {
+    show('=== Batch AOI:', aoi.label, '===');
+    var queued = workflow(aoi) || [];
+    var count = function(kind) {
+      return queued.filter(function(q) { return q.kind === kind; }).length;
+    };
+    return {
+      aoi: aoi.label,
+      slug: aoi.slug,
+      images: count('image'),
+      tables: count('table'),
+      tasks: queued.map(function(q) { return q.name; })
+    };
+  });
+
+  var dataTable = [['AOI', 'Prefix slug', 'Images', 'Tables', 'Tasks']].concat(rows.map(function(r) {
+    return [r.aoi, r.slug, r.images, r.tables, r.tasks.join(', ')];
+  }));
+
+  show('Batch summary (' + rows.length + ' AOIs):');
+  show(ui.Chart(dataTable, 'Table'));
+
+  return rows;
+}
+
+exports.resolveBatch = resolveBatch;
+exports.runBatch = runBatch;
@@ -0,0 +1,171 @@
+// ======================================================================
+// CARBON — committed CO2 emissions of Hansen forest loss from biomass
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var carbonLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/carbon.js');
+//   carbonLib.validate(check, settings);   // also needs start_year (loss window)
+//   var carbon = carbonLib.createCarbon({
+//     source: 'WHRC',                 // 'WHRC' (pantropical, 2000) or 'CCI' (global, 2010)
+//     asset: '',                      // optional image asset, AGB in Mg/ha in the first band
+//     root_to_shoot: 0.26,            // below- / above-ground biomass
+//     carbon_fraction: 0.47           // carbon per tonne of dry biomass
+//   });
+//   var raster = carbon.raster(loss);  // agb_t_ha, co2_t_ha on loss pixels
+//   var table = carbon.aoiTable({loss: loss, lossyear: lossyear, geometry: AOIgeom,
+//                                areas: areas, budget: budget, scale: 30, properties: {aoi: 'Peru'}});
+//   var zones = carbon.zoneTable({loss: loss, lossyear: lossyear, zones: PA, id_fields: ['WDPAID', 'NAME'],
+//                                 areas: areas, budget: budget, scale: 30});
+//   exporter.table(table, 'Emissions', {selectors: carbon.columns(['aoi'])});
+//
+// Committed emissions: all biomass of a loss pixel is counted as emitted in
+// its loss year (no decay, no regrowth):
+//   agb_t    = AGB (Mg/ha) x pixel area (ha)
+//   carbon_t = agb_t x (1 + root_to_shoot) x carbon_fraction
+//   co2_t    = carbon_t x 44/12
+// One row per (zone,) year with loss: year, agb_t, carbon_t, co2_t.
+// Pixel areas are measured on the area_crs grid; biomass is resampled to
+// the statistics scale (nearest neighbour).
+// The biomass map must predate the loss: a pixel cleared before the map
+// date shows (almost) no biomass, so its emissions would be lost. With
+// 'CCI' (2010) the loss window must start in 2011 or later; biomass_asset
+// dates are up to the user.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var SOURCES = {WHRC: 'WHRC_AGB', CCI: 'CCI_AGB'};
+var CO2_PER_C = 44 / 12;
+var FIRST_YEAR = datasetsLib.info('HANSEN').first_year;
+var COLUMNS = ['year', 'agb_t', 'carbon_t', 'co2_t'];
+
+// Year each biomass source maps (first year of its coverage)
+var BIOMASS_YEARS = {};
+Object.keys(SOURCES).forEach(function(source) {
+  BIOMASS_YEARS[source] = +datasetsLib.info(SOURCES[source]).coverage.start.slice(0, 4);
+});
+
+function fail(message) {
+  throw new Error('Carbon: ' + message);
+}
+
+// Add carbon problems to a validate.js validator
+function validate(check, settings) {
+  check.that(SOURCES.hasOwnProperty(settings.biomass_source),
+    'biomass_source must be one of ' + Object.keys(SOURCES).join(', ') +
+    ' (got ' + JSON.stringify(settings.biomass_source) + ').');
+  check.that(typeof settings.biomass_asset === 'string',
+    'biomass_asset must be an image asset ID, or \'\' for biomass_source (got ' +
+    JSON.stringify(settings.biomass_asset) + ').');
+  var mapped = BIOMASS_YEARS[settings.biomass_source];
+  var firstLoss = Math.max(settings.start_year, FIRST_YEAR + 1);
+  check.that(settings.biomass_asset || !mapped || !(firstLoss <= mapped),
+    'biomass_source \'' + settings.biomass_source + '\' maps biomass in ' + mapped + ', after loss from ' +
+    firstLoss + ' was cleared, which would understate its emissions; set start_year to ' + (mapped + 1) +
+    ' or later, or use biomass_source \'WHRC\' (2000) or a biomass_asset from before the loss.');
+  check.number('root_to_shoot', settings.root_to_shoot, 0, 2);
+  check.number('carbon_fraction', settings.carbon_fraction, 0.3, 0.6);
+}
+
+// Above-ground biomass (band 'agb', Mg/ha)
+function biomass(source, asset) {
+  if (asset) {
+    return ee.Image(asset).select([0], ['agb']);
+  }
+  var key = SOURCES[source];
+  if (!key) {
+    fail('biomass_source must be one of ' + Object.keys(SOURCES).join(', ') + ' (got ' + JSON.stringify(source) + ').');
+  }
+  if (datasetsLib.info(key).type === 'ImageCollection') {
+    return ee.Image(datasetsLib.load(key).sort('system:time_start').first()).select([0], ['agb']);
+  }
+  return datasetsLib.load(key).select([0], ['agb']);
+}
+
+function createCarbon(settings) {
+  settings = settings || {};
+  var ratio = settings.root_to_shoot;
+  var fraction = settings.carbon_fraction;
+  if (typeof ratio !== 'number' || typeof fraction !== 'number') {
+    fail('createCarbon() needs numeric root_to_shoot and carbon_fraction.');
+  }
+  var agb = biomass(settings.source, settings.asset);
+  var carbon_per_agb = (1 + ratio) * fraction;
+
+  // Biomass and committed CO2 per hectare on the loss pixels
+  function raster(loss) {
+    var lost = agb.updateMask(loss);
+    return ee.Image.cat([
+      lost.rename('agb_t_ha'),
+      lost.multiply(carbon_per_agb * CO2_PER_C).rename('co2_t_ha')
+    ]).toFloat();
+  }
+
+  // Lost biomass per pixel (t) plus the lossyear band for grouping
+  function perPixel(options) {
+    return agb.multiply(ee.Image.pixelArea().divide(10000))
+      .updateMask(options.loss)
+      .rename('agb_t')
+      .addBands(options.lossyear.rename('lossyear'));
+  }
+
+  var reducer = ee.Reducer.sum().group({
+    groupField: 1,
+    groupName: 'lossyear'
+  });
+
+  // Grouped sums → one feature per loss year
+  function rows(groups, properties) {
+    var list = ee.List(ee.Algorithms.If(groups, groups, ee.List([])));
+    return ee.FeatureCollection(list.map(function(g) {
+      var agbLost = ee.Number(ee.Dictionary(g).get('sum'));
+      var carbonLost = agbLost.multiply(carbon_per_agb);
+      return ee.Feature(null, properties).set({
+        year: ee.Number(ee.Dictionary(g).get('lossyear')).add(FIRST_YEAR),
+        agb_t: agbLost,
+        carbon_t: carbonLost,
+        co2_t: carbonLost.multiply(CO2_PER_C)
+      });
+    }));
+  }
+
+  function aoiTable(options) {
+    var stats = perPixel(options).reduceRegion(options.budget.stats(options.areas.params({
+      reducer: reducer,
+      geometry: options.geometry,
+      scale: options.scale,
+      bestEffort: true
+    }), options.label || 'Emissions'));
+    return rows(stats.get('groups'), options.properties || {}).sort('year');
+  }
+
+  function zoneTable(options) {
+    var grouped = perPixel(options).reduceRegions(options.budget.regions(options.areas.params({
+      collection: options.zones,
+      reducer: reducer,
+      scale: options.scale
+    }), options.label || 'Zone emissions'));
+    return grouped.map(function(f) {
+      return rows(f.get('groups'), f.toDictionary(options.id_fields));
+    }).flatten();
+  }
+
+  function columns(idFields) {
+    return (idFields || []).concat(COLUMNS);
+  }
+
+  return {
+    agb: agb,
+    carbon_per_agb: carbon_per_agb,
+    raster: raster,
+    aoiTable: aoiTable,
+    zoneTable: zoneTable,
+    columns: columns
+  };
+}
+
+exports.createCarbon = createCarbon;
+exports.validate = validate;
+exports.SOURCES = SOURCES;
+exports.COLUMNS = COLUMNS;
+exports.BIOMASS_YEARS = BIOMASS_YEARS;
@@ -0,0 +1,492 @@
+// ======================================================================
+// DATASET REGISTRY — IDs, versions, bands, coverage and default styling
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+//   var gfc = datasetsLib.load('HANSEN');                 // ee.Image of the current release
+//   Map.addLayer(img, datasetsLib.vis('HANSEN', 'lossyear'), 'Loss year');
+//   var transitions = datasetsLib.classes('GSW', 'transition');  // [{value, name, color}]
+//   datasetsLib.info('HANSEN').last_year;                 // 2024
+//   datasetsLib.provenance(['HANSEN']);                   // [{id, version}] for provenance.js
+//
+// Every entry has:
+// - name, id, version, type ('Image' | 'ImageCollection' | 'FeatureCollection')
+// - bands        : {band: {units, description, valid_range, scale_factor, offset}}
+// - native_scale : pixel size in metres (rasters)
+// - coverage     : {start, end} dates ('YYYY-MM-DD'; end null = still updated),
+//                  used by validate.js for the pre-flight date checks
+// - classes      : {table: [{value, name, color}]} for categorical bands
+// - vis          : {name: visParams} default map styling
+// - notes        : caveats worth knowing before using the data
+// - precipitation: {band, to_mm} for rainfall products: the band and the factor
+//                  that turns one image into mm, so a sum over any window is mm
+//
+// A new dataset release (e.g. the next Hansen GFC or GSW version) is an
+// update of the matching entry here; the scripts read everything by key.
+// ======================================================================
+
+// Palettes shared by several entries
+var RAINFALL_PALETTE = ['#f1eef6', '#bdc9e1', '#74a9cf', '#2b8cbe', '#045a8d'];
+var RAINFALL_ANOMALY_PALETTE = [
+  '#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7',
+  '#e0e0e0',
+  '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061'
+];
+var NDVI_PALETTE = [
+  'FFFFFF', 'CE7E45', 'DF923D', 'F1B555', 'FCD163', '99B718', '74A901',
+  '66A000', '529400', '3E8601', '207401', '056201', '004C00', '023B01',
+  '012E01', '011D01', '011301'
+];
+
+var DATASETS = {
+
+  // --------------------------------------------------------------------
+  // CLIMATE
+  // --------------------------------------------------------------------
+  CHIRPS: {
+    name: 'CHIRPS Daily',
+    id: 'UCSB-CHG/CHIRPS/DAILY',
+    version: 'v2.0',
+    type: 'ImageCollection',
+    bands: {
+      precipitation: {units: 'mm/day', description: 'Daily precipitation', valid_range: [0, 1000]}
+    },
+    native_scale: 5566,
+    coverage: {start: '1981-01-01', end: null},
+    vis: {
+      precipitation: {min: 50, max: 600, palette: RAINFALL_PALETTE},
+      anomaly: {min: -300, max: 300, palette: RAINFALL_ANOMALY_PALETTE},
+      percent_of_normal: {min: 0, max: 200, palette: RAINFALL_ANOMALY_PALETTE},
+      z_score: {min: -3, max: 3, palette: RAINFALL_ANOMALY_PALETTE}
+    },
+    notes: ['Land only, 50N-50S.'],
+    precipitation: {band: 'precipitation', to_mm: 1}
+  },
+
+  ERA5_LAND_DAILY: {
+    name: 'ERA5-Land Daily Aggregated',
+    id: 'ECMWF/ERA5_LAND/DAILY_AGGR',
+    version: 'ERA5-Land',
+    type: 'ImageCollection',
+    bands: {
+      total_precipitation_sum: {units: 'm', description: 'Daily total precipitation', valid_range: [0, 1]}
+    },
+    native_scale: 11132,
+    coverage: {start: '1950-01-02', end: null},
+    notes: ['Reanalysis: precipitation is modelled, not observed.', 'Updated with a lag of a few days.'],
+    precipitation: {band: 'total_precipitation_sum', to_mm: 1000}
+  },
+
+  IMERG: {
+    name: 'GPM IMERG Final',
+    id: 'NASA/GPM_L3/IMERG_V07',
+    version: 'V07',
+    type: 'ImageCollection',
+    bands: {
+      precipitation: {units: 'mm/hr', description: 'Half-hourly precipitation rate', valid_range: [0, 200]}
+    },
+    native_scale: 11132,
+    coverage: {start: '2000-06-01', end: null},
+    notes: ['Half-hourly: every image is a 30-minute rate, 48 per day.', 'Final run, released with a lag of about 3.5 months.'],
+    precipitation: {band: 'precipitation', to_mm: 0.5}
+  },
+
+  // --------------------------------------------------------------------
+  // FOREST
+  // --------------------------------------------------------------------
+  HANSEN: {
+    name: 'Hansen GFC',
+    id: 'UMD/hansen/global_forest_change_2024_v1_12',
+    version: 'v1.12',
+    type: 'Image',
+    bands: {
+      treecover2000: {units: '%', description: 'Tree canopy cover in 2000', valid_range: [0, 100]},
+      loss: {description: 'Forest loss 2000-2024 (1 = loss)', valid_range: [0, 1]},
+      lossyear: {description: 'Year of loss as years since 2000 (1-24 = 2001-2024, 0 = no loss)', valid_range: [0, 24]},
+      gain: {description: 'Forest gain 2000-2012 (1 = gain)', valid_range: [0, 1]},
+      datamask: {description: 'Data mask (0 = no data, 1 = mapped land, 2 = permanent water)', valid_range: [0, 2]}
+    },
+    native_scale: 30,
+    coverage: {start: '2000-01-01', end: '2024-12-31'},
+    first_year: 2000,     // lossyear 0 = no loss; loss years are first_year + lossyear
+    last_year: 2024,
+    gain_years: [2000, 2012],
+    canopy_thresholds: [10, 15, 20, 25, 30, 50, 75],   // treecover2000 % cut-offs of the published forest masks
+    classes: {
+      datamask: [
+        {value: 0, name: 'No data', color: '000000'},
+        {value: 1, name: 'Mapped land', color: 'c8c8c8'},
+        {value: 2, name: 'Permanent water', color: '0064c8'}
+      ]
+    },
+    vis: {
+      treecover2000: {bands: ['treecover2000'], min: 0, max: 100, palette: ['000000', '00FF00']},
+      lossyear: {bands: ['lossyear'], min: 0, max: 24, palette: ['yellow', 'red']},
+      loss: {bands: ['loss'], min: 0, max: 1, palette: ['000000', 'FF0000']},
+      gain: {bands: ['gain'], min: 0, max: 1, palette: ['000000', '9900FF']}
+    },
+    notes: [
+      'Loss is stand-replacement disturbance, not necessarily deforestation (includes fire and harvest).',
+      'Gain only covers 2000-2012 and is underestimated.',
+      'Forest in 2000 is usually defined by a treecover2000 threshold (commonly 25-30 %).'
+    ]
+  },
+
+  LOSS_DRIVERS: {
+    name: 'WRI/Google DeepMind drivers of forest loss',
+    id: 'projects/landandcarbon/assets/wri_gdm_drivers_forest_loss_1km/v1_2_2001_2024',
+    version: 'v1.2 (2001-2024)',
+    type: 'Image',
+    bands: {
+      classification: {description: 'Dominant driver of tree cover loss 2001-2024 (see classes.driver)', valid_range: [1, 7]}
+    },
+    native_scale: 1000,
+    coverage: {start: '2001-01-01', end: '2024-12-31'},
+    classes: {
+      driver: [
+        {value: 1, name: 'Permanent agriculture', color: 'E39D29'},
+        {value: 2, name: 'Hard commodities', color: 'E58074'},
+        {value: 3, name: 'Shifting cultivation', color: 'E9D700'},
+        {value: 4, name: 'Logging', color: '51A44E'},
+        {value: 5, name: 'Wildfire', color: '895128'},
+        {value: 6, name: 'Settlements and infrastructure', color: 'A354A0'},
+        {value: 7, name: 'Other natural disturbances', color: '3A209A'}
+      ]
+    },
+    notes: [
+      'One dominant driver per 1 km cell for the whole period, not per year or per 30 m pixel.',
+      'Community asset of the WRI Land & Carbon Lab, not part of the Earth Engine catalog; ' +
+        'point drivers_asset at the current release if it moves.'
+    ]
+  },
+
+  WHRC_AGB: {
+    name: 'WHRC pantropical above-ground biomass',
+    id: 'WHRC/biomass/tropical',
+    version: '2000 (Zarin et al. 2016)',
+    type: 'Image',
+    bands: {
+      Mg: {units: 'Mg/ha', description: 'Above-ground live woody biomass around 2000'}
+    },
+    native_scale: 30,
+    coverage: {start: '2000-01-01', end: '2000-12-31'},
+    vis: {
+      agb: {min: 0, max: 400, palette: ['FFFFE5', 'D9F0A3', '78C679', '238443', '004529']}
+    },
+    notes: ['Pantropical only (about 40N to 40S); no data elsewhere.']
+  },
+
+  CCI_AGB: {
+    name: 'ESA CCI Biomass',
+    id: 'projects/sat-io/open-datasets/ESA/ESA_CCI_AGB',
+    version: 'v5 (earliest epoch, 2010)',
+    type: 'ImageCollection',
+    bands: {
+      AGB: {units: 'Mg/ha', description: 'Above-ground biomass'},
+      SD: {units: 'Mg/ha', description: 'Standard deviation of AGB'}
+    },
+    native_scale: 100,
+    coverage: {start: '2010-01-01', end: '2021-12-31'},
+    vis: {
+      agb: {min: 0, max: 400, palette: ['FFFFE5', 'D9F0A3', '78C679', '238443', '004529']}
+    },
+    notes: [
+      'Global. The earliest epoch (2010) is used: biomass before most of the loss, but after the 2000 forest baseline.',
+      'Community catalog asset (awesome-gee-community-catalog), not part of the Earth Engine catalog; ' +
+        'point biomass_asset at another copy if it moves.'
+    ]
+  },
+
+  // --------------------------------------------------------------------
+  // WATER
+  // --------------------------------------------------------------------
+  GSW: {
+    name: 'JRC Global Surface Water',
+    id: 'JRC/GSW1_4/GlobalSurfaceWater',
+    version: 'v1.4',
+    type: 'Image',
+    bands: {
+      occurrence: {units: '%', description: 'Frequency of water presence 1984-2021', valid_range: [0, 100]},
+      change_abs: {units: '%', description: 'Absolute occurrence change between 1984-1999 and 2000-2021', valid_range: [-100, 100]},
+      transition: {description: 'Transition class 1984 to 2021 (see classes.transition)', valid_range: [0, 10]},
+      max_extent: {description: 'Water detected at least once (1 = yes)', valid_range: [0, 1]}
+    },
+    native_scale: 30,
+    coverage: {start: '1984-01-01', end: '2021-12-31'},
+    classes: {
+      transition: [
+        {value: 0, name: 'No Change', color: '#ffffff'},
+        {value: 1, name: 'Permanent Water', color: '#0000ff'},
+        {value: 2, name: 'New Permanent', color: '#22b14c'},
+        {value: 3, name: 'Lost Permanent', color: '#d1102d'},
+        {value: 4, name: 'Seasonal Water', color: '#99d9ea'},
+        {value: 5, name: 'New Seasonal', color: '#b5e61d'},
+        {value: 6, name: 'Lost Seasonal', color: '#e6a1aa'},
+        {value: 7, name: 'Seasonal to Permanent', color: '#ff7f27'},
+        {value: 8, name: 'Permanent to Seasonal', color: '#ffc90e'},
+        {value: 9, name: 'Ephemeral Permanent', color: '#7f7f7f'},
+        {value: 10, name: 'Ephemeral Seasonal', color: '#c3c3c3'}
+      ]
+    },
+    vis: {
+      occurrence: {min: 0, max: 100, palette: ['red', 'blue']},
+      change_abs: {min: -50, max: 50, palette: ['red', 'black', 'limegreen']},
+      water_mask: {palette: ['white', 'black']}
+      // transition: built from classes.transition by vis()
+    },
+    notes: ['Transition classes compare the first (1984) and last (2021) years of the record.']
+  },
+
+  // --------------------------------------------------------------------
+  // OPTICAL IMAGERY
+  // --------------------------------------------------------------------
+  LANDSAT7: {
+    name: 'Landsat 7',
+    id: 'LANDSAT/LE07/C02/T1_L2',
+    version: 'C02 T1 L2',
+    type: 'ImageCollection',
+    bands: {
+      SR_B1: {description: 'Blue', scale_factor: 0.0000275, offset: -0.2, valid_range: [7273, 43636]},
+      SR_B2: {description: 'Green', scale_factor: 0.0000275, offset: -0.2, valid_range: [7273, 43636]},
+      SR_B3: {description: 'Red', scale_factor: 0.0000275, offset: -0.2, valid_range: [7273, 43636]},
+      SR_B4: {description: 'Near infrared', scale_factor: 0.0000275, offset: -0.2, valid_range: [7273, 43636]},
+      SR_B5: {description: 'Shortwave infrared 1', scale_factor: 0.0000275, offset: -0.2, valid_range: [7273, 43636]},
+      SR_B7: {description: 'Shortwave infrared 2', scale_factor: 0.0000275, offset: -0.2, valid_range: [7273, 43636]},
+      ST_B6: {units: 'K', description: 'Surface temperature', scale_factor: 0.00341802, offset: 149.0},
+      QA_PIXEL: {description: 'Bits 0-4: fill, dilated cloud, unused, cloud, cloud shadow'},
+      QA_RADSAT: {description: 'Radiometric saturation (0 = none)'}
+    },
+    red: 'SR_B3',
+    nir: 'SR_B4',
+    native_scale: 30,
+    coverage: {start: '1999-05-28', end: '2024-01-19'},
+    notes: [
+      'Scan line corrector failure since 2003-05-31 leaves striped gaps in every scene.',
+      'Alternatives: Landsat 5 TM (LANDSAT/LT05/C02/T1_L2, 1984-2012), Landsat 8 OLI ' +
+        '(LANDSAT/LC08/C02/T1_L2, 2013-), Sentinel-2 (S2_SR, 10 m, 2017-) and MODIS ' +
+        '(MODIS/061/MOD13Q1, 250 m, 2000-); band names differ, so check red/nir.'
+    ]
+  },
+
+  S2_SR: {
+    name: 'Sentinel-2 SR Harmonized',
+    id: 'COPERNICUS/S2_SR_HARMONIZED',
+    version: 'Level-2A (harmonized)',
+    type: 'ImageCollection',
+    bands: {
+      B2: {description: 'Blue', scale_factor: 0.0001},
+      B3: {description: 'Green', scale_factor: 0.0001},
+      B4: {description: 'Red', scale_factor: 0.0001},
+      B8: {description: 'Near infrared', scale_factor: 0.0001},
+      QA60: {description: 'Bit 10: opaque clouds, bit 11: cirrus'}
+    },
+    red: 'B4',
+    nir: 'B8',
+    reflectance_scale: 10000,  // DN / reflectance_scale = surface reflectance
+    cloud_bits: [10, 11],
+    native_scale: 10,
+    coverage: {start: '2017-03-28', end: null},
+    vis: {
+      false_color: {min: 0.0, max: 0.3, bands: ['B8', 'B4', 'B3']},
+      ndvi: {bands: 'NDVI', min: 0.0, max: 1.0, palette: NDVI_PALETTE}
+    },
+    notes: ['QA60 is not populated for scenes processed after 2022-01-25 (use s2cloudless instead).']
+  },
+
+  // --------------------------------------------------------------------
+  // LAND COVER AND TERRAIN
+  // --------------------------------------------------------------------
+  WORLDCOVER: {
+    name: 'ESA WorldCover',
+    id: 'ESA/WorldCover/v200',
+    version: 'v200 (2021)',
+    type: 'ImageCollection',
+    bands: {
+      Map: {description: 'Land cover class (see classes.Map)'}
+    },
+    native_scale: 10,
+    coverage: {start: '2021-01-01', end: '2021-12-31'},
+    classes: {
+      Map: [
+        {value: 10, name: 'Tree cover', color: '006400'},
+        {value: 20, name: 'Shrubland', color: 'ffbb22'},
+        {value: 30, name: 'Grassland', color: 'ffff4c'},
+        {value: 40, name: 'Cropland', color: 'f096ff'},
+        {value: 50, name: 'Built-up', color: 'fa0000'},
+        {value: 60, name: 'Bare / sparse vegetation', color: 'b4b4b4'},
+        {value: 70, name: 'Snow and ice', color: 'f0f0f0'},
+        {value: 80, name: 'Permanent water bodies', color: '0064c8'},
+        {value: 90, name: 'Herbaceous wetland', color: '0096a0'},
+        {value: 95, name: 'Mangroves', color: '00cf75'},
+        {value: 100, name: 'Moss and lichen', color: 'fae6a0'}
+      ]
+    }
+  },
+
+  NASADEM: {
+    name: 'NASADEM',
+    id: 'NASA/NASADEM_HGT/001',
+    version: '001',
+    type: 'Image',
+    bands: {
+      elevation: {units: 'm', description: 'Elevation above the EGM96 geoid'}
+    },
+    native_scale: 30,
+    coverage: {start: '2000-02-11', end: '2000-02-22'},
+    vis: {
+      elevation: {min: 0, max: 3000, palette: ['blue', 'green', 'yellow', 'orange', 'red']}
+    },
+    notes: ['Alternative: SRTM v3 (USGS/SRTMGL1_003), same band name.']
+  },
+
+  // --------------------------------------------------------------------
+  // PROTECTED AREAS
+  // --------------------------------------------------------------------
+  WDPA_POLYGONS: {
+    name: 'WDPA polygons',
+    id: 'WCMC/WDPA/current/polygons',
+    version: 'current (monthly release)',
+    type: 'FeatureCollection',
+    fields: ['WDPAID', 'NAME', 'NAME_ENG', 'DESIG_ENG', 'IUCN_CAT', 'GIS_AREA', 'GOV_TYPE', 'OWN_TYPE', 'STATUS'],
+    notes: ['GIS_AREA is in km2 as reported by WDPA; use area.js for equal-area numbers.']
+  },
+
+  WDPA_POINTS: {
+    name: 'WDPA points',
+    id: 'WCMC/WDPA/current/points',
+    version: 'current (monthly release)',
+    type: 'FeatureCollection',
+    fields: ['WDPAID', 'NAME', 'NAME_ENG', 'DESIG_ENG', 'IUCN_CAT', 'REP_AREA', 'GOV_TYPE', 'OWN_TYPE', 'STATUS']
+  },
+
+  // --------------------------------------------------------------------
+  // BOUNDARIES
+  // --------------------------------------------------------------------
+  LSIB: {
+    name: 'LSIB simplified',
+    id: 'USDOS/LSIB_SIMPLE/2017',
+    version: '2017',
+    type: 'FeatureCollection',
+    fields: ['country_na', 'country_co']
+  },
+
+  GEOBOUNDARIES_ADM0: {
+    name: 'geoBoundaries ADM0',
+    id: 'WM/geoLab/geoBoundaries/600/ADM0',
+    version: 'v6.0.0',
+    type: 'FeatureCollection',
+    fields: ['shapeGroup', 'shapeName']
+  },
+
+  GAUL0: {
+    name: 'FAO GAUL level 0',
+    id: 'FAO/GAUL/2015/level0',
+    version: '2015',
+    type: 'FeatureCollection',
+    fields: ['ADM0_NAME']
+  },
+
+  GAUL1: {
+    name: 'FAO GAUL level 1',
+    id: 'FAO/GAUL/2015/level1',
+    version: '2015',
+    type: 'FeatureCollection',
+    fields: ['ADM0_NAME', 'ADM1_NAME']
+  },
+
+  GAUL2: {
+    name: 'FAO GAUL level 2',
+    id: 'FAO/GAUL/2015/level2',
+    version: '2015',
+    type: 'FeatureCollection',
+    fields: ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME']
+  }
+};
+
+function fail(message) {
+  throw new Error('Datasets: ' + message);
+}
+
+// Registry entry by key
+function info(key) {
+  var entry = DATASETS[key];
+  if (!entry) {
+    fail('unknown dataset key \'' + key + '\' (known: ' + Object.keys(DATASETS).join(', ') + ').');
+  }
+  return entry;
+}
+
+function id(key) {
+  return info(key).id;
+}
+
+// ee.Image / ee.ImageCollection / ee.FeatureCollection of the registered ID
+function load(key) {
+  var entry = info(key);
+  if (entry.type === 'Image') {
+    return ee.Image(entry.id);
+  }
+  if (entry.type === 'ImageCollection') {
+    return ee.ImageCollection(entry.id);
+  }
+  return ee.FeatureCollection(entry.id);
+}
+
+// Class table [{value, name, color}] of a categorical band
+function classes(key, table) {
+  var entry = info(key);
+  if (!entry.classes || !entry.classes[table]) {
+    fail(key + ' has no class table \'' + table + '\'.');
+  }
+  return entry.classes[table].slice();
+}
+
+// Copy of a default visualization. Class tables are styled as
+// {min: first value, max: last value, palette: class colors}.
+function vis(key, name) {
+  var entry = info(key);
+  var params = entry.vis && entry.vis[name];
+  if (params) {
+    return JSON.parse(JSON.stringify(params));
+  }
+  if (entry.classes && entry.classes[name]) {
+    var table = entry.classes[name];
+    return {
+      min: table[0].value,
+      max: table[table.length - 1].value,
+      palette: table.map(function(c) { return c.color; })
+    };
+  }
+  fail(key + ' has no visualization \'' + name + '\'.');
+}
+
+// {name, start, end} for the pre-flight date checks (validate.js)
+function coverage(key) {
+  var entry = info(key);
+  if (!entry.coverage) {
+    fail(key + ' has no date coverage.');
+  }
+  return {
+    name: entry.name + ' ' + entry.version + ' (' + entry.id + ')',
+    start: entry.coverage.start,
+    end: entry.coverage.end
+  };
+}
+
+// [{id, version}] for provenance.js
+function provenance(keys) {
+  return keys.map(function(key) {
+    var entry = info(key);
+    return {id: entry.id, version: entry.version};
+  });
+}
+
+exports.DATASETS = DATASETS;
+exports.info = info;
+exports.id = id;
+exports.load = load;
+exports.classes = classes;
+exports.vis = vis;
+exports.coverage = coverage;
+exports.provenance = provenance;
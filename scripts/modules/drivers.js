@@ -0,0 +1,144 @@
+// ======================================================================
+// LOSS DRIVERS — Hansen forest loss split by driver class and year
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var driversLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/drivers.js');
+//   var drivers = driversLib.createDrivers({asset: ''});   // '' = registry (datasets.js LOSS_DRIVERS)
+//   var table = drivers.aoiTable({
+//     loss: loss, lossyear: lossyear,     // binary forest loss and Hansen lossyear
+//     geometry: AOIgeom, areas: areas, budget: budget, scale: 30,
+//     properties: {aoi: 'Spain'}
+//   });
+//   var zoneTable = drivers.zoneTable({loss: loss, lossyear: lossyear, zones: PA,
+//                                      id_fields: ['WDPAID', 'NAME'], areas: areas, budget: budget, scale: 30});
+//   exporter.table(table, 'Loss_Drivers', {selectors: drivers.columns(['aoi'], areas)});
+//   print(drivers.chart(table, {areas: areas}));
+//
+// One row per (zone,) year and driver with loss:
+//   year, driver_value, driver, loss_<unit>
+// Loss outside the driver map (no class) is driver 0 'Unattributed'.
+// The driver layer has one dominant driver per 1 km cell for 2001-2024, so
+// every loss pixel of a cell takes that driver whatever its loss year.
+// Loss is grouped by one code (driver x 100 + lossyear), so each table is a
+// single grouped reduction.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var FIRST_YEAR = datasetsLib.info('HANSEN').first_year;
+var UNATTRIBUTED = {value: 0, name: 'Unattributed', color: 'BDBDBD'};
+
+// Add driver problems to a validate.js validator
+function validate(check, settings) {
+  check.that(typeof settings.drivers_asset === 'string',
+    'drivers_asset must be an image asset ID, or \'\' for the registered driver layer (got ' +
+    JSON.stringify(settings.drivers_asset) + ').');
+}
+
+function createDrivers(settings) {
+  settings = settings || {};
+  var asset = settings.asset || '';
+  var entry = datasetsLib.info('LOSS_DRIVERS');
+  var classes = [UNATTRIBUTED].concat(datasetsLib.classes('LOSS_DRIVERS', 'driver'));
+
+  // Driver class (band 'driver'), 0 where the layer has no class
+  var image = (asset ? ee.Image(asset) : datasetsLib.load('LOSS_DRIVERS'))
+    .select([0], ['driver'])
+    .unmask(0);
+
+  var names = ee.Dictionary(classes.reduce(function(out, c) {
+    out[String(c.value)] = c.name;
+    return out;
+  }, {}));
+
+  var vis = {min: 0, max: classes[classes.length - 1].value, palette: classes.map(function(c) { return c.color; })};
+
+  // Pixel area of forest loss plus the driver x 100 + lossyear code
+  function coded(options) {
+    var code = image.multiply(100).add(options.lossyear.unmask(0)).rename('code');
+    return options.areas.pixelArea().updateMask(options.loss).addBands(code);
+  }
+
+  var reducer = ee.Reducer.sum().group({
+    groupField: 1,
+    groupName: 'code'
+  });
+
+  // Grouped sums → one feature per driver and year
+  function rows(groups, properties, areas) {
+    var list = ee.List(ee.Algorithms.If(groups, groups, ee.List([])));
+    return ee.FeatureCollection(list.map(function(g) {
+      // Integers, so the class key is '1', not '1.0'
+      var code = ee.Number(ee.Dictionary(g).get('code')).round().int();
+      var value = code.divide(100).floor().int();
+      var props = {
+        year: code.mod(100).add(FIRST_YEAR).int(),
+        driver_value: value,
+        driver: names.get(value.format('%d'), 'Unknown')
+      };
+      props[areas.field('loss')] = ee.Dictionary(g).get('sum');
+      return ee.Feature(null, properties).set(props);
+    }));
+  }
+
+  function aoiTable(options) {
+    var areas = options.areas;
+    var stats = coded(options).reduceRegion(options.budget.stats(areas.params({
+      reducer: reducer,
+      geometry: options.geometry,
+      scale: options.scale,
+      bestEffort: true
+    }), options.label || 'Loss drivers'));
+    return areas.tag(rows(stats.get('groups'), options.properties || {}, areas).sort('year'));
+  }
+
+  function zoneTable(options) {
+    var areas = options.areas;
+    var grouped = coded(options).reduceRegions(options.budget.regions(areas.params({
+      collection: options.zones,
+      reducer: reducer,
+      scale: options.scale
+    }), options.label || 'Zone loss drivers'));
+    return areas.tag(grouped.map(function(f) {
+      return rows(f.get('groups'), f.toDictionary(options.id_fields), areas);
+    }).flatten());
+  }
+
+  function columns(idFields, areas) {
+    return (idFields || []).concat(['year', 'driver_value', 'driver', areas.field('loss')]).concat(areas.columns);
+  }
+
+  // Stacked columns of loss per year, one series per driver
+  function chart(table, options) {
+    var areas = options.areas;
+    return ui.Chart.feature.groups({
+      features: table,
+      xProperty: 'year',
+      yProperty: areas.field('loss'),
+      seriesProperty: 'driver'
+    })
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: options.title || 'Forest loss by driver (' + areas.unit + ')',
+      isStacked: true,
+      hAxis: {title: 'Year', format: '####'},
+      vAxis: {title: 'Loss (' + areas.unit + ')'}
+    });
+  }
+
+  return {
+    asset: asset || entry.id,
+    classes: classes,
+    image: image,
+    vis: vis,
+    aoiTable: aoiTable,
+    zoneTable: zoneTable,
+    columns: columns,
+    chart: chart
+  };
+}
+
+exports.createDrivers = createDrivers;
+exports.validate = validate;
+exports.UNATTRIBUTED = UNATTRIBUTED;
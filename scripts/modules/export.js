@@ -0,0 +1,258 @@
+// ======================================================================
+// EXPORT HELPER — one place for Export.image.* / Export.table.*
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+//   var exporter = exportLib.createExporter({
+//     export_target: export_target,
+//     output_prefix: output_prefix
+//   });
+//   exporter.image(image, 'StudyPeriod', {region: AOIgeom, scale: 1000});
+//   exporter.table(stats_fc, 'PA_Stats', {selectors: ['NAME', 'mean']});
+//
+// EXPORT TARGETS (export_target setting):
+// - 'drive' or 'drive:FOLDER'                → Google Drive (root or folder)
+// - 'gcs:BUCKET' or 'gcs:BUCKET/PATH'        → Cloud Storage
+// - 'asset:projects/PROJECT/assets/FOLDER'   → Earth Engine assets
+// - 'bigquery:PROJECT.DATASET'               → BigQuery (tables only; set
+//                                              image_export_target for rasters)
+//
+// NAMING:
+// - Every task is called output_prefix + '_' + name; the same text is used
+//   for the task description, file name prefix, asset ID or table name.
+// - Rasters default to maxPixels 1e13, crs EPSG:4326 and GeoTIFF; tables
+//   default to CSV.
+// - Pass budget (pixels.js createBudget) to split rasters that exceed the
+//   export pixel budget into <name>_tile_R01C01, _R01C02, ... tasks.
+// - Pass properties (e.g. provenance.js provenance.properties) to set them
+//   on every exported image.
+// - queue_tasks: false lists every export in queued() without starting a
+//   task (EE Apps cannot start export tasks).
+// ======================================================================
+
+var DEFAULT_CRS = 'EPSG:4326';
+var DEFAULT_MAX_PIXELS = 1e13;
+
+function fail(message) {
+  throw new Error('Export: ' + message);
+}
+
+// Task descriptions: letters, digits and . , : ; _ - only, max 100 characters;
+// a suffix (e.g. '_tile_R01C02') is kept whole and the name shortened for it
+function taskDescription(name, suffix) {
+  suffix = suffix || '';
+  return String(name)
+    .replace(/\s+/g, '_')
+    .replace(/[^\w.,:;\-]/g, '')
+    .slice(0, 100 - suffix.length) + suffix;
+}
+
+// Parse 'type:location' into {type, ...}
+function parseTarget(target) {
+  if (target === undefined || target === null || target === '') {
+    return {type: 'drive', folder: null};
+  }
+  if (typeof target !== 'string') {
+    fail('export_target must be a string such as \'drive:FOLDER\' or \'gcs:BUCKET/PATH\'.');
+  }
+
+  var sep = target.indexOf(':');
+  var type = (sep === -1 ? target : target.slice(0, sep)).trim().toLowerCase();
+  var location = sep === -1 ? '' : target.slice(sep + 1).trim().replace(/\/+$/, '');
+
+  if (type === 'drive') {
+    return {type: 'drive', folder: location || null};
+  }
+  if (type === 'gcs') {
+    if (!location) {
+      fail('gcs target needs a bucket, e.g. \'gcs:my-bucket/rainfall\'.');
+    }
+    var slash = location.indexOf('/');
+    return {
+      type: 'gcs',
+      bucket: slash === -1 ? location : location.slice(0, slash),
+      path: slash === -1 ? null : location.slice(slash + 1)
+    };
+  }
+  if (type === 'asset') {
+    if (!/^projects\/[^\/]+\/assets(\/.+)?$/.test(location) && !/^users\/[^\/]+(\/.+)?$/.test(location)) {
+      fail('asset target must be an asset folder, e.g. \'asset:projects/my-project/assets/rainfall\'.');
+    }
+    return {type: 'asset', root: location};
+  }
+  if (type === 'bigquery') {
+    if (!/^[\w\-]+\.\w+$/.test(location)) {
+      fail('bigquery target must be \'bigquery:PROJECT.DATASET\' (got \'' + location + '\').');
+    }
+    return {type: 'bigquery', dataset: location};
+  }
+  fail('unknown export_target type \'' + type + '\' (use drive, gcs, asset or bigquery).');
+}
+
+function copyOptions(params, options, keys) {
+  keys.forEach(function(key) {
+    if (options[key] !== undefined) {
+      params[key] = options[key];
+    }
+  });
+  return params;
+}
+
+var IMAGE_OPTION_KEYS = [
+  'region', 'scale', 'crs', 'crsTransform', 'dimensions', 'maxPixels',
+  'shardSize', 'fileDimensions', 'skipEmptyTiles', 'fileFormat', 'formatOptions',
+  'pyramidingPolicy', 'priority'
+];
+
+// Build an exporter bound to one target and output_prefix
+function createExporter(settings) {
+  settings = settings || {};
+
+  var target = parseTarget(settings.export_target);
+  var imageTarget = settings.image_export_target ?
+    parseTarget(settings.image_export_target) : target;
+  var prefix = settings.output_prefix ? String(settings.output_prefix) : '';
+  var crs = settings.crs || DEFAULT_CRS;
+  var maxPixels = settings.max_pixels || DEFAULT_MAX_PIXELS;
+  var budget = settings.budget || null;  // pixels.js budget: tiles oversized rasters
+  var properties = settings.properties || null;  // set on every exported image
+  var queueTasks = settings.queue_tasks !== false;
+  var queued = [];
+
+  if (imageTarget.type === 'bigquery') {
+    imageTarget = null;
+  }
+
+  function fullName(name, suffix) {
+    return taskDescription(prefix ? prefix + '_' + name : name, suffix);
+  }
+
+  function record(kind, name, destination) {
+    queued.push({kind: kind, name: name, destination: destination});
+  }
+
+  // Queue one raster export task
+  function queueImage(img, taskName, options) {
+    if (!queueTasks) {
+      record('image', taskName, imageTarget.type);
+      return;
+    }
+    var params = copyOptions({
+      image: img,
+      description: taskName,
+      maxPixels: maxPixels,
+      crs: crs
+    }, options, IMAGE_OPTION_KEYS);
+
+    if (imageTarget.type === 'asset') {
+      delete params.fileFormat;
+      delete params.formatOptions;
+      delete params.fileDimensions;
+      delete params.skipEmptyTiles;
+      params.assetId = imageTarget.root + '/' + taskName;
+      Export.image.toAsset(params);
+    } else {
+      delete params.pyramidingPolicy;
+      params.fileFormat = params.fileFormat || 'GeoTIFF';
+      if (imageTarget.type === 'gcs') {
+        params.bucket = imageTarget.bucket;
+        params.fileNamePrefix = imageTarget.path ? imageTarget.path + '/' + taskName : taskName;
+        Export.image.toCloudStorage(params);
+      } else {
+        if (imageTarget.folder) {
+          params.folder = imageTarget.folder;
+        }
+        params.fileNamePrefix = taskName;
+        Export.image.toDrive(params);
+      }
+    }
+
+    record('image', taskName, imageTarget.type);
+  }
+
+  // Queue a raster export; options: region, scale (+ any Export.image option).
+  // With a pixel budget, oversized rasters are queued as <name>_tile_RxxCyy tasks.
+  function image(img, name, options) {
+    options = options || {};
+    if (!imageTarget) {
+      fail('BigQuery only accepts tables; set image_export_target (e.g. \'drive:FOLDER\') ' +
+           'to export rasters such as ' + fullName(name) + '.');
+    }
+    if (!options.region) {
+      fail('image ' + fullName(name) + ' needs a region.');
+    }
+
+    var taskName = fullName(name);
+    if (properties) {
+      img = ee.Image(img).set(properties);
+    }
+    if (!budget || !options.scale) {
+      queueImage(img, taskName, options);
+      return taskName;
+    }
+
+    budget.tiles(options.region, options.scale, taskName).forEach(function(tile) {
+      var tileOptions = copyOptions({}, options, IMAGE_OPTION_KEYS);
+      tileOptions.region = tile.region;
+      queueImage(img, fullName(name, tile.suffix), tileOptions);
+    });
+    return taskName;
+  }
+
+  // Queue a table export; options: fileFormat (default CSV), selectors
+  function table(collection, name, options) {
+    options = options || {};
+    var taskName = fullName(name);
+    var params = {collection: collection, description: taskName};
+
+    if (!queueTasks) {
+      record('table', taskName, target.type);
+      return taskName;
+    }
+    if (target.type === 'asset') {
+      // Asset tables keep every property; apply selectors up front
+      if (options.selectors) {
+        params.collection = ee.FeatureCollection(collection).select(options.selectors);
+      }
+      params.assetId = target.root + '/' + taskName;
+      Export.table.toAsset(params);
+    } else if (target.type === 'bigquery') {
+      params.table = target.dataset + '.' + taskName.replace(/[^\w]/g, '_');
+      params.overwrite = true;
+      copyOptions(params, options, ['selectors']);
+      Export.table.toBigQuery(params);
+    } else {
+      params.fileFormat = options.fileFormat || 'CSV';
+      copyOptions(params, options, ['selectors', 'maxVertices']);
+      if (target.type === 'gcs') {
+        params.bucket = target.bucket;
+        params.fileNamePrefix = target.path ? target.path + '/' + taskName : taskName;
+        Export.table.toCloudStorage(params);
+      } else {
+        if (target.folder) {
+          params.folder = target.folder;
+        }
+        params.fileNamePrefix = taskName;
+        Export.table.toDrive(params);
+      }
+    }
+
+    record('table', taskName, target.type);
+    return taskName;
+  }
+
+  return {
+    image: image,
+    table: table,
+    name: fullName,
+    target: target,
+    queued: function() {
+      return queued.slice();
+    }
+  };
+}
+
+exports.createExporter = createExporter;
+exports.parseTarget = parseTarget;
+exports.taskDescription = taskDescription;
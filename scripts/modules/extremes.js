@@ -0,0 +1,142 @@
+// ======================================================================
+// RAINFALL EXTREMES — ETCCDI-style indices of one season from daily rainfall
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var extremesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/extremes.js');
+//   var extremes = extremesLib.computeExtremes({
+//     collection: chirps,              // daily precipitation (mm)
+//     season: season,                  // season.js season
+//     study_year: 2023,
+//     baseline_start_year: 1991,
+//     baseline_end_year: 2020
+//   });
+//   extremes.image  → study-season bands (INDICES) plus the same bands with
+//                     '_baseline' (mean over the baseline seasons)
+//   extremesLib.zoneTable(extremes, PA, {budget: budget, scale: 1000})
+//                   → per zone: mean of every band
+//
+// Indices (wet day: at least 1 mm):
+//   rainy_days    – number of wet days (ETCCDI R1mm)
+//   cdd           – longest run of consecutive dry days (CDD)
+//   rx1day        – maximum 1-day rainfall, mm (Rx1day)
+//   rx5day        – maximum 5-day rainfall, mm (Rx5day; 5-day windows inside the season)
+//   r95_days      – days above the 95th percentile of baseline wet days
+//   onset_day     – rainy-season onset, day of the season (1 = season_start)
+//   cessation_day – rainy-season cessation, day of the season
+// Onset and cessation follow the anomalous accumulation method (Liebmann
+// et al. 2007): A(d) = sum of (daily rain - mean daily baseline rain) from
+// season_start; onset is the day after A is lowest, cessation the day A is
+// highest. Set the season wide enough to contain the whole rainy season.
+// ======================================================================
+
+var WET_MM = 1;
+
+var INDICES = [
+  {band: 'rainy_days', label: 'Rainy days (>= 1 mm)', vis: {min: 0, max: 90, palette: ['FFFFCC', 'A1DAB4', '41B6C4', '2C7FB8', '253494']}},
+  {band: 'cdd', label: 'Max consecutive dry days', vis: {min: 0, max: 60, palette: ['FFFFB2', 'FECC5C', 'FD8D3C', 'F03B20', 'BD0026']}},
+  {band: 'rx1day', label: 'Max 1-day rainfall (mm)', vis: {min: 0, max: 100, palette: ['F7FBFF', '9ECAE1', '4292C6', '08519C', '08306B']}},
+  {band: 'rx5day', label: 'Max 5-day rainfall (mm)', vis: {min: 0, max: 200, palette: ['F7FBFF', '9ECAE1', '4292C6', '08519C', '08306B']}},
+  {band: 'r95_days', label: 'Days above baseline p95', vis: {min: 0, max: 10, palette: ['FFFFFF', 'FCBBA1', 'FB6A4A', 'CB181D', '67000D']}},
+  {band: 'onset_day', label: 'Rainy-season onset (day of season)', vis: {min: 1, max: 90, palette: ['1A9850', 'FEE08B', 'D73027']}},
+  {band: 'cessation_day', label: 'Rainy-season cessation (day of season)', vis: {min: 1, max: 120, palette: ['D73027', 'FEE08B', '1A9850']}}
+];
+
+var BANDS = INDICES.map(function(i) { return i.band; });
+
+// Running state of the day-by-day pass (cdd, onset, cessation)
+var STATE_BANDS = ['day', 'acc', 'min_acc', 'onset', 'max_acc', 'cessation', 'dry_run', 'cdd'];
+
+function fail(message) {
+  throw new Error('Extremes: ' + message);
+}
+
+// Indices of one season window (ee.Image with BANDS)
+function seasonIndices(collection, window, meanDaily, p95) {
+  var days = collection.filterDate(window.start, window.end).sort('system:time_start');
+
+  var first = ee.Image.constant([0, 0, 0, 0, 0, 0, 0, 0]).rename(STATE_BANDS).toFloat();
+  var state = ee.Image(days.iterate(function(img, prev) {
+    prev = ee.Image(prev);
+    var p = ee.Image(img).select(0);
+    var day = prev.select('day').add(1);
+    var acc = prev.select('acc').add(p.subtract(meanDaily));
+    var dryRun = prev.select('dry_run').add(1).multiply(p.lt(WET_MM));
+    return ee.Image.cat([
+      day,
+      acc,
+      acc.min(prev.select('min_acc')),
+      prev.select('onset').where(acc.lt(prev.select('min_acc')), day),
+      acc.max(prev.select('max_acc')),
+      prev.select('cessation').where(acc.gt(prev.select('max_acc')), day),
+      dryRun,
+      dryRun.max(prev.select('cdd'))
+    ]).rename(STATE_BANDS);
+  }, first));
+
+  // Largest rainfall sum of 5 consecutive days ending on each day
+  var rx5 = days.map(function(img) {
+    var d = ee.Date(img.get('system:time_start'));
+    return days.filterDate(d.advance(-4, 'day'), d.advance(1, 'day')).sum();
+  }).max();
+
+  return ee.Image.cat([
+    days.map(function(img) { return img.gte(WET_MM); }).sum(),
+    state.select('cdd'),
+    days.max(),
+    rx5,
+    days.map(function(img) { return img.gt(p95); }).sum(),
+    state.select('onset').add(1),
+    state.select('cessation')
+  ]).rename(BANDS).toFloat();
+}
+
+function computeExtremes(options) {
+  options = options || {};
+  if (!options.season) {
+    fail('computeExtremes() needs the season (season.js createSeason()).');
+  }
+  var collection = ee.ImageCollection(options.collection).select(0);
+  var season = options.season;
+
+  // Baseline seasons: mean daily rainfall and the 95th percentile of wet days
+  var windows = [];
+  for (var y = options.baseline_start_year; y <= options.baseline_end_year; y++) {
+    windows.push(season.window(y));
+  }
+  var baselineDays = collection.filter(ee.Filter.or.apply(null, windows.map(function(w) {
+    return ee.Filter.date(w.start, w.end);
+  })));
+  var meanDaily = baselineDays.mean();
+  var p95 = baselineDays.map(function(img) {
+    return img.updateMask(img.gte(WET_MM));
+  }).reduce(ee.Reducer.percentile([95]));
+
+  var study = seasonIndices(collection, season.window(options.study_year), meanDaily, p95);
+  var baseline = ee.ImageCollection(windows.map(function(w) {
+    return seasonIndices(collection, w, meanDaily, p95);
+  })).mean().rename(BANDS.map(function(b) { return b + '_baseline'; }));
+
+  return {
+    image: ee.Image.cat([study, baseline]),
+    study: study,
+    baseline: baseline,
+    p95: p95.rename('p95_mm'),
+    bands: BANDS.concat(BANDS.map(function(b) { return b + '_baseline'; }))
+  };
+}
+
+// Zone means of every index (study and baseline)
+function zoneTable(extremes, zones, options) {
+  return extremes.image.reduceRegions(options.budget.regions({
+    collection: zones,
+    reducer: ee.Reducer.mean(),
+    scale: options.scale
+  }, options.label || 'Extremes'));
+}
+
+exports.computeExtremes = computeExtremes;
+exports.zoneTable = zoneTable;
+exports.INDICES = INDICES;
+exports.BANDS = BANDS;
+exports.WET_MM = WET_MM;
@@ -0,0 +1,229 @@
+// ======================================================================
+// FOREST LOSS SERIES — annual Hansen loss and remaining forest per AOI and zone
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var lossLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/forest_loss.js');
+//   var groups = lossLib.lossByYear({
+//     forest2000: forest2000,             // binary band, forest in 2000
+//     lossyear: lossyear,                 // Hansen lossyear band (0 = no loss)
+//     geometry: AOIgeom, areas: areas, budget: budget, scale: 30
+//   });
+//   var table = lossLib.annualTable({
+//     groups: groups,                     // result of lossByYear()
+//     forest2000_area: forestArea,        // ee.Number, forest 2000 in area_unit
+//     start_year: 2001, end_year: 2024,
+//     areas: areas, properties: {aoi: 'Spain'}
+//   });
+//   exporter.table(table, 'Annual_Loss', {selectors: lossLib.columns(['aoi'], areas)});
+//   var charts = lossLib.charts(table, {areas: areas});  // {loss, remaining}
+//
+//   // Per zone (zones.js): wide summary and long annual table
+//   var wide = lossLib.zoneLoss({
+//     forest2000: forest2000, lossyear: lossyear, zones: PA,
+//     start_year: 2001, end_year: 2024, areas: areas, budget: budget, scale: 30
+//   });
+//   var years = {start_year: 2001, end_year: 2024, areas: areas};
+//   var long = lossLib.zoneAnnual(wide, ['WDPAID', 'NAME'], years);
+//   exporter.table(wide, 'PA_Forest_Loss', {selectors: lossLib.zoneColumns(['WDPAID', 'NAME'], years)});
+//   exporter.table(long, 'PA_Forest_Loss_Annual', {selectors: lossLib.zoneAnnualColumns(['WDPAID', 'NAME'], areas)});
+//
+// One row per year of start_year..end_year (years without loss are 0):
+//   year, loss_<unit>            forest-2000 loss with that lossyear
+//         cumulative_loss_<unit> loss from start_year through year
+//         remaining_forest_<unit> forest 2000 minus all loss from 2001
+//                                through year (loss before start_year
+//                                included; Hansen gain is not added back)
+//         remaining_pct          remaining forest as % of forest 2000
+//
+// Per zone (one grouped reduceRegions over the whole zone polygons):
+//   wide : id fields, forest2000_<unit>, loss_<unit> (window total), pct_loss
+//          (of forest 2000), then loss_<year>_<unit> for every window year
+//   long : id fields, year, loss_<unit>, forest2000_<unit>, pct_loss (that
+//          year's loss as % of the zone's forest 2000)
+// Zones without forest in 2000 are left out of both.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+// Hansen lossyear 0 is "no loss"; code n is year first_year + n
+var FIRST_YEAR = datasetsLib.info('HANSEN').first_year;
+
+// Grouped sum of forest-2000 pixel area by lossyear code (every year of the record)
+function lossByYear(options) {
+  var areas = options.areas;
+  return areas.pixelArea()
+    .updateMask(options.forest2000)
+    .addBands(options.lossyear.unmask(0).rename('lossyear'))
+    .reduceRegion(options.budget.stats(areas.params({
+      reducer: ee.Reducer.sum().group({
+        groupField: 1,
+        groupName: 'year'
+      }),
+      geometry: options.geometry,
+      scale: options.scale,
+      bestEffort: true
+    }), options.label || 'Loss by year'));
+}
+
+// Loss area per year as an ee.Dictionary keyed by calendar year ('2001': area)
+function byYear(groups) {
+  var dict = ee.Dictionary(groups);
+  var list = ee.List(ee.Algorithms.If(dict.get('groups'), dict.get('groups'), ee.List([])));
+  return ee.Dictionary.fromLists(
+    list.map(function(g) { return ee.Number(ee.Dictionary(g).get('year')).add(FIRST_YEAR).format('%d'); }),
+    list.map(function(g) { return ee.Dictionary(g).get('sum'); })
+  );
+}
+
+function annualTable(options) {
+  var areas = options.areas;
+  var losses = byYear(options.groups);
+  var forest = ee.Number(options.forest2000_area);
+  var first = Math.max(options.start_year, FIRST_YEAR + 1);
+
+  function lossIn(year) {
+    return ee.Number(losses.get(String(year), 0));
+  }
+
+  // Loss before the window still counts against the remaining forest
+  var lost = ee.Number(0);
+  for (var y = FIRST_YEAR + 1; y < first; y++) {
+    lost = lost.add(lossIn(y));
+  }
+
+  var cumulative = ee.Number(0);
+  var rows = [];
+  for (var year = first; year <= options.end_year; year++) {
+    var loss = lossIn(year);
+    cumulative = cumulative.add(loss);
+    lost = lost.add(loss);
+    var props = {year: year, remaining_pct: forest.subtract(lost).divide(forest).multiply(100)};
+    props[areas.field('loss')] = loss;
+    props[areas.field('cumulative_loss')] = cumulative;
+    props[areas.field('remaining_forest')] = forest.subtract(lost);
+    rows.push(ee.Feature(null, options.properties || {}).set(props));
+  }
+  return areas.tag(ee.FeatureCollection(rows));
+}
+
+function columns(idFields, areas) {
+  return (idFields || []).concat([
+    'year', areas.field('loss'), areas.field('cumulative_loss'), areas.field('remaining_forest'), 'remaining_pct'
+  ]).concat(areas.columns);
+}
+
+// Forest 2000 and loss per window year of every zone (wide)
+function zoneLoss(options) {
+  var areas = options.areas;
+  var first = Math.max(options.start_year, FIRST_YEAR + 1);
+  var grouped = areas.pixelArea()
+    .updateMask(options.forest2000)
+    .addBands(options.lossyear.unmask(0).rename('lossyear'))
+    .reduceRegions(options.budget.regions(areas.params({
+      collection: options.zones,
+      reducer: ee.Reducer.sum().group({
+        groupField: 1,
+        groupName: 'year'
+      }),
+      scale: options.scale
+    }), options.label || 'Zone forest loss'));
+
+  return areas.tag(grouped.map(function(f) {
+    var losses = byYear(f.toDictionary(['groups']));
+    // Every lossyear group (0 = not lost) is forest in 2000
+    var forest = ee.Number(losses.values().reduce(ee.Reducer.sum()));
+    var total = ee.Number(0);
+    var props = {};
+    for (var year = first; year <= options.end_year; year++) {
+      var loss = ee.Number(losses.get(String(year), 0));
+      props[areas.field('loss_' + year)] = loss;
+      total = total.add(loss);
+    }
+    props[areas.field('forest2000')] = forest;
+    props[areas.field('loss')] = total;
+    props.pct_loss = total.divide(forest).multiply(100);
+    return f.set(props);
+  }).filter(ee.Filter.gt(areas.field('forest2000'), 0)));
+}
+
+function yearsOf(options) {
+  var years = [];
+  for (var year = Math.max(options.start_year, FIRST_YEAR + 1); year <= options.end_year; year++) {
+    years.push(year);
+  }
+  return years;
+}
+
+function zoneColumns(idFields, options) {
+  var areas = options.areas;
+  return idFields.concat([areas.field('forest2000'), areas.field('loss'), 'pct_loss'])
+    .concat(yearsOf(options).map(function(year) { return areas.field('loss_' + year); }))
+    .concat(areas.columns);
+}
+
+// Long table of zoneLoss(): one row per zone and window year
+function zoneAnnual(wide, idFields, options) {
+  var areas = options.areas;
+  var forestField = areas.field('forest2000');
+  return areas.tag(ee.FeatureCollection(yearsOf(options).map(function(year) {
+    return ee.FeatureCollection(wide).map(function(f) {
+      var loss = ee.Number(f.get(areas.field('loss_' + year)));
+      var props = {year: year, pct_loss: loss.divide(f.get(forestField)).multiply(100)};
+      props[areas.field('loss')] = loss;
+      props[forestField] = f.get(forestField);
+      return ee.Feature(null, f.toDictionary(idFields)).set(props);
+    });
+  })).flatten());
+}
+
+function zoneAnnualColumns(idFields, areas) {
+  return idFields.concat(['year', areas.field('loss'), areas.field('forest2000'), 'pct_loss'])
+    .concat(areas.columns);
+}
+
+// Column chart of annual loss and line chart of remaining forest
+function charts(table, options) {
+  var areas = options.areas;
+  var suffix = options.title_suffix ? ' — ' + options.title_suffix : '';
+  var loss = ui.Chart.feature.byFeature({
+    features: table,
+    xProperty: 'year',
+    yProperties: [areas.field('loss')]
+  })
+  .setChartType('ColumnChart')
+  .setOptions({
+    title: 'Annual forest loss (' + areas.unit + ')' + suffix,
+    hAxis: {title: 'Year', format: '####'},
+    vAxis: {title: 'Loss (' + areas.unit + ')'},
+    colors: ['D7301F'],
+    legend: {position: 'none'}
+  });
+
+  var remaining = ui.Chart.feature.byFeature({
+    features: table,
+    xProperty: 'year',
+    yProperties: [areas.field('remaining_forest')]
+  })
+  .setChartType('LineChart')
+  .setOptions({
+    title: 'Remaining forest (' + areas.unit + ')' + suffix,
+    hAxis: {title: 'Year', format: '####'},
+    vAxis: {title: 'Forest (' + areas.unit + ')'},
+    colors: ['006400'],
+    lineWidth: 2,
+    pointSize: 3,
+    legend: {position: 'none'}
+  });
+
+  return {loss: loss, remaining: remaining};
+}
+
+exports.lossByYear = lossByYear;
+exports.annualTable = annualTable;
+exports.columns = columns;
+exports.charts = charts;
+exports.zoneLoss = zoneLoss;
+exports.zoneAnnual = zoneAnnual;
+exports.zoneColumns = zoneColumns;
+exports.zoneAnnualColumns = zoneAnnualColumns;
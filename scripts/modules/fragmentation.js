@@ -0,0 +1,245 @@
+// ======================================================================
+// FRAGMENTATION — MSPA-style forest pattern classes and patch metrics
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var fragLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/fragmentation.js');
+//   fragLib.validate(check, settings);
+//   var frag = fragLib.createFragmentation({scale: 100, edge_width: 100, areas: areas});
+//   var mspa2000 = frag.classify(forest2000, AOIgeom);  // byte band 'mspa', CLASSES values
+//   var table = frag.zoneTable([{year: 2000, forest: forest2000}, {year: 2024, forest: forest2024}],
+//                              PA, {id_fields: ['WDPAID', 'NAME'], budget: budget});
+//   exporter.table(table, 'PA_Fragmentation', {selectors: frag.columns(['WDPAID', 'NAME'])});
+//
+// Everything runs on one grid: area_crs at `scale` metres (forest is the
+// share of Hansen pixels in each cell rounded to 0/1), so the pixel-based
+// rules below mean the same everywhere. edge_width is rounded to whole
+// pixels (at least 1).
+//
+// CLASSES (simplified MSPA, after Soille & Vogt 2009 / GuidosToolbox):
+//   1 core        forest with only forest within edge_width
+//   2 edge        outer boundary of a core area (within edge_width of core)
+//   3 perforation boundary of a core area around an enclosed opening
+//                 (a non-forest patch smaller than HOLE_PIXELS)
+//   4 bridge      forest away from core that links two different core areas
+//   5 branch      forest away from core attached to one core area (MSPA
+//                 loops are reported here too)
+//   6 patch       forest patches too small or narrow to hold any core (islets)
+// Core areas, links and patches are 8-connected objects found with
+// reduceToVectors() on the grid, which has no object size limit (unlike
+// connectedComponents()): every core area gets the ID of one of its cells,
+// and a link is a bridge when the core IDs around it differ. Classes are
+// computed inside the region given to classify(), and inside the bounds
+// of the zones for zoneTable().
+//
+// METRICS per zone and year:
+//   forest_<unit>, <class>_<unit>   area of forest and of every class
+//   patch_count                     forest patches (8-connected) in the zone;
+//                                   patches cut by the zone boundary count
+//                                   once per piece inside it
+//   mean_patch_<unit>               forest_<unit> / patch_count
+//   edge_density_m_ha               forest / non-forest boundary length (m)
+//                                   per hectare of zone
+// ======================================================================
+
+var CLASSES = [
+  {value: 1, name: 'core', color: '006400'},
+  {value: 2, name: 'edge', color: '000000'},
+  {value: 3, name: 'perforation', color: '0000FF'},
+  {value: 4, name: 'bridge', color: 'FF0000'},
+  {value: 5, name: 'branch', color: 'FF8C00'},
+  {value: 6, name: 'patch', color: '8B4513'}
+];
+
+var VIS = {min: 1, max: 6, palette: CLASSES.map(function(c) { return c.color; })};
+
+// Hansen pixels are 0.00025° (27.8 m at the equator, narrower towards the
+// poles); reduceResolution() must accept every one of them in a grid cell
+var HANSEN_PIXEL_M = 27.8;
+var MAX_LATITUDE = 80;
+
+var HOLE_PIXELS = 256;
+var MAX_EDGE_PIXELS = 10;
+var MAX_PIXELS = 1e13;
+var MAX_ERROR_M = 100;
+
+function fail(message) {
+  throw new Error('Fragmentation: ' + message);
+}
+
+// Add fragmentation problems to a validate.js validator
+function validate(check, settings) {
+  check.scale('fragmentation_scale', settings.fragmentation_scale, {min: 30, max: 1000});
+  var scale = settings.fragmentation_scale;
+  var width = settings.fragmentation_edge_width;
+  if (typeof scale === 'number' && scale > 0) {
+    check.number('fragmentation_edge_width', width, scale, scale * MAX_EDGE_PIXELS);
+  }
+}
+
+function createFragmentation(settings) {
+  settings = settings || {};
+  var areas = settings.areas;
+  if (!areas || typeof settings.scale !== 'number' || typeof settings.edge_width !== 'number') {
+    fail('createFragmentation() needs scale, edge_width and areas (area.js createAreas()).');
+  }
+  var scale = settings.scale;
+  var width = Math.max(1, Math.round(settings.edge_width / scale));
+  var grid = ee.Projection(areas.crs).atScale(scale);
+  var inputPixels = Math.ceil(Math.pow(scale / HANSEN_PIXEL_M, 2) / Math.cos(MAX_LATITUDE * Math.PI / 180)) + 1;
+
+  function square(radius) {
+    return {radius: radius, kernelType: 'square', units: 'pixels'};
+  }
+
+  // Binary forest (1) / non-forest (0) on the fragmentation grid
+  function onGrid(forest) {
+    return ee.Image(forest).unmask(0).gt(0)
+      .reduceResolution({reducer: ee.Reducer.mean(), maxPixels: inputPixels})
+      .reproject(grid)
+      .gte(0.5)
+      .rename('forest');
+  }
+
+  // 8-connected objects of the first band as features; extra bands are
+  // combined per object with `reducer`
+  function objects(image, region, geometryType, reducer) {
+    var params = {
+      geometry: region,
+      crs: areas.crs,
+      scale: scale,
+      geometryType: geometryType,
+      eightConnected: true,
+      maxPixels: MAX_PIXELS,
+      tileScale: 4
+    };
+    if (reducer) {
+      params.reducer = reducer;
+    }
+    return image.reduceToVectors(params);
+  }
+
+  // Unique ID of every grid cell (column + row x 2e6; exact in a double)
+  var cellId = ee.Image.pixelCoordinates(grid).divide(scale).floor();
+  cellId = cellId.select('x').add(cellId.select('y').multiply(2e6)).toDouble().rename('cell');
+
+  function classifyGrid(f, region) {
+    var background = f.not();
+    var core = f.focal_min(square(width)).and(f);
+    var nearCore = core.focal_max(square(width));
+    var boundary = f.and(core.not()).and(nearCore);
+    var connector = f.and(nearCore.not());
+
+    // Enclosed openings: small non-forest patches
+    var hole = background.selfMask().connectedPixelCount(HOLE_PIXELS, true).lt(HOLE_PIXELS).unmask(0);
+    var nearHole = hole.focal_max(square(width));
+
+    // Core areas labelled with their lowest cell ID
+    var cores = objects(core.selfMask().addBands(cellId), region, 'polygon', ee.Reducer.min());
+    var coreLabel = ee.Image(0).toDouble().paint(cores, 'min').reproject(grid).updateMask(core);
+
+    // Core IDs seen from the connector pixels next to the boundary; links
+    // that see none are patches
+    var reach = square(width + 1);
+    var links = objects(connector.selfMask().addBands(ee.Image.cat([
+      coreLabel.focal_min(reach).rename('label_min'),
+      coreLabel.focal_max(reach).rename('label_max')
+    ])), region, 'polygon', ee.Reducer.min().combine(ee.Reducer.max()))
+      .filter(ee.Filter.notNull(['min', 'max']))
+      .map(function(link) {
+        return link.set('class', ee.Algorithms.If(ee.Number(link.get('max')).neq(link.get('min')), 4, 5));
+      });
+    var linkClass = ee.Image(0).byte().paint(links, 'class').reproject(grid);
+
+    return ee.Image(6)
+      .where(linkClass.gt(0).and(connector), linkClass)
+      .where(boundary.and(nearHole.not()), 2)
+      .where(boundary.and(nearHole), 3)
+      .where(core, 1)
+      .updateMask(f)
+      .rename('mspa')
+      .byte();
+  }
+
+  // MSPA class of every forest pixel in region (band 'mspa')
+  function classify(forest, region) {
+    if (!region) {
+      fail('classify() needs the region to classify (e.g. the AOI geometry).');
+    }
+    return classifyGrid(onGrid(forest), region);
+  }
+
+  // Per-pixel quantities whose zone sums give the metrics. They are computed
+  // per m² on the grid and multiplied by the pixel area afterwards, so sums
+  // stay right when the pixel budget reduces at a coarser scale.
+  function metricBands(f, region) {
+    var mspa = classifyGrid(f, region);
+    var cell = scale * scale;
+    // Non-forest 4-neighbours of each forest pixel, times the pixel side
+    var plus = ee.Kernel.fixed(3, 3, [[0, 1, 0], [1, 0, 1], [0, 1, 0]]);
+    var openSides = f.not().convolve(plus).multiply(f);
+    var perM2 = ee.Image.cat([f.rename('forest')].concat(CLASSES.map(function(c) {
+      return mspa.eq(c.value).rename(c.name);
+    })).concat([
+      openSides.multiply(scale / cell).rename('edge_m'),
+      ee.Image(1 / 10000).rename('zone_ha')
+    ])).unmask(0).reproject(grid);
+
+    // Forest and class areas in area_unit, the rest per m²
+    var inUnit = [areas.pixelArea()].concat(CLASSES.map(function() { return areas.pixelArea(); }));
+    var m2 = ee.Image.pixelArea();
+    return perM2.multiply(ee.Image.cat(inUnit.concat([m2, m2])));
+  }
+
+  // One row per zone and epoch ([{year, forest}])
+  function zoneTable(epochs, zones, options) {
+    zones = ee.FeatureCollection(zones);
+    var region = zones.geometry().bounds(MAX_ERROR_M, grid);
+    var tables = epochs.map(function(epoch) {
+      var forest = onGrid(epoch.forest);
+      var sums = metricBands(forest, region).reduceRegions(options.budget.regions(areas.params({
+        collection: zones,
+        reducer: ee.Reducer.sum(),
+        scale: scale
+      }), (options.label || 'Fragmentation') + ' ' + epoch.year));
+      return sums.map(function(zone) {
+        var forestArea = ee.Number(zone.get('forest'));
+        // Forest patches inside the zone, one bounding box each
+        var patches = objects(forest.selfMask(), zone.geometry(), 'bb').size();
+        var props = {
+          year: epoch.year,
+          patch_count: patches,
+          edge_density_m_ha: ee.Number(zone.get('edge_m')).divide(zone.get('zone_ha'))
+        };
+        props[areas.field('forest')] = forestArea;
+        props[areas.field('mean_patch')] = ee.Algorithms.If(patches.gt(0), forestArea.divide(patches), 0);
+        CLASSES.forEach(function(c) {
+          props[areas.field(c.name)] = zone.get(c.name);
+        });
+        return ee.Feature(null, zone.toDictionary(options.id_fields)).set(props);
+      });
+    });
+    return areas.tag(ee.FeatureCollection(tables).flatten());
+  }
+
+  function columns(idFields) {
+    return idFields.concat(['year', areas.field('forest')])
+      .concat(CLASSES.map(function(c) { return areas.field(c.name); }))
+      .concat(['patch_count', areas.field('mean_patch'), 'edge_density_m_ha'])
+      .concat(areas.columns);
+  }
+
+  return {
+    scale: scale,
+    edge_pixels: width,
+    input_pixels: inputPixels,
+    classify: classify,
+    zoneTable: zoneTable,
+    columns: columns
+  };
+}
+
+exports.createFragmentation = createFragmentation;
+exports.validate = validate;
+exports.CLASSES = CLASSES;
+exports.VIS = VIS;
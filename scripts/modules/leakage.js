@@ -0,0 +1,141 @@
+// ======================================================================
+// LEAKAGE RINGS — forest loss inside protected areas vs buffer rings around them
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var leakageLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/leakage.js');
+//   leakageLib.validate(check, {leakage_rings: [5000, 10000]});
+//   var rings = leakageLib.rings({
+//     pas: PA,                                   // WDPA polygons to evaluate
+//     others: datasetsLib.load('WDPA_POLYGONS'), // protected land removed from the rings
+//     distances: [5000, 10000]                   // outer edges in metres
+//   });
+//   // rings → one feature per PA and ring, with leakageLib.ID_FIELDS;
+//   // summarize them with forest_loss.js zoneLoss()/zoneAnnual()
+//   leakageLib.printCharts(annual, PA, {print: print});   // annual: zoneAnnual() of the rings
+//
+// Rings of a PA with distances [5000, 10000]:
+//   'inside'  the PA polygon                      inner_m 0,    outer_m 0
+//   '0-5km'   0 to 5 km outside the PA boundary   inner_m 0,    outer_m 5000
+//   '5-10km'  5 to 10 km outside the boundary     inner_m 5000, outer_m 10000
+// Every outside ring has all other WDPA polygons (any designation) cut out,
+// so protected neighbours never count as "outside". Rings are not clipped to
+// the AOI.
+// ======================================================================
+
+var ID_FIELDS = ['WDPAID', 'NAME', 'DESIG_ENG', 'ring', 'inner_m', 'outer_m'];
+var MAX_DISTANCE = 100000;
+var MAX_ERROR = 100;    // metres, for buffers and differences
+var CHART_PAS = 10;
+
+function fail(message) {
+  throw new Error('Leakage: ' + message);
+}
+
+function distanceProblem(distances) {
+  if (!Array.isArray(distances)) {
+    return 'leakage_rings must be a list of ring distances in metres, e.g. [5000, 10000] ([] = no rings)';
+  }
+  for (var i = 0; i < distances.length; i++) {
+    var d = distances[i];
+    if (typeof d !== 'number' || !(d > 0) || d > MAX_DISTANCE) {
+      return 'leakage_rings distances must be numbers of metres above 0 and up to ' + MAX_DISTANCE +
+        ' (got ' + JSON.stringify(d) + ')';
+    }
+    if (i > 0 && !(d > distances[i - 1])) {
+      return 'leakage_rings distances must increase (got ' + JSON.stringify(distances) + ')';
+    }
+  }
+  return null;
+}
+
+// Add leakage problems to a validate.js validator
+function validate(check, settings) {
+  var problem = distanceProblem(settings.leakage_rings);
+  check.that(!problem, problem + '.');
+}
+
+// Ring name, e.g. '0-5km' or '500-1000m'
+function ringName(inner, outer) {
+  if (inner % 1000 === 0 && outer % 1000 === 0) {
+    return (inner / 1000) + '-' + (outer / 1000) + 'km';
+  }
+  return inner + '-' + outer + 'm';
+}
+
+function ringNames(distances) {
+  return ['inside'].concat(distances.map(function(d, i) {
+    return ringName(i === 0 ? 0 : distances[i - 1], d);
+  }));
+}
+
+function rings(options) {
+  var distances = options.distances || [];
+  var problem = distanceProblem(distances);
+  if (problem || distances.length === 0) {
+    fail((problem || 'rings() needs at least one distance') + '.');
+  }
+  var others = ee.FeatureCollection(options.others);
+  var names = ringNames(distances);
+  var farthest = distances[distances.length - 1];
+
+  return ee.FeatureCollection(options.pas).map(function(pa) {
+    var boundary = pa.geometry();
+    var ids = {WDPAID: pa.get('WDPAID'), NAME: pa.get('NAME'), DESIG_ENG: pa.get('DESIG_ENG')};
+    // Protected land near this PA (itself included), cut out of every outside ring
+    var protectedLand = others.filterBounds(boundary.buffer(farthest, MAX_ERROR))
+      .union(MAX_ERROR).geometry();
+
+    var features = [ee.Feature(boundary, ids).set({ring: 'inside', inner_m: 0, outer_m: 0})];
+    distances.forEach(function(d, i) {
+      var inner = i === 0 ? 0 : distances[i - 1];
+      var ring = boundary.buffer(d, MAX_ERROR)
+        .difference(i === 0 ? boundary : boundary.buffer(inner, MAX_ERROR), MAX_ERROR)
+        .difference(protectedLand, MAX_ERROR);
+      features.push(ee.Feature(ring, ids).set({ring: names[i + 1], inner_m: inner, outer_m: d}));
+    });
+    return ee.FeatureCollection(features);
+  }).flatten();
+}
+
+// Line chart of the annual loss rate (pct_loss) of every ring of one PA
+function chart(annual, wdpaid, options) {
+  return ui.Chart.feature.groups({
+    features: ee.FeatureCollection(annual).filter(ee.Filter.eq('WDPAID', wdpaid)),
+    xProperty: 'year',
+    yProperty: 'pct_loss',
+    seriesProperty: 'ring'
+  })
+  .setChartType('LineChart')
+  .setOptions({
+    title: options.title || 'Annual forest loss inside vs outside PA ' + wdpaid,
+    hAxis: {title: 'Year', format: '####'},
+    vAxis: {title: 'Loss (% of 2000 forest per year)'},
+    lineWidth: 2,
+    pointSize: 3
+  });
+}
+
+// Print chart() for the first max_pas PAs (IDs and names are fetched once)
+function printCharts(annual, pas, options) {
+  var first = ee.FeatureCollection(pas).limit(options.max_pas || CHART_PAS);
+  ee.Dictionary({
+    ids: first.aggregate_array('WDPAID'),
+    names: first.aggregate_array('NAME')
+  }).evaluate(function(info) {
+    ((info && info.ids) || []).forEach(function(id, i) {
+      options.print(chart(annual, id, {
+        title: 'Annual forest loss inside vs outside ' + info.names[i] + ' (WDPAID ' + id + ', % of 2000 forest)'
+      }));
+    });
+  });
+}
+
+exports.rings = rings;
+exports.ringNames = ringNames;
+exports.validate = validate;
+exports.chart = chart;
+exports.printCharts = printCharts;
+exports.ID_FIELDS = ID_FIELDS;
+exports.MAX_DISTANCE = MAX_DISTANCE;
+exports.CHART_PAS = CHART_PAS;
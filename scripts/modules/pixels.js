@@ -0,0 +1,210 @@
+// ======================================================================
+// PIXEL BUDGET — size statistics and exports to the AOI before queuing
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+//   var budget = pixelsLib.createBudget({geometry: AOIgeom, mode: pixel_budget, print: print});
+//
+//   image.reduceRegion(budget.stats({reducer: r, geometry: AOIgeom, scale: 30}, 'Loss area'));
+//   image.reduceRegions(budget.regions({collection: fc, reducer: r, scale: 30}, 'PA stats'));
+//   ui.Chart.image.histogram(budget.chart({image: img, region: AOIgeom, scale: 30, maxPixels: 1e13}, 'Histogram'));
+//   var exporter = exportLib.createExporter({..., budget: budget});  // tiles large rasters
+//
+// The AOI area is read once (one getInfo) and every request is sized as
+// area / scale². MODES (pixel_budget setting):
+// - 'auto' → statistics above max_stats_pixels are computed at a coarser
+//            scale (doubled until they fit) with tileScale raised; raster
+//            exports above max_export_pixels are split into a grid of tiles
+// - 'warn' → scales are kept; large statistics get bestEffort/tileScale,
+//            and a warning is printed for every oversized request
+// - 'off'  → parameters are passed through unchanged
+//
+// Notes go to settings.print (a workflow's ctx.print, e.g. the app's result
+// panel), or to the Console.
+//
+// Tiled exports are named <name>_tile_R01C02 (row, column from the
+// north-west corner) and cover the AOI bounding box.
+// ======================================================================
+
+var MAX_STATS_PIXELS = 1e9;     // Above this, statistics tend to time out
+var TILE_SCALE_PIXELS = 1e8;    // Above this, reducers run with tileScale
+var MAX_EXPORT_PIXELS = 1e10;   // Above this, raster exports are tiled
+var MAX_PIXELS = 1e13;
+
+var MODES = ['auto', 'warn', 'off'];
+
+function fail(message) {
+  throw new Error('Pixel budget: ' + message);
+}
+
+function copy(params) {
+  var out = {};
+  Object.keys(params).forEach(function(key) {
+    out[key] = params[key];
+  });
+  return out;
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+function formatPixels(n) {
+  return n >= 1e9 ? (n / 1e9).toFixed(1) + ' billion' :
+         n >= 1e6 ? (n / 1e6).toFixed(1) + ' million' : String(Math.round(n));
+}
+
+// Build a pixel budget for one AOI
+function createBudget(settings) {
+  settings = settings || {};
+  var mode = settings.mode || 'auto';
+  var maxStats = settings.max_stats_pixels || MAX_STATS_PIXELS;
+  var maxExport = settings.max_export_pixels || MAX_EXPORT_PIXELS;
+  var areas = [];   // [{geometry, area}] cache, one getInfo per region
+  var notes = [];
+  var show = settings.print || print;
+
+  if (MODES.indexOf(mode) === -1) {
+    fail('pixel_budget must be \'auto\', \'warn\' or \'off\' (got \'' + mode + '\').');
+  }
+  if (!settings.geometry) {
+    fail('createBudget() needs the AOI geometry.');
+  }
+
+  function areaOf(region) {
+    region = region || settings.geometry;
+    for (var i = 0; i < areas.length; i++) {
+      if (areas[i].geometry === region) {
+        return areas[i].area;
+      }
+    }
+    var area = ee.Geometry(region).area(100).getInfo();
+    areas.push({geometry: region, area: area});
+    return area;
+  }
+
+  function pixels(scale, region) {
+    return areaOf(region) / (scale * scale);
+  }
+
+  function note(label, message) {
+    var text = label + ': ' + message;
+    notes.push(text);
+    show('Pixel budget — ' + text);
+  }
+
+  // Coarsen a statistics scale until it fits the budget (auto mode)
+  function fitScale(scale, region, label) {
+    var n = pixels(scale, region);
+    if (mode !== 'auto' || n <= maxStats) {
+      if (mode === 'warn' && n > maxStats) {
+        note(label, formatPixels(n) + ' pixels at ' + scale + ' m; may time out (consider a coarser scale).');
+      }
+      return scale;
+    }
+    var fitted = scale;
+    while (pixels(fitted, region) > maxStats) {
+      fitted = fitted * 2;
+    }
+    note(label, formatPixels(n) + ' pixels at ' + scale + ' m; using ' + fitted + ' m.');
+    return fitted;
+  }
+
+  function tileScaleFor(n) {
+    return n > maxStats ? 16 : n > TILE_SCALE_PIXELS ? 4 : 1;
+  }
+
+  // reduceRegion() parameters
+  function stats(params, label) {
+    if (mode === 'off') {
+      return params;
+    }
+    var out = copy(params);
+    out.scale = fitScale(params.scale, params.geometry, label || 'reduceRegion');
+    var n = pixels(out.scale, params.geometry);
+    out.maxPixels = MAX_PIXELS;
+    out.tileScale = Math.max(params.tileScale || 1, tileScaleFor(n));
+    if (n > maxStats) {
+      out.bestEffort = true;
+    }
+    return out;
+  }
+
+  // reduceRegions() parameters (sized against the AOI)
+  function regions(params, label) {
+    if (mode === 'off') {
+      return params;
+    }
+    var out = copy(params);
+    out.scale = fitScale(params.scale, null, label || 'reduceRegions');
+    out.tileScale = Math.max(params.tileScale || 1, tileScaleFor(pixels(out.scale)));
+    return out;
+  }
+
+  // ui.Chart.image.* parameters (region or AOI). Only the scale changes:
+  // not every chart accepts maxPixels, so histograms pass their own.
+  function chart(params, label) {
+    if (mode === 'off') {
+      return params;
+    }
+    var out = copy(params);
+    out.scale = fitScale(params.scale, params.region, label || 'chart');
+    return out;
+  }
+
+  // Split an export region into tiles when it exceeds the export budget.
+  // Returns [{suffix, region}]; one entry with suffix '' when no split is needed.
+  function tiles(region, scale, label) {
+    var n = pixels(scale, region);
+    if (mode === 'off' || n <= maxExport) {
+      return [{suffix: '', region: region}];
+    }
+    if (mode === 'warn') {
+      note(label, formatPixels(n) + ' pixels at ' + scale + ' m in one export; may run for a long time.');
+      return [{suffix: '', region: region}];
+    }
+
+    var side = Math.ceil(Math.sqrt(n / maxExport));
+    var ring = ee.Geometry(region).bounds(100).getInfo().coordinates[0];
+    var lons = ring.map(function(c) { return c[0]; });
+    var lats = ring.map(function(c) { return c[1]; });
+    var west = Math.min.apply(null, lons);
+    var east = Math.max.apply(null, lons);
+    var south = Math.min.apply(null, lats);
+    var north = Math.max.apply(null, lats);
+    var dx = (east - west) / side;
+    var dy = (north - south) / side;
+    var out = [];
+
+    for (var row = 0; row < side; row++) {
+      for (var col = 0; col < side; col++) {
+        out.push({
+          suffix: '_tile_R' + pad(row + 1) + 'C' + pad(col + 1),
+          region: ee.Geometry.Rectangle([
+            west + col * dx, north - (row + 1) * dy,
+            west + (col + 1) * dx, north - row * dy
+          ], null, false)
+        });
+      }
+    }
+    note(label, formatPixels(n) + ' pixels at ' + scale + ' m; split into ' + side + ' x ' + side + ' tiles.');
+    return out;
+  }
+
+  return {
+    mode: mode,
+    pixels: pixels,
+    stats: stats,
+    regions: regions,
+    chart: chart,
+    tiles: tiles,
+    notes: function() {
+      return notes.slice();
+    }
+  };
+}
+
+exports.createBudget = createBudget;
+exports.MAX_STATS_PIXELS = MAX_STATS_PIXELS;
+exports.MAX_EXPORT_PIXELS = MAX_EXPORT_PIXELS;
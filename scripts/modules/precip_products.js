@@ -0,0 +1,222 @@
+// ======================================================================
+// PRECIPITATION PRODUCTS — CHIRPS, ERA5-Land and GPM IMERG side by side
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var productsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/precip_products.js');
+//   productsLib.validate(check, {products: ['ERA5_LAND', 'IMERG'], season: season,
+//                                study_year: 2023, baseline_start_year: 2001, baseline_end_year: 2020});
+//   var comparison = productsLib.compare({
+//     products: ['ERA5_LAND', 'IMERG'],     // compared with CHIRPS (always first)
+//     season: season,                       // season.js season
+//     study_year: 2023,
+//     baseline_start_year: 2001, baseline_end_year: 2020,
+//     geometry: AOIgeom
+//   });
+//   comparison.totals     → <product>_total_mm and <product>_baseline_mm bands
+//   comparison.anomalies  → <product>_anomaly_mm and <product>_pct_of_normal bands
+//   comparison.agreement  → 'agreement' (AGREEMENT classes) and 'spread_pct'
+//   productsLib.zoneTable(comparison, PA, {budget: budget, scale: 1000})
+//                         → per zone: mean of every band above
+//
+// PRODUCTS (band prefix, dataset key in datasets.js):
+//   CHIRPS    chirps     CHIRPS           0.05°, from 1981, land only 50N-50S
+//   ERA5_LAND era5_land  ERA5_LAND_DAILY  0.1°, from 1950, reanalysis
+//   IMERG     imerg      IMERG            0.1°, from 2000-06, half-hourly
+// Every product is harmonised to mm per image (datasets.js `precipitation`),
+// so the season totals of all products are mm over the same window.
+// IMERG starts in June 2000: baselines that include 2000 or earlier stop
+// the run when IMERG is compared.
+//
+// Agreement (per pixel, over CHIRPS and the compared products):
+//   1 all_deficit  – every product below its own baseline
+//   2 mixed        – products disagree on the sign of the anomaly
+//   3 all_surplus  – every product above its own baseline
+// spread_pct = (highest - lowest study total) / mean study total x 100.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var PRODUCTS = [
+  {key: 'CHIRPS', prefix: 'chirps', dataset: 'CHIRPS'},
+  {key: 'ERA5_LAND', prefix: 'era5_land', dataset: 'ERA5_LAND_DAILY'},
+  {key: 'IMERG', prefix: 'imerg', dataset: 'IMERG'}
+];
+
+var AGREEMENT = [
+  {value: 1, name: 'all_deficit', label: 'All products: deficit', color: 'B2182B'},
+  {value: 2, name: 'mixed', label: 'Products disagree', color: 'E0E0E0'},
+  {value: 3, name: 'all_surplus', label: 'All products: surplus', color: '2166AC'}
+];
+
+var VIS_AGREEMENT = {min: 1, max: 3, palette: AGREEMENT.map(function(c) { return c.color; })};
+
+function fail(message) {
+  throw new Error('Precipitation products: ' + message);
+}
+
+function product(key) {
+  for (var i = 0; i < PRODUCTS.length; i++) {
+    if (PRODUCTS[i].key === key) {
+      return PRODUCTS[i];
+    }
+  }
+  return null;
+}
+
+function dayAfter(date) {
+  return new Date(Date.parse(date + 'T00:00:00Z') + 86400000).toISOString().slice(0, 10);
+}
+
+// CHIRPS followed by the compared products (each once)
+function productList(keys) {
+  var out = [product('CHIRPS')];
+  (keys || []).forEach(function(key) {
+    if (key !== 'CHIRPS' && out.indexOf(product(key)) < 0) {
+      out.push(product(key));
+    }
+  });
+  return out;
+}
+
+// Add product problems to a validate.js validator: unknown keys and season
+// windows outside a product's record
+function validate(check, options) {
+  var keys = options.products;
+  var known = PRODUCTS.map(function(p) { return p.key; });
+  var ok = Array.isArray(keys) && keys.every(function(k) { return known.indexOf(k) >= 0; });
+  check.that(ok, 'compare_products must list products from ' + known.join(', ') +
+    ' ([] = CHIRPS only; got ' + JSON.stringify(keys) + ').');
+  if (!ok || !options.season) {
+    return;
+  }
+  var years = [options.study_year, options.baseline_start_year, options.baseline_end_year];
+  if (!years.every(function(y) { return typeof y === 'number' && Math.floor(y) === y; })) {
+    return;  // reported by the year checks
+  }
+  var first = options.season.window(Math.min(options.baseline_start_year, options.study_year)).start;
+  var last = options.season.window(Math.max(options.baseline_end_year, options.study_year)).end;
+  productList(keys).slice(1).forEach(function(p) {
+    var coverage = datasetsLib.coverage(p.dataset);
+    var end = coverage.end || new Date().toISOString().slice(0, 10);
+    // last is exclusive: a season may end on the record's last day
+    check.that(first >= coverage.start && last <= dayAfter(end),
+      p.key + ' is compared over ' + first + ' to ' + last + ' (exclusive), outside ' + coverage.name +
+      ', which covers ' + coverage.start + ' to ' + end + '; move the baseline or study years, or drop ' +
+      p.key + ' from compare_products.');
+  });
+}
+
+// Harmonised collection: band 'precipitation' in mm per image
+function load(key, geometry) {
+  var p = product(key);
+  if (!p) {
+    fail('unknown product \'' + key + '\' (known: ' + PRODUCTS.map(function(q) { return q.key; }).join(', ') + ').');
+  }
+  var info = datasetsLib.info(p.dataset).precipitation;
+  var collection = datasetsLib.load(p.dataset).select(info.band);
+  if (geometry) {
+    collection = collection.filterBounds(geometry);
+  }
+  if (info.to_mm === 1) {
+    return collection.map(function(img) { return img.rename('precipitation'); });
+  }
+  return collection.map(function(img) {
+    return img.multiply(info.to_mm).rename('precipitation')
+      .copyProperties(img, ['system:time_start']);
+  });
+}
+
+function compare(options) {
+  options = options || {};
+  if (!options.season) {
+    fail('compare() needs the season (season.js createSeason()).');
+  }
+  var season = options.season;
+  var products = productList(options.products);
+
+  var totals = [];
+  var anomalies = [];
+  var studies = [];
+  var signs = [];
+  products.forEach(function(p) {
+    var collection = load(p.key, options.geometry);
+    var study = season.total(collection, options.study_year);
+    var baseline = season.totals(collection, options.baseline_start_year, options.baseline_end_year).mean();
+    var anomaly = study.subtract(baseline);
+
+    totals.push(study.rename(p.prefix + '_total_mm'), baseline.rename(p.prefix + '_baseline_mm'));
+    anomalies.push(
+      anomaly.rename(p.prefix + '_anomaly_mm'),
+      study.divide(baseline).multiply(100).updateMask(baseline.gt(0)).rename(p.prefix + '_pct_of_normal')
+    );
+    studies.push(study.rename('total'));
+    signs.push(anomaly.lt(0).rename('deficit'));
+  });
+
+  var n = products.length;
+  var deficits = ee.ImageCollection(signs).sum();
+  var agreement = ee.Image(2)
+    .where(deficits.eq(n), 1)
+    .where(deficits.eq(0), 3)
+    .updateMask(deficits.mask())
+    .rename('agreement')
+    .byte();
+
+  var stack = ee.ImageCollection(studies);
+  var spread = stack.max().subtract(stack.min())
+    .divide(stack.mean())
+    .multiply(100)
+    .rename('spread_pct');
+
+  return {
+    products: products,
+    totals: ee.Image.cat(totals).toFloat(),
+    anomalies: ee.Image.cat(anomalies).toFloat(),
+    agreement: agreement.addBands(spread.toFloat()),
+    bands: products.map(function(p) { return p.prefix + '_total_mm'; }),
+    columns: columns(products)
+  };
+}
+
+// Columns of zoneTable(), product by product
+function columns(products) {
+  var out = [];
+  products.forEach(function(p) {
+    out.push(p.prefix + '_total_mm', p.prefix + '_baseline_mm', p.prefix + '_anomaly_mm', p.prefix + '_pct_of_normal');
+  });
+  return out.concat(['spread_pct']);
+}
+
+// Zone means of every product band and of the product spread
+function zoneTable(comparison, zones, options) {
+  var image = ee.Image.cat([comparison.totals, comparison.anomalies, comparison.agreement.select('spread_pct')]);
+  return image.reduceRegions(options.budget.regions({
+    collection: zones,
+    reducer: ee.Reducer.mean(),
+    scale: options.scale
+  }, options.label || 'Product comparison'));
+}
+
+// Side-by-side column chart of the study totals per zone (first max_units zones)
+function chart(table, options) {
+  return ui.Chart.feature.byFeature({
+    features: ee.FeatureCollection(table).limit(options.max_units || 20),
+    xProperty: options.x_field,
+    yProperties: options.comparison.bands
+  })
+  .setChartType('ColumnChart')
+  .setOptions({
+    title: options.title || 'Study season rainfall per product (mm)',
+    vAxis: {title: 'Rainfall (mm)'}
+  });
+}
+
+exports.compare = compare;
+exports.load = load;
+exports.validate = validate;
+exports.zoneTable = zoneTable;
+exports.chart = chart;
+exports.PRODUCTS = PRODUCTS;
+exports.AGREEMENT = AGREEMENT;
+exports.VIS_AGREEMENT = VIS_AGREEMENT;
@@ -0,0 +1,167 @@
+// ======================================================================
+// RUN PROVENANCE — settings, datasets, AOI and exports of one run
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+//   var provenance = provenanceLib.createProvenance({
+//     script: 'gfc_hansen_forest_change_generic.js',
+//     settings: run_settings,   // {setting_name: value} of the USER SETTINGS
+//     datasets: [{id: 'UMD/hansen/global_forest_change_2024_v1_12', version: 'v1.12'}],
+//     scales: {stats: scale, export: scale},
+//     aoi: aoi                  // aoi.js bundle
+//   });
+//   var exporter = exportLib.createExporter({..., properties: provenance.properties});
+//   ...
+//   provenance.exportTable(exporter);  // queue last: lists every export
+//
+// The provenance table (<prefix>_Provenance) has one row per item with the
+// columns section, name, value:
+// - run     → script, run_time (UTC, ISO 8601)
+// - aoi     → label, slug, source, dataset, hash
+// - setting → every user setting (lists/objects as JSON)
+// - dataset → dataset ID and version
+// - scale   → scales in metres
+// - export  → every queued task and its destination
+//
+// provenance.properties (script, run time, AOI, hash, datasets, settings)
+// is set on every exported image by the export helper.
+//
+// The AOI hash is an FNV-1a fingerprint of the AOI source, label and
+// geometry (bounds and area), so two runs with the same hash used the same AOI.
+// ======================================================================
+
+var COLUMNS = ['section', 'name', 'value'];
+
+function fail(message) {
+  throw new Error('Provenance: ' + message);
+}
+
+// Setting values as text: strings unchanged, everything else as JSON
+function asText(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value === undefined) {
+    return '';
+  }
+  return JSON.stringify(value);
+}
+
+// 32-bit FNV-1a hash as 8 hex digits
+function fnv1a(text) {
+  var h = 0x811c9dc5;
+  for (var i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+    h = h >>> 0;
+  }
+  return ('0000000' + h.toString(16)).slice(-8);
+}
+
+// Fingerprint of the AOI (one getInfo: bounds and area of the geometry)
+function aoiHash(aoi) {
+  var geometry = ee.Geometry(aoi.geometry);
+  var info = ee.Dictionary({
+    bounds: geometry.bounds(1).coordinates(),
+    area: geometry.area(1)
+  }).getInfo() || {};
+
+  return fnv1a([
+    aoi.source || '',
+    aoi.dataset || '',
+    aoi.label || '',
+    JSON.stringify(info.bounds || null),
+    Math.round(info.area || 0)
+  ].join('|'));
+}
+
+function createProvenance(options) {
+  options = options || {};
+  if (!options.script) {
+    fail('createProvenance() needs the script name.');
+  }
+  if (!options.aoi || !options.aoi.geometry) {
+    fail('createProvenance() needs the AOI bundle (aoi.js resolveAoi).');
+  }
+
+  var settings = options.settings || {};
+  var datasets = (options.datasets || []).slice();
+  var scales = options.scales || {};
+  var aoi = options.aoi;
+  var runTime = options.run_time || new Date().toISOString();
+  var hash = aoiHash(aoi);
+
+  // The AOI boundary dataset is part of the inputs too
+  var listed = datasets.some(function(d) { return d.id === aoi.dataset; });
+  if (aoi.dataset && !listed) {
+    datasets.push({id: aoi.dataset, version: 'AOI boundaries'});
+  }
+
+  var rows = [
+    ['run', 'script', options.script],
+    ['run', 'run_time', runTime],
+    ['aoi', 'label', aoi.label],
+    ['aoi', 'slug', aoi.slug],
+    ['aoi', 'source', aoi.source],
+    ['aoi', 'dataset', aoi.dataset || ''],
+    ['aoi', 'hash', hash]
+  ];
+  Object.keys(settings).forEach(function(name) {
+    rows.push(['setting', name, asText(settings[name])]);
+  });
+  datasets.forEach(function(d) {
+    rows.push(['dataset', d.id, d.version || '']);
+  });
+  Object.keys(scales).forEach(function(name) {
+    rows.push(['scale', name, asText(scales[name])]);
+  });
+
+  // Image properties (strings only, so they survive every export format)
+  var properties = {
+    provenance_script: options.script,
+    provenance_run_time: runTime,
+    provenance_aoi: String(aoi.label),
+    provenance_aoi_hash: hash,
+    provenance_datasets: datasets.map(function(d) {
+      return d.version ? d.id + ' (' + d.version + ')' : d.id;
+    }).join('; '),
+    provenance_settings: JSON.stringify(settings)
+  };
+
+  // Provenance rows plus the exports queued so far (and the table itself)
+  function table(queued, ownName, ownDestination) {
+    var all = rows.slice();
+    (queued || []).forEach(function(q) {
+      all.push(['export', q.name, q.kind + ' (' + q.destination + ')']);
+    });
+    if (ownName) {
+      all.push(['export', ownName, 'table (' + ownDestination + ')']);
+    }
+    return ee.FeatureCollection(all.map(function(r) {
+      return ee.Feature(null, {section: r[0], name: r[1], value: r[2]});
+    }));
+  }
+
+  // Queue <prefix>_Provenance; call after every other export
+  function exportTable(exporter, name) {
+    name = name || 'Provenance';
+    var fc = table(exporter.queued(), exporter.name(name), exporter.target.type);
+    return exporter.table(fc, name, {selectors: COLUMNS});
+  }
+
+  return {
+    hash: hash,
+    run_time: runTime,
+    properties: properties,
+    rows: function() {
+      return rows.slice();
+    },
+    table: table,
+    exportTable: exportTable
+  };
+}
+
+exports.createProvenance = createProvenance;
+exports.fnv1a = fnv1a;
+exports.COLUMNS = COLUMNS;
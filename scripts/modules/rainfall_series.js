@@ -0,0 +1,175 @@
+// ======================================================================
+// RAINFALL SERIES — seasonal or monthly totals per zone for a range of years
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var seriesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/rainfall_series.js');
+//   var table = seriesLib.zoneSeries({
+//     collection: chirps,               // daily precipitation (mm)
+//     season: season,                   // season.js season ('season' mode)
+//     mode: 'season',                   // or 'monthly'
+//     start_year: 2010, end_year: 2023,
+//     baseline_start_year: 1991, baseline_end_year: 2020,
+//     zones: PA, unit_field: 'NAME',    // or unit_label: 'My AOI' for unnamed zones
+//     budget: budget, scale: 1000
+//   });
+//   exporter.table(table, 'PA_Rainfall_Series', {selectors: seriesLib.columns(['WDPAID', 'NAME'])});
+//   print(seriesLib.chart(table, {title: 'Season rainfall per PA'}));
+//   print(seriesLib.uncharted(table, {noun: 'PA'}));
+//
+// One row per zone and period (long format), after the zone's ID columns:
+//   unit, year, season, total_mm, baseline_mm, anomaly (total_mm - baseline_mm)
+// unit names the zone in the chart (unit_field, or unit_label); the ID
+// columns tell zones with the same name apart.
+// 'season' mode : one period per year, the season that starts in that year;
+//                 season is the season's days ('10-01 to 02-28')
+// 'monthly' mode: twelve calendar months per year; season is the month ('Jan')
+// baseline_mm is the zone mean of the baseline mean for the same season or
+// month; total_mm is the zone mean of that period's total.
+// ======================================================================
+
+var MODES = ['season', 'monthly'];
+var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+var COLUMNS = ['unit', 'year', 'season', 'total_mm', 'baseline_mm', 'anomaly'];
+var CHART_UNITS = 10;
+
+function fail(message) {
+  throw new Error('Rainfall series: ' + message);
+}
+
+function monthWindow(year, month) {
+  return {
+    start: new Date(Date.UTC(year, month - 1, 1)).toISOString().slice(0, 10),
+    end: new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10)
+  };
+}
+
+// Periods of one year: {key, year, time, window}
+function periodsOf(year, options) {
+  if (options.mode === 'monthly') {
+    return MONTHS.map(function(name, i) {
+      return {key: name, year: year, time: year + i / 12, window: monthWindow(year, i + 1)};
+    });
+  }
+  return [{
+    key: options.season.start + ' to ' + options.season.end,
+    year: year,
+    time: year,
+    window: options.season.window(year)
+  }];
+}
+
+function total(collection, window) {
+  return collection.filterDate(window.start, window.end).sum();
+}
+
+function zoneSeries(options) {
+  options = options || {};
+  if (MODES.indexOf(options.mode) < 0) {
+    fail('mode must be \'season\' or \'monthly\' (got ' + JSON.stringify(options.mode) + ').');
+  }
+  if (options.mode === 'season' && !options.season) {
+    fail('\'season\' mode needs the season (season.js createSeason()).');
+  }
+
+  var collection = ee.ImageCollection(options.collection);
+  var budget = options.budget;
+  var label = options.label || 'Rainfall series';
+
+  // Baseline mean per season or month, computed once
+  var baselines = {};
+  function baselineFor(index) {
+    if (!baselines.hasOwnProperty(index)) {
+      var totals = [];
+      for (var y = options.baseline_start_year; y <= options.baseline_end_year; y++) {
+        totals.push(total(collection, periodsOf(y, options)[index].window));
+      }
+      baselines[index] = ee.ImageCollection(totals).mean();
+    }
+    return baselines[index];
+  }
+
+  var tables = [];
+  for (var year = options.start_year; year <= options.end_year; year++) {
+    periodsOf(year, options).forEach(function(period, index) {
+      var image = ee.Image.cat([
+        total(collection, period.window).rename('total_mm'),
+        baselineFor(index).rename('baseline_mm')
+      ]);
+      var rows = image.reduceRegions(budget.regions({
+        collection: options.zones,
+        reducer: ee.Reducer.mean(),
+        scale: options.scale
+      }, label + ' ' + year + ' ' + period.key))
+        .filter(ee.Filter.notNull(['total_mm', 'baseline_mm']));
+
+      tables.push(rows.map(function(f) {
+        return f.set({
+          unit: options.unit_field ? f.get(options.unit_field) : options.unit_label,
+          year: period.year,
+          season: period.key,
+          time: period.time,
+          anomaly: ee.Number(f.get('total_mm')).subtract(f.get('baseline_mm'))
+        });
+      }));
+    });
+  }
+  return ee.FeatureCollection(tables).flatten();
+}
+
+// Columns of the series table: the zones' ID columns, then COLUMNS
+function columns(idFields) {
+  return (idFields || []).filter(function(field) {
+    return COLUMNS.indexOf(field) < 0;
+  }).concat(COLUMNS);
+}
+
+// Units after the first max_units, which chart() leaves out
+function leftOut(table, options) {
+  return ee.FeatureCollection(table).aggregate_array('unit').distinct()
+    .slice(options.max_units || CHART_UNITS);
+}
+
+// Line chart of total_mm over time, one line per unit (first max_units units;
+// uncharted() names the rest)
+function chart(table, options) {
+  options = options || {};
+  var units = ee.FeatureCollection(table).aggregate_array('unit').distinct()
+    .slice(0, options.max_units || CHART_UNITS);
+
+  return ui.Chart.feature.groups({
+    features: ee.FeatureCollection(table).filter(ee.Filter.inList('unit', units)),
+    xProperty: 'time',
+    yProperty: 'total_mm',
+    seriesProperty: 'unit'
+  })
+  .setChartType('LineChart')
+  .setOptions({
+    title: options.title || 'Rainfall per unit',
+    hAxis: {title: 'Year', format: '####'},
+    vAxis: {title: 'Rainfall (mm)'},
+    lineWidth: 1,
+    pointSize: 3
+  });
+}
+
+// Message naming the units chart() leaves out, if any
+function uncharted(table, options) {
+  options = options || {};
+  var noun = options.noun || 'unit';
+  var units = leftOut(table, options);
+  return ee.String(ee.Algorithms.If(units.size().gt(0),
+    ee.String('Not in the chart (all in the CSV): ')
+      .cat(ee.Number(units.size()).format('%d'))
+      .cat(' ' + noun + 's — ')
+      .cat(units.join(', ')),
+    'Every ' + noun + ' is in the chart.'));
+}
+
+exports.zoneSeries = zoneSeries;
+exports.chart = chart;
+exports.uncharted = uncharted;
+exports.columns = columns;
+exports.MODES = MODES;
+exports.COLUMNS = COLUMNS;
+exports.CHART_UNITS = CHART_UNITS;
@@ -0,0 +1,157 @@
+// ======================================================================
+// SEASONS — month/day windows that may cross the new year
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var seasonLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/season.js');
+//   seasonLib.validate(check, {season_start: '10-01', season_end: '02-28', study_year: 2023,
+//                              baseline_end_year: 2020});
+//   var season = seasonLib.createSeason({season_start: '10-01', season_end: '02-28'});
+//
+//   season.window(2023)            → {start: '2023-10-01', end: '2024-03-01'} (end exclusive)
+//   season.total(chirps, 2023)     → ee.Image, rainfall sum of the 2023 season
+//   season.totals(chirps, 1991, 2020)
+//                                  → ee.ImageCollection, one total per season ('year' property)
+//
+// season_start / season_end: 'MM-DD', both days included. When the end is
+// before the start the season crosses the new year and belongs to the year
+// it starts in (October 2023 – February 2024 is the 2023 season). '02-29'
+// as the end means the last day of February in every year; it is not
+// allowed as the start.
+//
+// The study total and every baseline total use the same window, so leap
+// years and calendar-year boundaries cannot shift one against the other.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var MONTH_DAY = /^(\d{2})-(\d{2})$/;
+var DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function fail(message) {
+  throw new Error('Season: ' + message);
+}
+
+// {month, day} of a 'MM-DD' string, or null
+function parseMonthDay(value) {
+  var m = MONTH_DAY.exec(value);
+  if (!m) {
+    return null;
+  }
+  var month = +m[1];
+  var day = +m[2];
+  if (month < 1 || month > 12 || day < 1 || day > DAYS_IN_MONTH[month - 1]) {
+    return null;
+  }
+  return {month: month, day: day};
+}
+
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function dayAfter(date) {
+  return isoDate(Number(date.slice(0, 4)), Number(date.slice(5, 7)), Number(date.slice(8, 10)) + 1);
+}
+
+function isLeap(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function createSeason(settings) {
+  settings = settings || {};
+  var start = parseMonthDay(settings.season_start);
+  var end = parseMonthDay(settings.season_end);
+  if (!start || !end) {
+    fail('season_start and season_end must be days written as \'MM-DD\' (got ' +
+      JSON.stringify(settings.season_start) + ', ' + JSON.stringify(settings.season_end) + ').');
+  }
+  if (start.month === 2 && start.day === 29) {
+    fail('season_start cannot be \'02-29\'; start on \'03-01\' or \'02-28\'.');
+  }
+
+  var wraps = end.month < start.month || (end.month === start.month && end.day < start.day);
+
+  // [start, end) of the season that starts in `year`
+  function window(year) {
+    var endYear = wraps ? year + 1 : year;
+    var endDay = end.month === 2 && end.day === 29 && !isLeap(endYear) ? 28 : end.day;
+    return {
+      start: isoDate(year, start.month, start.day),
+      end: isoDate(endYear, end.month, endDay + 1)
+    };
+  }
+
+  // Rainfall sum of the season that starts in `year`
+  function total(collection, year) {
+    var w = window(year);
+    return ee.ImageCollection(collection)
+      .filterDate(w.start, w.end)
+      .sum()
+      .set({year: year, season: w.start + '/' + w.end});
+  }
+
+  // One total per season from startYear to endYear (inclusive)
+  function totals(collection, startYear, endYear) {
+    var images = [];
+    for (var y = startYear; y <= endYear; y++) {
+      images.push(total(collection, y));
+    }
+    return ee.ImageCollection(images);
+  }
+
+  return {
+    start: settings.season_start,
+    end: settings.season_end,
+    wraps: wraps,
+    label: settings.season_start + ' to ' + settings.season_end + (wraps ? ' (crosses the new year)' : ''),
+    window: window,
+    total: total,
+    totals: totals
+  };
+}
+
+// Add season problems to a validate.js validator; returns the season when
+// its days are valid (null otherwise)
+function validate(check, options) {
+  var startOk = !!parseMonthDay(options.season_start);
+  var endOk = !!parseMonthDay(options.season_end);
+  check.that(startOk, 'season_start must be a day written as \'MM-DD\', e.g. \'10-01\' (got ' +
+    JSON.stringify(options.season_start) + ').');
+  check.that(endOk, 'season_end must be a day written as \'MM-DD\', e.g. \'02-28\' (got ' +
+    JSON.stringify(options.season_end) + ').');
+  check.that(options.season_start !== '02-29', 'season_start cannot be \'02-29\'; start on \'03-01\' or \'02-28\'.');
+  if (!startOk || !endOk || options.season_start === '02-29') {
+    return null;
+  }
+
+  var season = createSeason(options);
+  var coverage = datasetsLib.coverage(options.dataset || 'CHIRPS');
+  var last = coverage.end || new Date().toISOString().slice(0, 10);
+
+  function inside(name, year) {
+    if (typeof year !== 'number' || Math.floor(year) !== year) {
+      return;  // reported by the year checks
+    }
+    var w = season.window(year);
+    // w.end is exclusive: a season may end on the record's last day
+    check.that(w.start >= coverage.start && w.end <= dayAfter(last),
+      name + ' ' + year + ' needs rainfall from ' + w.start + ' to ' + w.end + ' (exclusive), outside ' +
+      coverage.name + ', which covers ' + coverage.start + ' to ' + last + '.');
+  }
+
+  if (options.study_year !== undefined) {
+    check.that(typeof options.study_year === 'number' && Math.floor(options.study_year) === options.study_year,
+      'study_year must be a whole year, e.g. 2023 (got ' + JSON.stringify(options.study_year) + ').');
+    inside('the study season of', options.study_year);
+  }
+  // Only the last baseline season can run past the record (crossing seasons end a year later)
+  if (season.wraps && options.baseline_end_year !== undefined) {
+    inside('the baseline season of', options.baseline_end_year);
+  }
+  return season;
+}
+
+exports.createSeason = createSeason;
+exports.validate = validate;
+exports.parseMonthDay = parseMonthDay;
@@ -0,0 +1,241 @@
+// ======================================================================
+// SEVERITY CLASSES — rainfall anomaly reclassified into deficit/surplus classes
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var severityLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/severity.js');
+//   severityLib.validate(check, {severity_index: 'pct_of_normal', severity_classes: []});
+//   var severity = severityLib.createSeverity({index: 'pct_of_normal', classes: []});
+//   var classes = severity.classify(anomalies);          // byte band 'severity', CLASS values 1..n
+//   var wide = severity.zoneAreas(classes, PA, {areas: areas, budget: budget, scale: 1000});
+//   var tidy = severity.tidy(wide, ['WDPAID', 'NAME'], areas);
+//   exporter.table(tidy, 'PA_Severity', {selectors: severity.tidyColumns(['WDPAID', 'NAME'], areas)});
+//   print(severity.chart(wide, {x_field: 'NAME', areas: areas}));
+//
+// index  : anomaly band to classify: 'pct_of_normal' (study / baseline x 100),
+//          'z_score' or 'anomaly_mm'
+// classes: [{name, max, color}] from driest to wettest; a pixel falls in the
+//          first class whose max it is below, the last class has no max.
+//          [] → PRESETS[index].
+//
+// Areas come from one grouped sum of pixel area per zone (as the GSW
+// transition table); percent is the share of the zone's classified area,
+// so pixels without an anomaly (no baseline rain) are left out of both.
+// ======================================================================
+
+var INDICES = ['pct_of_normal', 'z_score', 'anomaly_mm'];
+
+var COLORS = ['8C510A', 'D8B365', 'F6E8C3', 'F5F5F5', '80CDC1', '01665E', '003C30'];
+
+var PRESETS = {
+  pct_of_normal: [
+    {name: 'severe_deficit', max: 50},
+    {name: 'moderate_deficit', max: 75},
+    {name: 'mild_deficit', max: 90},
+    {name: 'near_normal', max: 110},
+    {name: 'above_normal', max: 125},
+    {name: 'well_above_normal'}
+  ],
+  z_score: [
+    {name: 'severe_deficit', max: -1.5},
+    {name: 'moderate_deficit', max: -1},
+    {name: 'mild_deficit', max: -0.5},
+    {name: 'near_normal', max: 0.5},
+    {name: 'above_normal', max: 1},
+    {name: 'well_above_normal'}
+  ],
+  anomaly_mm: [
+    {name: 'severe_deficit', max: -100},
+    {name: 'moderate_deficit', max: -50},
+    {name: 'mild_deficit', max: -20},
+    {name: 'near_normal', max: 20},
+    {name: 'above_normal', max: 50},
+    {name: 'well_above_normal'}
+  ]
+};
+
+var NAME = /^[a-z][a-z0-9_]*$/;
+
+function fail(message) {
+  throw new Error('Severity: ' + message);
+}
+
+// Problem with a class list, or null
+function classProblem(classes) {
+  if (!Array.isArray(classes) || classes.length < 2) {
+    return 'severity_classes must list at least two classes ([] = preset of severity_index)';
+  }
+  var names = {};
+  for (var i = 0; i < classes.length; i++) {
+    var c = classes[i] || {};
+    var last = i === classes.length - 1;
+    if (typeof c.name !== 'string' || !NAME.test(c.name)) {
+      return 'class ' + (i + 1) + ' needs a name in lower case with underscores, e.g. \'severe_deficit\'';
+    }
+    if (names[c.name]) {
+      return 'class name \'' + c.name + '\' is used twice';
+    }
+    names[c.name] = true;
+    if (last && c.max !== undefined) {
+      return 'the last class (\'' + c.name + '\') takes everything above the one before it and has no max';
+    }
+    if (!last && typeof c.max !== 'number') {
+      return 'class \'' + c.name + '\' needs a numeric max';
+    }
+    if (!last && i > 0 && !(c.max > classes[i - 1].max)) {
+      return 'class maxima must increase from driest to wettest (\'' + c.name + '\' max ' + c.max + ')';
+    }
+  }
+  return null;
+}
+
+// Add severity problems to a validate.js validator
+function validate(check, settings) {
+  var index = settings.severity_index;
+  check.that(INDICES.indexOf(index) >= 0,
+    'severity_index must be one of ' + INDICES.join(', ') + ' (got ' + JSON.stringify(index) + ').');
+  var classes = settings.severity_classes;
+  if (Array.isArray(classes) && classes.length === 0) {
+    return;
+  }
+  var problem = classProblem(classes);
+  check.that(!problem, 'severity_classes: ' + problem + '.');
+}
+
+// Range text of class i, e.g. '50 to 75'
+function rangeOf(classes, i) {
+  if (i === 0) {
+    return '< ' + classes[0].max;
+  }
+  if (i === classes.length - 1) {
+    return '>= ' + classes[i - 1].max;
+  }
+  return classes[i - 1].max + ' to ' + classes[i].max;
+}
+
+function createSeverity(settings) {
+  settings = settings || {};
+  var index = settings.index;
+  if (INDICES.indexOf(index) < 0) {
+    fail('index must be one of ' + INDICES.join(', ') + ' (got ' + JSON.stringify(index) + ').');
+  }
+  var given = settings.classes && settings.classes.length ? settings.classes : PRESETS[index];
+  var problem = classProblem(given);
+  if (problem) {
+    fail(problem + '.');
+  }
+
+  // Values 1..n (0 stays free for "no data" in exported rasters)
+  var classes = given.map(function(c, i) {
+    return {
+      value: i + 1,
+      name: c.name,
+      max: c.max,
+      range: rangeOf(given, i),
+      color: c.color || COLORS[Math.min(i, COLORS.length - 1)]
+    };
+  });
+
+  var vis = {
+    min: 1,
+    max: classes.length,
+    palette: classes.map(function(c) { return c.color; })
+  };
+
+  // Class image (band 'severity') of the index band of an anomaly image
+  function classify(anomalies) {
+    var value = ee.Image(anomalies).select(index);
+    var out = ee.Image(classes.length);
+    for (var i = classes.length - 2; i >= 0; i--) {
+      out = out.where(value.lt(classes[i].max), classes[i].value);
+    }
+    return out.updateMask(value.mask()).rename('severity').byte();
+  }
+
+  // Area column of a class, e.g. 'severe_deficit_km2'
+  function areaField(c, areas) {
+    return areas.field(c.name);
+  }
+
+  // Area of every class per zone (wide: one area column per class)
+  function zoneAreas(classImage, zones, options) {
+    var areas = options.areas;
+    var grouped = areas.pixelArea().addBands(classImage).reduceRegions(options.budget.regions(areas.params({
+      collection: zones,
+      reducer: ee.Reducer.sum().group({
+        groupField: 1,
+        groupName: 'severity'
+      }),
+      scale: options.scale
+    }), options.label || 'Severity areas'));
+
+    return grouped.map(function(f) {
+      var groups = ee.List(ee.Algorithms.If(f.get('groups'), f.get('groups'), ee.List([])));
+      var byClass = ee.Dictionary.fromLists(
+        groups.map(function(g) { return ee.Number(ee.Dictionary(g).get('severity')).format('%d'); }),
+        groups.map(function(g) { return ee.Dictionary(g).get('sum'); })
+      );
+      var props = {};
+      classes.forEach(function(c) {
+        props[areaField(c, areas)] = ee.Number(byClass.get(String(c.value), 0));
+      });
+      return f.set(props).set('classified_area', ee.Number(byClass.values().reduce(ee.Reducer.sum())));
+    }).filter(ee.Filter.gt('classified_area', 0));
+  }
+
+  // Tidy table: one row per zone and class (id fields, class, area, percent)
+  function tidy(wide, idFields, areas) {
+    var field = areas.field('area');
+    return areas.tag(ee.FeatureCollection(classes.map(function(c) {
+      return ee.FeatureCollection(wide).map(function(f) {
+        var area = ee.Number(f.get(areaField(c, areas)));
+        var props = {
+          class_value: c.value,
+          class_name: c.name,
+          class_range: c.range,
+          percent: area.divide(f.get('classified_area')).multiply(100)
+        };
+        props[field] = area;
+        return ee.Feature(null, f.toDictionary(idFields)).set(props);
+      });
+    })).flatten());
+  }
+
+  function tidyColumns(idFields, areas) {
+    return idFields.concat(['class_value', 'class_name', 'class_range', areas.field('area'), 'percent'])
+      .concat(areas.columns);
+  }
+
+  // Stacked bar of class areas per zone (first max_units zones)
+  function chart(wide, options) {
+    var areas = options.areas;
+    return ui.Chart.feature.byFeature({
+      features: ee.FeatureCollection(wide).limit(options.max_units || 20),
+      xProperty: options.x_field,
+      yProperties: classes.map(function(c) { return areaField(c, areas); })
+    })
+    .setChartType('BarChart')
+    .setOptions({
+      title: options.title || 'Rainfall severity area per zone (' + areas.unit + ')',
+      isStacked: true,
+      hAxis: {title: 'Area (' + areas.unit + ')'},
+      colors: classes.map(function(c) { return c.color; })
+    });
+  }
+
+  return {
+    index: index,
+    classes: classes,
+    vis: vis,
+    classify: classify,
+    zoneAreas: zoneAreas,
+    tidy: tidy,
+    tidyColumns: tidyColumns,
+    chart: chart
+  };
+}
+
+exports.createSeverity = createSeverity;
+exports.validate = validate;
+exports.INDICES = INDICES;
+exports.PRESETS = PRESETS;
@@ -0,0 +1,259 @@
+// ======================================================================
+// SPI — Standardized Precipitation Index from CHIRPS daily rainfall
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var spiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/spi.js');
+//   spiLib.validate(check, {timescales: spi_timescales, end_date: study_end,
+//                           study_year: study_year, baseline_start_year: baseline_start_year});
+//   var spi = spiLib.computeSpi({
+//     collection: chirps,             // daily precipitation (mm)
+//     end_date: study_end,            // exclusive, as in filterDate()
+//     study_year: 2023,               // year the study season starts in
+//     baseline_start_year: 1991,
+//     baseline_end_year: 2020,
+//     timescales: [1, 3, 6, 12]
+//   });
+//   spi.image    → bands spi_1, spi_3, ... (standard normal units)
+//   spi.classes  → bands drought_1, drought_3, ... (CLASSES values 0-3)
+//   spi.last_day → last study day, where every window ends ('YYYY-MM-DD')
+//   spiLib.zoneTable(spi, zones, {areas: areas, budget: budget, scale: 1000})
+//                → per zone: mean SPI and area of every drought class
+//
+// Method (McKee et al. 1993), per pixel and timescale k:
+// 1. Rainfall is summed over the k months ending on the last study day
+//    (e.g. 16 Nov - 15 Feb for SPI-3 of a season ending on 15 Feb), for the
+//    study year and the same days of every baseline year, so a season that
+//    ends mid-month is compared day for day. With study_year, baseline years
+//    are the years the seasons start in (as in season.js): for a season
+//    from November to March, baseline year 1991 ends in March 1992.
+// 2. A gamma distribution is fitted to the baseline sums (Thom 1958
+//    maximum-likelihood estimates); dry sums enter as the probability q.
+// 3. SPI = Φ⁻¹(q + (1 - q)·G(x)) for the study sum x.
+// Pixels with fewer than 3 wet baseline sums have no SPI. The fit needs a
+// long baseline: 30 years is the usual reference period.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+
+var TIMESCALES = [1, 3, 6, 12];
+var MAX_TIMESCALE = 48;
+var MIN_WET_YEARS = 3;
+
+// Drought classes (McKee et al. 1993)
+var CLASSES = [
+  {value: 0, name: 'none', label: 'No drought (SPI > -1)', color: 'FFFFFF'},
+  {value: 1, name: 'moderate', label: 'Moderate (-1.5 < SPI <= -1)', color: 'FCD37F'},
+  {value: 2, name: 'severe', label: 'Severe (-2 < SPI <= -1.5)', color: 'FFAA00'},
+  {value: 3, name: 'extreme', label: 'Extreme (SPI <= -2)', color: 'E60000'}
+];
+
+var VIS_SPI = {
+  min: -3,
+  max: 3,
+  palette: ['8C510A', 'D8B365', 'F6E8C3', 'F5F5F5', 'C7EAE5', '5AB4AC', '01665E']
+};
+
+var VIS_CLASSES = {
+  min: 0,
+  max: 3,
+  palette: CLASSES.map(function(c) { return c.color; })
+};
+
+function fail(message) {
+  throw new Error('SPI: ' + message);
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+// 'YYYY-MM-DD' of year/month/day; the day is kept inside the month
+// (31 March minus one month is 28 or 29 February)
+function dateOf(year, month, day) {
+  var first = new Date(Date.UTC(year, month - 1, 1));
+  var days = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return first.getUTCFullYear() + '-' + pad(first.getUTCMonth() + 1) + '-' + pad(Math.min(day, days));
+}
+
+// {year, month, day} of the last day before an exclusive end date
+function lastMonth(endDate) {
+  var d = new Date(Date.parse(endDate + 'T00:00:00Z') - 86400000);
+  return {year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate()};
+}
+
+// [start, end) of the k months ending on the last study day, in the year
+// whose last study day falls in `year` (the study year or a baseline year)
+function window(endDate, year, k) {
+  var last = lastMonth(endDate);
+  var end = {
+    year: Number(endDate.slice(0, 4)) + year - last.year,
+    month: Number(endDate.slice(5, 7)),
+    day: Number(endDate.slice(8, 10))
+  };
+  return {start: dateOf(end.year, end.month - k, end.day), end: dateOf(end.year, end.month, end.day)};
+}
+
+// Years from the start of the study season to its last day (1 for a
+// season that crosses the new year, 0 without study_year)
+function endOffset(options) {
+  return options.study_year === undefined ? 0 : lastMonth(options.end_date).year - options.study_year;
+}
+
+function validTimescales(timescales) {
+  return Array.isArray(timescales) && timescales.length > 0 && timescales.every(function(k) {
+    return typeof k === 'number' && Math.floor(k) === k && k >= 1 && k <= MAX_TIMESCALE;
+  });
+}
+
+// Add SPI problems to a validate.js validator
+function validate(check, options) {
+  var timescales = options.timescales;
+  var ok = validTimescales(timescales);
+  check.that(ok, 'spi_timescales must be a list of months from 1 to ' + MAX_TIMESCALE +
+    ', e.g. [1, 3, 6, 12] (got ' + JSON.stringify(timescales) + ').');
+  if (!ok || !validateLib.isDate(options.end_date)) {
+    return;
+  }
+  var coverage = datasetsLib.coverage(options.dataset || 'CHIRPS');
+  if (!(options.baseline_start_year >= Number(coverage.start.slice(0, 4)))) {
+    return;  // reported by the baseline year check
+  }
+  var longest = Math.max.apply(null, timescales);
+  var first = window(options.end_date, options.baseline_start_year + endOffset(options), longest).start;
+  check.that(first >= coverage.start,
+    'the ' + longest + '-month SPI needs rainfall from ' + first + ', before ' + coverage.name +
+    ' starts (' + coverage.start + '); raise baseline_start_year or drop that timescale.');
+}
+
+// Rainfall sum over the k months ending on the last study day of `year`
+function accumulate(collection, endDate, year, k) {
+  var w = window(endDate, year, k);
+  return collection.filterDate(w.start, w.end).sum().rename('p');
+}
+
+// SPI of the study sum x against the baseline sums (gamma fit per pixel)
+function gammaSpi(sums, x) {
+  var n = sums.count();
+  var wet = sums.map(function(img) {
+    return img.updateMask(img.gt(0));
+  });
+  var nWet = wet.count();
+  var q = n.subtract(nWet).divide(n);   // probability of a dry sum
+
+  // Thom (1958): A = ln(mean) - mean(ln x), alpha = (1 + sqrt(1 + 4A/3)) / 4A
+  var mean = wet.mean();
+  var meanLog = wet.map(function(img) {
+    return img.log();
+  }).mean();
+  var a = mean.log().subtract(meanLog).max(1e-6);
+  var alpha = a.multiply(4 / 3).add(1).sqrt().add(1).divide(a.multiply(4));
+  var beta = mean.divide(alpha);
+
+  // Regularized lower incomplete gamma P(alpha, x / beta)
+  var g = alpha.gammainc(x.divide(beta));
+  var h = q.add(q.multiply(-1).add(1).multiply(g)).clamp(1e-6, 1 - 1e-6);
+
+  // Standard normal quantile: sqrt(2) * erfinv(2H - 1)
+  return h.multiply(2).subtract(1).erfInv().multiply(Math.SQRT2)
+    .updateMask(nWet.gte(MIN_WET_YEARS));
+}
+
+// Drought class image (CLASSES values) of one SPI band
+function classify(spi) {
+  return ee.Image(0)
+    .where(spi.lte(-1), 1)
+    .where(spi.lte(-1.5), 2)
+    .where(spi.lte(-2), 3)
+    .updateMask(spi.mask())
+    .byte();
+}
+
+function computeSpi(options) {
+  options = options || {};
+  var timescales = options.timescales || TIMESCALES;
+  if (!validTimescales(timescales)) {
+    fail('timescales must be a list of months from 1 to ' + MAX_TIMESCALE + '.');
+  }
+  if (!validateLib.isDate(options.end_date)) {
+    fail('end_date must be a date written as \'YYYY-MM-DD\'.');
+  }
+
+  var collection = ee.ImageCollection(options.collection);
+  var end = lastMonth(options.end_date);
+  var offset = endOffset(options);
+  var spiBands = [];
+  var classBands = [];
+
+  timescales.forEach(function(k) {
+    var sums = [];
+    for (var y = options.baseline_start_year; y <= options.baseline_end_year; y++) {
+      sums.push(accumulate(collection, options.end_date, y + offset, k));
+    }
+    var spi = gammaSpi(ee.ImageCollection(sums), accumulate(collection, options.end_date, end.year, k))
+      .rename('spi_' + k);
+    spiBands.push(spi);
+    classBands.push(classify(spi).rename('drought_' + k));
+  });
+
+  return {
+    image: ee.Image.cat(spiBands).toFloat(),
+    classes: ee.Image.cat(classBands),
+    timescales: timescales.slice(),
+    month: end.year + '-' + pad(end.month),
+    last_day: dateOf(end.year, end.month, end.day),
+    bands: timescales.map(function(k) { return 'spi_' + k; }),
+    class_bands: timescales.map(function(k) { return 'drought_' + k; })
+  };
+}
+
+// Columns of zoneTable(): spi_k, then spi_k_<class>_<unit> per drought class
+function columns(spi, areas) {
+  var out = spi.bands.slice();
+  spi.timescales.forEach(function(k) {
+    CLASSES.slice(1).forEach(function(c) {
+      out.push(areas.field('spi_' + k + '_' + c.name));
+    });
+  });
+  return out;
+}
+
+// Mean SPI and drought class areas (area.js unit) per zone
+function zoneTable(spi, zones, options) {
+  var areas = options.areas;
+  var budget = options.budget;
+  var label = options.label || 'SPI';
+
+  var means = spi.image.reduceRegions(budget.regions({
+    collection: zones,
+    reducer: ee.Reducer.mean(),
+    scale: options.scale
+  }, label + ' (mean)'));
+
+  var areaBands = [];
+  spi.timescales.forEach(function(k) {
+    var classes = spi.classes.select('drought_' + k);
+    CLASSES.slice(1).forEach(function(c) {
+      areaBands.push(areas.pixelArea().updateMask(classes.eq(c.value))
+        .rename(areas.field('spi_' + k + '_' + c.name)));
+    });
+  });
+
+  return areas.tag(ee.Image.cat(areaBands).reduceRegions(budget.regions(areas.params({
+    collection: means,
+    reducer: ee.Reducer.sum(),
+    scale: options.scale
+  }), label + ' (drought areas)')));
+}
+
+exports.computeSpi = computeSpi;
+exports.classify = classify;
+exports.validate = validate;
+exports.zoneTable = zoneTable;
+exports.columns = columns;
+exports.lastMonth = lastMonth;
+exports.TIMESCALES = TIMESCALES;
+exports.CLASSES = CLASSES;
+exports.VIS_SPI = VIS_SPI;
+exports.VIS_CLASSES = VIS_CLASSES;
@@ -0,0 +1,214 @@
+// ======================================================================
+// SETTINGS VALIDATION — pre-flight checks before any computation
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+//   var check = validateLib.createValidator();
+//   check.dateRange('study_start', 'study_end', study_start, study_end, 'CHIRPS');
+//   check.yearRange('baseline_start_year', 'baseline_end_year',
+//                   baseline_start_year, baseline_end_year, 'CHIRPS');
+//   check.doyRange('doy_start', 'doy_end', doy_start, doy_end);
+//   check.scale('scale', scale);
+//   check.done();  // stops with every problem found, or returns true
+//
+// Checks are collected, not thrown one by one, so a single run lists every
+// setting that needs fixing. Dates are 'YYYY-MM-DD' strings; date ranges are
+// used with filterDate(), so the end date is exclusive and must be after
+// the start date. Dataset keys and coverage come from datasets.js.
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+// Temporal coverage of every registered dataset with dates, keyed like the
+// registry (end: null = still updated; checked against today's date)
+var COVERAGE = {};
+Object.keys(datasetsLib.DATASETS).forEach(function(key) {
+  if (datasetsLib.DATASETS[key].coverage) {
+    COVERAGE[key] = datasetsLib.coverage(key);
+  }
+});
+
+var DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function dayAfter(date) {
+  return new Date(Date.parse(date + 'T00:00:00Z') + 86400000).toISOString().slice(0, 10);
+}
+
+function isInteger(value) {
+  return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+}
+
+// 'YYYY-MM-DD' that is a real calendar date
+function isDate(value) {
+  var m = DATE_PATTERN.exec(value);
+  if (!m) {
+    return false;
+  }
+  var d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+function coverageOf(key) {
+  var coverage = COVERAGE[key];
+  if (!coverage) {
+    throw new Error('Settings: unknown dataset key \'' + key + '\'.');
+  }
+  return {
+    name: coverage.name,
+    start: coverage.start,
+    end: coverage.end || today()
+  };
+}
+
+function createValidator() {
+  var problems = [];
+
+  function add(message) {
+    problems.push(message);
+  }
+
+  function checkDate(name, value) {
+    if (!isDate(value)) {
+      add(name + ' must be a date written as \'YYYY-MM-DD\' (got ' + JSON.stringify(value) + ').');
+      return false;
+    }
+    return true;
+  }
+
+  function checkInteger(name, value, min, max) {
+    if (!isInteger(value) || value < min || value > max) {
+      add(name + ' must be a whole number from ' + min + ' to ' + max + ' (got ' + JSON.stringify(value) + ').');
+      return false;
+    }
+    return true;
+  }
+
+  // start/end dates for filterDate(): valid, ordered, inside the dataset record
+  function dateRange(startName, endName, start, end, datasetKey) {
+    var startOk = checkDate(startName, start);
+    var endOk = checkDate(endName, end);
+    if (!startOk || !endOk) {
+      return;
+    }
+    if (end <= start) {
+      add(endName + ' (' + end + ') must be after ' + startName + ' (' + start + '); the range is empty.');
+      return;
+    }
+    if (datasetKey) {
+      var coverage = coverageOf(datasetKey);
+      // end is exclusive, as in filterDate(): it may be the day after the record ends
+      if (start < coverage.start || end > dayAfter(coverage.end)) {
+        add(startName + '/' + endName + ' (' + start + ' to ' + end + ') fall outside ' + coverage.name +
+            ', which covers ' + coverage.start + ' to ' + coverage.end + '.');
+      }
+    }
+  }
+
+  // Calendar years (inclusive): integers, ordered, inside the dataset record
+  function yearRange(startName, endName, startYear, endYear, datasetKey) {
+    var startOk = checkInteger(startName, startYear, 1900, 2100);
+    var endOk = checkInteger(endName, endYear, 1900, 2100);
+    if (!startOk || !endOk) {
+      return;
+    }
+    if (endYear < startYear) {
+      add(endName + ' (' + endYear + ') is before ' + startName + ' (' + startYear + ').');
+      return;
+    }
+    if (datasetKey) {
+      var coverage = coverageOf(datasetKey);
+      var first = +coverage.start.slice(0, 4);
+      var last = +coverage.end.slice(0, 4);
+      if (startYear < first || endYear > last) {
+        add(startName + '/' + endName + ' (' + startYear + '-' + endYear + ') fall outside ' + coverage.name +
+            ', which covers ' + first + '-' + last + '.');
+      }
+    }
+  }
+
+  // A date range that must sit inside another one (e.g. a filtered collection)
+  function dateWithin(startName, endName, start, end, outerStartName, outerEndName, outerStart, outerEnd) {
+    if (!isDate(start) || !isDate(end) || !isDate(outerStart) || !isDate(outerEnd)) {
+      return;
+    }
+    if (start < outerStart || end > outerEnd) {
+      add(startName + '/' + endName + ' (' + start + ' to ' + end + ') must lie inside ' +
+          outerStartName + '/' + outerEndName + ' (' + outerStart + ' to ' + outerEnd + ').');
+    }
+  }
+
+  // Day-of-year window for ee.Filter.dayOfYear()
+  function doyRange(startName, endName, start, end) {
+    var startOk = checkInteger(startName, start, 1, 366);
+    var endOk = checkInteger(endName, end, 1, 366);
+    if (startOk && endOk && end < start) {
+      add(endName + ' (' + end + ') is before ' + startName + ' (' + start + '); ' +
+          'seasons that cross the new year are not supported.');
+    }
+  }
+
+  function monthRange(startName, endName, start, end) {
+    var startOk = checkInteger(startName, start, 1, 12);
+    var endOk = checkInteger(endName, end, 1, 12);
+    if (startOk && endOk && end < start) {
+      add(endName + ' (' + end + ') is before ' + startName + ' (' + start + ').');
+    }
+  }
+
+  // Pixel size in metres
+  function scale(name, value, options) {
+    options = options || {};
+    var min = options.min || 1;
+    var max = options.max || 100000;
+    if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+      add(name + ' must be a pixel size in metres from ' + min + ' to ' + max +
+          ' (got ' + JSON.stringify(value) + ').');
+    }
+  }
+
+  function number(name, value, min, max) {
+    if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+      add(name + ' must be a number from ' + min + ' to ' + max + ' (got ' + JSON.stringify(value) + ').');
+    }
+  }
+
+  // Free-form check: add message when condition is false
+  function that(condition, message) {
+    if (!condition) {
+      add(message);
+    }
+  }
+
+  // Stop with the full list of problems, if any
+  function done() {
+    if (problems.length > 0) {
+      throw new Error('Settings: ' + problems.length + ' problem' + (problems.length > 1 ? 's' : '') +
+        ' found:\n  - ' + problems.join('\n  - '));
+    }
+    return true;
+  }
+
+  return {
+    dateRange: dateRange,
+    yearRange: yearRange,
+    dateWithin: dateWithin,
+    doyRange: doyRange,
+    monthRange: monthRange,
+    scale: scale,
+    number: number,
+    that: that,
+    problems: function() {
+      return problems.slice();
+    },
+    done: done
+  };
+}
+
+exports.createValidator = createValidator;
+exports.COVERAGE = COVERAGE;
+exports.isDate = isDate;
@@ -0,0 +1,80 @@
+// ======================================================================
+// WORKFLOW HELPERS — settings and run context of scripts/workflows/*.js
+// ======================================================================
+//
+// Usage (in a workflow module):
+//   var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+//
+//   function run(settings, context) {
+//     var s = workflowLib.settings(settings, DEFAULTS);
+//     var ctx = workflowLib.createContext(context, SCRIPT);
+//     var print = ctx.print;
+//     var aoi = ctx.resolveAoi({use_custom_aoi: s.use_custom_aoi, country_name: s.country_name});
+//     ...
+//   }
+//
+// settings: the USER SETTINGS of the script; missing ones take the
+//           workflow DEFAULTS, unknown names stop the run.
+// context : how the run is hosted (all optional)
+// - custom_aoi / drawn_geometry → Imports-panel "AOI" and "geometry"
+// - zone_features → Imports-panel "ZONES" (zones.js zone_source 'features')
+// - aoi           → resolved aoi.js bundle; used instead of the AOI settings
+//                   (the app resolves the AOI from its own dropdowns)
+// - print         → output for messages and charts (default: Console)
+// - script        → script name in the provenance table
+// - queue_exports → false lists the exports without starting tasks
+//                   (published EE Apps cannot start export tasks)
+// ======================================================================
+
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+
+function fail(message) {
+  throw new Error('Workflow: ' + message);
+}
+
+// DEFAULTS overlaid with the given settings
+function settings(values, defaults) {
+  var out = {};
+  Object.keys(defaults).forEach(function(name) {
+    out[name] = defaults[name];
+  });
+  Object.keys(values || {}).forEach(function(name) {
+    if (!defaults.hasOwnProperty(name)) {
+      fail('unknown setting \'' + name + '\' (known: ' + Object.keys(defaults).join(', ') + ').');
+    }
+    out[name] = values[name];
+  });
+  return out;
+}
+
+function createContext(context, script) {
+  context = context || {};
+  var customAoi = context.custom_aoi || null;
+  var drawnGeometry = context.drawn_geometry || null;
+
+  // The host's AOI bundle, or the AOI settings resolved with the imports
+  function resolveAoi(aoiSettings) {
+    if (context.aoi) {
+      return context.aoi;
+    }
+    var full = {custom_aoi: customAoi, drawn_geometry: drawnGeometry};
+    Object.keys(aoiSettings).forEach(function(name) {
+      full[name] = aoiSettings[name];
+    });
+    return aoiLib.resolveAoi(full);
+  }
+
+  return {
+    script: context.script || script,
+    print: context.print || print,
+    custom_aoi: customAoi,
+    drawn_geometry: drawnGeometry,
+    zone_features: context.zone_features || null,
+    aoi: context.aoi || null,
+    queue_exports: context.queue_exports !== false,
+    resolveAoi: resolveAoi
+  };
+}
+
+exports.settings = settings;
+exports.createContext = createContext;
@@ -0,0 +1,249 @@
+// ======================================================================
+// ZONES — the units every zone table of a workflow summarizes
+// ======================================================================
+//
+// Usage (Code Editor):
+//   var zonesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/zones.js');
+//   var zones = zonesLib.resolveZones({
+//     zone_source: 'wdpa',              // 'aoi', 'wdpa', 'gaul', 'features' or 'grid'
+//     aoi: aoi,                         // aoi.js bundle; zones are the ones touching it
+//     allowedDesigs: allowedDesigs,     // 'wdpa': designations to keep ([] = all)
+//     zone_admin_level: 2,              // 'gaul': GAUL level 0-2
+//     zone_features: ZONES,             // 'features': imported FeatureCollection ("ZONES")
+//     zone_id_fields: ['SITE_ID', 'SITE_NAME'],   // 'features': its ID/name columns
+//     zone_grid_shape: 'hex',           // 'grid': 'hex' or 'square'
+//     zone_grid_size: 10000,            // 'grid': cell width in metres
+//     zone_grid_crs: 'EPSG:6933'        // 'grid': projection the cells are regular in
+//   });
+//
+// Returns {fc, shapes, source, label, noun, id_fields, name_field, prefix, shapefile, datasets}:
+// - fc         : ee.FeatureCollection of zones (reduceRegions)
+// - shapes     : polygons for the shapefile export
+// - noun       : what one zone is called in chart titles ('PA', 'unit', 'zone', 'cell')
+// - id_fields  : columns identifying each zone, first in every zone table
+// - name_field : column naming a zone in charts (null → label)
+// - prefix     : export name prefix of the zone tables ('PA', 'Admin', 'Zone', 'Grid')
+// - shapefile  : export name of the zone polygons
+// - datasets   : datasets.js keys of the zone layer (for provenance)
+//
+// ZONE SOURCES:
+// - 'aoi'      → the AOI features themselves (e.g. the GAUL units of the AOI)
+// - 'wdpa'     → WDPA polygons (WDPAID, NAME, DESIG_ENG)
+// - 'gaul'     → FAO GAUL units at zone_admin_level (ADMn_CODE and names)
+// - 'features' → an imported FeatureCollection; zone_id_fields name its ID
+//                columns, the last one names the zone in charts
+// - 'grid'     → regular hexagons or squares over the AOI (zone_id 'R003C012',
+//                row, col); keep zone_grid_size coarse enough for the AOI,
+//                every cell is one row in every zone table
+// ======================================================================
+
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var SOURCES = ['aoi', 'wdpa', 'gaul', 'features', 'grid'];
+var GRID_SHAPES = ['hex', 'square'];
+var GAUL_KEYS = ['GAUL0', 'GAUL1', 'GAUL2'];
+
+function fail(message) {
+  throw new Error('Zones: ' + message);
+}
+
+// Add zone problems to a validate.js validator
+function validate(check, settings) {
+  var source = settings.zone_source;
+  check.that(SOURCES.indexOf(source) >= 0,
+    'zone_source must be one of ' + SOURCES.join(', ') + ' (got ' + JSON.stringify(source) + ').');
+  if (source === 'gaul') {
+    check.that([0, 1, 2].indexOf(settings.zone_admin_level) >= 0,
+      'zone_admin_level must be 0, 1 or 2 (got ' + JSON.stringify(settings.zone_admin_level) + ').');
+  }
+  if (source === 'features') {
+    var fields = settings.zone_id_fields;
+    check.that(Array.isArray(fields) && fields.length > 0 && fields.every(function(f) {
+      return typeof f === 'string' && f.length > 0;
+    }), 'zone_id_fields must list the ID columns of the ZONES import, e.g. [\'SITE_ID\', \'SITE_NAME\'] (got ' +
+      JSON.stringify(fields) + ').');
+  }
+  if (source === 'grid') {
+    check.that(GRID_SHAPES.indexOf(settings.zone_grid_shape) >= 0,
+      'zone_grid_shape must be \'hex\' or \'square\' (got ' + JSON.stringify(settings.zone_grid_shape) + ').');
+    check.number('zone_grid_size', settings.zone_grid_size, 100, 1000000);
+  }
+}
+
+// Regular hexagons (pointy-top, `size` between neighbouring centres) or
+// squares (side `size`) in `crs`, covering the bounds of the geometry
+function grid(geometry, shape, size, crs) {
+  var proj = ee.Projection(crs);
+  geometry = ee.Geometry(geometry);
+  var corners = ee.List(geometry.bounds(1, proj).coordinates().get(0));
+  var xs = corners.map(function(c) { return ee.List(c).get(0); });
+  var ys = corners.map(function(c) { return ee.List(c).get(1); });
+  var xmin = ee.Number(xs.reduce(ee.Reducer.min()));
+  var xmax = ee.Number(xs.reduce(ee.Reducer.max()));
+  var ymin = ee.Number(ys.reduce(ee.Reducer.min()));
+  var ymax = ee.Number(ys.reduce(ee.Reducer.max()));
+
+  var hex = shape === 'hex';
+  var r = size / Math.sqrt(3);          // hexagon circumradius
+  var dy = hex ? 1.5 * r : size;        // row spacing
+  var offsets = hex ?
+    [30, 90, 150, 210, 270, 330].map(function(a) {
+      var rad = a * Math.PI / 180;
+      return [r * Math.cos(rad), r * Math.sin(rad)];
+    }) :
+    [[0, 0], [size, 0], [size, size], [0, size]];
+
+  var rows = ee.List.sequence(0, ymax.subtract(ymin).divide(dy).ceil());
+  var cols = ee.List.sequence(0, xmax.subtract(xmin).divide(size).ceil());
+
+  // List.sequence() numbers can be doubles: cast before format('%03d')
+  var cells = rows.map(function(j) {
+    j = ee.Number(j).int();
+    var y = ymin.add(j.multiply(dy));
+    // Odd hexagon rows are shifted by half a cell
+    var shift = hex ? j.mod(2).multiply(size / 2) : ee.Number(0);
+    return cols.map(function(i) {
+      i = ee.Number(i).int();
+      var x = xmin.add(i.multiply(size)).add(shift);
+      var ring = offsets.map(function(o) {
+        return ee.List([x.add(o[0]), y.add(o[1])]);
+      });
+      return ee.Feature(ee.Geometry.Polygon([ring.concat([ring[0]])], proj, false), {
+        zone_id: ee.String('R').cat(j.format('%03d')).cat('C').cat(i.format('%03d')),
+        row: j,
+        col: i
+      });
+    });
+  }).flatten();
+
+  return ee.FeatureCollection(cells).filterBounds(geometry);
+}
+
+function resolveZones(settings) {
+  settings = settings || {};
+  var source = settings.zone_source;
+  var aoi = settings.aoi;
+  if (!aoi || !aoi.geometry) {
+    fail('resolveZones() needs the AOI bundle (aoi.js resolveAoi).');
+  }
+
+  if (source === 'aoi') {
+    var names = aoi.name_fields || [];
+    return {
+      fc: aoi.fc,
+      shapes: aoi.fc,
+      source: source,
+      label: aoi.label,
+      noun: 'unit',
+      id_fields: names.slice(),
+      name_field: names.length ? names[names.length - 1] : null,
+      prefix: 'Admin',
+      shapefile: 'Admin_Boundaries',
+      datasets: []
+    };
+  }
+
+  if (source === 'wdpa') {
+    var designations = settings.allowedDesigs || [];
+    var pa = datasetsLib.load('WDPA_POLYGONS');
+    if (designations.length > 0) {
+      pa = pa.filter(ee.Filter.inList('DESIG_ENG', designations));
+    }
+    // Keep PAs that intersect the AOI (filterBounds alone also keeps nearby ones)
+    pa = pa.filterBounds(aoi.geometry)
+      .map(function(f) {
+        return f.set('intersects', f.geometry().intersects(aoi.geometry, 1));
+      })
+      .filter(ee.Filter.eq('intersects', true));
+
+    return {
+      fc: pa,
+      shapes: pa.map(function(f) {
+        return f.set('geometry_type', f.geometry().type());
+      }).filter(ee.Filter.inList('geometry_type', ['Polygon', 'MultiPolygon'])),
+      source: source,
+      label: 'Protected Areas (PA)',
+      noun: 'PA',
+      id_fields: ['WDPAID', 'NAME', 'DESIG_ENG'],
+      name_field: 'NAME',
+      prefix: 'PA',
+      shapefile: 'PA_Polygons',
+      datasets: ['WDPA_POLYGONS']
+    };
+  }
+
+  if (source === 'gaul') {
+    var level = settings.zone_admin_level;
+    if ([0, 1, 2].indexOf(level) < 0) {
+      fail('zone_admin_level must be 0, 1 or 2 (got ' + JSON.stringify(level) + ').');
+    }
+    var nameFields = ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME'].slice(0, level + 1);
+    var units = datasetsLib.load(GAUL_KEYS[level]).filterBounds(aoi.geometry);
+    return {
+      fc: units,
+      shapes: units,
+      source: source,
+      label: 'GAUL level ' + level + ' units',
+      noun: 'unit',
+      id_fields: ['ADM' + level + '_CODE'].concat(nameFields),
+      name_field: nameFields[level],
+      prefix: 'Admin',
+      shapefile: 'Admin_Boundaries',
+      datasets: [GAUL_KEYS[level]]
+    };
+  }
+
+  if (source === 'features') {
+    var fields = settings.zone_id_fields || [];
+    if (!settings.zone_features) {
+      fail('zone_source \'features\' needs a FeatureCollection import renamed to "ZONES".');
+    }
+    if (fields.length === 0) {
+      fail('zone_id_fields must list the ID columns of the ZONES import.');
+    }
+    var features = ee.FeatureCollection(settings.zone_features).filterBounds(aoi.geometry);
+    return {
+      fc: features,
+      shapes: features,
+      source: source,
+      label: 'Imported zones',
+      noun: 'zone',
+      id_fields: fields.slice(),
+      name_field: fields[fields.length - 1],
+      prefix: 'Zone',
+      shapefile: 'Zone_Polygons',
+      datasets: []
+    };
+  }
+
+  if (source === 'grid') {
+    var shape = settings.zone_grid_shape;
+    var size = settings.zone_grid_size;
+    if (GRID_SHAPES.indexOf(shape) < 0) {
+      fail('zone_grid_shape must be \'hex\' or \'square\' (got ' + JSON.stringify(shape) + ').');
+    }
+    if (typeof size !== 'number' || !(size > 0)) {
+      fail('zone_grid_size must be a cell width in metres (got ' + JSON.stringify(size) + ').');
+    }
+    var cells = grid(aoi.geometry, shape, size, settings.zone_grid_crs || 'EPSG:6933');
+    return {
+      fc: cells,
+      shapes: cells,
+      source: source,
+      label: (shape === 'hex' ? 'Hexagon' : 'Square') + ' grid, ' + size / 1000 + ' km',
+      noun: 'cell',
+      id_fields: ['zone_id', 'row', 'col'],
+      name_field: 'zone_id',
+      prefix: 'Grid',
+      shapefile: 'Grid_Cells',
+      datasets: []
+    };
+  }
+
+  fail('zone_source must be one of ' + SOURCES.join(', ') + ' (got ' + JSON.stringify(source) + ').');
+}
+
+exports.resolveZones = resolveZones;
+exports.validate = validate;
+exports.grid = grid;
+exports.SOURCES = SOURCES;
@@ -0,0 +1,209 @@
+// ======================================================
+// ELEVATION WORKFLOW — NASADEM elevation statistics for one AOI
+// ======================================================
+//
+// The workflow behind scripts/dem_elevation_stats_generic.js and the
+// "Elevation (DEM)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/elevation.js');
+//   workflow.run({country_name: 'Spain', use_custom_aoi: false});
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var SCRIPT = 'dem_elevation_stats_generic.js';
+
+var DEFAULTS = {
+  country_name: 'Spain',
+  iso3: '',
+  use_custom_aoi: true,
+  output_prefix: 'DEM_Elevation',
+  stats_description: 'AOI_Stats',
+  percentiles_description: 'AOI_Percentiles',
+  export_target: 'drive',
+  image_export_target: '',
+  pixel_budget: 'auto'
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var iso3 = s.iso3;
+  var use_custom_aoi = s.use_custom_aoi;
+  var output_prefix = s.output_prefix;
+  var stats_description = s.stats_description;
+  var percentiles_description = s.percentiles_description;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+  var pixel_budget = s.pixel_budget;
+
+  // ======================================================
+  // LOAD DATA
+  // ======================================================
+
+  // Study AOI (imported/drawn, or the country itself)
+  var aoi = ctx.resolveAoi({
+    use_custom_aoi: use_custom_aoi,
+    country_name: country_name,
+    iso3: iso3
+  });
+
+  // Country boundary (for the country-wide layer/export)
+  var country_aoi = use_custom_aoi ?
+    aoiLib.resolveAoi({country_name: country_name, iso3: iso3}) :
+    aoi;
+  var country = country_aoi.geometry;
+
+  // Load SRTM elevation data
+  var dem = datasetsLib.load('NASADEM').select('elevation');
+
+  var AOI_fc = aoi.fc;
+  var AOI_geometry = aoi.geometry;
+
+  print('Country:', country_name);
+  print('AOI loaded:', aoi.label);
+
+  // Sizes the histogram, statistics and exports (see scripts/modules/pixels.js)
+  var budget = pixelsLib.createBudget({geometry: AOI_geometry, mode: pixel_budget, print: print});
+
+  // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+  var provenance = provenanceLib.createProvenance({
+    script: ctx.script,
+    settings: s,
+    datasets: datasetsLib.provenance(['NASADEM']),
+    scales: {histogram: 50, stats: 30, export: 30},
+    aoi: aoi
+  });
+
+  // ======================================================
+  // VISUALIZATION
+  // ======================================================
+
+  var AOIVis = AOI_fc.style({color: "FF4500", width: 3, fillColor: "FFFFFF00"});
+  Map.addLayer(AOIVis, null, "AOI_boundary");
+  Map.centerObject(AOI_geometry, 6);
+
+  // Define visualization parameters
+  var demVis = datasetsLib.vis('NASADEM', 'elevation');
+
+  var dem_AOI = dem.clip(AOI_geometry);
+  var dem_country = dem.clip(country);
+
+  Map.addLayer(dem_AOI, demVis, 'AOI Elevation');
+  if (use_custom_aoi) {
+    Map.addLayer(dem_country, demVis, country_aoi.label + ' DEM');
+  }
+
+  // ======================================================
+  // HISTOGRAM
+  // ======================================================
+  var histogram = ui.Chart.image.histogram(budget.chart({
+    image: dem_AOI,
+    region: AOI_geometry,
+    scale: 50,
+    minBucketWidth: 50,
+    maxPixels: 1e13
+  }, 'Elevation histogram'));
+  histogram.setOptions({
+    title: 'Histogram of Elevation in ' + aoi.label + ' (meters)'
+  });
+
+  print(histogram);
+
+  // ======================================================
+  // SPATIAL REDUCERS — MEAN, MIN, MAX
+  // ======================================================
+  var reducers_all = ee.Reducer.mean()
+    .combine(ee.Reducer.min(), null, true)
+    .combine(ee.Reducer.max(), null, true);
+
+  var AOI_stats = dem_AOI.reduceRegions(budget.regions({
+    collection: AOI_fc,
+    reducer: reducers_all,
+    scale: 30
+  }, 'Elevation stats'));
+
+  // Remove empty rows
+  var AOI_stats_clean = AOI_stats.filter(ee.Filter.notNull(['mean']));
+  print("AOI Stats (mean, min, max):", AOI_stats_clean);
+
+  // ======================================================
+  // SPATIAL REDUCERS — PERCENTILES [50, 95]
+  // ======================================================
+  var percentiles = ee.Reducer.percentile([50, 95]);
+
+  var AOI_percentiles = dem_AOI.reduceRegions(budget.regions({
+    collection: AOI_fc,
+    reducer: percentiles,
+    scale: 30
+  }, 'Elevation percentiles'));
+
+  // Remove empty rows
+  var AOI_percentiles_clean = AOI_percentiles.filter(
+    ee.Filter.notNull(['p50'])
+  );
+  print("AOI Percentiles (p50, p95):", AOI_percentiles_clean);
+
+  // ======================================================
+  // EXPORTS (using output_prefix)
+  // ======================================================
+
+  var exporter = exportLib.createExporter({
+    export_target: export_target,
+    image_export_target: image_export_target,
+    output_prefix: output_prefix,
+    budget: budget,
+    properties: provenance.properties,
+    queue_tasks: ctx.queue_exports
+  });
+
+  // Export AOI elevation raster
+  exporter.image(dem_AOI, 'AOI', {
+    region: AOI_geometry,
+    scale: 30, // NASADEM/SRTM native resolution
+    formatOptions: {cloudOptimized: true}
+  });
+
+  // Export country elevation raster (only needed when the AOI is not the country)
+  if (use_custom_aoi) {
+    exporter.image(dem_country, country_aoi.slug, {
+      region: country,
+      scale: 30,
+      formatOptions: {cloudOptimized: true}
+    });
+  }
+
+  // Export statistics CSV
+  exporter.table(AOI_stats_clean, stats_description, {
+    selectors: ['mean', 'min', 'max']
+  });
+
+  // Export percentiles CSV
+  exporter.table(AOI_percentiles_clean, percentiles_description, {
+    selectors: ['p50', 'p95']
+  });
+
+  // Export run provenance (settings, datasets, AOI hash, every task above)
+  provenance.exportTable(exporter);
+
+  print("All exports queued!");
+
+  return exporter.queued();
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
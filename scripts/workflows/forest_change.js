@@ -0,0 +1,754 @@
+// ======================================================================
+// FOREST CHANGE WORKFLOW — Hansen GFC cover, loss and gain per AOI
+// ======================================================================
+//
+// The workflow behind scripts/gfc_hansen_forest_change_generic.js and the
+// "Forest change (Hansen GFC)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/forest_change.js');
+//   workflow.run({country_name: 'Spain', use_custom_aoi: false, start_year: 2010, canopy_threshold: 30});
+//
+// Forest in 2000 = treecover2000 above canopy_threshold on mapped land
+// (datamask 1; water and no-data pixels are left out). Loss is forest-2000
+// loss with a lossyear from start_year to end_year (loss years start in
+// 2001); gain (2000-2012 only) is counted on mapped land.
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var batchLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/batch.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var areaLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/area.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+var lossLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/forest_loss.js');
+var zonesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/zones.js');
+var leakageLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/leakage.js');
+var driversLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/drivers.js');
+var carbonLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/carbon.js');
+var fragLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/fragmentation.js');
+
+var SCRIPT = 'gfc_hansen_forest_change_generic.js';
+
+var DEFAULTS = {
+  country_name: 'Spain',
+  iso3: '',
+  output_prefix: 'GFC',
+  export_target: 'drive',
+  image_export_target: '',
+  use_custom_aoi: true,
+  batch_mode: false,
+  batch_source: 'countries',
+  batch_names: ['Spain', 'PRT'],
+  batch_admin_level: 2,
+  batch_name_field: 'NAME',
+  start_year: 2000,
+  end_year: 2024,
+  canopy_threshold: 25,
+  zone_stats: false,
+  zone_source: 'wdpa',
+  allowedDesigs: [],
+  zone_admin_level: 2,
+  zone_id_fields: [],
+  zone_grid_shape: 'hex',
+  zone_grid_size: 10000,
+  leakage_rings: [],
+  loss_drivers: false,
+  drivers_asset: '',
+  carbon_emissions: false,
+  biomass_source: 'WHRC',
+  biomass_asset: '',
+  root_to_shoot: 0.26,
+  carbon_fraction: 0.47,
+  fragmentation: false,
+  fragmentation_scale: 100,
+  fragmentation_edge_width: 100,
+  scale: 30,
+  pixel_budget: 'auto',
+  area_crs: 'EPSG:6933',
+  area_unit: 'ha'
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var iso3 = s.iso3;
+  var output_prefix = s.output_prefix;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+  var use_custom_aoi = s.use_custom_aoi;
+  var batch_mode = s.batch_mode;
+  var batch_source = s.batch_source;
+  var batch_names = s.batch_names;
+  var batch_admin_level = s.batch_admin_level;
+  var batch_name_field = s.batch_name_field;
+  var start_year = s.start_year;
+  var end_year = s.end_year;
+  var canopy_threshold = s.canopy_threshold;
+  var zone_stats = s.zone_stats;
+  var zone_source = s.zone_source;
+  var allowedDesigs = s.allowedDesigs;
+  var zone_admin_level = s.zone_admin_level;
+  var zone_id_fields = s.zone_id_fields;
+  var zone_grid_shape = s.zone_grid_shape;
+  var zone_grid_size = s.zone_grid_size;
+  var leakage_rings = s.leakage_rings;
+  var loss_drivers = s.loss_drivers;
+  var drivers_asset = s.drivers_asset;
+  var carbon_emissions = s.carbon_emissions;
+  var biomass_source = s.biomass_source;
+  var biomass_asset = s.biomass_asset;
+  var root_to_shoot = s.root_to_shoot;
+  var carbon_fraction = s.carbon_fraction;
+  var fragmentation = s.fragmentation;
+  var fragmentation_scale = s.fragmentation_scale;
+  var fragmentation_edge_width = s.fragmentation_edge_width;
+  var scale = s.scale;
+  var pixel_budget = s.pixel_budget;
+  var area_crs = s.area_crs;
+  var area_unit = s.area_unit;
+
+  // ======================================================================
+  // VALIDATE SETTINGS (stops with a list of every problem found)
+  // ======================================================================
+
+  // Release, bands, caveats and styling live in the dataset registry
+  // (scripts/modules/datasets.js, key 'HANSEN'); a new GFC version is a registry change.
+  var HANSEN = datasetsLib.info('HANSEN');
+
+  var check = validateLib.createValidator();
+  check.yearRange('start_year', 'end_year', start_year, end_year, 'HANSEN');
+  check.that(end_year !== HANSEN.first_year,
+    'end_year must be after ' + HANSEN.first_year + ': Hansen loss years start in ' + (HANSEN.first_year + 1) + '.');
+  check.that(HANSEN.canopy_thresholds.indexOf(canopy_threshold) >= 0,
+    'canopy_threshold must be one of ' + HANSEN.canopy_thresholds.join(', ') +
+    ' (% tree cover in 2000; got ' + JSON.stringify(canopy_threshold) + ').');
+  check.scale('scale', scale);
+  leakageLib.validate(check, s);
+  driversLib.validate(check, s);
+  if (carbon_emissions) {
+    carbonLib.validate(check, s);
+  }
+  if (fragmentation) {
+    fragLib.validate(check, s);
+  }
+  if (zone_stats) {
+    zonesLib.validate(check, s);
+    check.that(zone_source !== 'features' || !!ctx.zone_features,
+      'zone_source \'features\' needs a FeatureCollection import renamed to "ZONES".');
+  }
+  check.done();
+
+  // ======================================================================
+  // SHARED MODULES
+  // ======================================================================
+
+  // Equal-area CRS and unit for every area statistic
+  var areas = areaLib.createAreas({area_crs: area_crs, area_unit: area_unit});
+
+  // ======================================================================
+  // LOAD HANSEN GLOBAL FOREST CHANGE (GFC) DATA
+  // ======================================================================
+
+  var gfc = datasetsLib.load('HANSEN');
+
+  // Extract individual bands
+  var treecover2000 = gfc.select('treecover2000');
+  var lossyear = gfc.select('lossyear');
+  var gain = gfc.select('gain');
+  var datamask = gfc.select('datamask');
+
+  // Mapped land only: permanent water (2) and no data (0) are left out of every statistic
+  var land = datamask.eq(1);
+
+  // Forest in 2000 at the chosen canopy threshold
+  var forest2000 = treecover2000.gt(canopy_threshold).and(land).rename('forest2000');
+
+  // Loss of 2000 forest in the year window (lossyear counts years since first_year; 0 = no loss)
+  var first_loss_year = Math.max(start_year, HANSEN.first_year + 1);
+  var loss_window = lossyear.gte(first_loss_year - HANSEN.first_year)
+    .and(lossyear.lte(end_year - HANSEN.first_year));
+  var forest_loss = loss_window.and(forest2000).rename('loss');
+  var forest_lossyear = lossyear.updateMask(forest_loss).rename('lossyear');
+
+  // Gain (2000-2012) on mapped land
+  var land_gain = gain.and(land).rename('gain');
+
+  // Driver class of the loss (1 km, one dominant driver for 2001-2024)
+  var drivers = loss_drivers ? driversLib.createDrivers({asset: drivers_asset}) : null;
+
+  // Above-ground biomass and the factors that turn it into committed CO2
+  var carbon = carbon_emissions ? carbonLib.createCarbon({
+    source: biomass_source,
+    asset: biomass_asset,
+    root_to_shoot: root_to_shoot,
+    carbon_fraction: carbon_fraction
+  }) : null;
+
+  // Forest pattern classes and patch metrics, for 2000 and for the forest left at end_year
+  var frag = fragmentation ? fragLib.createFragmentation({
+    scale: fragmentation_scale,
+    edge_width: fragmentation_edge_width,
+    areas: areas
+  }) : null;
+  var forest_end = forest2000
+    .and(lossyear.gte(1).and(lossyear.lte(end_year - HANSEN.first_year)).not())
+    .rename('forest' + end_year);
+  var frag_epochs = [{year: HANSEN.first_year, forest: forest2000}, {year: end_year, forest: forest_end}];
+
+  var forest_label = '>' + canopy_threshold + '% canopy';
+  var loss_label = first_loss_year + '-' + end_year;
+
+  print("Hansen GFC " + HANSEN.version + " loaded (" + start_year + "-" + end_year + ")");
+  print("Forest 2000: " + forest_label + " on mapped land; loss years " + loss_label);
+  print("Dataset bands:", gfc.bandNames());
+
+  // ======================================================================
+  // WORKFLOW (runs once per AOI and returns the queued exports)
+  // ======================================================================
+
+  function runForAoi(aoi) {
+    var AOI_fc = aoi.fc;
+    var AOI_geometry = aoi.geometry;
+    var aoi_label = aoi.label;
+    var prefix = output_prefix + '_' + aoi.slug;
+    print("Using AOI:", aoi_label);
+
+    // Sizes statistics and exports for this AOI (see scripts/modules/pixels.js)
+    var budget = pixelsLib.createBudget({geometry: AOI_geometry, mode: pixel_budget, print: print});
+
+    // Zones of the per-zone loss tables (WDPA, GAUL units, imported features or a grid)
+    var zones = zone_stats ? zonesLib.resolveZones({
+      zone_source: zone_source,
+      aoi: aoi,
+      allowedDesigs: allowedDesigs,
+      zone_admin_level: zone_admin_level,
+      zone_features: ctx.zone_features,
+      zone_id_fields: zone_id_fields,
+      zone_grid_shape: zone_grid_shape,
+      zone_grid_size: zone_grid_size,
+      zone_grid_crs: area_crs
+    }) : null;
+
+    // Protected areas of the leakage rings (the zones when they already are WDPA polygons)
+    var leakage = leakage_rings.length > 0;
+    var leakage_pas = !leakage ? null : zones && zone_source === 'wdpa' ? zones.fc : zonesLib.resolveZones({
+      zone_source: 'wdpa',
+      aoi: aoi,
+      allowedDesigs: allowedDesigs
+    }).fc;
+
+    var zone_datasets = zones ? zones.datasets : [];
+    if (leakage && zone_datasets.indexOf('WDPA_POLYGONS') < 0) {
+      zone_datasets = zone_datasets.concat(['WDPA_POLYGONS']);
+    }
+    var run_datasets = datasetsLib.provenance(['HANSEN'].concat(zone_datasets));
+    if (drivers) {
+      run_datasets = run_datasets.concat(drivers_asset ?
+        [{id: drivers_asset, version: 'drivers_asset'}] : datasetsLib.provenance(['LOSS_DRIVERS']));
+    }
+    if (carbon) {
+      run_datasets = run_datasets.concat(biomass_asset ?
+        [{id: biomass_asset, version: 'biomass_asset'}] : datasetsLib.provenance([carbonLib.SOURCES[biomass_source]]));
+    }
+
+    // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+    var provenance = provenanceLib.createProvenance({
+      script: ctx.script,
+      settings: s,
+      datasets: run_datasets,
+      scales: {stats: scale, export: scale},
+      aoi: aoi
+    });
+
+    // ======================================================================
+    // CLIP TO AOI
+    // ======================================================================
+
+    var treecover2000_aoi = treecover2000.updateMask(land).clip(AOI_geometry);
+    var forest2000_aoi = forest2000.clip(AOI_geometry);
+    var loss_aoi = forest_loss.clip(AOI_geometry);
+    var lossyear_aoi = forest_lossyear.clip(AOI_geometry);
+    var gain_aoi = land_gain.clip(AOI_geometry);
+
+    // ======================================================================
+    // VISUALIZATION PARAMETERS
+    // ======================================================================
+
+    // Registry defaults: tree cover black → green, loss year yellow (early) → red (recent),
+    // loss black → red, gain black → purple (gain limited to 2000-2012)
+    var treeCoverVisParam = datasetsLib.vis('HANSEN', 'treecover2000');
+    var treeLossVisParam = datasetsLib.vis('HANSEN', 'lossyear');
+    var tree_loss_vis = datasetsLib.vis('HANSEN', 'loss');
+    var tree_gain_vis = datasetsLib.vis('HANSEN', 'gain');
+
+    // ======================================================================
+    // MAP VISUALIZATION
+    // ======================================================================
+
+    var AOI_Vis = AOI_fc.style({
+      color: "FF4500",
+      width: 2,
+      fillColor: "FFFFFF00"
+    });
+
+    Map.addLayer(AOI_Vis, {}, aoi_label);
+    Map.centerObject(AOI_geometry, 6);
+
+    if (zones && zone_source !== 'aoi') {
+      Map.addLayer(zones.fc.style({color: '1F78B4', width: 1, fillColor: '00000000'}), {}, zones.label);
+    }
+
+    // Add map layers
+    Map.addLayer({
+      eeObject: treecover2000_aoi.updateMask(treecover2000_aoi.gt(0)),
+      visParams: treeCoverVisParam,
+      name: "Tree Cover 2000 (%)",
+      shown: true
+    });
+
+    Map.addLayer({
+      eeObject: forest2000_aoi.selfMask(),
+      visParams: {min: 0, max: 1, palette: ['000000', '006400']},
+      name: "Forest 2000 (" + forest_label + ")",
+      shown: false
+    });
+
+    Map.addLayer({
+      eeObject: lossyear_aoi,
+      visParams: treeLossVisParam,
+      name: "Forest Loss Year (" + loss_label + ")",
+      shown: false
+    });
+
+    Map.addLayer({
+      eeObject: loss_aoi,
+      visParams: tree_loss_vis,
+      name: "Forest Loss (binary, " + loss_label + ")",
+      shown: false
+    });
+
+    if (drivers) {
+      Map.addLayer({
+        eeObject: drivers.image.updateMask(loss_aoi).clip(AOI_geometry),
+        visParams: drivers.vis,
+        name: "Loss driver (" + loss_label + ")",
+        shown: false
+      });
+    }
+
+    var emissions_aoi = carbon ? carbon.raster(loss_aoi).clip(AOI_geometry) : null;
+    if (carbon) {
+      Map.addLayer({
+        eeObject: emissions_aoi.select('co2_t_ha'),
+        visParams: {min: 0, max: 1000, palette: ['FFF7BC', 'FEC44F', 'EC7014', '993404', '000000']},
+        name: "Committed emissions (t CO2/ha, " + loss_label + ")",
+        shown: false
+      });
+    }
+
+    var mspa_aoi = frag ? ee.Image.cat(frag_epochs.map(function(epoch) {
+      return frag.classify(epoch.forest, AOI_geometry).rename('mspa_' + epoch.year);
+    })).clip(AOI_geometry) : null;
+    if (frag) {
+      frag_epochs.forEach(function(epoch) {
+        Map.addLayer({
+          eeObject: mspa_aoi.select('mspa_' + epoch.year),
+          visParams: fragLib.VIS,
+          name: "Forest pattern " + epoch.year + " (core, edge, perforation, bridge, branch, patch)",
+          shown: false
+        });
+      });
+    }
+
+    Map.addLayer({
+      eeObject: gain_aoi,
+      visParams: tree_gain_vis,
+      name: "Forest Gain (2000-2012, binary)",
+      shown: false
+    });
+
+    // ======================================================================
+    // CALCULATE FOREST STATISTICS
+    // ======================================================================
+
+    // Total forest area in 2000 (tree cover above canopy_threshold, mapped land)
+    var forest_2000_area = forest2000_aoi
+      .multiply(areas.pixelArea())
+      .reduceRegion(budget.stats(areas.params({
+        reducer: ee.Reducer.sum(),
+        geometry: AOI_geometry,
+        scale: scale,
+        bestEffort: true
+      }), 'Forest area 2000'));
+
+    // Total loss of 2000 forest in the year window (in area_unit)
+    var loss_area = loss_aoi
+      .multiply(areas.pixelArea())
+      .reduceRegion(budget.stats(areas.params({
+        reducer: ee.Reducer.sum(),
+        geometry: AOI_geometry,
+        scale: scale,
+        bestEffort: true
+      }), 'Loss area'));
+
+    // Total gain area (in area_unit) — NOTE: 2000-2012 only
+    var gain_area = gain_aoi
+      .multiply(areas.pixelArea())
+      .reduceRegion(budget.stats(areas.params({
+        reducer: ee.Reducer.sum(),
+        geometry: AOI_geometry,
+        scale: scale,
+        bestEffort: true
+      }), 'Gain area'));
+
+    // Loss of 2000 forest by lossyear (whole record, so the remaining forest
+    // also subtracts loss before start_year)
+    var loss_by_year = lossLib.lossByYear({
+      forest2000: forest2000_aoi,
+      lossyear: lossyear.clip(AOI_geometry),
+      geometry: AOI_geometry,
+      areas: areas,
+      budget: budget,
+      scale: scale
+    });
+
+    // One row per year of the window: loss, cumulative loss, remaining forest
+    var annual_loss = lossLib.annualTable({
+      groups: loss_by_year,
+      forest2000_area: forest_2000_area.get('forest2000'),
+      start_year: first_loss_year,
+      end_year: end_year,
+      areas: areas,
+      properties: {aoi: aoi_label, canopy_threshold: canopy_threshold}
+    });
+
+    print("\n=== FOREST CHANGE STATISTICS ===");
+    print("Forest area 2000 (" + forest_label + ", " + areas.unit + "):", forest_2000_area.get('forest2000'));
+    print("Total forest loss " + loss_label + " (" + areas.unit + "):", loss_area.get('loss'));
+    print("Total forest gain (" + areas.unit + ", 2000-2012):", gain_area.get('gain'));
+
+    var loss_charts = lossLib.charts(annual_loss, {areas: areas, title_suffix: aoi_label + ', ' + forest_label});
+    print(loss_charts.loss);
+    print(loss_charts.remaining);
+
+    // Per-zone forest 2000 and loss (wide) and loss per zone and year (long)
+    var zone_years = {start_year: first_loss_year, end_year: end_year, areas: areas};
+    var zone_loss = zones ? lossLib.zoneLoss({
+      forest2000: forest2000,
+      lossyear: lossyear,
+      zones: zones.fc,
+      start_year: first_loss_year,
+      end_year: end_year,
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      label: zones.prefix + ' forest loss'
+    }) : null;
+    var zone_annual = zones ? lossLib.zoneAnnual(zone_loss, zones.id_fields, zone_years) : null;
+    if (zones) {
+      print("Zones:", zones.label);
+      print("Number of zones:", zones.fc.size());
+      print(zones.prefix + " forest loss " + loss_label + " (" + areas.unit + "):", zone_loss.limit(10));
+    }
+
+    // ======================================================================
+    // LOSS DRIVERS — loss area by driver class and year, for the AOI and per zone
+    // ======================================================================
+
+    var driver_loss = drivers ? drivers.aoiTable({
+      loss: loss_aoi,
+      lossyear: lossyear,
+      geometry: AOI_geometry,
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      properties: {aoi: aoi_label}
+    }) : null;
+    var zone_driver_loss = drivers && zones ? drivers.zoneTable({
+      loss: forest_loss,
+      lossyear: lossyear,
+      zones: zones.fc,
+      id_fields: zones.id_fields,
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      label: zones.prefix + ' loss drivers'
+    }) : null;
+    if (drivers) {
+      print(drivers.chart(driver_loss, {
+        areas: areas,
+        title: 'Forest loss by driver, ' + aoi_label + ' (' + areas.unit + ', ' + forest_label + ')'
+      }));
+    }
+
+    // ======================================================================
+    // CARBON — committed CO2 emissions of the loss, per year (AOI and zones)
+    // ======================================================================
+
+    var emissions = carbon ? carbon.aoiTable({
+      loss: loss_aoi,
+      lossyear: lossyear,
+      geometry: AOI_geometry,
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      properties: {aoi: aoi_label}
+    }) : null;
+    var zone_emissions = carbon && zones ? carbon.zoneTable({
+      loss: forest_loss,
+      lossyear: lossyear,
+      zones: zones.fc,
+      id_fields: zones.id_fields,
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      label: zones.prefix + ' emissions'
+    }) : null;
+    if (carbon) {
+      print("Committed emissions " + loss_label + " (t CO2, " + (biomass_asset || biomass_source) + " biomass, root:shoot " +
+        root_to_shoot + ", carbon fraction " + carbon_fraction + "):", emissions.aggregate_sum('co2_t'));
+    }
+
+    // ======================================================================
+    // FRAGMENTATION — pattern class areas and patch metrics, 2000 and end_year
+    // ======================================================================
+
+    var frag_aoi = frag ? frag.zoneTable(frag_epochs, ee.FeatureCollection([ee.Feature(AOI_geometry, {aoi: aoi_label})]), {
+      id_fields: ['aoi'],
+      budget: budget,
+      label: 'Fragmentation'
+    }) : null;
+    var frag_zones = frag && zones ? frag.zoneTable(frag_epochs, zones.fc, {
+      id_fields: zones.id_fields,
+      budget: budget,
+      label: zones.prefix + ' fragmentation'
+    }) : null;
+    if (frag) {
+      print("Fragmentation (" + fragmentation_scale + " m grid, edge width " +
+        frag.edge_pixels * fragmentation_scale + " m):", frag_aoi);
+    }
+
+    // ======================================================================
+    // LEAKAGE — loss inside each PA vs buffer rings around it
+    // ======================================================================
+
+    var ring_fc = leakage ? leakageLib.rings({
+      pas: leakage_pas,
+      others: datasetsLib.load('WDPA_POLYGONS'),
+      distances: leakage_rings
+    }) : null;
+    var leakage_loss = leakage ? lossLib.zoneLoss({
+      forest2000: forest2000,
+      lossyear: lossyear,
+      zones: ring_fc,
+      start_year: first_loss_year,
+      end_year: end_year,
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      label: 'Leakage rings'
+    }) : null;
+    var leakage_annual = leakage ? lossLib.zoneAnnual(leakage_loss, leakageLib.ID_FIELDS, zone_years) : null;
+    if (leakage) {
+      Map.addLayer(ring_fc.filter(ee.Filter.neq('ring', 'inside')).style({
+        color: 'FF7F00', width: 1, fillColor: '00000000'
+      }), {}, 'Leakage rings (' + leakageLib.ringNames(leakage_rings).slice(1).join(', ') + ')', false);
+      print("Leakage rings:", leakageLib.ringNames(leakage_rings).join(', '));
+      leakageLib.printCharts(leakage_annual, leakage_pas, {print: print});
+    }
+
+    // One-row summary table; area columns carry the unit, e.g. loss_ha
+    var area_summary = {
+      aoi: aoi_label,
+      canopy_threshold: canopy_threshold,
+      loss_start_year: first_loss_year,
+      loss_end_year: end_year
+    };
+    area_summary[areas.field('forest2000')] = forest_2000_area.get('forest2000');
+    area_summary[areas.field('loss')] = loss_area.get('loss');
+    area_summary[areas.field('gain')] = gain_area.get('gain');
+    var area_summary_fc = areas.tag(ee.FeatureCollection([ee.Feature(null, area_summary)]));
+
+    // ======================================================================
+    // EXPORTS (CRS/maxPixels set by the export helper)
+    // ======================================================================
+
+    var exporter = exportLib.createExporter({
+      export_target: export_target,
+      image_export_target: image_export_target,
+      output_prefix: prefix,
+      budget: budget,
+      properties: provenance.properties,
+      queue_tasks: ctx.queue_exports
+    });
+
+    // Export tree cover 2000 (baseline)
+    exporter.image(treecover2000_aoi, 'TreeCover2000', {
+      region: AOI_geometry,
+      scale: scale
+    });
+
+    // Export forest loss (binary: 2000 forest lost in the year window)
+    exporter.image(loss_aoi, 'Loss_Binary_' + first_loss_year + '_' + end_year, {
+      region: AOI_geometry,
+      scale: scale
+    });
+
+    // Export loss year (when loss occurred; masked outside the forest and year window)
+    exporter.image(lossyear_aoi, 'LossYear_' + first_loss_year + '_' + end_year, {
+      region: AOI_geometry,
+      scale: scale
+    });
+
+    // Export forest gain (binary) — NOTE: limited to 2000-2012
+    exporter.image(gain_aoi, 'Gain_Binary_2000_2012', {
+      region: AOI_geometry,
+      scale: scale
+    });
+
+    // Export all bands together, with the forest mask, window and water masking applied
+    var gfc_complete_aoi = ee.Image.cat([
+      treecover2000_aoi, forest2000_aoi, loss_aoi, forest_lossyear.unmask(0).clip(AOI_geometry), gain_aoi,
+      datamask.clip(AOI_geometry)
+    ]);
+
+    exporter.image(gfc_complete_aoi, 'Complete_' + first_loss_year + '_' + end_year, {
+      region: AOI_geometry,
+      scale: scale
+    });
+
+    // Export committed emissions: biomass and CO2 per hectare on the loss pixels
+    if (carbon) {
+      exporter.image(emissions_aoi, 'Emissions_' + first_loss_year + '_' + end_year, {
+        region: AOI_geometry,
+        scale: scale
+      });
+    }
+
+    // Export forest pattern classes of 2000 and end_year (fragmentation grid)
+    if (frag) {
+      exporter.image(mspa_aoi, 'MSPA_' + HANSEN.first_year + '_' + end_year, {
+        region: AOI_geometry,
+        scale: fragmentation_scale
+      });
+    }
+
+    // Export area summary (unit and projection in every row)
+    exporter.table(area_summary_fc, 'Area_Summary', {
+      selectors: ['aoi', 'canopy_threshold', 'loss_start_year', 'loss_end_year', areas.field('forest2000'), areas.field('loss'), areas.field('gain')].concat(areas.columns)
+    });
+
+    // Export annual loss and remaining forest (one row per year)
+    exporter.table(annual_loss, 'Annual_Loss_' + first_loss_year + '_' + end_year, {
+      selectors: lossLib.columns(['aoi', 'canopy_threshold'], areas)
+    });
+
+    // Export per-zone loss: one row per zone (wide) and per zone and year (long)
+    if (zones) {
+      exporter.table(zone_loss, zones.prefix + '_Forest_Loss', {
+        selectors: lossLib.zoneColumns(zones.id_fields, zone_years)
+      });
+      exporter.table(zone_annual, zones.prefix + '_Forest_Loss_Annual', {
+        selectors: lossLib.zoneAnnualColumns(zones.id_fields, areas)
+      });
+      exporter.table(zones.shapes, zones.shapefile, {
+        fileFormat: 'SHP'
+      });
+    }
+
+    // Export loss by driver and year (AOI, and per zone with zone_stats)
+    if (drivers) {
+      exporter.table(driver_loss, 'Loss_Drivers_' + first_loss_year + '_' + end_year, {
+        selectors: drivers.columns(['aoi'], areas)
+      });
+    }
+    if (zone_driver_loss) {
+      exporter.table(zone_driver_loss, zones.prefix + '_Loss_Drivers', {
+        selectors: drivers.columns(zones.id_fields, areas)
+      });
+    }
+
+    // Export committed emissions per loss year (AOI, and per zone with zone_stats)
+    if (carbon) {
+      exporter.table(emissions, 'Emissions_Annual_' + first_loss_year + '_' + end_year, {
+        selectors: carbon.columns(['aoi'])
+      });
+    }
+    if (zone_emissions) {
+      exporter.table(zone_emissions, zones.prefix + '_Emissions', {
+        selectors: carbon.columns(zones.id_fields)
+      });
+    }
+
+    // Export fragmentation metrics: one row per year (AOI) and per zone and year
+    if (frag) {
+      exporter.table(frag_aoi, 'Fragmentation_' + HANSEN.first_year + '_' + end_year, {
+        selectors: frag.columns(['aoi'])
+      });
+    }
+    if (frag_zones) {
+      exporter.table(frag_zones, zones.prefix + '_Fragmentation', {
+        selectors: frag.columns(zones.id_fields)
+      });
+    }
+
+    // Export leakage: one row per PA and ring (wide) and per PA, ring and year (long)
+    if (leakage) {
+      exporter.table(leakage_loss, 'PA_Leakage', {
+        selectors: lossLib.zoneColumns(leakageLib.ID_FIELDS, zone_years)
+      });
+      exporter.table(leakage_annual, 'PA_Leakage_Annual', {
+        selectors: lossLib.zoneAnnualColumns(leakageLib.ID_FIELDS, areas)
+      });
+    }
+
+    // Export run provenance (settings, datasets, AOI hash, every task above)
+    provenance.exportTable(exporter);
+
+    print("\n=== ALL EXPORTS QUEUED ===");
+    print("Output prefix:", prefix);
+    print("AOI:", aoi_label + " (hash " + provenance.hash + ")");
+    print("Time period:", start_year + "-" + end_year + " (loss years " + loss_label + ")");
+    print("Forest 2000:", forest_label);
+    print("Scale:", scale + " m");
+    print("Areas:", areas.unit + " (" + areas.crs + ")");
+    print("Export target:", export_target);
+    return exporter.queued();
+  }
+
+  // ======================================================================
+  // RUN (single AOI, or every AOI in batch_names)
+  // ======================================================================
+
+  if (batch_mode) {
+    batchLib.runBatch(batchLib.resolveBatch({
+      batch_source: batch_source,
+      batch_names: batch_names,
+      batch_name_field: batch_name_field,
+      admin_level: batch_source === 'gaul' ? batch_admin_level : null,
+      country_name: country_name,
+      custom_aoi: ctx.custom_aoi
+    }), runForAoi, {print: print});
+  } else {
+    return runForAoi(ctx.resolveAoi({
+      use_custom_aoi: use_custom_aoi,
+      country_name: country_name,
+      iso3: iso3
+    }));
+  }
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
@@ -0,0 +1,435 @@
+// ======================================================================
+// NDVI ANOMALY WORKFLOW — Landsat 7 monthly NDVI and anomalies per AOI
+// ======================================================================
+//
+// The workflow behind scripts/ndvi_anomalies_landsat_generic.js and the
+// "NDVI anomaly (Landsat)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/ndvi_anomaly.js');
+//   workflow.run({country_name: 'Kenya', use_custom_aoi: false, anom_start: '2016-01-01'});
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var SCRIPT = 'ndvi_anomalies_landsat_generic.js';
+
+var DEFAULTS = {
+  country_name: 'Kenya',
+  iso3: '',
+  output_prefix: 'NDVI_Anomaly',
+  export_target: 'drive',
+  image_export_target: '',
+  use_custom_aoi: true,
+  startYear: 2000,
+  endYear: 2020,
+  startMonth: 1,
+  endMonth: 12,
+  b_start: "2000-01-01",
+  b_end: "2015-02-28",
+  bm_start: 1,
+  bm_end: 365,
+  anom_start: "2015-03-01",
+  anom_end: "2018-07-31",
+  f_start: '2000-01-01',
+  f_end: '2020-12-31',
+  scale: 100,
+  pixel_budget: 'auto',
+  lc_classes: [10, 20, 30]
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var iso3 = s.iso3;
+  var output_prefix = s.output_prefix;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+  var use_custom_aoi = s.use_custom_aoi;
+  var startYear = s.startYear;
+  var endYear = s.endYear;
+  var startMonth = s.startMonth;
+  var endMonth = s.endMonth;
+  var b_start = s.b_start;
+  var b_end = s.b_end;
+  var bm_start = s.bm_start;
+  var bm_end = s.bm_end;
+  var anom_start = s.anom_start;
+  var anom_end = s.anom_end;
+  var f_start = s.f_start;
+  var f_end = s.f_end;
+  var scale = s.scale;
+  var pixel_budget = s.pixel_budget;
+  var lc_classes = s.lc_classes;
+
+  // ======================================================================
+  // VALIDATE SETTINGS (stops with a list of every problem found)
+  // ======================================================================
+
+  var check = validateLib.createValidator();
+  check.dateRange('f_start', 'f_end', f_start, f_end, 'LANDSAT7');
+  check.dateRange('b_start', 'b_end', b_start, b_end, 'LANDSAT7');
+  check.dateRange('anom_start', 'anom_end', anom_start, anom_end, 'LANDSAT7');
+  check.dateWithin('b_start', 'b_end', b_start, b_end, 'f_start', 'f_end', f_start, f_end);
+  check.dateWithin('anom_start', 'anom_end', anom_start, anom_end, 'f_start', 'f_end', f_start, f_end);
+  check.yearRange('startYear', 'endYear', startYear, endYear, 'LANDSAT7');
+  check.dateWithin('startYear', 'endYear', startYear + '-01-01', endYear + '-12-31', 'f_start', 'f_end', f_start, f_end);
+  check.monthRange('startMonth', 'endMonth', startMonth, endMonth);
+  check.doyRange('bm_start', 'bm_end', bm_start, bm_end);
+  check.scale('scale', scale);
+  check.done();
+
+  // ======================================================================
+  // LOAD AOI (Country or Custom - imported via Imports panel)
+  // ======================================================================
+
+  var aoi = ctx.resolveAoi({
+    use_custom_aoi: use_custom_aoi,
+    country_name: country_name,
+    iso3: iso3
+  });
+
+  var AOI_fc = aoi.fc;
+  var AOI_geometry = aoi.geometry;
+  var aoi_label = aoi.label;
+  output_prefix = output_prefix + '_' + aoi.slug;
+  print("Using AOI:", aoi_label);
+
+  // Sizes charts, statistics and exports for this AOI (see scripts/modules/pixels.js)
+  var budget = pixelsLib.createBudget({geometry: AOI_geometry, mode: pixel_budget, print: print});
+
+  // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+  var provenance = provenanceLib.createProvenance({
+    script: ctx.script,
+    settings: s,
+    datasets: datasetsLib.provenance(['LANDSAT7', 'WORLDCOVER']),
+    scales: {stats: scale, export: scale},
+    aoi: aoi
+  });
+
+  // ======================================================================
+  // LOAD LANDSAT AND DEFINE FUNCTIONS
+  // ======================================================================
+
+  // ======================================================================
+  // SATELLITE DATA SOURCE — LANDSAT 7 (2000-2020)
+  // ======================================================================
+  //
+  // Landsat 7 ETM+ (30 m, 16-day revisit) covers the whole 2000-2015 baseline.
+  // Collection ID, scale factors, red/NIR bands, caveats and alternative
+  // sensors (Landsat 5/8, Sentinel-2, MODIS) are in the dataset registry
+  // (scripts/modules/datasets.js, key 'LANDSAT7').
+  // ======================================================================
+
+  // Landsat 7 surface reflectance (SR) collection
+  // Collection 2, Tier 1 L2 (atmospherically corrected)
+  var L7 = datasetsLib.info('LANDSAT7');
+  var dataset = datasetsLib.load('LANDSAT7')
+                    .filterDate(f_start, f_end)
+                    .filterBounds(AOI_geometry);
+
+  print("Landsat 7 images available:", dataset.size());
+  print(dataset.first(), "Sample Landsat image");
+
+  // ======================================================================
+  // PREPROCESSING FUNCTIONS FOR LANDSAT 7
+  // ======================================================================
+
+  // Masking Landsat 7 surface reflectance images
+  // Removes clouds, cloud shadows, and saturated pixels
+  function prepSrL7(image) {
+    var qaMask = image.select('QA_PIXEL').bitwiseAnd(parseInt('11111', 2)).eq(0);
+    var saturationMask = image.select('QA_RADSAT').eq(0);
+
+    // Applying the registry scaling factors to bands
+    var sr = L7.bands.SR_B1;
+    var st = L7.bands.ST_B6;
+    var optical = image.select('SR_B.').multiply(sr.scale_factor).add(sr.offset);
+    var thermal = image.select('ST_B6').multiply(st.scale_factor).add(st.offset);
+
+    // Replacing original bands with scaled bands and applying masks
+    return image.addBands(optical, null, true)
+      .addBands(thermal, null, true)
+      .updateMask(qaMask).updateMask(saturationMask);
+  }
+
+  // Load land cover classification (ESA WorldCover)
+  var lc = datasetsLib.load('WORLDCOVER').first().clip(AOI_geometry);
+
+  // Calculate NDVI in vegetated areas only
+  // NDVI = (NIR - Red) / (NIR + Red)
+  // Landsat 7: Band 4 = NIR, Band 3 = Red (L7.nir, L7.red)
+  var addNDVI = function(image) {
+    var ndvi = image.normalizedDifference([L7.nir, L7.red]).rename('NDVI');
+
+    // Mask to vegetation classes
+    var veg_mask = lc.eq(lc_classes[0]).or(lc.eq(lc_classes[1])).or(lc.eq(lc_classes[2]));
+    ndvi = ndvi.updateMask(veg_mask);
+
+    return image.addBands(ndvi);
+  };
+
+  // Apply preprocessing functions
+  var cloudmasked = dataset.map(prepSrL7);
+  var withNDVI = cloudmasked.map(addNDVI);
+
+  // Create baseline collection (for reference period)
+  var withNDVI_baseline = withNDVI.filterDate(b_start, b_end);
+
+  print("Baseline images:", withNDVI_baseline.size());
+
+  // ======================================================================
+  // CALCULATE MONTHLY NDVI AND ANOMALIES
+  // ======================================================================
+
+  var years = ee.List.sequence(startYear, endYear);
+  var months = ee.List.sequence(startMonth, endMonth);
+
+  // Calculate monthly average NDVI over full period
+  var monthlyNDVI = ee.ImageCollection.fromImages(
+    years.map(function(y) {
+      return months.map(function(m) {
+        var filtered = withNDVI
+          .select("NDVI")
+          .filter(ee.Filter.calendarRange(y, y, 'year'))
+          .filter(ee.Filter.calendarRange(m, m, 'month'))
+          .mean();
+
+        return filtered.set({
+          'year': y,
+          'month': m,
+          'system:time_start': ee.Date.fromYMD(y, m, 1).millis()
+        });
+      });
+    }).flatten()
+  );
+
+  print("Monthly NDVI collection:", monthlyNDVI.size());
+
+  // Debug – check for empty months
+  var emptyMonths = monthlyNDVI
+    .filter(ee.Filter.eq('bandNames', []))
+    .aggregate_array('system:time_start')
+    .map(function(ms) {
+      return ee.Date(ms).format('YYYY-MM');
+    });
+  print('Months with empty NDVI:', emptyMonths);
+
+  // Calculate monthly average NDVI across baseline period
+  var meanMonthlyNDVI = ee.ImageCollection.fromImages(
+    ee.List.sequence(1, 12).map(function(m) {
+      var filtered = monthlyNDVI
+        .filterDate(b_start, b_end)
+        .filter(ee.Filter.eq('month', m))
+        .mean();
+      return filtered.set('month', m);
+    })
+  );
+
+  print("Mean monthly NDVI (baseline):", meanMonthlyNDVI.size());
+
+  // Function to compute anomaly for each month
+  var computeAnomaly = function(image) {
+    var year = image.get('year');
+    var month = image.get('month');
+
+    var referenceImage = meanMonthlyNDVI
+      .filter(ee.Filter.eq('month', month))
+      .first();
+
+    var hasBands = image.bandNames().size().gt(0);
+
+    var anomalyImage = ee.Algorithms.If(
+      hasBands,
+      ee.Algorithms.If(
+        referenceImage.bandNames().size().gt(0),
+        image.subtract(referenceImage),
+        image
+      ),
+      image
+    );
+
+    return ee.Image(anomalyImage).set({
+      'system:time_start': image.get('system:time_start'),
+      'year': year,
+      'month': month
+    });
+  };
+
+  // Map anomaly calculation over entire collection
+  var monthlyNDVIAnomalies = monthlyNDVI.map(computeAnomaly);
+  print("Monthly NDVI anomalies (all years):", monthlyNDVIAnomalies.size());
+
+  // Filter to anomaly/study period only
+  var monthlyNDVIAnomalies_anom = monthlyNDVIAnomalies
+    .filterDate(anom_start, anom_end);
+
+  print("Monthly NDVI anomalies (study period):", monthlyNDVIAnomalies_anom.size());
+
+  // ======================================================================
+  // DEVELOPING NDVI ANOMALY GRAPH (for study period only)
+  // ======================================================================
+
+  var chart = ui.Chart.image.series(budget.chart({
+    imageCollection: monthlyNDVIAnomalies_anom,
+    region: AOI_geometry,
+    scale: scale,
+    xProperty: 'system:time_start'
+  }, 'Anomaly chart'))
+    .setSeriesNames(['NDVI anomaly'])
+    .setOptions({
+      title: 'Monthly NDVI anomaly (' + anom_start + ' to ' + anom_end + ')',
+      series: {
+        0: {
+          targetAxisIndex: 0,
+          type: 'line',
+          lineWidth: 3,
+          pointSize: 1,
+          color: '#ffc61a'
+        }
+      },
+      hAxis: {
+        title: 'Date',
+        titleTextStyle: {italic: false, bold: true}
+      },
+      vAxes: {
+        0: {
+          title: 'NDVI anomaly',
+          baseline: 0,
+          titleTextStyle: {bold: true, color: '#1a1aff'}
+        }
+      },
+      curveType: 'function'
+    });
+
+  print(chart);
+
+  // ======================================================================
+  // CONVERTING DATA TO TABLE (study period only)
+  // ======================================================================
+
+  // Sized once here: no getInfo() inside the mapped function
+  var month_stats_params = budget.stats({
+    geometry: AOI_geometry,
+    reducer: ee.Reducer.mean(),
+    scale: scale
+  }, 'Monthly mean NDVI');
+
+  var meanByMonth = monthlyNDVIAnomalies_anom.map(function(image) {
+    var meanDict = image.reduceRegion(month_stats_params);
+    return ee.Feature(null, meanDict)
+      .set('year', image.get('year'))
+      .set('month', image.get('month'));
+  });
+
+  print("Mean monthly NDVI anomalies:", meanByMonth);
+
+  // ======================================================================
+  // CALCULATING NDVI ANOMALY IMAGES
+  // ======================================================================
+
+  // Long-term mean baseline NDVI over full year
+  var baseline = withNDVI_baseline
+    .select("NDVI")
+    .filter(ee.Filter.dayOfYear(bm_start, bm_end))
+    .mean();
+
+  // Mean NDVI during study period
+  var study_meanNDVI = withNDVI
+    .filterDate(anom_start, anom_end)
+    .select("NDVI")
+    .mean()
+    .clip(AOI_geometry);
+
+  // Mean anomaly = (study mean) − (baseline mean)
+  var meanAnomaly = study_meanNDVI.subtract(baseline).rename("NDVI_mean_anomaly");
+
+  // Composite anomaly map (clipped to AOI)
+  var anomaly_AOI = study_meanNDVI.select("NDVI").subtract(baseline).clip(AOI_geometry);
+
+  // Visualization parameters
+  var anom_vis = {
+    min: -0.1,
+    max: 0.1,
+    palette: ['FF0000', '000000', '00FF00']  // Red (loss) to Green (gain)
+  };
+
+  // ======================================================================
+  // MAP VISUALIZATION
+  // ======================================================================
+
+  var AOI_Vis = AOI_fc.style({
+    color: "FF4500",
+    width: 2,
+    fillColor: "FFFFFF00"
+  });
+
+  Map.addLayer(AOI_Vis, {}, aoi_label);
+  Map.addLayer(anomaly_AOI, anom_vis, "NDVI anomaly (mean)");
+  Map.centerObject(AOI_geometry, 6);
+
+  // ======================================================================
+  // EXPORTS (CRS/maxPixels set by the export helper)
+  // ======================================================================
+
+  var exporter = exportLib.createExporter({
+    export_target: export_target,
+    image_export_target: image_export_target,
+    output_prefix: output_prefix,
+    budget: budget,
+    properties: provenance.properties,
+    queue_tasks: ctx.queue_exports
+  });
+
+  // Export table of monthly anomalies
+  exporter.table(meanByMonth, 'Monthly_Anomalies', {
+    selectors: ["year", "month", "NDVI"]
+  });
+
+  // Export mean anomaly raster
+  exporter.image(anomaly_AOI, 'Mean_Anomaly_' + startYear + '_' + endYear, {
+    region: AOI_geometry,
+    scale: scale
+  });
+
+  // Export baseline NDVI
+  exporter.image(baseline, 'Baseline_NDVI_' + b_start.substring(0,4) + '_' + b_end.substring(0,4), {
+    region: AOI_geometry,
+    scale: scale
+  });
+
+  // Export study period NDVI
+  exporter.image(study_meanNDVI, 'Study_NDVI_' + anom_start.substring(0,4) + '_' + anom_end.substring(0,4), {
+    region: AOI_geometry,
+    scale: scale
+  });
+
+  // Export run provenance (settings, datasets, AOI hash, every task above)
+  provenance.exportTable(exporter);
+
+  print("\n=== ALL EXPORTS QUEUED ===");
+  print("Output prefix:", output_prefix);
+  print("AOI:", aoi_label);
+  print("Baseline period:", b_start, "to", b_end);
+  print("Study period:", anom_start, "to", anom_end);
+  print("Export target:", export_target);
+
+  return exporter.queued();
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
@@ -0,0 +1,339 @@
+// ======================================================================
+// PROTECTED AREAS WORKFLOW — WDPA polygons and points inside one AOI
+// ======================================================================
+//
+// The workflow behind scripts/wdpa_protected_areas_generic.js and the
+// "Protected areas (WDPA)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/protected_areas.js');
+//   workflow.run({country_name: 'Kenya', use_custom_aoi: false});
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var areaLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/area.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var SCRIPT = 'wdpa_protected_areas_generic.js';
+
+var DEFAULTS = {
+  country_name: 'Kenya',
+  iso3: '',
+  use_custom_aoi: false,
+  output_prefix: 'WDPA',
+  export_target: 'drive',
+  image_export_target: '',
+  allowedDesigs: [
+    'National Park',
+    'National Reserve',
+    'Forest Reserve',
+    'Nature Reserve',
+    'National Sanctuary',
+    'Wildlife Sanctuary',
+    'UNESCO-MAB Biosphere Reserve'
+  ],
+  raster_scale: 100,
+  pixel_budget: 'auto',
+  area_crs: 'EPSG:6933',
+  area_unit: 'km2'
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var iso3 = s.iso3;
+  var use_custom_aoi = s.use_custom_aoi;
+  var output_prefix = s.output_prefix;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+  var allowedDesigs = s.allowedDesigs;
+  var raster_scale = s.raster_scale;
+  var pixel_budget = s.pixel_budget;
+  var area_crs = s.area_crs;
+  var area_unit = s.area_unit;
+
+  // ======================================================================
+  // LOAD AOI (Country or Custom - imported via Imports panel)
+  // ======================================================================
+
+  var aoi = ctx.resolveAoi({
+    use_custom_aoi: use_custom_aoi,
+    country_name: country_name,
+    iso3: iso3
+  });
+
+  var AOIfc = aoi.fc;
+  var AOIgeom = aoi.geometry;
+  var aoi_label = aoi.label;
+  output_prefix = output_prefix + '_' + aoi.slug;
+  print("Using AOI:", aoi_label);
+
+  // Sizes the raster exports for this AOI (see scripts/modules/pixels.js)
+  var budget = pixelsLib.createBudget({geometry: AOIgeom, mode: pixel_budget, print: print});
+
+  // Equal-area CRS and unit for every area statistic
+  var areas = areaLib.createAreas({area_crs: area_crs, area_unit: area_unit});
+  var AREA_FIELD = areas.field('area');  // e.g. 'area_km2'
+
+  // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+  var provenance = provenanceLib.createProvenance({
+    script: ctx.script,
+    settings: s,
+    datasets: datasetsLib.provenance(['WDPA_POLYGONS', 'WDPA_POINTS']),
+    scales: {raster: raster_scale},
+    aoi: aoi
+  });
+
+  // ======================================================================
+  // LOAD WDPA PROTECTED AREAS (from GEE dataset)
+  // ======================================================================
+
+  // Load all WDPA polygons and points
+  var PA_polygons_raw = datasetsLib.load('WDPA_POLYGONS');
+  var PA_points_raw = datasetsLib.load('WDPA_POINTS'); // to include smaller PA's or PA's without polygon. Can be point location of significance (e.g. small sanctuaries, underwater sites)
+
+  print("Loaded WDPA polygons and points from GEE dataset");
+
+  // ======================================================================
+  // FILTER BY COUNTRY & AOI
+  // ======================================================================
+
+  // Filter polygons by country and AOI
+  var PA_polygons = PA_polygons_raw
+    .map(function(f) {
+      return f.set('intersects', f.geometry().intersects(AOIgeom, 1));
+    })
+    .filter(ee.Filter.eq('intersects', true));
+
+  // Filter points by country and AOI
+  var PA_points = PA_points_raw
+    .map(function(f) {
+      return f.set('intersects', f.geometry().intersects(AOIgeom, 1));
+    })
+    .filter(ee.Filter.eq('intersects', true));
+
+  // Apply designation filter if specified
+  if (allowedDesigs.length > 0) {
+    PA_polygons = PA_polygons.filter(ee.Filter.inList('DESIG_ENG', allowedDesigs));
+    PA_points = PA_points.filter(ee.Filter.inList('DESIG_ENG', allowedDesigs));
+  }
+
+  print("PA Polygons in", aoi_label + ":", PA_polygons.size());
+  print("PA Points in", aoi_label + ":", PA_points.size());
+
+  // ======================================================================
+  // SELECT & PREPARE COLUMNS OF INTEREST
+  // ======================================================================
+
+  var columns_to_keep = ['NAME_ENG', 'DESIG_ENG', 'GIS_AREA', 'GOV_TYPE', 'OWN_TYPE']; //adjust
+
+  // Select columns for polygons and add the polygon area measured in area_crs
+  var PA_polygons_selected = areas.tag(PA_polygons.select(columns_to_keep)
+    .map(function(f) {
+      return f.set(AREA_FIELD, areas.geometryArea(f.geometry()));
+    }));
+
+  // Select columns for points (no area: points only carry a reported area)
+  var PA_points_selected = areas.tag(PA_points.select(columns_to_keep));
+
+  print("Selected columns:", columns_to_keep.concat([AREA_FIELD]).concat(areas.columns));
+
+  // ======================================================================
+  // STYLING
+  // ======================================================================
+
+  var AOIVis = AOIfc.style({
+    color: "FF4500",
+    width: 2,
+    fillColor: "FFFFFF00"
+  });
+
+  var PA_polygons_Vis = PA_polygons_selected.style({
+    color: "2F4F4F",
+    width: 1,
+    fillColor: "90EE9022"
+  });
+
+  var PA_points_Vis = PA_points_selected.style({
+    color: "DC143C",
+    width: 2
+  });
+
+  // ======================================================================
+  // ADD TO MAP
+  // ======================================================================
+
+  Map.centerObject(AOIgeom, 6);
+
+  Map.addLayer(AOIVis, {}, aoi_label + " (boundary)");
+  Map.addLayer(PA_polygons_Vis, {}, 'PA Polygons (' + PA_polygons.size().getInfo() + ')');
+  Map.addLayer(PA_points_Vis, {}, 'PA Points (' + PA_points.size().getInfo() + ')');
+
+  // ======================================================================
+  // SUMMARY STATISTICS
+  // ======================================================================
+
+  var total_pa_count = PA_polygons.size().add(PA_points.size());
+
+  print("\n=== SUMMARY STATISTICS ===");
+  print("Total PAs (Polygons + Points):", total_pa_count);
+
+  // Statistics by designation
+  var stats_by_desig = PA_polygons_selected
+    .map(function(f) {
+      return ee.Feature(null, {
+        'DESIG_ENG': f.get('DESIG_ENG'),
+        'count': 1
+      });
+    });
+
+  print("\nPA count by designation:");
+  print(PA_polygons_selected.aggregate_histogram('DESIG_ENG'));
+
+  // Statistics by governance type
+  print("\nPA count by governance type:");
+  print(PA_polygons_selected.aggregate_histogram('GOV_TYPE'));
+
+  // Protected area inside the AOI (overlapping PAs dissolved, counted once)
+  var aoi_area = areas.geometryArea(AOIgeom);
+  var pa_area_in_aoi = areas.geometryArea(
+    PA_polygons_selected.union(1).geometry().intersection(AOIgeom, 1)
+  );
+  var pa_pct_of_aoi = pa_area_in_aoi.divide(aoi_area).multiply(100);
+
+  print("AOI area (" + areas.unit + ", " + areas.crs + "):", aoi_area);
+  print("Protected area in AOI (" + areas.unit + "):", pa_area_in_aoi);
+  print("Protected share of AOI (%):", pa_pct_of_aoi);
+
+  // ======================================================================
+  // RASTERIZE PROTECTED AREAS (Binary: 1 = Protected, 0 = Not Protected)
+  // ======================================================================
+
+  // Create a binary raster (1 = within PA, 0 = not within PA)
+  // Resolution: raster_scale (adjust in USER SETTINGS)
+
+  var PA_raster_binary = ee.Image(0).byte()
+    .paint(PA_polygons_selected, 1)
+    .reproject({
+      crs: 'EPSG:4326',
+      scale: raster_scale
+    })
+    .clip(AOIgeom);
+
+  Map.addLayer(
+    PA_raster_binary,
+    {min: 0, max: 1, palette: ['white', 'darkgreen']},
+    'PA Binary Raster (' + raster_scale + ' m resolution)'
+  );
+
+  // ======================================================================
+  // RASTERIZE BY PA AREA (Area-weighted raster)
+  // ======================================================================
+
+  // Rasterize with area values (equal-area PA area, in area_unit, in each pixel)
+  var PA_raster_area = ee.Image(0).double()
+    .paint(PA_polygons_selected, AREA_FIELD)
+    .reproject({
+      crs: 'EPSG:4326', // best choise CRS in GEE - reproject in e.g. QGIS
+      scale: raster_scale
+    })
+    .clip(AOIgeom);
+
+  Map.addLayer(
+    PA_raster_area,
+    {min: 0, max: 1e10 / areas.factor, palette: ['white', 'yellow', 'orange', 'red']},
+    'PA Area Raster (' + AREA_FIELD + ', ' + raster_scale + ' m resolution)'
+  );
+
+  // ======================================================================
+  // EXPORTS (destination set by export_target)
+  // ======================================================================
+
+  var exporter = exportLib.createExporter({
+    export_target: export_target,
+    image_export_target: image_export_target,
+    output_prefix: output_prefix,
+    budget: budget,
+    properties: provenance.properties,
+    queue_tasks: ctx.queue_exports
+  });
+
+  // Export PA Polygons as shapefile
+  exporter.table(PA_polygons_selected, 'Polygons', {
+    fileFormat: 'SHP'
+  });
+
+  // Export PA Points as shapefile
+  exporter.table(PA_points_selected, 'Points', {
+    fileFormat: 'SHP'
+  });
+
+  // Export binary raster (1 = PA, 0 = not PA)
+  exporter.image(PA_raster_binary.uint8(), 'Raster_Binary', {
+    region: AOIgeom,
+    scale: raster_scale
+  });
+
+  // Export area-weighted raster
+  exporter.image(PA_raster_area, 'Raster_Area', {
+    region: AOIgeom,
+    scale: raster_scale
+  });
+
+  // Export summary stats as table (areas in area_unit, measured in area_crs)
+  var summary_table = areas.tag(ee.FeatureCollection([
+    ee.Feature(null, {
+      'Metric': 'Total_PA_Polygons',
+      'Value': PA_polygons.size()
+    }),
+    ee.Feature(null, {
+      'Metric': 'Total_PA_Points',
+      'Value': PA_points.size()
+    }),
+    ee.Feature(null, {
+      'Metric': 'Total_PAs',
+      'Value': total_pa_count
+    }),
+    ee.Feature(null, {
+      'Metric': 'AOI_Area',
+      'Value': aoi_area
+    }),
+    ee.Feature(null, {
+      'Metric': 'PA_Area_in_AOI',
+      'Value': pa_area_in_aoi
+    }),
+    ee.Feature(null, {
+      'Metric': 'PA_Percent_of_AOI',
+      'Value': pa_pct_of_aoi
+    })
+  ]));
+
+  exporter.table(summary_table, 'Summary_Stats', {
+    selectors: ['Metric', 'Value'].concat(areas.columns)
+  });
+
+  // Export run provenance (settings, datasets, AOI hash, every task above)
+  provenance.exportTable(exporter);
+
+  print("\n=== ALL EXPORTS QUEUED ===");
+  print("Prefix:", output_prefix);
+  print("Export target:", export_target);
+  print("Areas:", areas.unit + " (" + areas.crs + ")");
+
+  return exporter.queued();
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
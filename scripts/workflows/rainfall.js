@@ -0,0 +1,706 @@
+// ======================================================================
+// RAINFALL WORKFLOW — CHIRPS study season vs baseline, SPI and extremes per zone
+// ======================================================================
+//
+// The workflow behind scripts/chirps_rainfall_aoi_pa_generic.js (WDPA zones),
+// scripts/chirps_rainfall_admin_boundaries.js (GAUL units as zones) and the
+// "Rainfall (CHIRPS)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/rainfall.js');
+//   workflow.run({country_name: 'Kenya', use_custom_aoi: false, zone_source: 'grid', zone_grid_size: 25000});
+//
+// Rasters cover the AOI; every table has one row per zone (see
+// scripts/modules/zones.js for the zone sources and their ID columns):
+// <Zone>_Stats, <Zone>_Severity, <Zone>_SPI, <Zone>_Extremes and <Zone>_Rainfall_Series,
+// where <Zone> is PA, Admin, Zone or Grid. AOI_Stats adds one AOI-wide row
+// (and AOI_Severity) unless the zones are the AOI itself (zone_source 'aoi').
+// compare_products adds ERA5-Land / GPM IMERG totals, anomalies and their
+// agreement with CHIRPS (Product_* rasters, <Zone>_Product_Comparison).
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js);
+//           zone_source 'features' reads the "ZONES" import (context.zone_features)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var batchLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/batch.js');
+var zonesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/zones.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+var areaLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/area.js');
+var spiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/spi.js');
+var seasonLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/season.js');
+var seriesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/rainfall_series.js');
+var extremesLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/extremes.js');
+var severityLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/severity.js');
+var productsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/precip_products.js');
+
+var SCRIPT = 'chirps_rainfall_aoi_pa_generic.js';
+
+var DEFAULTS = {
+  country_name: 'Kenya',
+  iso3: '',
+  use_custom_aoi: true,
+  admin_level: null,
+  admin1_names: [],
+  admin2_names: [],
+  zone_source: 'wdpa',
+  allowedDesigs: [
+    'National Park',
+    'National Reserve',
+    'Forest Reserve',
+    'Nature Reserve',
+    'National Sanctuary',
+    'Wildlife Sanctuary',
+    'UNESCO-MAB Biosphere Reserve'
+  ],
+  zone_admin_level: 2,
+  zone_id_fields: [],
+  zone_grid_shape: 'hex',
+  zone_grid_size: 10000,
+  season_start: '03-01',
+  season_end: '05-31',
+  study_year: 2023,
+  baseline_start_year: 2000,
+  baseline_end_year: 2015,
+  series_mode: 'season',
+  series_start_year: 2010,
+  series_end_year: 2023,
+  output_prefix: 'Rainfall',
+  export_target: 'drive',
+  image_export_target: '',
+  batch_mode: false,
+  batch_source: 'countries',
+  batch_names: [],
+  batch_admin_level: 2,
+  batch_name_field: 'NAME',
+  severity_index: 'pct_of_normal',
+  severity_classes: [],
+  compare_products: [],
+  spi_timescales: [1, 3, 6, 12],
+  scale: 1000,
+  pixel_budget: 'auto',
+  area_crs: 'EPSG:6933',
+  area_unit: 'km2'
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var iso3 = s.iso3;
+  var use_custom_aoi = s.use_custom_aoi;
+  var admin_level = s.admin_level;
+  var admin1_names = s.admin1_names;
+  var admin2_names = s.admin2_names;
+  var zone_source = s.zone_source;
+  var allowedDesigs = s.allowedDesigs;
+  var zone_admin_level = s.zone_admin_level;
+  var zone_id_fields = s.zone_id_fields;
+  var zone_grid_shape = s.zone_grid_shape;
+  var zone_grid_size = s.zone_grid_size;
+  var season_start = s.season_start;
+  var season_end = s.season_end;
+  var study_year = s.study_year;
+  var baseline_start_year = s.baseline_start_year;
+  var baseline_end_year = s.baseline_end_year;
+  var series_mode = s.series_mode;
+  var series_start_year = s.series_start_year;
+  var series_end_year = s.series_end_year;
+  var output_prefix = s.output_prefix;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+  var batch_mode = s.batch_mode;
+  var batch_source = s.batch_source;
+  var batch_names = s.batch_names;
+  var batch_admin_level = s.batch_admin_level;
+  var batch_name_field = s.batch_name_field;
+  var scale = s.scale;
+  var spi_timescales = s.spi_timescales;
+  var severity_index = s.severity_index;
+  var severity_classes = s.severity_classes;
+  var compare_products = s.compare_products;
+  var pixel_budget = s.pixel_budget;
+  var area_crs = s.area_crs;
+  var area_unit = s.area_unit;
+
+  // ======================================================================
+  // VALIDATE SETTINGS (stops with a list of every problem found)
+  // ======================================================================
+
+  var check = validateLib.createValidator();
+  var season = seasonLib.validate(check, {
+    season_start: season_start,
+    season_end: season_end,
+    study_year: study_year,
+    baseline_end_year: baseline_end_year
+  });
+  check.yearRange('baseline_start_year', 'baseline_end_year', baseline_start_year, baseline_end_year, 'CHIRPS');
+  check.yearRange('series_start_year', 'series_end_year', series_start_year, series_end_year, 'CHIRPS');
+  check.that(seriesLib.MODES.indexOf(series_mode) >= 0,
+    'series_mode must be \'season\' or \'monthly\' (got ' + JSON.stringify(series_mode) + ').');
+  check.scale('scale', scale);
+  severityLib.validate(check, s);
+  zonesLib.validate(check, s);
+  check.that(zone_source !== 'features' || !!ctx.zone_features,
+    'zone_source \'features\' needs a FeatureCollection import renamed to "ZONES".');
+
+  // Study season [start, end) — the SPI month is the one it ends in
+  var study_window = season && check.problems().length === 0 ? season.window(study_year) : null;
+  spiLib.validate(check, {
+    timescales: spi_timescales,
+    end_date: study_window && study_window.end,
+    study_year: study_year,
+    baseline_start_year: baseline_start_year
+  });
+  productsLib.validate(check, {
+    products: compare_products,
+    season: study_window && season,
+    study_year: study_year,
+    baseline_start_year: baseline_start_year,
+    baseline_end_year: baseline_end_year
+  });
+  check.done();
+
+  // Anomaly severity classes (see scripts/modules/severity.js)
+  var severity = severityLib.createSeverity({index: severity_index, classes: severity_classes});
+
+  // Datasets of the compared precipitation products (none when compare_products is [])
+  var compare = compare_products.length > 0;
+  var compared_datasets = productsLib.PRODUCTS.filter(function(p) {
+    return p.key !== 'CHIRPS' && compare_products.indexOf(p.key) >= 0;
+  }).map(function(p) { return p.dataset; });
+
+  // Drought class areas and grid cells: equal-area grid and unit (see scripts/modules/area.js)
+  var areas = areaLib.createAreas({area_crs: area_crs, area_unit: area_unit});
+
+  // ======================================================================
+  // WORKFLOW (runs once per AOI and returns the queued exports)
+  // ======================================================================
+
+  function runForAoi(aoi) {
+    var AOIfc = aoi.fc;
+    var AOIgeom = aoi.geometry;
+    var aoi_label = aoi.label;
+    var prefix = output_prefix + '_' + aoi.slug;
+    print("Using AOI:", aoi_label);
+
+    // Sizes statistics and exports for this AOI (see scripts/modules/pixels.js)
+    var budget = pixelsLib.createBudget({geometry: AOIgeom, mode: pixel_budget, print: print});
+
+    // ======================================================================
+    // LOAD ZONES (WDPA, GAUL units, imported features or a grid over the AOI)
+    // ======================================================================
+
+    var zones = zonesLib.resolveZones({
+      zone_source: zone_source,
+      aoi: aoi,
+      allowedDesigs: allowedDesigs,
+      zone_admin_level: zone_admin_level,
+      zone_features: ctx.zone_features,
+      zone_id_fields: zone_id_fields,
+      zone_grid_shape: zone_grid_shape,
+      zone_grid_size: zone_grid_size,
+      zone_grid_crs: area_crs
+    });
+    var ZONES = zones.fc;
+    var zone_tag = zones.prefix;
+
+    print("Zones:", zones.label);
+    print("Number of zones:", ZONES.size());
+
+    // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+    var provenance = provenanceLib.createProvenance({
+      script: ctx.script,
+      settings: s,
+      datasets: datasetsLib.provenance(['CHIRPS'].concat(zones.datasets).concat(compared_datasets)),
+      scales: {stats: scale, export: scale},
+      aoi: aoi
+    });
+
+    // ======================================================================
+    // MAP STYLE LAYERS
+    // ======================================================================
+
+    var AOIVis = AOIfc.style({
+      color: "FF4500",
+      width: 2,
+      fillColor: "FFFFFF00"
+    });
+
+    Map.centerObject(AOIgeom, 7);
+    Map.addLayer(AOIVis, {}, aoi_label);
+
+    if (zone_source !== 'aoi') {
+      var zoneVis = ZONES.style({
+        color: "006400",
+        width: 1,
+        fillColor: "FFFFFF00"
+      });
+      Map.addLayer(zoneVis, {}, zones.label);
+    }
+
+    // ======================================================================
+    // TEMPORAL REDUCERS — CHIRPS DAILY RAINFALL
+    // ======================================================================
+
+    var chirps = datasetsLib.load('CHIRPS')
+      .select('precipitation')
+      .filterBounds(AOIgeom);
+
+    print("Season:", season.label);
+    print("Study season:", study_year, "(" + study_window.start + " to " + study_window.end + ", end exclusive)");
+    print("Baseline seasons:", baseline_start_year, "to", baseline_end_year);
+
+    // ======================================================================
+    // 1. Total rainfall during the study season
+    // ======================================================================
+
+    var chirps_study = season.total(chirps, study_year)
+      .clip(AOIgeom);
+
+    Map.addLayer(chirps_study, datasetsLib.vis('CHIRPS', 'precipitation'), 'Total precipitation (Study period)');
+
+    // ======================================================================
+    // 2. Baseline rainfall (mean season total across baseline years)
+    // ======================================================================
+
+    // Same season window in every baseline year (crossing seasons end the next year)
+    var baseline_totals = season.totals(chirps, baseline_start_year, baseline_end_year);
+
+    var chirps_baseline = baseline_totals.mean().clip(AOIgeom);
+
+    // Inter-annual standard deviation of the baseline seasonal totals
+    var baseline_sd = baseline_totals.reduce(ee.Reducer.stdDev());
+
+    Map.addLayer(chirps_baseline, datasetsLib.vis('CHIRPS', 'precipitation'),
+      'Baseline avg precipitation (' + baseline_start_year + '–' + baseline_end_year + ')');
+
+    // ======================================================================
+    // 3. Rainfall anomaly
+    // ======================================================================
+
+    var baseline_masked = chirps_baseline.updateMask(chirps_study.mask());
+
+    var rainfall_anomaly = chirps_study
+      .subtract(baseline_masked)
+      .clip(AOIgeom);
+
+    var anomalyVis = datasetsLib.vis('CHIRPS', 'anomaly');
+
+    Map.addLayer(rainfall_anomaly, anomalyVis, 'Rainfall anomaly (Study vs Baseline)');
+
+    // Percent of normal: study total as % of the baseline mean (no baseline rain → masked)
+    var percent_of_normal = chirps_study
+      .divide(baseline_masked)
+      .multiply(100)
+      .updateMask(baseline_masked.gt(0))
+      .rename('pct_of_normal');
+
+    // Standardized anomaly: (study - baseline mean) / baseline standard deviation
+    var z_score = rainfall_anomaly
+      .divide(baseline_sd)
+      .updateMask(baseline_sd.gt(0))
+      .rename('z_score');
+
+    Map.addLayer(percent_of_normal, datasetsLib.vis('CHIRPS', 'percent_of_normal'),
+      'Rainfall percent of normal (%)', false);
+    Map.addLayer(z_score, datasetsLib.vis('CHIRPS', 'z_score'), 'Standardized rainfall anomaly (z)', false);
+
+    // Zone means of the three anomalies, added to the AOI and zone tables
+    var anomalies = ee.Image.cat([rainfall_anomaly.rename('anomaly_mm'), percent_of_normal, z_score]);
+    var ANOMALY_COLUMNS = ['anomaly_mm', 'pct_of_normal', 'z_score'];
+
+    // Severity classes of one anomaly, driest (1) to wettest
+    var severity_image = severity.classify(anomalies);
+
+    Map.addLayer(severity_image, severity.vis, 'Rainfall severity (' + severity_index + ')', false);
+
+    // ======================================================================
+    // 4. Standardized Precipitation Index (SPI) and drought classes
+    // ======================================================================
+
+    // SPI-k of the k months ending on the last day of the study season,
+    // gamma-fitted on the same days of every baseline year (see scripts/modules/spi.js)
+    var spi = spiLib.computeSpi({
+      collection: chirps,
+      end_date: study_window.end,
+      study_year: study_year,
+      baseline_start_year: baseline_start_year,
+      baseline_end_year: baseline_end_year,
+      timescales: spi_timescales
+    });
+    var spi_image = spi.image.clip(AOIgeom);
+    var drought_classes = spi.classes.clip(AOIgeom);
+
+    print("SPI windows ending " + spi.last_day + ", timescales (months):", spi.timescales.join(', '));
+
+    spi.timescales.forEach(function(k) {
+      Map.addLayer(spi_image.select('spi_' + k), spiLib.VIS_SPI, 'SPI-' + k + ' (' + spi.month + ')', false);
+      Map.addLayer(drought_classes.select('drought_' + k), spiLib.VIS_CLASSES,
+        'Drought class SPI-' + k + ' (' + spi.month + ')', false);
+    });
+
+    // ======================================================================
+    // 5. Rainfall extremes (ETCCDI-style) of the study season vs the baseline seasons
+    // ======================================================================
+
+    var extremes = extremesLib.computeExtremes({
+      collection: chirps,
+      season: season,
+      study_year: study_year,
+      baseline_start_year: baseline_start_year,
+      baseline_end_year: baseline_end_year
+    });
+    var extremes_image = extremes.image.clip(AOIgeom);
+
+    extremesLib.INDICES.forEach(function(index) {
+      Map.addLayer(extremes_image.select(index.band), index.vis, index.label + ' (' + study_year + ')', false);
+    });
+
+    // ======================================================================
+    // 6. Precipitation products: CHIRPS vs ERA5-Land / GPM IMERG (optional)
+    // ======================================================================
+
+    // Same season windows for every product, all harmonised to mm (see scripts/modules/precip_products.js)
+    var comparison = compare ? productsLib.compare({
+      products: compare_products,
+      season: season,
+      study_year: study_year,
+      baseline_start_year: baseline_start_year,
+      baseline_end_year: baseline_end_year,
+      geometry: AOIgeom
+    }) : null;
+
+    if (comparison) {
+      var product_totals = comparison.totals.clip(AOIgeom);
+      var product_anomalies = comparison.anomalies.clip(AOIgeom);
+      var product_agreement = comparison.agreement.clip(AOIgeom);
+
+      comparison.products.slice(1).forEach(function(p) {
+        var name = datasetsLib.info(p.dataset).name;
+        Map.addLayer(product_totals.select(p.prefix + '_total_mm'), datasetsLib.vis('CHIRPS', 'precipitation'),
+          name + ' total (' + study_year + ')', false);
+        Map.addLayer(product_anomalies.select(p.prefix + '_anomaly_mm'), anomalyVis,
+          name + ' anomaly (' + study_year + ')', false);
+      });
+      Map.addLayer(product_agreement.select('agreement'), productsLib.VIS_AGREEMENT,
+        'Product agreement on the anomaly sign (' + study_year + ')', false);
+
+      print("Products compared with CHIRPS:", compared_datasets.map(function(key) {
+        return datasetsLib.info(key).name;
+      }).join(', '));
+    }
+
+    // ======================================================================
+    // SPATIAL REDUCERS — Rainfall stats for the AOI and for each zone
+    // ======================================================================
+
+    var reducers_all = ee.Reducer.mean()
+      .combine(ee.Reducer.min(), null, true)
+      .combine(ee.Reducer.max(), null, true)
+      .combine(ee.Reducer.sum(), null, true);
+
+    // Study total (mean, min, max, sum) and mean anomalies per feature
+    function rainfallStats(collection, label) {
+      var stats = chirps_study.reduceRegions(budget.regions({
+        collection: collection,
+        reducer: reducers_all,
+        scale: scale
+      }, label + ' stats'));
+
+      return anomalies.reduceRegions(budget.regions({
+        collection: stats,
+        reducer: ee.Reducer.mean(),
+        scale: scale
+      }, label + ' anomalies')).filter(ee.Filter.notNull(['mean']));
+    }
+
+    // The AOI as a whole (the zone table already is the AOI in 'aoi' mode)
+    var aoi_stats_clean = zone_source === 'aoi' ? null : rainfallStats(AOIfc, 'AOI');
+    if (aoi_stats_clean) {
+      print("AOI-wide stats (mean, min, max, sum):", aoi_stats_clean);
+    }
+
+    // Per zone, with centroid coordinates for QGIS labeling
+    var zone_stats = rainfallStats(ZONES, zone_tag).map(function(f) {
+      var centroid = f.geometry().centroid(1);
+      var lon = centroid.coordinates().get(0);
+      var lat = centroid.coordinates().get(1);
+      return f.set({
+        'longitude': lon,
+        'latitude': lat
+      });
+    });
+
+    print(zone_tag + " stats + coords:", zone_stats);
+
+    // Area and percent of every severity class, for the AOI and per zone
+    var aoi_severity = zone_source === 'aoi' ? null : severity.zoneAreas(severity_image,
+      ee.FeatureCollection([ee.Feature(AOIgeom, {aoi: aoi_label})]), {
+        areas: areas,
+        budget: budget,
+        scale: scale,
+        label: 'AOI severity'
+      });
+
+    var zone_severity = severity.zoneAreas(severity_image, ZONES, {
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      label: zone_tag + ' severity'
+    });
+
+    print(severity.chart(zone_severity, {
+      x_field: zones.name_field || 'system:index',
+      areas: areas,
+      title: 'Rainfall severity (' + severity_index + ') per ' + zones.noun + ', ' + areas.unit +
+        ' (first 20 ' + zones.noun + 's; all in the CSV)'
+    }));
+
+    // Mean SPI and area in each drought class per zone
+    var zone_spi = spiLib.zoneTable(spi, ZONES, {
+      areas: areas,
+      budget: budget,
+      scale: scale,
+      label: zone_tag + ' SPI'
+    }).filter(ee.Filter.notNull([spi.bands[0]]));
+
+    print(zone_tag + " SPI and drought class areas (" + areas.unit + "):", zone_spi);
+
+    // Mean of every extremes index per zone (study season and baseline mean)
+    var zone_extremes = extremesLib.zoneTable(extremes, ZONES, {
+      budget: budget,
+      scale: scale,
+      label: zone_tag + ' extremes'
+    }).filter(ee.Filter.notNull([extremes.bands[0]]));
+
+    // Mean totals and anomalies of every product, for the AOI and per zone
+    var aoi_products = comparison && zone_source !== 'aoi' ? productsLib.zoneTable(comparison, AOIfc, {
+      budget: budget,
+      scale: scale,
+      label: 'AOI products'
+    }) : null;
+
+    var zone_products = comparison ? productsLib.zoneTable(comparison, ZONES, {
+      budget: budget,
+      scale: scale,
+      label: zone_tag + ' products'
+    }).filter(ee.Filter.notNull([comparison.bands[0]])) : null;
+
+    if (zone_products) {
+      print(productsLib.chart(zone_products, {
+        comparison: comparison,
+        x_field: zones.name_field || 'system:index',
+        title: 'Study season rainfall per product and ' + zones.noun + ', mm (first 20 ' + zones.noun + 's)'
+      }));
+    }
+
+    // ======================================================================
+    // RAINFALL TIME SERIES — per zone, every season (or month) of the series years
+    // ======================================================================
+
+    // Unnamed zones (e.g. a custom AOI) are labelled with the AOI name
+    var zone_series = seriesLib.zoneSeries({
+      collection: chirps,
+      season: season,
+      mode: series_mode,
+      start_year: series_start_year,
+      end_year: series_end_year,
+      baseline_start_year: baseline_start_year,
+      baseline_end_year: baseline_end_year,
+      zones: ZONES,
+      unit_field: zones.name_field,
+      unit_label: aoi_label,
+      budget: budget,
+      scale: scale,
+      label: zone_tag + ' series'
+    });
+
+    print(seriesLib.chart(zone_series, {
+      title: (series_mode === 'monthly' ? 'Monthly' : 'Season (' + season.label + ')') +
+        ' rainfall per ' + zones.noun + ', ' + series_start_year + '–' + series_end_year +
+        ' (first ' + seriesLib.CHART_UNITS + ' ' + zones.noun + 's; all in the CSV)'
+    }));
+    print(seriesLib.uncharted(zone_series, {noun: zones.noun}));
+
+    // ======================================================================
+    // EXPORTS (using output_prefix)
+    // ======================================================================
+
+    var exporter = exportLib.createExporter({
+      export_target: export_target,
+      image_export_target: image_export_target,
+      output_prefix: prefix,
+      budget: budget,
+      properties: provenance.properties,
+      queue_tasks: ctx.queue_exports
+    });
+
+    // Export raster: study period
+    exporter.image(chirps_study, 'StudyPeriod', {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export raster: baseline
+    exporter.image(chirps_baseline, 'Baseline_' + baseline_start_year + '_' + baseline_end_year, {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export raster: anomaly
+    exporter.image(rainfall_anomaly, 'Anomaly', {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export rasters: percent of normal and standardized anomaly
+    exporter.image(percent_of_normal, 'PercentOfNormal', {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    exporter.image(z_score, 'ZScore', {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export raster: severity classes
+    exporter.image(severity_image, 'Severity_Classes', {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export rasters: SPI (one band per timescale) and drought classes
+    exporter.image(spi_image, 'SPI_' + spi.month, {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    exporter.image(drought_classes, 'Drought_Classes_' + spi.month, {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export raster: extremes indices (study season + baseline mean bands)
+    exporter.image(extremes_image, 'Extremes_' + study_year, {
+      region: AOIgeom,
+      scale: scale
+    });
+
+    // Export rasters: product totals, anomalies and agreement (compare_products only)
+    if (comparison) {
+      exporter.image(product_totals, 'Product_Totals_' + study_year, {
+        region: AOIgeom,
+        scale: scale
+      });
+
+      exporter.image(product_anomalies, 'Product_Anomalies_' + study_year, {
+        region: AOIgeom,
+        scale: scale
+      });
+
+      exporter.image(product_agreement, 'Product_Agreement_' + study_year, {
+        region: AOIgeom,
+        scale: scale
+      });
+    }
+
+    // Export CSV: AOI-wide statistics
+    if (aoi_stats_clean) {
+      exporter.table(aoi_stats_clean, 'AOI_Stats', {
+        selectors: ['mean', 'min', 'max', 'sum'].concat(ANOMALY_COLUMNS)
+      });
+      exporter.table(severity.tidy(aoi_severity, ['aoi'], areas), 'AOI_Severity', {
+        selectors: severity.tidyColumns(['aoi'], areas)
+      });
+    }
+
+    // Export CSV: zone statistics (zone IDs + coordinates + stats)
+    exporter.table(zone_stats, zone_tag + '_Stats', {
+      selectors: zones.id_fields.concat(['longitude', 'latitude', 'mean', 'min', 'max', 'sum'])
+        .concat(ANOMALY_COLUMNS)
+    });
+
+    // Export CSV: severity class areas per zone (tidy: one row per zone and class)
+    exporter.table(severity.tidy(zone_severity, zones.id_fields, areas), zone_tag + '_Severity', {
+      selectors: severity.tidyColumns(zones.id_fields, areas)
+    });
+
+    // Export CSV: zone SPI and drought class areas
+    exporter.table(zone_spi, zone_tag + '_SPI', {
+      selectors: zones.id_fields.concat(spiLib.columns(spi, areas)).concat(areas.columns)
+    });
+
+    // Export CSV: extremes indices per zone
+    exporter.table(zone_extremes, zone_tag + '_Extremes', {
+      selectors: zones.id_fields.concat(extremes.bands)
+    });
+
+    // Export CSV: product comparison for the AOI and per zone
+    if (aoi_products) {
+      exporter.table(aoi_products, 'AOI_Product_Comparison', {
+        selectors: comparison.columns
+      });
+    }
+    if (zone_products) {
+      exporter.table(zone_products, zone_tag + '_Product_Comparison', {
+        selectors: zones.id_fields.concat(comparison.columns)
+      });
+    }
+
+    // Export CSV: rainfall time series per zone (long format)
+    exporter.table(zone_series, zone_tag + '_Rainfall_Series', {
+      selectors: seriesLib.columns(zones.id_fields)
+    });
+
+    // Export shapefile: zone polygons
+    exporter.table(zones.shapes, zones.shapefile, {
+      fileFormat: 'SHP'
+    });
+
+    // Export CSV: run provenance (settings, datasets, AOI hash, every task above)
+    provenance.exportTable(exporter);
+
+    print("All exports queued with prefix:", prefix);
+
+    return exporter.queued();
+  }
+
+  // ======================================================================
+  // RUN (single AOI, or every AOI in batch_names)
+  // ======================================================================
+
+  if (batch_mode) {
+    batchLib.runBatch(batchLib.resolveBatch({
+      batch_source: batch_source,
+      batch_names: batch_names,
+      batch_name_field: batch_name_field,
+      admin_level: batch_source === 'gaul' ? batch_admin_level : null,
+      country_name: country_name,
+      custom_aoi: ctx.custom_aoi
+    }), runForAoi, {print: print});
+  } else {
+    return runForAoi(ctx.resolveAoi({
+      use_custom_aoi: use_custom_aoi,
+      country_name: country_name,
+      iso3: iso3,
+      admin_level: admin_level,
+      admin1_names: admin1_names,
+      admin2_names: admin2_names
+    }));
+  }
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
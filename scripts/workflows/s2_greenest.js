@@ -0,0 +1,280 @@
+// ======================================================================
+// S2 GREENEST PIXEL WORKFLOW — Sentinel-2 greenest-pixel NDVI composite per AOI
+// ======================================================================
+//
+// The workflow behind scripts/s2_ndvi_greenst_generic.JS and the
+// "S2 greenest pixel (NDVI)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/s2_greenest.js');
+//   workflow.run({country_name: 'Portugal', admin_level: 1, admin1_names: ['Lisboa']});
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var batchLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/batch.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+
+var SCRIPT = 's2_ndvi_greenst_generic.JS';
+
+var DEFAULTS = {
+  country_name: 'Portugal',
+  use_custom_aoi: false,
+  admin_level: 2,
+  admin1_names: [],
+  admin2_names: ['Odemira'],
+  output_prefix: 'S2_NDVI_Greenest',
+  export_target: 'drive',
+  image_export_target: '',
+  batch_mode: false,
+  batch_source: 'gaul',
+  batch_names: ['Odemira', 'Aljezur'],
+  batch_name_field: 'NAME',
+  start_date: '2021-07-01',
+  end_date: '2021-07-31',
+  max_cloud_pct: 20,
+  mask_to_vegetation: true,
+  veg_classes: [10, 20, 30],
+  export_scale: 10,
+  pixel_budget: 'auto',
+  map_zoom: 8
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var use_custom_aoi = s.use_custom_aoi;
+  var admin_level = s.admin_level;
+  var admin1_names = s.admin1_names;
+  var admin2_names = s.admin2_names;
+  var output_prefix = s.output_prefix;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+  var batch_mode = s.batch_mode;
+  var batch_source = s.batch_source;
+  var batch_names = s.batch_names;
+  var batch_name_field = s.batch_name_field;
+  var start_date = s.start_date;
+  var end_date = s.end_date;
+  var max_cloud_pct = s.max_cloud_pct;
+  var mask_to_vegetation = s.mask_to_vegetation;
+  var veg_classes = s.veg_classes;
+  var export_scale = s.export_scale;
+  var pixel_budget = s.pixel_budget;
+  var map_zoom = s.map_zoom;
+
+  // ======================================================================
+  // VALIDATE SETTINGS (stops with a list of every problem found)
+  // ======================================================================
+
+  var check = validateLib.createValidator();
+  check.dateRange('start_date', 'end_date', start_date, end_date, 'S2_SR');
+  check.number('max_cloud_pct', max_cloud_pct, 0, 100);
+  check.scale('export_scale', export_scale);
+  check.done();
+
+  // ======================================================================
+  // SHARED MODULES
+  // ======================================================================
+
+  // ======================================================================
+  // CLOUD MASK FUNCTION (S2 SR)
+  // ======================================================================
+
+  // QA60 bits and the reflectance scale come from the registry (key 'S2_SR')
+  var S2 = datasetsLib.info('S2_SR');
+
+  function maskS2clouds(image) {
+    var qa = image.select('QA60');
+    var cloudBitMask  = 1 << S2.cloud_bits[0];
+    var cirrusBitMask = 1 << S2.cloud_bits[1];
+
+    var mask = qa.bitwiseAnd(cloudBitMask).eq(0)
+      .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
+
+    return image.updateMask(mask).divide(S2.reflectance_scale);
+  }
+
+  // ======================================================================
+  // WORKFLOW (runs once per AOI and returns the queued exports)
+  // ======================================================================
+
+  function runForAoi(aoi) {
+    // FeatureCollection for reduceRegions(), geometry for clip/filterBounds
+    var AOI_fc = aoi.fc;
+    var AOI_geom = aoi.geometry;
+    var aoi_label = aoi.label;
+    var prefix = output_prefix + '_' + aoi.slug;
+    print("Using AOI:", aoi_label);
+
+    // Sizes statistics and exports for this AOI (see scripts/modules/pixels.js)
+    var budget = pixelsLib.createBudget({geometry: AOI_geom, mode: pixel_budget});
+
+    // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+    var provenance = provenanceLib.createProvenance({
+      script: ctx.script,
+      settings: s,
+      datasets: datasetsLib.provenance(['S2_SR', 'WORLDCOVER']),
+      scales: {stats: export_scale, histogram: export_scale * 3, export: export_scale},
+      aoi: aoi
+    });
+
+    print("AOI feature count:", AOI_fc.size());
+
+    // ======================================================================
+    // LOAD SENTINEL-2 SR
+    // ======================================================================
+
+    var s2 = datasetsLib.load('S2_SR')
+      .filterDate(start_date, end_date)
+      .filterBounds(AOI_geom)
+      .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', max_cloud_pct))
+      .map(maskS2clouds);
+
+    print("Images in collection:", s2.size());
+
+    // Mean composite
+    var s2_mean = s2.mean();
+
+    // NDVI
+    var addNDVI = function(image) {
+      var ndvi = image.normalizedDifference([S2.nir, S2.red]).rename('NDVI');
+      return image.addBands(ndvi);
+    };
+
+    var s2_with_ndvi = s2.map(addNDVI);
+
+    // Greenest pixel composite
+    var greenest = s2_with_ndvi.qualityMosaic('NDVI');
+
+    // Optional vegetation mask
+    if (mask_to_vegetation) {
+      var lc = datasetsLib.load('WORLDCOVER').first();
+      var veg_mask = lc.eq(veg_classes[0]);
+      for (var i = 1; i < veg_classes.length; i++) {
+        veg_mask = veg_mask.or(lc.eq(veg_classes[i]));
+      }
+      s2_mean = s2_mean.updateMask(veg_mask);
+      greenest = greenest.updateMask(veg_mask);
+    }
+
+    // Clip to AOI
+    var ndvi_greenest = greenest.select('NDVI').clip(AOI_geom);
+
+    // ======================================================================
+    // VISUALIZATION
+    // ======================================================================
+
+    var aoi_vis = AOI_fc.style({color: "FF4500", width: 2, fillColor: "FFFFFF00"});
+    Map.addLayer(aoi_vis, null, "AOI");
+    Map.centerObject(AOI_geom, map_zoom);
+
+    var imageParams = datasetsLib.vis('S2_SR', 'false_color');
+    var ndviParams = datasetsLib.vis('S2_SR', 'ndvi');
+
+    Map.addLayer(s2_mean, imageParams, 'S2 mean (masked)');
+    Map.addLayer(ndvi_greenest, ndviParams, 'NDVI greenest');
+
+    // ======================================================================
+    // STATS: MEAN NDVI PER ADMIN UNIT / AOI FEATURE
+    // ======================================================================
+
+    var ndvi_stats = ndvi_greenest.reduceRegions(budget.regions({
+      collection: AOI_fc,
+      reducer: ee.Reducer.mean(),
+      scale: export_scale
+    }, 'NDVI stats'));
+
+    print("NDVI mean per admin unit:", ndvi_stats);
+
+    // Selectors: admin names (if any) + mean NDVI
+    var selectors = aoi.name_fields.concat(['mean']);
+
+    // ======================================================================
+    // NDVi histogram (AOI-wide)
+    // ======================================================================
+
+    var ndvi_hist = ui.Chart.image.histogram(budget.chart({
+      image: ndvi_greenest,
+      region: AOI_geom,
+      scale: export_scale * 3,
+      minBucketWidth: 0.02,
+      maxPixels: 1e13
+    }, 'NDVI histogram')).setOptions({
+      title: 'NDVI histogram (' + aoi_label + ')',
+      hAxis: {
+        title: 'NDVI',
+        viewWindow: {min: -0.2, max: 0.9},
+        ticks: [-0.2, 0, 0.2, 0.4, 0.6, 0.8]
+      },
+      vAxis: {title: 'Pixel count'}
+    });
+    print(ndvi_hist);
+
+    // ======================================================================
+    // EXPORTS
+    // ======================================================================
+
+    var exporter = exportLib.createExporter({
+      export_target: export_target,
+      image_export_target: image_export_target,
+      output_prefix: prefix,
+      budget: budget,
+      properties: provenance.properties,
+      queue_tasks: ctx.queue_exports
+    });
+
+    exporter.image(ndvi_greenest, 'NDVI_Greenest', {
+      region: AOI_geom,
+      scale: export_scale
+    });
+
+    exporter.table(ndvi_stats, 'NDVI_Mean_By_Admin', {
+      selectors: selectors
+    });
+
+    // Run provenance (settings, datasets, AOI hash, every task above)
+    provenance.exportTable(exporter);
+
+    print("Exports queued:", prefix);
+    return exporter.queued();
+  }
+
+  // ======================================================================
+  // RUN (single AOI, or every AOI in batch_names)
+  // ======================================================================
+
+  if (batch_mode) {
+    batchLib.runBatch(batchLib.resolveBatch({
+      batch_source: batch_source,
+      batch_names: batch_names,
+      batch_name_field: batch_name_field,
+      admin_level: admin_level,
+      country_name: country_name,
+      custom_aoi: ctx.custom_aoi
+    }), runForAoi, {print: print});
+  } else {
+    return runForAoi(ctx.resolveAoi({
+      use_custom_aoi: use_custom_aoi,
+      country_name: country_name,
+      admin_level: admin_level,
+      admin1_names: admin1_names,
+      admin2_names: admin2_names
+    }));
+  }
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
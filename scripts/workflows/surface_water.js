@@ -0,0 +1,413 @@
+// ======================================================================
+// SURFACE WATER WORKFLOW — GSW occurrence, change and transitions per AOI
+// ======================================================================
+//
+// The workflow behind scripts/gsw_occ_change_trans_generic.js and the
+// "Surface water (GSW)" entry of scripts/conservation_app.js.
+//
+// Usage (Code Editor):
+//   var workflow = require('users/remoteop/RS-Conservation-GEE:scripts/workflows/surface_water.js');
+//   workflow.run({country_name: 'Spain', use_custom_aoi: false});
+//
+// settings: USER SETTINGS of the script (missing ones take DEFAULTS)
+// context : imports, resolved AOI and output (scripts/modules/workflow.js)
+// Returns the exports of a single-AOI run ([{kind, name, destination}]).
+// ======================================================================
+
+var workflowLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/workflow.js');
+var datasetsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/datasets.js');
+var validateLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/validate.js');
+var aoiLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/aoi.js');
+var exportLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/export.js');
+var pixelsLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/pixels.js');
+var areaLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/area.js');
+var provenanceLib = require('users/remoteop/RS-Conservation-GEE:scripts/modules/provenance.js');
+
+var SCRIPT = 'gsw_occ_change_trans_generic.js';
+
+var DEFAULTS = {
+  country_name: 'Spain',
+  iso3: '',
+  use_custom_aoi: true,
+  aoi_name: 'AOI_Inland_bassin',
+  start_year: 1984,
+  end_year: 2021,
+  HIST_SCALE: 100,
+  STATS_SCALE: 30,
+  EXPORT_SCALE: 30,
+  pixel_budget: 'auto',
+  area_crs: 'EPSG:6933',
+  area_unit: 'km2',
+  export_target: 'drive',
+  image_export_target: ''
+};
+
+function run(settings, context) {
+  var s = workflowLib.settings(settings, DEFAULTS);
+  var ctx = workflowLib.createContext(context, SCRIPT);
+  var print = ctx.print;
+
+  var country_name = s.country_name;
+  var iso3 = s.iso3;
+  var use_custom_aoi = s.use_custom_aoi;
+  var aoi_name = s.aoi_name;
+  var start_year = s.start_year;
+  var end_year = s.end_year;
+  var HIST_SCALE = s.HIST_SCALE;
+  var STATS_SCALE = s.STATS_SCALE;
+  var EXPORT_SCALE = s.EXPORT_SCALE;
+  var pixel_budget = s.pixel_budget;
+  var area_crs = s.area_crs;
+  var area_unit = s.area_unit;
+  var export_target = s.export_target;
+  var image_export_target = s.image_export_target;
+
+  // ======================================================================
+  // 2) TRANSITION CLASS DEFINITIONS (for chart labels/colors)
+  // ======================================================================
+  // Names and colors come from the dataset registry (scripts/modules/datasets.js, key 'GSW')
+  var transition_classes = datasetsLib.classes('GSW', 'transition');
+
+  // Index lists for robust EE lookups: list position = class value (0-10)
+  var class_names = ee.List(transition_classes.map(function(c) { return c.name; }));
+  var class_colors = ee.List(transition_classes.map(function(c) { return c.color; }));
+
+  // ======================================================================
+  // VALIDATE SETTINGS (stops with a list of every problem found)
+  // ======================================================================
+
+  var check = validateLib.createValidator();
+  check.yearRange('start_year', 'end_year', start_year, end_year, 'GSW');
+  check.scale('HIST_SCALE', HIST_SCALE);
+  check.scale('STATS_SCALE', STATS_SCALE);
+  check.scale('EXPORT_SCALE', EXPORT_SCALE);
+  check.done();
+
+  // ======================================================================
+  // 3) LOAD AOI
+  // ======================================================================
+
+  // Equal-area CRS and unit for every area statistic
+  var areas = areaLib.createAreas({area_crs: area_crs, area_unit: area_unit});
+  var AREA_FIELD = areas.field('area');  // e.g. 'area_km2'
+
+  var aoi = ctx.resolveAoi({
+    use_custom_aoi: use_custom_aoi,
+    custom_aoi_name: aoi_name,
+    country_name: country_name,
+    iso3: iso3
+  });
+
+  var AOI_geometry = aoi.geometry;
+  var aoi_label = aoi.label;
+  var output_prefix = 'GSW_' + aoi.slug;
+  print('Using AOI:', aoi_label);
+
+  // Sizes charts, statistics and exports for this AOI (see scripts/modules/pixels.js)
+  var budget = pixelsLib.createBudget({geometry: AOI_geometry, mode: pixel_budget});
+
+  // Settings, datasets and AOI of this run (see scripts/modules/provenance.js)
+  var provenance = provenanceLib.createProvenance({
+    script: ctx.script,
+    settings: s,
+    datasets: datasetsLib.provenance(['GSW']),
+    scales: {histogram: HIST_SCALE, stats: STATS_SCALE, export: EXPORT_SCALE},
+    aoi: aoi
+  });
+
+  // ======================================================================
+  // 4) LOAD GSW DATA (release set in the dataset registry)
+  // ======================================================================
+  var GSW = datasetsLib.info('GSW');
+  var gsw = datasetsLib.load('GSW');
+  var occurrence = gsw.select('occurrence');
+  var change     = gsw.select('change_abs');
+  var transition = gsw.select('transition');
+  var max_extent = gsw.select('max_extent');
+
+  print('GSW ' + GSW.version + ' bands:', gsw.bandNames());
+
+  // ======================================================================
+  // 5) VISUALIZATION STYLES
+  // ======================================================================
+  var VIS_OCCURRENCE = datasetsLib.vis('GSW', 'occurrence');
+  var VIS_CHANGE     = datasetsLib.vis('GSW', 'change_abs');
+  var VIS_WATER_MASK = datasetsLib.vis('GSW', 'water_mask');
+  var VIS_TRANSITION = datasetsLib.vis('GSW', 'transition');  // min/max/palette from the class table
+
+  // ======================================================================
+  // 6) MAP CONTEXT
+  // ======================================================================
+  Map.centerObject(AOI_geometry, 6);
+
+  var aoi_outline = ee.Image().byte().paint(
+    ee.FeatureCollection([ee.Feature(AOI_geometry)]), 1, 2
+  );
+  Map.addLayer(aoi_outline, {palette: ['FF4500']}, aoi_label, true);
+
+  var water_mask = occurrence.gt(90).selfMask();
+
+  // ======================================================================
+  // 7a) HISTOGRAM (change intensity frequency pixels )
+  // ======================================================================
+  var hist_params = budget.chart({
+    image: change,
+    region: AOI_geometry,
+    scale: HIST_SCALE,
+    minBucketWidth: 10,
+    maxPixels: 1e13
+  }, 'Change histogram');
+
+  var histogram = ui.Chart.image.histogram(hist_params).setOptions({
+    title: 'Histogram of surface water change intensity in ' + aoi_label +
+           ' (scale ' + hist_params.scale + ')'
+  });
+  print(histogram);
+
+  // ======================================================================
+  // 7b) HISTOGRAM (area per change-intensity bin, in area_unit)
+  // ======================================================================
+  var BIN_WIDTH = 10;
+
+  // Keep only valid GSW change values; removes no-data artifacts like -128.
+  var change_valid = change
+    .clip(AOI_geometry)
+    .updateMask(change.gte(-100).and(change.lte(100)));
+
+  // Bin values: ... -100, -90, ..., 90, 100
+  var change_bin = change_valid
+    .divide(BIN_WIDTH)
+    .floor()
+    .multiply(BIN_WIDTH)
+    .toInt()
+    .rename('bin');
+
+  // Sum pixel area per bin (equal-area grid)
+  var bin_area_dict = areas.pixelArea()
+    .addBands(change_bin)
+    .reduceRegion(budget.stats(areas.params({
+      reducer: ee.Reducer.sum().group({
+        groupField: 1,
+        groupName: 'bin'
+      }),
+      geometry: AOI_geometry,
+      scale: HIST_SCALE,
+      maxPixels: 1e13,
+      bestEffort: true,
+      tileScale: 16
+    }), 'Change area per bin'));
+
+  var bin_groups = ee.List(ee.Dictionary(bin_area_dict).get('groups', ee.List([])));
+
+  var hist_fc = ee.FeatureCollection(bin_groups.map(function(g) {
+    g = ee.Dictionary(g);
+    var b = ee.Number(g.get('bin')).toInt();
+    return ee.Feature(null, {
+      bin: b,
+      bin_label: b.format('%d').cat(' to ').cat(b.add(BIN_WIDTH).format('%d'))
+    }).set(AREA_FIELD, ee.Number(g.get('sum')));
+  })).sort('bin');
+
+  var histogram_area = ui.Chart.feature.byFeature({
+    features: hist_fc,
+    xProperty: 'bin_label',
+    yProperties: [AREA_FIELD]
+  })
+  .setChartType('ColumnChart')
+  .setOptions({
+    title: 'Surface water change intensity histogram in ' + aoi_label +
+           ' (' + areas.unit + ' per ' + BIN_WIDTH + '-unit bin, scale ' + hist_params.scale + ' m)',
+    hAxis: {title: 'Change intensity bin'},
+    vAxis: {title: 'Area (' + areas.unit + ')'},
+    legend: {position: 'none'}
+  });
+
+  print(histogram_area);
+
+  // ======================================================================
+  // 8) HELPERS FOR TRANSITION AREA TABLE (all areas in area_unit)
+  // ======================================================================
+  function createFeature(transition_class_stats) {
+    transition_class_stats = ee.Dictionary(transition_class_stats);
+
+    var class_number = ee.Number(
+      transition_class_stats.get('transition_class_value')
+    ).toInt();
+
+    var valid = class_number.gte(0).and(class_number.lte(transition_classes.length - 1));
+
+    var class_name = ee.String(ee.Algorithms.If(
+      valid, class_names.get(class_number), 'Unknown'
+    ));
+
+    var class_color = ee.String(ee.Algorithms.If(
+      valid, class_colors.get(class_number), '#999999'
+    ));
+
+    var area = ee.Number(transition_class_stats.get('sum', 0));
+
+    return ee.Feature(null, {
+      transition_class_number: class_number,
+      transition_class_name: class_name,
+      transition_class_palette: class_color
+    }).set(AREA_FIELD, area);
+  }
+
+  function createPieChartSliceDictionary(fc) {
+    var palettes = ee.List(fc.aggregate_array('transition_class_palette'));
+    return palettes.map(function(p) {
+      return ee.Dictionary({color: p});
+    }).getInfo();
+  }
+
+  // ======================================================================
+  // 9) TRANSITION AREA STATS (area_unit, equal-area grid)
+  // ======================================================================
+  var area_image_with_transition_class = areas.pixelArea().addBands(transition);
+
+  var reduction_results = area_image_with_transition_class.reduceRegion(budget.stats(areas.params({
+    reducer: ee.Reducer.sum().group({
+      groupField: 1,
+      groupName: 'transition_class_value'
+    }),
+    geometry: AOI_geometry,
+    scale: STATS_SCALE,
+    maxPixels: 1e13,
+    bestEffort: true,
+    tileScale: 16
+  }), 'Transition areas'));
+  print('reduction_results', reduction_results);
+
+  var groups = ee.List(reduction_results.get('groups'));
+  groups = ee.List(ee.Algorithms.If(groups, groups, ee.List([])));
+  print('groups size', groups.size());
+
+  var transition_fc = areas.tag(ee.FeatureCollection(groups.map(createFeature))
+    .filter(ee.Filter.gt(AREA_FIELD, 0))
+    .sort(AREA_FIELD, false));
+
+  print('transition_fc (' + areas.unit + ')', transition_fc);
+
+  // ======================================================================
+  // 10) PIE CHART (transition class areas in area_unit)
+  // ======================================================================
+
+  var pie = ui.Chart.feature.byFeature({
+    features: transition_fc,
+    xProperty: 'transition_class_name',
+    yProperties: [AREA_FIELD]
+  })
+  .setChartType('PieChart')
+  .setOptions({
+    title: 'Summary of transition class areas in ' + aoi_label + ' (' + areas.unit + ')',
+    legend: {position: 'right'},
+    sliceVisibilityThreshold: 0,
+    slices: createPieChartSliceDictionary(transition_fc)
+  });
+
+  print(pie);
+
+  // ======================================================================
+  // 11) MAP LAYERS
+  // ======================================================================
+  var transition_display = transition.unmask(0);
+
+  Map.addLayer(
+    transition_display.clip(AOI_geometry),
+    VIS_TRANSITION,
+    'Transition (unmasked for display)',
+    false
+  );
+
+  Map.addLayer(
+    max_extent.clip(AOI_geometry),
+    {min: 0, max: 1, palette: ['ffffff', '0000ff']},
+    'Max extent (ever water)',
+    false
+  );
+
+  Map.addLayer(water_mask, VIS_WATER_MASK, '90% occurrence water mask', false);
+
+  Map.addLayer(
+    occurrence.updateMask(occurrence.divide(100)),
+    VIS_OCCURRENCE,
+    'Water Occurrence (' + start_year + '-' + end_year + ')',
+    false
+  );
+
+  Map.addLayer(change, VIS_CHANGE, 'Occurrence change intensity', false);
+
+  Map.addLayer(
+    transition.clip(AOI_geometry),
+    VIS_TRANSITION,
+    'Transition classes (' + start_year + '-' + end_year + ')',
+    true
+  );
+
+  // ======================================================================
+  // 12) CLIP/REPROJECT FOR EXPORTS
+  // ======================================================================
+  var proj = occurrence.projection();
+
+  var occurrence_aoi = occurrence.clip(AOI_geometry).reproject(proj);
+  var change_aoi     = change.clip(AOI_geometry).reproject(proj);
+  var transition_aoi = transition.clip(AOI_geometry).reproject(proj);
+  var water_mask_aoi = occurrence.gt(90).selfMask().clip(AOI_geometry).reproject(proj);
+
+  // ======================================================================
+  // 13) EXPORTS
+  // ======================================================================
+  var exporter = exportLib.createExporter({
+    export_target: export_target,
+    image_export_target: image_export_target,
+    output_prefix: output_prefix,
+    budget: budget,
+    properties: provenance.properties,
+    queue_tasks: ctx.queue_exports
+  });
+
+  exporter.table(transition_fc, 'Transition_Summary_' + areas.unit, {
+    selectors: ['transition_class_number', 'transition_class_name', AREA_FIELD].concat(areas.columns)
+  });
+
+  exporter.image(water_mask_aoi, 'Water_Mask_gt90', {
+    region: AOI_geometry,
+    scale: EXPORT_SCALE
+  });
+
+  exporter.image(occurrence_aoi, 'Water_Occurrence_' + start_year + '_' + end_year, {
+    region: AOI_geometry,
+    scale: EXPORT_SCALE
+  });
+
+  exporter.image(change_aoi, 'Change_Intensity_' + start_year + '_' + end_year, {
+    region: AOI_geometry,
+    scale: EXPORT_SCALE
+  });
+
+  exporter.image(transition_aoi, 'Transition_Classes_' + start_year + '_' + end_year, {
+    region: AOI_geometry,
+    scale: EXPORT_SCALE
+  });
+
+  // Run provenance (settings, datasets, AOI hash, every task above)
+  provenance.exportTable(exporter);
+
+  // ======================================================================
+  // 14) RUN SUMMARY
+  // ======================================================================
+  print('\n=== ALL EXPORTS QUEUED ===');
+  print('Output prefix:', output_prefix);
+  print('AOI:', aoi_label);
+  print('HIST_SCALE:', HIST_SCALE);
+  print('STATS_SCALE:', STATS_SCALE);
+  print('EXPORT_SCALE:', EXPORT_SCALE);
+  print('Export target:', export_target);
+  print('Area units in outputs/charts:', areas.unit + ' (' + areas.crs + ')');
+
+  return exporter.queued();
+}
+
+exports.run = run;
+exports.DEFAULTS = DEFAULTS;
+exports.SCRIPT = SCRIPT;
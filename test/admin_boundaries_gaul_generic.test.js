@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/admin_boundaries_gaul_generic.js';
+
+test('country mode: all levels and labels are exported as shapefiles', () => {
+  const run = runScript(SCRIPT, {settings: {country_name: 'Portugal'}});
+  assert.deepStrictEqual(run.exportNames, [
+    'Admin_Portugal_Level0_Country',
+    'Admin_Portugal_Level1_Regions',
+    'Admin_Portugal_Level2_Counties',
+    'Admin_Portugal_Labels_Level0',
+    'Admin_Portugal_Labels_Level1',
+    'Admin_Portugal_Labels_Level2',
+    'Admin_Portugal_Provenance'
+  ]);
+  run.exports.slice(0, -1).forEach((e) => assert.strictEqual(e.params.fileFormat, 'SHP', e.name));
+  assert.strictEqual(run.findExport('_Provenance').params.fileFormat, 'CSV');
+  assert.match(run.findExport('_Level2_Counties').params.collection.describe(),
+    /FAO\/GAUL\/2015\/level2.*ADM0_NAME.*Portugal/);
+});
+
+test('toggles drop levels and labels', () => {
+  const run = runScript(SCRIPT, {settings: {show_level2: false, show_labels: false}});
+  assert.deepStrictEqual(run.exportNames, ['Admin_Kenya_Level0_Country', 'Admin_Kenya_Level1_Regions', 'Admin_Kenya_Provenance']);
+  assert.strictEqual(run.layers.length, 2);
+});
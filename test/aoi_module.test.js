@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function load(options) {
+  const loaded = loadModule('scripts/modules/aoi.js', options);
+  return {aoiLib: loaded.module, ee: loaded.ee};
+}
+
+test('custom import wins over drawn geometry', () => {
+  const {aoiLib, ee} = load();
+  const aoi = aoiLib.resolveAoi({
+    use_custom_aoi: true,
+    custom_aoi: ee.FeatureCollection('projects/test/assets/AOI'),
+    drawn_geometry: ee.Geometry.Point([0, 0]),
+    country_name: 'Kenya'
+  });
+  assert.strictEqual(aoi.source, 'custom');
+  assert.strictEqual(aoi.label, 'Custom AOI (imported)');
+  assert.strictEqual(aoi.slug, 'CustomAOI');
+  assert.ok(aoi.fc instanceof ee.FeatureCollection);
+  assert.ok(aoi.geometry instanceof ee.Geometry);
+  assert.deepStrictEqual([...aoi.name_fields], []);
+});
+
+test('drawn geometry is wrapped as a FeatureCollection and keeps its name', () => {
+  const {aoiLib, ee} = load();
+  const drawn = ee.Geometry.Polygon([[[0, 0], [1, 0], [1, 1]]]);
+  const aoi = aoiLib.resolveAoi({use_custom_aoi: true, drawn_geometry: drawn, custom_aoi_name: 'My Basin'});
+  assert.strictEqual(aoi.source, 'drawn');
+  assert.strictEqual(aoi.label, 'My Basin');
+  assert.strictEqual(aoi.slug, 'My_Basin');
+  assert.strictEqual(aoi.geometry, drawn);
+  assert.ok(aoi.fc instanceof ee.FeatureCollection);
+});
+
+test('a single Feature import is accepted', () => {
+  const {aoiLib, ee} = load();
+  const aoi = aoiLib.resolveAoi({use_custom_aoi: true, custom_aoi: ee.Feature(ee.Geometry.Point([0, 0]))});
+  assert.ok(aoi.fc instanceof ee.FeatureCollection);
+});
+
+test('missing custom AOI gives a clear error', () => {
+  const {aoiLib} = load();
+  assert.throws(() => aoiLib.resolveAoi({use_custom_aoi: true, custom_aoi: null}),
+    /AOI: use_custom_aoi is true, but no AOI was imported or drawn/);
+});
+
+test('unsupported custom AOI types are rejected', () => {
+  const {aoiLib, ee} = load();
+  assert.throws(() => aoiLib.resolveAoi({use_custom_aoi: true, custom_aoi: ee.Image('x')}),
+    /must be a FeatureCollection, Feature or Geometry/);
+});
+
+test('LSIB country boundary by name', () => {
+  const {aoiLib} = load();
+  const aoi = aoiLib.resolveAoi({country_name: 'Kenya'});
+  assert.strictEqual(aoi.source, 'LSIB');
+  assert.strictEqual(aoi.dataset, 'USDOS/LSIB_SIMPLE/2017');
+  assert.strictEqual(aoi.label, 'Kenya (entire country)');
+  assert.strictEqual(aoi.slug, 'Kenya');
+  assert.match(aoi.fc.describe(), /USDOS\/LSIB_SIMPLE\/2017.*country_na.*Kenya/);
+});
+
+test('ISO3 code selects geoBoundaries ADM0', () => {
+  const {aoiLib} = load();
+  const aoi = aoiLib.resolveAoi({country_name: 'Kenya', iso3: 'ken'});
+  assert.strictEqual(aoi.source, 'ISO3');
+  assert.strictEqual(aoi.dataset, 'WM/geoLab/geoBoundaries/600/ADM0');
+  assert.strictEqual(aoi.slug, 'KEN');
+  assert.match(aoi.fc.describe(), /geoBoundaries.*shapeGroup.*KEN/);
+  assert.throws(() => aoiLib.resolveAoi({iso3: 'KE'}), /three-letter/);
+});
+
+test('GAUL level 2 with admin name filters', () => {
+  const {aoiLib} = load();
+  const aoi = aoiLib.resolveAoi({
+    country_name: 'Portugal',
+    admin_level: 2,
+    admin1_names: ['Beja'],
+    admin2_names: ['Odemira']
+  });
+  assert.strictEqual(aoi.source, 'GAUL');
+  assert.strictEqual(aoi.dataset, 'FAO/GAUL/2015/level2');
+  assert.strictEqual(aoi.admin_level, 2);
+  assert.strictEqual(aoi.label, 'Portugal (Level 2: Odemira)');
+  assert.strictEqual(aoi.slug, 'Portugal_AdminLevel2_Odemira');
+  assert.deepStrictEqual([...aoi.name_fields], ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME']);
+  const chain = aoi.fc.describe();
+  assert.match(chain, /FAO\/GAUL\/2015\/level2/);
+  assert.match(chain, /ADM1_NAME.*Beja/);
+  assert.match(chain, /ADM2_NAME.*Odemira/);
+});
+
+test('GAUL settings are validated', () => {
+  const {aoiLib} = load();
+  assert.throws(() => aoiLib.resolveAoi({country_name: 'Portugal', admin_level: 3}),
+    /admin_level must be 0, 1, or 2/);
+  assert.throws(() => aoiLib.resolveAoi({country_name: 'Portugal', admin_level: 1, admin2_names: ['Odemira']}),
+    /admin2_names is set, but admin_level is 1/);
+  assert.throws(() => aoiLib.resolveAoi({country_name: 'Portugal', admin_level: 2, admin2_names: 'Odemira'}),
+    /admin2_names must be a list/);
+  assert.throws(() => aoiLib.resolveAoi({admin_level: 0}), /country_name is required/);
+});
+
+test('an empty boundary match stops with the offending name', () => {
+  const {aoiLib} = load({getInfo: (obj) => (obj.lastMethod() === 'size' ? 0 : undefined)});
+  assert.throws(() => aoiLib.resolveAoi({country_name: 'Kenyaa'}), /no boundary matches country_name "Kenyaa"/);
+});
+
+test('slugifyName keeps export-safe characters only', () => {
+  const {aoiLib} = load();
+  assert.strictEqual(aoiLib.slugifyName('  Parque Natural (Sul) '), 'Parque_Natural_Sul');
+});
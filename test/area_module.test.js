@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+test('defaults: hectares in EPSG:6933', () => {
+  const {module: areaLib} = loadModule('scripts/modules/area.js');
+  const areas = areaLib.createAreas();
+  assert.strictEqual(areas.unit, 'ha');
+  assert.strictEqual(areas.crs, 'EPSG:6933');
+  assert.strictEqual(areas.factor, 1e4);
+  assert.strictEqual(areas.field('loss'), 'loss_ha');
+  assert.deepStrictEqual([...areas.columns], ['area_unit', 'area_crs']);
+});
+
+test('pixel area and polygon area are scaled to the unit', () => {
+  const {module: areaLib, ee} = loadModule('scripts/modules/area.js');
+  const areas = areaLib.createAreas({area_unit: 'km2', area_crs: 'EPSG:32737'});
+  assert.match(areas.pixelArea().describe(), /pixelArea\(\)\.divide\(1000000\)\.rename\("area"\)/);
+  const polygon = areas.geometryArea(ee.Geometry.Point([0, 0]));
+  assert.match(polygon.describe(), /area\(.*EPSG:32737.*\)\.divide\(1000000\)/);
+});
+
+test('reduction parameters use the equal-area CRS instead of a crsTransform', () => {
+  const {module: areaLib, ee} = loadModule('scripts/modules/area.js');
+  const areas = areaLib.createAreas({area_unit: 'm2', area_crs: 'EPSG:3035'});
+  const params = areas.params({reducer: ee.Reducer.sum(), scale: 30, crsTransform: [1, 0, 0, 0, 1, 0]});
+  assert.strictEqual(params.crs, 'EPSG:3035');
+  assert.strictEqual(params.scale, 30);
+  assert.strictEqual(params.crsTransform, undefined);
+  assert.strictEqual(areas.factor, 1);
+});
+
+test('tag() adds the unit columns to every feature', () => {
+  const {module: areaLib, ee} = loadModule('scripts/modules/area.js');
+  const areas = areaLib.createAreas({area_unit: 'km2'});
+  const tagged = areas.tag(ee.FeatureCollection('projects/test/assets/table'));
+  assert.strictEqual(tagged.lastMethod(), 'map');
+});
+
+test('unknown units and malformed CRS codes are rejected', () => {
+  const {module: areaLib} = loadModule('scripts/modules/area.js');
+  assert.throws(() => areaLib.createAreas({area_unit: 'acres'}), /Area: area_unit must be 'm2', 'ha' or 'km2'/);
+  assert.throws(() => areaLib.createAreas({area_crs: '6933'}), /Area: area_crs must be an EPSG code/);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function load(options) {
+  const loaded = loadModule('scripts/modules/batch.js', options);
+  return {batchLib: loaded.module, ee: loaded.ee, recorder: loaded.recorder};
+}
+
+test('countries: names use LSIB, three-letter codes use geoBoundaries', () => {
+  const {batchLib} = load();
+  const aois = batchLib.resolveBatch({batch_source: 'countries', batch_names: ['Kenya', 'TZA']});
+  assert.deepStrictEqual(aois.map((a) => a.source), ['LSIB', 'ISO3']);
+  assert.deepStrictEqual(aois.map((a) => a.slug), ['Kenya', 'TZA']);
+});
+
+test('countries with admin_level: every GAUL unit of each country', () => {
+  const {batchLib} = load();
+  const aois = batchLib.resolveBatch({batch_source: 'countries', batch_names: ['Portugal', 'Spain'], admin_level: 1});
+  assert.deepStrictEqual(aois.map((a) => a.slug), ['Portugal_AdminLevel1', 'Spain_AdminLevel1']);
+  assert.match(aois[1].fc.describe(), /FAO\/GAUL\/2015\/level1.*Spain/);
+});
+
+test('gaul: one AOI per unit name inside country_name', () => {
+  const {batchLib} = load();
+  const aois = batchLib.resolveBatch({
+    batch_source: 'gaul', batch_names: ['Odemira', 'Aljezur'], admin_level: 2, country_name: 'Portugal'
+  });
+  assert.deepStrictEqual(aois.map((a) => a.slug),
+    ['Portugal_AdminLevel2_Odemira', 'Portugal_AdminLevel2_Aljezur']);
+  assert.deepStrictEqual([...aois[0].name_fields], ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME']);
+  assert.match(aois[1].fc.describe(), /ADM2_NAME.*Aljezur/);
+});
+
+test('gaul: needs admin_level 1 or 2', () => {
+  const {batchLib} = load();
+  assert.throws(() => batchLib.resolveBatch({batch_source: 'gaul', batch_names: ['Odemira'], admin_level: 0}),
+    /Batch: batch_source 'gaul' needs admin_level 1 or 2/);
+});
+
+test('features: every distinct name in the imported AOI', () => {
+  const {batchLib, ee, recorder} = load({
+    getInfo: (obj) => (obj.lastMethod() === 'distinct' ? ['Park A', 'Park B'] : undefined)
+  });
+  const aois = batchLib.resolveBatch({
+    batch_source: 'features',
+    batch_names: [],
+    batch_name_field: 'NAME',
+    custom_aoi: ee.FeatureCollection('projects/test/assets/AOI')
+  });
+  assert.deepStrictEqual(aois.map((a) => a.slug), ['Park_A', 'Park_B']);
+  assert.deepStrictEqual(aois.map((a) => a.label), ['Park A', 'Park B']);
+  assert.deepStrictEqual([...aois[0].name_fields], ['NAME']);
+  assert.match(aois[1].geometry.describe(), /NAME.*Park B/);
+  assert.ok(recorder.getInfoCalls.some((d) => /aggregate_array/.test(d)));
+});
+
+test('features: explicit names that match nothing are reported', () => {
+  const {batchLib, ee} = load({getInfo: (obj) => (obj.lastMethod() === 'size' ? 0 : undefined)});
+  assert.throws(() => batchLib.resolveBatch({
+    batch_source: 'features',
+    batch_names: ['Nowhere'],
+    batch_name_field: 'NAME',
+    custom_aoi: ee.FeatureCollection('projects/test/assets/AOI')
+  }), /Batch: no AOI feature has NAME = 'Nowhere'/);
+});
+
+test('features: an imported AOI is required', () => {
+  const {batchLib} = load();
+  assert.throws(() => batchLib.resolveBatch({batch_source: 'features', batch_names: [], batch_name_field: 'NAME'}),
+    /needs an imported FeatureCollection/);
+});
+
+test('duplicate slugs and bad settings are rejected', () => {
+  const {batchLib} = load();
+  assert.throws(() => batchLib.resolveBatch({batch_source: 'countries', batch_names: ['Kenya', 'Kenya ']}),
+    /both export as 'Kenya'/);
+  assert.throws(() => batchLib.resolveBatch({batch_source: 'countries', batch_names: []}), /batch_names is empty/);
+  assert.throws(() => batchLib.resolveBatch({batch_source: 'countries', batch_names: 'Kenya'}), /must be a list/);
+  assert.throws(() => batchLib.resolveBatch({batch_source: 'regions', batch_names: ['x']}),
+    /batch_source must be 'countries', 'gaul' or 'features'/);
+});
+
+test('runBatch runs the workflow per AOI and prints a summary table', () => {
+  const {batchLib, recorder} = load();
+  const aois = batchLib.resolveBatch({batch_source: 'countries', batch_names: ['Kenya', 'Uganda']});
+  const rows = batchLib.runBatch(aois, (aoi) => [
+    {kind: 'image', name: 'GFC_' + aoi.slug + '_Loss', destination: 'drive'},
+    {kind: 'table', name: 'GFC_' + aoi.slug + '_Stats', destination: 'drive'}
+  ]);
+
+  assert.deepStrictEqual(rows.map((r) => [r.slug, r.images, r.tables]), [['Kenya', 1, 1], ['Uganda', 1, 1]]);
+  assert.strictEqual(recorder.charts.length, 1);
+  const table = recorder.charts[0].props.dataTable;
+  assert.deepStrictEqual([...table[0]], ['AOI', 'Prefix slug', 'Images', 'Tables', 'Tasks']);
+  assert.deepStrictEqual([...table[2]],
+    ['Uganda (entire country)', 'Uganda', 1, 1, 'GFC_Uganda_Loss, GFC_Uganda_Stats']);
+});
+
+test('runBatch prints to the print it is given instead of the Console', () => {
+  const {batchLib, recorder} = load();
+  const aois = batchLib.resolveBatch({batch_source: 'countries', batch_names: ['Kenya']});
+  const shown = [];
+  batchLib.runBatch(aois, () => [], {print: function() { shown.push([...arguments]); }});
+
+  assert.deepStrictEqual(shown.slice(0, 2), [['=== Batch AOI:', 'Kenya (entire country)', '==='], ['Batch summary (1 AOIs):']]);
+  assert.strictEqual(shown[2][0].kind, 'Chart');
+  assert.strictEqual(recorder.prints.length, 0);
+  assert.strictEqual(recorder.charts.length, 1);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+// Lost biomass (t) grouped by lossyear code, as the reductions return it
+const GROUPS = [{lossyear: 11, sum: 1000}, {lossyear: 3, sum: 200}];
+
+function load() {
+  return loadFixture('carbon', {
+    area_unit: 'km2',
+    getInfo: (obj, value) => {
+      if (obj.lastMethod() === 'reduceRegion') {
+        return {groups: GROUPS};
+      }
+      if (obj.lastMethod() === 'reduceRegions') {
+        return collection([{ID: 'A', groups: GROUPS.slice(0, 1)}, {ID: 'B', groups: []}]);
+      }
+      return value;
+    }
+  });
+}
+
+const SETTINGS = {biomass_source: 'WHRC', biomass_asset: '', root_to_shoot: 0.26, carbon_fraction: 0.47, start_year: 2000};
+
+test('factors: carbon per tonne of AGB includes roots and the carbon fraction', () => {
+  const {lib: carbonLib} = load();
+  const carbon = carbonLib.createCarbon({source: 'WHRC', root_to_shoot: 0.25, carbon_fraction: 0.4});
+  assert.strictEqual(carbon.carbon_per_agb, 0.5);
+  assert.match(carbon.agb.describe(), /^Image\("WHRC\/biomass\/tropical"\)\.select\(\[0\], \["agb"\]\)$/);
+  const own = carbonLib.createCarbon({source: 'WHRC', asset: 'projects/me/assets/agb', root_to_shoot: 0, carbon_fraction: 0.5});
+  assert.match(own.agb.describe(), /^Image\("projects\/me\/assets\/agb"\)/);
+  assert.throws(() => carbonLib.createCarbon({source: 'WHRC'}), /^Error: Carbon: createCarbon\(\) needs numeric/);
+  assert.deepStrictEqual({...carbonLib.BIOMASS_YEARS}, {WHRC: 2000, CCI: 2010});
+});
+
+test('tables: lost biomass in tonnes per loss year, then carbon and CO2', () => {
+  const {lib: carbonLib, ee, areas, value} = load();
+  const carbon = carbonLib.createCarbon({source: 'CCI', root_to_shoot: 0.25, carbon_fraction: 0.4});
+  const options = {
+    loss: ee.Image('loss'),
+    lossyear: ee.Image('lossyear'),
+    areas: areas,
+    budget: {stats: (p) => p, regions: (p) => p},
+    scale: 100
+  };
+  const aoi = carbon.aoiTable(Object.assign({geometry: ee.Geometry('aoi'), properties: {aoi: 'A'}}, options));
+  assert.match(aoi.describe(), /multiply\(Image\.pixelArea\(\)\.divide\(10000\)\)\.updateMask\(Image\("loss"\)\)\.rename\("agb_t"\)/);
+  assert.match(aoi.describe(), /group\(\{groupField: 1, groupName: "lossyear"\}\).*crs: "EPSG:6933"/);
+  // carbon = AGB x 1.25 x 0.4; CO2 = carbon x 44/12; sorted by year
+  assert.deepStrictEqual(rows(value(aoi)), [
+    {aoi: 'A', year: 2003, agb_t: 200, carbon_t: 100, co2_t: 100 * (44 / 12)},
+    {aoi: 'A', year: 2011, agb_t: 1000, carbon_t: 500, co2_t: 500 * (44 / 12)}
+  ]);
+
+  const zones = carbon.zoneTable(Object.assign({zones: ee.FeatureCollection('zones'), id_fields: ['ID']}, options));
+  assert.match(zones.describe(), /reduceRegions\(\{collection: FeatureCollection\("zones"\)/);
+  assert.deepStrictEqual(rows(value(zones)), [{ID: 'A', year: 2011, agb_t: 1000, carbon_t: 500, co2_t: 500 * (44 / 12)}]);
+  assert.deepStrictEqual([...carbon.columns(['ID'])], ['ID', 'year', 'agb_t', 'carbon_t', 'co2_t']);
+});
+
+test('validate(): source, asset and factor ranges', () => {
+  const {problems} = load();
+  assert.deepStrictEqual(problems(SETTINGS), []);
+  const bad = problems({biomass_source: 'whrc', biomass_asset: null, root_to_shoot: -1, carbon_fraction: 47, start_year: 2000});
+  assert.strictEqual(bad.length, 4);
+  assert.match(bad[2], /^root_to_shoot must be a number from 0 to 2/);
+});
+
+test('validate(): CCI biomass (2010) needs a loss window that starts after the map', () => {
+  const {problems} = load();
+  const cci = Object.assign({}, SETTINGS, {biomass_source: 'CCI'});
+  assert.match(problems(cci).join('\n'),
+    /biomass_source 'CCI' maps biomass in 2010, after loss from 2001 was cleared.*set start_year to 2011 or later/);
+  assert.match(problems(Object.assign({}, cci, {start_year: 2010})).join('\n'), /after loss from 2010/);
+  assert.deepStrictEqual(problems(Object.assign({}, cci, {start_year: 2011})), []);
+  assert.deepStrictEqual(problems(Object.assign({}, cci, {biomass_asset: 'projects/me/assets/agb_2000'})), []);
+});
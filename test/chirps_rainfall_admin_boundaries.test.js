@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/chirps_rainfall_admin_boundaries.js';
+
+test('GAUL level 2 mode: admin stats carry admin names', () => {
+  const run = runScript(SCRIPT);
+
+  assert.deepStrictEqual(run.exportNames, [
+    'Rainfall_Portugal_AdminLevel2_Odemira_StudyPeriod',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Baseline_2000_2015',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Anomaly',
+    'Rainfall_Portugal_AdminLevel2_Odemira_PercentOfNormal',
+    'Rainfall_Portugal_AdminLevel2_Odemira_ZScore',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Severity_Classes',
+    'Rainfall_Portugal_AdminLevel2_Odemira_SPI_2024-12',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Drought_Classes_2024-12',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Extremes_2024',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Admin_Stats',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Admin_Severity',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Admin_SPI',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Admin_Extremes',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Admin_Rainfall_Series',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Admin_Boundaries',
+    'Rainfall_Portugal_AdminLevel2_Odemira_Provenance'
+  ]);
+  assert.deepStrictEqual([...run.findExport('_Admin_Stats').params.selectors],
+    ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum', 'anomaly_mm', 'pct_of_normal', 'z_score']);
+
+  const anomaly = run.findExport('_Anomaly');
+  assert.strictEqual(anomaly.params.scale, 1000);
+  assert.match(anomaly.params.region.describe(), /FAO\/GAUL\/2015\/level2.*ADM2_NAME.*Odemira/);
+});
+
+test('SPI table: admin names, mean SPI and drought class areas', () => {
+  const run = runScript(SCRIPT, {settings: {spi_timescales: [1, 6]}});
+  assert.deepStrictEqual([...run.findExport('_Admin_SPI').params.selectors], [
+    'ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME', 'spi_1', 'spi_6',
+    'spi_1_moderate_km2', 'spi_1_severe_km2', 'spi_1_extreme_km2',
+    'spi_6_moderate_km2', 'spi_6_severe_km2', 'spi_6_extreme_km2',
+    'area_unit', 'area_crs'
+  ]);
+  assert.ok(run.findLayer('Drought class SPI-6 (2024-12)'));
+});
+
+test('time series: one row set per season of the series years, charted per unit', () => {
+  const run = runScript(SCRIPT, {settings: {series_start_year: 2023}});
+  const series = run.findExport('_Admin_Rainfall_Series');
+  assert.deepStrictEqual([...series.params.selectors],
+    ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME', 'unit', 'year', 'season', 'total_mm', 'baseline_mm', 'anomaly']);
+  const text = series.params.collection.describe();
+  assert.match(text, /filterDate\("2023-01-01", "2024-01-01"\)/);
+  assert.match(text, /filterDate\("2024-01-01", "2025-01-01"\)/);
+  assert.match(text, /ADM2_NAME.*Odemira/);
+  assert.ok(run.charts.some((c) => /rainfall per unit, 2023–2024/.test(c.props.options.title)));
+});
+
+test('GAUL level 1 mode: selectors follow the level', () => {
+  const run = runScript(SCRIPT, {settings: {admin_level: 1, admin1_names: ['Lisboa'], admin2_names: []}});
+  assert.strictEqual(run.exportNames[0], 'Rainfall_Portugal_AdminLevel1_Lisboa_StudyPeriod');
+  assert.deepStrictEqual([...run.findExport('_Admin_Stats').params.selectors],
+    ['ADM0_NAME', 'ADM1_NAME', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum', 'anomaly_mm', 'pct_of_normal', 'z_score']);
+});
+
+test('custom AOI mode: no admin name columns', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: true}, imports: {AOI: 'FeatureCollection'}});
+  assert.strictEqual(run.exportNames[0], 'Rainfall_CustomAOI_StudyPeriod');
+  assert.deepStrictEqual([...run.findExport('_Admin_Stats').params.selectors],
+    ['longitude', 'latitude', 'mean', 'min', 'max', 'sum', 'anomaly_mm', 'pct_of_normal', 'z_score']);
+  assert.match(run.findExport('_StudyPeriod').params.region.describe(), /projects\/test\/assets\/AOI/);
+});
+
+test('batch mode: full export set per GAUL unit plus a summary table', () => {
+  const run = runScript(SCRIPT, {settings: {batch_mode: true, batch_names: ['Odemira', 'Aljezur']}});
+  assert.strictEqual(run.exports.length, 32);
+  assert.ok(run.findExport('Rainfall_Portugal_AdminLevel2_Aljezur_Provenance'));
+  assert.ok(run.findExport('Rainfall_Portugal_AdminLevel2_Odemira_Admin_Stats'));
+  const anomaly = run.findExport('Rainfall_Portugal_AdminLevel2_Aljezur_Anomaly');
+  assert.match(anomaly.params.region.describe(), /ADM2_NAME.*Aljezur/);
+  const summary = run.charts[run.charts.length - 1].props.dataTable;
+  assert.strictEqual(summary.length, 3);
+  assert.strictEqual(summary[1][1], 'Portugal_AdminLevel2_Odemira');
+});
+
+test('GAUL zones inside a custom AOI: unit codes and names, plus an AOI-wide row', () => {
+  const run = runScript(SCRIPT, {
+    settings: {use_custom_aoi: true, zone_source: 'gaul', zone_admin_level: 2},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.deepStrictEqual([...run.findExport('_Admin_Stats').params.selectors].slice(0, 4),
+    ['ADM2_CODE', 'ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME']);
+  assert.ok(run.findExport('_AOI_Stats'));
+  assert.match(run.findExport('_Admin_Boundaries').params.collection.describe(),
+    /FAO\/GAUL\/2015\/level2.*filterBounds/);
+  assert.ok(run.findLayer('GAUL level 2 units'));
+});
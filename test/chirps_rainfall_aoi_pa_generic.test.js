@@ -0,0 +1,318 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/chirps_rainfall_aoi_pa_generic.js';
+
+test('custom AOI: rasters, AOI/PA tables and PA polygons are queued', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+
+  assert.deepStrictEqual(run.exportNames, [
+    'Rainfall_CustomAOI_StudyPeriod',
+    'Rainfall_CustomAOI_Baseline_2000_2015',
+    'Rainfall_CustomAOI_Anomaly',
+    'Rainfall_CustomAOI_PercentOfNormal',
+    'Rainfall_CustomAOI_ZScore',
+    'Rainfall_CustomAOI_Severity_Classes',
+    'Rainfall_CustomAOI_SPI_2023-05',
+    'Rainfall_CustomAOI_Drought_Classes_2023-05',
+    'Rainfall_CustomAOI_Extremes_2023',
+    'Rainfall_CustomAOI_AOI_Stats',
+    'Rainfall_CustomAOI_AOI_Severity',
+    'Rainfall_CustomAOI_PA_Stats',
+    'Rainfall_CustomAOI_PA_Severity',
+    'Rainfall_CustomAOI_PA_SPI',
+    'Rainfall_CustomAOI_PA_Extremes',
+    'Rainfall_CustomAOI_PA_Rainfall_Series',
+    'Rainfall_CustomAOI_PA_Polygons',
+    'Rainfall_CustomAOI_Provenance'
+  ]);
+
+  run.exports.filter((e) => e.kind === 'image').forEach((e) => {
+    assert.strictEqual(e.params.scale, 1000, e.name);
+    assert.strictEqual(e.params.crs, 'EPSG:4326', e.name);
+    assert.strictEqual(e.params.maxPixels, 1e13, e.name);
+    assert.match(e.params.region.describe(), /projects\/test\/assets\/AOI/, e.name);
+  });
+
+  assert.deepStrictEqual([...run.findExport('_AOI_Stats').params.selectors], ['mean', 'min', 'max', 'sum', 'anomaly_mm', 'pct_of_normal', 'z_score']);
+  assert.deepStrictEqual([...run.findExport('_PA_Stats').params.selectors],
+    ['WDPAID', 'NAME', 'DESIG_ENG', 'longitude', 'latitude', 'mean', 'min', 'max', 'sum', 'anomaly_mm', 'pct_of_normal', 'z_score']);
+  assert.strictEqual(run.findExport('_PA_Polygons').params.fileFormat, 'SHP');
+});
+
+test('custom AOI: study, baseline and anomaly layers are on the map', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.ok(run.findLayer('Total precipitation (Study period)'));
+  assert.ok(run.findLayer('Baseline avg precipitation (2000–2015)'));
+  assert.strictEqual(run.findLayer('Rainfall anomaly (Study vs Baseline)').visParams.min, -300);
+  assert.ok(run.datasets.some((d) => d.id === 'UCSB-CHG/CHIRPS/DAILY'));
+});
+
+test('percent of normal and z-score rasters use the baseline mean and standard deviation', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.strictEqual(run.findLayer('Rainfall percent of normal (%)').visParams.max, 200);
+  assert.strictEqual(run.findLayer('Standardized rainfall anomaly (z)').visParams.min, -3);
+  assert.match(run.findExport('_PercentOfNormal').params.image.describe(), /multiply\(100\)/);
+  assert.match(run.findExport('_ZScore').params.image.describe(), /stdDev/);
+});
+
+test('SPI: layers per timescale and a PA table of mean SPI and drought class areas', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  [1, 3, 6, 12].forEach((k) => {
+    assert.ok(run.findLayer('SPI-' + k + ' (2023-05)'), 'SPI-' + k);
+    assert.ok(run.findLayer('Drought class SPI-' + k + ' (2023-05)'), 'drought class ' + k);
+  });
+
+  const selectors = [...run.findExport('_PA_SPI').params.selectors];
+  assert.deepStrictEqual(selectors.slice(0, 7), ['WDPAID', 'NAME', 'DESIG_ENG', 'spi_1', 'spi_3', 'spi_6', 'spi_12']);
+  assert.ok(selectors.includes('spi_3_severe_km2'));
+  assert.ok(selectors.includes('spi_12_extreme_km2'));
+  assert.deepStrictEqual(selectors.slice(-2), ['area_unit', 'area_crs']);
+});
+
+test('SPI: timescales and area unit come from the settings', () => {
+  const run = runScript(SCRIPT, {
+    settings: {spi_timescales: [3], area_unit: 'ha'},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.deepStrictEqual([...run.findExport('_PA_SPI').params.selectors],
+    ['WDPAID', 'NAME', 'DESIG_ENG', 'spi_3', 'spi_3_moderate_ha', 'spi_3_severe_ha', 'spi_3_extreme_ha', 'area_unit', 'area_crs']);
+  assert.strictEqual(run.findLayer('SPI-1 (2023-05)'), undefined);
+});
+
+test('SPI: a baseline too early for the longest timescale is a settings problem', () => {
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {baseline_start_year: 1981},
+    imports: {AOI: 'FeatureCollection'}
+  }), /12-month SPI needs rainfall from 1980-06-01/);
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {spi_timescales: [0, 3]},
+    imports: {AOI: 'FeatureCollection'}
+  }), /spi_timescales must be a list of months/);
+});
+
+test('time series: long CSV per PA and season, plus a chart per PA', () => {
+  const run = runScript(SCRIPT, {
+    settings: {series_start_year: 2021, series_end_year: 2023},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const series = run.findExport('_PA_Rainfall_Series');
+  assert.deepStrictEqual([...series.params.selectors],
+    ['WDPAID', 'NAME', 'DESIG_ENG', 'unit', 'year', 'season', 'total_mm', 'baseline_mm', 'anomaly']);
+  const text = series.params.collection.describe();
+  assert.match(text, /filterDate\("2021-03-01", "2021-06-01"\)/);
+  assert.match(text, /filterDate\("2023-03-01", "2023-06-01"\)/);
+  assert.doesNotMatch(text, /filterDate\("2024-03-01"/);
+
+  const chart = run.charts.find((c) => c.props.source === 'feature.groups');
+  assert.strictEqual(chart.props.params.seriesProperty, 'unit');
+  assert.match(chart.props.options.title, /Season \(03-01 to 05-31\) rainfall per PA, 2021–2023/);
+  assert.ok(run.prints.some((p) => p[0].describe && /Not in the chart \(all in the CSV\)/.test(p[0].describe())));
+});
+
+test('time series: monthly mode and bad series settings', () => {
+  const run = runScript(SCRIPT, {
+    settings: {series_mode: 'monthly', series_start_year: 2023, series_end_year: 2023},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const text = run.findExport('_PA_Rainfall_Series').params.collection.describe();
+  assert.match(text, /filterDate\("2023-01-01", "2023-02-01"\)/);
+  assert.match(text, /filterDate\("2023-12-01", "2024-01-01"\)/);
+  assert.match(text, /filterDate\("2015-12-01", "2016-01-01"\)/);   // December baseline
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {series_mode: 'weekly', series_start_year: 2024, series_end_year: 2020},
+    imports: {AOI: 'FeatureCollection'}
+  }), (err) => {
+    assert.match(err.message, /series_end_year \(2020\) is before series_start_year/);
+    assert.match(err.message, /series_mode must be 'season' or 'monthly'/);
+    return true;
+  });
+});
+
+test('extremes: study and baseline bands per PA, computed over the season windows', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  const selectors = [...run.findExport('_PA_Extremes').params.selectors];
+  assert.deepStrictEqual(selectors.slice(0, 10),
+    ['WDPAID', 'NAME', 'DESIG_ENG', 'rainy_days', 'cdd', 'rx1day', 'rx5day', 'r95_days', 'onset_day', 'cessation_day']);
+  assert.strictEqual(selectors[selectors.length - 1], 'cessation_day_baseline');
+
+  const image = run.findExport('_Extremes_2023').params.image.describe();
+  assert.match(image, /filterDate\("2023-03-01", "2023-06-01"\)/);
+  assert.match(image, /filterDate\("2015-03-01", "2015-06-01"\)/);   // last baseline season
+  assert.match(image, /iterate/);
+  assert.ok(run.findLayer('Max consecutive dry days (2023)'));
+});
+
+test('country mode: LSIB boundary drives names and regions', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: false, country_name: 'Kenya'}});
+  assert.strictEqual(run.exportNames[0], 'Rainfall_Kenya_StudyPeriod');
+  assert.match(run.findExport('_Anomaly').params.region.describe(), /LSIB_SIMPLE.*Kenya/);
+  assert.ok(run.findLayer('Kenya (entire country)'));
+});
+
+test('export_target routes rasters and tables to Cloud Storage', () => {
+  const run = runScript(SCRIPT, {
+    settings: {export_target: 'gcs:rainfall-bucket/kenya'},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.ok(run.exports.every((e) => e.destination === 'CloudStorage'));
+  assert.strictEqual(run.findExport('_Anomaly').params.fileNamePrefix, 'kenya/Rainfall_CustomAOI_Anomaly');
+  assert.strictEqual(run.findExport('_PA_Polygons').params.fileFormat, 'SHP');
+});
+
+test('custom AOI mode without an import stops with an AOI error', () => {
+  assert.throws(() => runScript(SCRIPT), /AOI: use_custom_aoi is true/);
+});
+
+test('invalid seasons and years stop the script before any computation', () => {
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {season_start: '13-01', season_end: '02-30', baseline_start_year: 1970},
+    imports: {AOI: 'FeatureCollection'}
+  }), (err) => {
+    assert.match(err.message, /^Settings: 3 problems found/);
+    assert.match(err.message, /season_start must be a day/);
+    assert.match(err.message, /season_end must be a day/);
+    assert.match(err.message, /baseline_start_year/);
+    return true;
+  });
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {study_year: 1979},
+    imports: {AOI: 'FeatureCollection'}
+  }), /the study season of 1979 needs rainfall from 1979-03-01/);
+});
+
+test('a season crossing the new year: study and baseline totals use the same window', () => {
+  const run = runScript(SCRIPT, {
+    settings: {season_start: '10-01', season_end: '02-29', study_year: 2023},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.match(run.findExport('_StudyPeriod').params.image.describe(), /filterDate\("2023-10-01", "2024-03-01"\)/);
+  const baseline = run.findExport('_Baseline_2000_2015').params.image.describe();
+  assert.match(baseline, /filterDate\("2000-10-01", "2001-03-01"\)/);
+  assert.match(baseline, /filterDate\("2015-10-01", "2016-03-01"\)/);
+  assert.doesNotMatch(baseline, /dayOfYear/);
+  assert.ok(run.findExport('_SPI_2024-02'));
+});
+
+test('grid zones: one row per hexagon, carried through every zone table', () => {
+  const run = runScript(SCRIPT, {
+    settings: {zone_source: 'grid', zone_grid_size: 25000},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  ['_Grid_Stats', '_Grid_SPI', '_Grid_Extremes', '_Grid_Rainfall_Series', '_Grid_Cells', '_AOI_Stats'].forEach((name) => {
+    assert.ok(run.findExport(name), name);
+  });
+  assert.strictEqual(run.findExport('_PA_Stats'), undefined);
+  assert.deepStrictEqual([...run.findExport('_Grid_Stats').params.selectors].slice(0, 5),
+    ['zone_id', 'row', 'col', 'longitude', 'latitude']);
+  assert.deepStrictEqual([...run.findExport('_Grid_Extremes').params.selectors].slice(0, 4),
+    ['zone_id', 'row', 'col', 'rainy_days']);
+  assert.match(run.findExport('_Grid_Cells').params.collection.describe(), /Projection\("EPSG:6933"\)/);
+  assert.ok(run.findLayer('Hexagon grid, 25 km'));
+  assert.ok(!run.datasets.some((d) => /WDPA/.test(d.id)));
+});
+
+test('imported zones: ZONES import with its own ID fields', () => {
+  const run = runScript(SCRIPT, {
+    settings: {zone_source: 'features', zone_id_fields: ['SITE_ID', 'SITE_NAME']},
+    imports: {AOI: 'FeatureCollection', ZONES: 'FeatureCollection'}
+  });
+  assert.deepStrictEqual([...run.findExport('_Zone_SPI').params.selectors].slice(0, 3),
+    ['SITE_ID', 'SITE_NAME', 'spi_1']);
+  assert.match(run.findExport('_Zone_Polygons').params.collection.describe(), /projects\/test\/assets\/ZONES/);
+  assert.ok(run.charts.some((c) => /rainfall per zone,/.test(c.props.options.title)));
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {zone_source: 'features', zone_id_fields: []},
+    imports: {AOI: 'FeatureCollection'}
+  }), (err) => {
+    assert.match(err.message, /zone_id_fields must list the ID columns/);
+    assert.match(err.message, /import renamed to "ZONES"/);
+    return true;
+  });
+});
+
+test('severity classes: tidy AOI and PA tables of class area and percent, plus a stacked bar', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  const columns = ['class_value', 'class_name', 'class_range', 'area_km2', 'percent', 'area_unit', 'area_crs'];
+  assert.deepStrictEqual([...run.findExport('_PA_Severity').params.selectors],
+    ['WDPAID', 'NAME', 'DESIG_ENG'].concat(columns));
+  assert.deepStrictEqual([...run.findExport('_AOI_Severity').params.selectors], ['aoi'].concat(columns));
+
+  const classes = run.findExport('_Severity_Classes').params.image.describe();
+  assert.match(classes, /select\("pct_of_normal"\)/);
+  assert.match(classes, /lt\(50\)/);
+  assert.match(run.findExport('_PA_Severity').params.collection.describe(), /group\(\{groupField: 1, groupName: "severity"\}\)/);
+  assert.strictEqual(run.findLayer('Rainfall severity (pct_of_normal)').visParams.max, 6);
+
+  const chart = run.charts.find((c) => /Rainfall severity/.test(c.props.options.title));
+  assert.strictEqual(chart.props.options.isStacked, true);
+  assert.strictEqual(chart.props.params.xProperty, 'NAME');
+  assert.deepStrictEqual([...chart.props.params.yProperties].slice(0, 2), ['severe_deficit_km2', 'moderate_deficit_km2']);
+});
+
+test('severity classes: own classes on the z-score, and bad class lists', () => {
+  const run = runScript(SCRIPT, {
+    settings: {
+      severity_index: 'z_score',
+      severity_classes: [{name: 'dry', max: -1, color: 'FF0000'}, {name: 'normal', max: 1}, {name: 'wet'}]
+    },
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.match(run.findExport('_Severity_Classes').params.image.describe(), /select\("z_score"\)/);
+  const layer = run.findLayer('Rainfall severity (z_score)');
+  assert.strictEqual(layer.visParams.max, 3);
+  assert.strictEqual(layer.visParams.palette[0], 'FF0000');
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {severity_index: 'spi', severity_classes: [{name: 'dry', max: 1}, {name: 'wet', max: 0}]},
+    imports: {AOI: 'FeatureCollection'}
+  }), (err) => {
+    assert.match(err.message, /severity_index must be one of pct_of_normal, z_score, anomaly_mm/);
+    assert.match(err.message, /the last class \('wet'\) .* has no max/);
+    return true;
+  });
+});
+
+test('product comparison: ERA5-Land and IMERG totals, agreement map and zone tables', () => {
+  const run = runScript(SCRIPT, {
+    settings: {compare_products: ['ERA5_LAND', 'IMERG'], baseline_start_year: 2001},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  ['_Product_Totals_2023', '_Product_Anomalies_2023', '_Product_Agreement_2023',
+    '_AOI_Product_Comparison', '_PA_Product_Comparison'].forEach((name) => {
+    assert.ok(run.findExport(name), name);
+  });
+  const selectors = [...run.findExport('_PA_Product_Comparison').params.selectors];
+  assert.deepStrictEqual(selectors.slice(0, 5), ['WDPAID', 'NAME', 'DESIG_ENG', 'chirps_total_mm', 'chirps_baseline_mm']);
+  assert.ok(selectors.includes('era5_land_anomaly_mm'));
+  assert.ok(selectors.includes('imerg_pct_of_normal'));
+  assert.strictEqual(selectors[selectors.length - 1], 'spread_pct');
+
+  const totals = run.findExport('_Product_Totals_2023').params.image.describe();
+  assert.match(totals, /ECMWF\/ERA5_LAND\/DAILY_AGGR.*select\("total_precipitation_sum"\)/);
+  assert.match(totals, /NASA\/GPM_L3\/IMERG_V07/);
+  assert.match(totals, /filterDate\("2023-03-01", "2023-06-01"\)/);
+  assert.ok(run.findLayer('Product agreement on the anomaly sign (2023)'));
+  assert.ok(run.findLayer('ERA5-Land Daily Aggregated total (2023)'));
+  assert.ok(run.datasets.some((d) => d.id === 'NASA/GPM_L3/IMERG_V07'));
+  assert.ok(run.charts.some((c) => /rainfall per product and PA/.test(c.props.options.title)));
+});
+
+test('product comparison: off by default, unknown products and IMERG coverage stop the run', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.ok(!run.exportNames.some((name) => /Product/.test(name)));
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {compare_products: ['TRMM']},
+    imports: {AOI: 'FeatureCollection'}
+  }), /compare_products must list products from CHIRPS, ERA5_LAND, IMERG/);
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {compare_products: ['IMERG']},
+    imports: {AOI: 'FeatureCollection'}
+  }), /IMERG is compared over 2000-03-01 to 2023-06-01 \(exclusive\), outside GPM IMERG Final/);
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/conservation_app.js';
+
+// Every widget under ui.root, depth first
+function widgets(root) {
+  const out = [];
+  (function walk(w) {
+    out.push(w);
+    (w.children || []).forEach(walk);
+  })(root);
+  return out;
+}
+
+function startApp(options) {
+  const run = runScript(SCRIPT, options);
+  const all = () => widgets(run.ui.root);
+  const find = (kind, test) => all().filter((w) => w.kind === kind && test(w.props))[0];
+  return {
+    run: run,
+    all: all,
+    workflow: find('Select', (p) => Array.isArray(p.items) && p.items.length === 7),
+    aoiMode: find('Select', (p) => p.value === 'Country / admin unit'),
+    level: find('Select', (p) => p.value === 0),
+    unit: find('Select', (p) => p.value === 'All units'),
+    queue: find('Checkbox', () => true),
+    button: (label) => find('Button', (p) => p.label === label),
+    texts: () => all().filter((w) => w.kind === 'Label').map((w) => String(w.props.value))
+  };
+}
+
+// Export names queued so far (exportNames is fixed when the script returns)
+function names(run) {
+  return run.exports.map((e) => e.name);
+}
+
+function pick(select, value) {
+  select.setValue(value);
+  select.trigger('change', value);
+}
+
+test('the panel lists every workflow and starts with the rainfall season', () => {
+  const app = startApp();
+  assert.strictEqual(app.run.ui.root.children.length, 1);
+  assert.deepStrictEqual([...app.workflow.props.items.map((i) => i.value)], [
+    'rainfall', 'forest_change', 'ndvi_anomaly', 'surface_water', 'elevation', 'protected_areas', 's2_greenest'
+  ]);
+  const days = app.all().filter((w) => w.kind === 'Textbox' && w.props.placeholder === 'MM-DD');
+  assert.deepStrictEqual([...days.map((d) => d.props.value)], ['03-01', '05-31']);
+  assert.strictEqual(app.all().filter((w) => w.kind === 'Slider').length, 5);
+  assert.strictEqual(app.run.exports.length, 0);
+});
+
+test('Run: the elevation workflow queues the script exports for a GAUL unit', () => {
+  const app = startApp();
+  pick(app.workflow, 'elevation');
+  pick(app.level, 1);
+  app.unit.setValue('Nairobi');
+  app.button('Run').trigger('click');
+
+  assert.deepStrictEqual([...names(app.run)], [
+    'DEM_Elevation_AOI',
+    'DEM_Elevation_AOI_Stats',
+    'DEM_Elevation_AOI_Percentiles',
+    'DEM_Elevation_Provenance'
+  ]);
+  const raster = app.run.findExport('_AOI');
+  assert.match(raster.params.region.describe(), /GAUL\/2015\/level1.*Kenya.*Nairobi/);
+  assert.match(raster.params.image.describe(), /provenance_script: "conservation_app\.js \(elevation\)"/);
+  assert.ok(app.run.findLayer('AOI Elevation'));
+
+  // Charts and messages land in the output panel instead of the Console
+  assert.ok(app.all().some((w) => w.kind === 'Chart'));
+  assert.ok(app.texts().some((t) => /^Export tasks \(Tasks tab\): 4$/.test(t)));
+  assert.strictEqual(app.run.prints.length, 0);
+});
+
+test('date pickers feed the workflow settings and errors are shown in the panel', () => {
+  const app = startApp();
+  pick(app.workflow, 's2_greenest');
+  const [start, end] = app.all().filter((w) => w.kind === 'DateSlider');
+  start.setValue([Date.UTC(2024, 2, 1), Date.UTC(2024, 2, 2)]);
+  start.trigger('change');
+  end.setValue([Date.UTC(2024, 1, 1), Date.UTC(2024, 1, 2)]);
+  end.trigger('change');
+  app.button('Run').trigger('click');
+
+  assert.strictEqual(app.run.exports.length, 0);
+  assert.ok(app.texts().some((t) => /end_date \(2024-02-01\) must be after start_date \(2024-03-01\)/.test(t)));
+});
+
+test('rainfall: a season typed in the panel may cross the new year', () => {
+  const app = startApp();
+  const [start, end] = app.all().filter((w) => w.kind === 'Textbox' && w.props.placeholder === 'MM-DD');
+  start.trigger('change', '10-01');
+  end.trigger('change', '02-28');
+  app.button('Run').trigger('click');
+
+  assert.ok(names(app.run).some((n) => /_SPI_2024-02$/.test(n)));
+  // '02-28' stops before 29 February in leap years; '02-29' means the end of February
+  assert.match(app.run.findExport('_StudyPeriod').params.image.describe(), /filterDate\("2023-10-01", "2024-02-29"\)/);
+
+  end.trigger('change', '2-28');
+  app.button('Run').trigger('click');
+  assert.ok(app.texts().some((t) => /season_end must be a day written as 'MM-DD'/.test(t)));
+});
+
+test('drawn AOI: needs a polygon, then runs on the drawn geometry', () => {
+  const app = startApp();
+  pick(app.workflow, 'forest_change');
+  pick(app.aoiMode, 'Draw on map');
+  const drawn = [];
+  app.run.context.Map.drawingTools = () => ({
+    layers: () => ({length: () => drawn.length, get: (i) => drawn[i]})
+  });
+
+  app.button('Run').trigger('click');
+  assert.strictEqual(app.run.exports.length, 0);
+  assert.ok(app.texts().some((t) => /draw a polygon on the map first/.test(t)));
+
+  const polygon = app.run.ee.Geometry.Polygon([[[36, -1], [37, -1], [37, 0], [36, -1]]]);
+  drawn.push({toGeometry: () => polygon});
+  app.button('Run').trigger('click');
+  assert.strictEqual(names(app.run)[0], 'GFC_CustomAOI_TreeCover2000');
+  assert.match(app.run.findExport('_TreeCover2000').params.region.describe(), /Polygon\(\[\[\[36, -1\]/);
+});
+
+test('without queueing, the exports are listed but no task is started', () => {
+  const app = startApp();
+  pick(app.workflow, 'protected_areas');
+  app.queue.setValue(false);
+  app.button('Run').trigger('click');
+
+  assert.strictEqual(app.run.exports.length, 0);
+  assert.ok(app.texts().some((t) => /^Exports \(not queued\): \d+$/.test(t)));
+  assert.ok(app.texts().some((t) => /WDPA_Kenya_AdminLevel0_Provenance — table → drive/.test(t)));
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function datasets() {
+  return loadModule('scripts/modules/datasets.js').module;
+}
+
+test('info returns the registry entry and rejects unknown keys', () => {
+  const lib = datasets();
+  assert.strictEqual(lib.info('CHIRPS').id, 'UCSB-CHG/CHIRPS/DAILY');
+  assert.strictEqual(lib.id('NASADEM'), 'NASA/NASADEM_HGT/001');
+  assert.throws(() => lib.info('MODIS'), /Datasets: unknown dataset key 'MODIS'/);
+});
+
+test('load picks the ee constructor from the dataset type', () => {
+  const lib = datasets();
+  assert.match(lib.load('NASADEM').describe(), /^Image\("NASA\/NASADEM_HGT\/001"\)/);
+  assert.match(lib.load('S2_SR').describe(), /^ImageCollection\("COPERNICUS\/S2_SR_HARMONIZED"\)/);
+  assert.match(lib.load('GAUL1').describe(), /^FeatureCollection\("FAO\/GAUL\/2015\/level1"\)/);
+});
+
+test('vis returns a copy and styles class tables', () => {
+  const lib = datasets();
+  const params = lib.vis('NASADEM', 'elevation');
+  params.max = 1;
+  assert.strictEqual(lib.vis('NASADEM', 'elevation').max, 3000);
+
+  const transition = lib.vis('GSW', 'transition');
+  assert.strictEqual(transition.min, 0);
+  assert.strictEqual(transition.max, 10);
+  assert.strictEqual(transition.palette.length, 11);
+  assert.throws(() => lib.vis('GSW', 'nope'), /Datasets: GSW has no visualization 'nope'/);
+});
+
+test('coverage and provenance entries come from the registry', () => {
+  const lib = datasets();
+  const chirps = lib.coverage('CHIRPS');
+  assert.match(chirps.name, /UCSB-CHG\/CHIRPS\/DAILY/);
+  assert.strictEqual(chirps.start, '1981-01-01');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(lib.provenance(['GAUL0', 'NASADEM']))), [
+    {id: 'FAO/GAUL/2015/level0', version: '2015'},
+    {id: 'NASA/NASADEM_HGT/001', version: '001'}
+  ]);
+  assert.throws(() => lib.coverage('LSIB'), /Datasets: LSIB has no date coverage/);
+});
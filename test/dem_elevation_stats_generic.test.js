@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/dem_elevation_stats_generic.js';
+
+test('custom AOI: AOI and country rasters plus stats tables', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.deepStrictEqual(run.exportNames, [
+    'DEM_Elevation_AOI',
+    'DEM_Elevation_Spain',
+    'DEM_Elevation_AOI_Stats',
+    'DEM_Elevation_AOI_Percentiles',
+    'DEM_Elevation_Provenance'
+  ]);
+
+  const aoiRaster = run.findExport('_AOI');
+  assert.strictEqual(aoiRaster.params.scale, 30);
+  assert.strictEqual(aoiRaster.params.crs, 'EPSG:4326');
+  assert.match(aoiRaster.params.region.describe(), /projects\/test\/assets\/AOI/);
+  assert.match(run.findExport('_Spain').params.region.describe(), /LSIB_SIMPLE.*Spain/);
+
+  assert.deepStrictEqual([...run.findExport('_AOI_Stats').params.selectors], ['mean', 'min', 'max']);
+  assert.deepStrictEqual([...run.findExport('_AOI_Percentiles').params.selectors], ['p50', 'p95']);
+  assert.ok(run.charts.length === 1);
+});
+
+test('country mode: the country is the AOI, no duplicate country raster', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: false, country_name: 'Portugal'}});
+  assert.deepStrictEqual(run.exportNames, [
+    'DEM_Elevation_AOI', 'DEM_Elevation_AOI_Stats', 'DEM_Elevation_AOI_Percentiles', 'DEM_Elevation_Provenance'
+  ]);
+  assert.match(run.findExport('_AOI').params.region.describe(), /LSIB_SIMPLE.*Portugal/);
+  assert.ok(!run.findLayer('Portugal (entire country) DEM'));
+});
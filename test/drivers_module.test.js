@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+// Grouped sums over the driver x 100 + lossyear code
+const GROUPS = [{code: 122, sum: 4}, {code: 1, sum: 2}, {code: 305, sum: 1.5}, {code: 901, sum: 1}];
+
+function load(getInfo) {
+  const fx = loadFixture('drivers', {area_unit: 'ha', getInfo: getInfo});
+  return Object.assign({driversLib: fx.lib}, fx);
+}
+
+function leaves(obj, value) {
+  if (obj.lastMethod() === 'reduceRegion') {
+    return {groups: GROUPS};
+  }
+  if (obj.lastMethod() === 'reduceRegions') {
+    return collection([{ID: 'A', groups: GROUPS.slice(0, 2)}, {ID: 'B', groups: []}, {ID: 'C', groups: GROUPS.slice(2, 3)}]);
+  }
+  return value;
+}
+
+test('classes: unattributed first, then the registry driver classes', () => {
+  const {driversLib} = load();
+  const drivers = driversLib.createDrivers({asset: ''});
+  assert.deepStrictEqual([...drivers.classes.map((c) => c.value)], [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.strictEqual(drivers.classes[1].name, 'Permanent agriculture');
+  assert.strictEqual(drivers.vis.palette.length, 8);
+  assert.match(drivers.asset, /wri_gdm_drivers_forest_loss_1km/);
+});
+
+test('aoiTable() / zoneTable(): one grouped sum over the driver x 100 + lossyear code', () => {
+  const {driversLib, ee, areas} = load();
+  const drivers = driversLib.createDrivers({asset: 'projects/me/assets/drivers'});
+  const options = {
+    loss: ee.Image('loss'),
+    lossyear: ee.Image('lossyear'),
+    areas: areas,
+    budget: {stats: (p) => p, regions: (p) => p},
+    scale: 30
+  };
+  const aoi = drivers.aoiTable(Object.assign({geometry: ee.Geometry('aoi'), properties: {aoi: 'A'}}, options)).describe();
+  assert.match(aoi, /Image\("projects\/me\/assets\/drivers"\)\.select\(\[0\], \["driver"\]\)\.unmask\(0\)\.multiply\(100\)\.add\(Image\("lossyear"\)\.unmask\(0\)\)/);
+  assert.match(aoi, /updateMask\(Image\("loss"\)\)/);
+  assert.match(aoi, /group\(\{groupField: 1, groupName: "code"\}\)/);
+
+  const zones = drivers.zoneTable(Object.assign({zones: ee.FeatureCollection('zones'), id_fields: ['ID']}, options)).describe();
+  assert.match(zones, /reduceRegions\(\{collection: FeatureCollection\("zones"\)/);
+  assert.match(zones, /flatten\(\)/);
+  assert.deepStrictEqual([...drivers.columns(['ID'], areas)],
+    ['ID', 'year', 'driver_value', 'driver', 'loss_ha', 'area_unit', 'area_crs']);
+});
+
+test('aoiTable() / zoneTable(): codes decode to year and driver, with the loss of each group', () => {
+  const {driversLib, ee, areas, value} = load(leaves);
+  const drivers = driversLib.createDrivers({asset: ''});
+  const options = {
+    loss: ee.Image('loss'),
+    lossyear: ee.Image('lossyear'),
+    areas: areas,
+    budget: {stats: (p) => p, regions: (p) => p},
+    scale: 30
+  };
+  const columns = drivers.columns(['aoi'], areas);
+  const aoi = drivers.aoiTable(Object.assign({geometry: ee.Geometry('aoi'), properties: {aoi: 'A'}}, options));
+  // Sorted by year; class 9 is not in the registry
+  assert.deepStrictEqual(rows(value(aoi)).map((r) => columns.map((c) => r[c])), [
+    ['A', 2001, 0, 'Unattributed', 2, 'ha', 'EPSG:6933'],
+    ['A', 2001, 9, 'Unknown', 1, 'ha', 'EPSG:6933'],
+    ['A', 2005, 3, 'Shifting cultivation', 1.5, 'ha', 'EPSG:6933'],
+    ['A', 2022, 1, 'Permanent agriculture', 4, 'ha', 'EPSG:6933']
+  ]);
+
+  // Zones without loss add no rows
+  const zoneColumns = drivers.columns(['ID'], areas);
+  const zones = drivers.zoneTable(Object.assign({zones: ee.FeatureCollection('zones'), id_fields: ['ID']}, options));
+  assert.deepStrictEqual(rows(value(zones)).map((r) => zoneColumns.map((c) => r[c])), [
+    ['A', 2022, 1, 'Permanent agriculture', 4, 'ha', 'EPSG:6933'],
+    ['A', 2001, 0, 'Unattributed', 2, 'ha', 'EPSG:6933'],
+    ['C', 2005, 3, 'Shifting cultivation', 1.5, 'ha', 'EPSG:6933']
+  ]);
+});
+
+test('aoiTable(): driver codes are cast to integers before the class lookup', () => {
+  const formatted = [];
+  const {driversLib, ee, areas, value} = load((obj, v) => {
+    if (obj.lastMethod() === 'format') {
+      formatted.push(obj.describe());
+    }
+    return leaves(obj, v);
+  });
+  const drivers = driversLib.createDrivers({asset: ''});
+  value(drivers.aoiTable({
+    geometry: ee.Geometry('aoi'),
+    properties: {aoi: 'A'},
+    loss: ee.Image('loss'),
+    lossyear: ee.Image('lossyear'),
+    areas: areas,
+    budget: {stats: (p) => p, regions: (p) => p},
+    scale: 30
+  }));
+  assert.strictEqual(formatted.length, GROUPS.length);
+  formatted.forEach((text) => assert.match(text, /\.int\(\)\.format\("%d"\)$/));
+});
+
+test('validate(): drivers_asset must be a string', () => {
+  const {problems} = load();
+  assert.deepStrictEqual(problems({drivers_asset: ''}), []);
+  assert.deepStrictEqual(problems({drivers_asset: 'projects/me/assets/drivers'}), []);
+  assert.match(problems({drivers_asset: null}).join('\n'), /drivers_asset must be an image asset ID/);
+});
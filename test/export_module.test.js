@@ -0,0 +1,153 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function setup() {
+  const loaded = loadModule('scripts/modules/export.js');
+  const ee = loaded.ee;
+  return {
+    exportLib: loaded.module,
+    ee: ee,
+    recorder: loaded.recorder,
+    image: ee.Image('x'),
+    table: ee.FeatureCollection('y'),
+    region: ee.Geometry.Point([0, 0])
+  };
+}
+
+test('Drive target: prefix naming and raster defaults', () => {
+  const t = setup();
+  const exporter = t.exportLib.createExporter({export_target: 'drive:GEE_exports', output_prefix: 'Rainfall_Kenya'});
+  exporter.image(t.image, 'Anomaly', {region: t.region, scale: 1000});
+  exporter.table(t.table, 'PA_Stats', {selectors: ['NAME', 'mean']});
+
+  const [img, tbl] = t.recorder.exports;
+  assert.strictEqual(img.destination, 'Drive');
+  assert.strictEqual(img.params.description, 'Rainfall_Kenya_Anomaly');
+  assert.strictEqual(img.params.fileNamePrefix, 'Rainfall_Kenya_Anomaly');
+  assert.strictEqual(img.params.folder, 'GEE_exports');
+  assert.strictEqual(img.params.crs, 'EPSG:4326');
+  assert.strictEqual(img.params.maxPixels, 1e13);
+  assert.strictEqual(img.params.fileFormat, 'GeoTIFF');
+  assert.strictEqual(img.params.scale, 1000);
+  assert.strictEqual(tbl.params.fileFormat, 'CSV');
+  assert.deepStrictEqual([...tbl.params.selectors], ['NAME', 'mean']);
+  assert.deepStrictEqual([...exporter.queued()].map((q) => q.name), ['Rainfall_Kenya_Anomaly', 'Rainfall_Kenya_PA_Stats']);
+});
+
+test('default target is the Drive root', () => {
+  const t = setup();
+  t.exportLib.createExporter({output_prefix: 'P'}).table(t.table, 'T');
+  assert.strictEqual(t.recorder.exports[0].destination, 'Drive');
+  assert.ok(!('folder' in t.recorder.exports[0].params));
+});
+
+test('Cloud Storage target: bucket and path prefix', () => {
+  const t = setup();
+  const exporter = t.exportLib.createExporter({export_target: 'gcs:my-bucket/rain/2024', output_prefix: 'R'});
+  exporter.image(t.image, 'Study', {region: t.region, scale: 250, formatOptions: {cloudOptimized: true}});
+  exporter.table(t.table, 'Stats', {fileFormat: 'GeoJSON'});
+
+  const [img, tbl] = t.recorder.exports;
+  assert.strictEqual(img.destination, 'CloudStorage');
+  assert.strictEqual(img.params.bucket, 'my-bucket');
+  assert.strictEqual(img.params.fileNamePrefix, 'rain/2024/R_Study');
+  assert.deepStrictEqual({...img.params.formatOptions}, {cloudOptimized: true});
+  assert.strictEqual(tbl.destination, 'CloudStorage');
+  assert.strictEqual(tbl.params.fileFormat, 'GeoJSON');
+});
+
+test('Asset target: asset IDs under the root, selectors applied to the collection', () => {
+  const t = setup();
+  const exporter = t.exportLib.createExporter({export_target: 'asset:projects/p/assets/rain', output_prefix: 'R'});
+  exporter.image(t.image, 'Study', {region: t.region, scale: 250, fileFormat: 'GeoTIFF'});
+  exporter.table(t.table, 'Stats', {selectors: ['mean']});
+
+  const [img, tbl] = t.recorder.exports;
+  assert.strictEqual(img.destination, 'Asset');
+  assert.strictEqual(img.params.assetId, 'projects/p/assets/rain/R_Study');
+  assert.ok(!('fileFormat' in img.params));
+  assert.strictEqual(tbl.params.assetId, 'projects/p/assets/rain/R_Stats');
+  assert.ok(tbl.params.collection.hasOp('select', 'mean'));
+});
+
+test('BigQuery target: tables only, rasters need image_export_target', () => {
+  const t = setup();
+  const exporter = t.exportLib.createExporter({export_target: 'bigquery:proj.conservation', output_prefix: 'R-1'});
+  exporter.table(t.table, 'Stats', {selectors: ['mean'], fileFormat: 'CSV'});
+  assert.strictEqual(t.recorder.exports[0].destination, 'BigQuery');
+  assert.strictEqual(t.recorder.exports[0].params.table, 'proj.conservation.R_1_Stats');
+  assert.throws(() => exporter.image(t.image, 'Study', {region: t.region}), /BigQuery only accepts tables/);
+
+  const split = t.exportLib.createExporter({
+    export_target: 'bigquery:proj.conservation',
+    image_export_target: 'drive:rasters',
+    output_prefix: 'R'
+  });
+  split.image(t.image, 'Study', {region: t.region, scale: 250});
+  assert.strictEqual(t.recorder.exports[1].destination, 'Drive');
+  assert.strictEqual(t.recorder.exports[1].params.folder, 'rasters');
+});
+
+test('invalid targets and missing regions are reported', () => {
+  const t = setup();
+  assert.throws(() => t.exportLib.createExporter({export_target: 'dropbox:x'}), /unknown export_target type 'dropbox'/);
+  assert.throws(() => t.exportLib.createExporter({export_target: 'gcs:'}), /needs a bucket/);
+  assert.throws(() => t.exportLib.createExporter({export_target: 'asset:rain'}), /asset folder/);
+  assert.throws(() => t.exportLib.createExporter({export_target: 'bigquery:nodataset'}), /PROJECT.DATASET/);
+  assert.throws(() => t.exportLib.createExporter({}).image(t.image, 'x', {scale: 30}), /needs a region/);
+});
+
+test('task descriptions are sanitised and capped at 100 characters', () => {
+  const t = setup();
+  assert.strictEqual(t.exportLib.taskDescription('AOI stats (elevation)'), 'AOI_stats_elevation');
+  assert.strictEqual(t.exportLib.taskDescription('x'.repeat(120)).length, 100);
+  assert.strictEqual(t.exportLib.taskDescription('x'.repeat(120), '_tile_R01C02'), 'x'.repeat(88) + '_tile_R01C02');
+});
+
+test('pixel budget: oversized rasters are queued as tiles', () => {
+  const loaded = loadModule('scripts/modules/export.js');
+  const budget = {
+    tiles: (region, scale) => (scale < 100 ?
+      [{suffix: '_tile_R01C01', region: 'west'}, {suffix: '_tile_R01C02', region: 'east'}] :
+      [{suffix: '', region: region}])
+  };
+  const ee = loaded.ee;
+  const exporter = loaded.module.createExporter({output_prefix: 'GFC_Kenya', budget: budget});
+  const region = ee.Geometry.Point([0, 0]);
+  exporter.image(ee.Image('x'), 'Loss', {region: region, scale: 30});
+  exporter.image(ee.Image('x'), 'Loss_Coarse', {region: region, scale: 250});
+
+  const exports = loaded.recorder.exports;
+  assert.deepStrictEqual(exports.map((e) => e.name),
+    ['GFC_Kenya_Loss_tile_R01C01', 'GFC_Kenya_Loss_tile_R01C02', 'GFC_Kenya_Loss_Coarse']);
+  assert.strictEqual(exports[1].params.region, 'east');
+  assert.strictEqual(exports[1].params.fileNamePrefix, 'GFC_Kenya_Loss_tile_R01C02');
+  assert.strictEqual(exports[2].params.region, region);
+
+  // Long names are shortened before the tile suffix, so tiles keep distinct names
+  exporter.image(ee.Image('x'), 'Loss_' + 'y'.repeat(100), {region: region, scale: 30});
+  const base = 'GFC_Kenya_Loss_' + 'y'.repeat(73);
+  assert.deepStrictEqual(exports.slice(3).map((e) => e.name), [base + '_tile_R01C01', base + '_tile_R01C02']);
+});
+
+test('properties are set on every exported image', () => {
+  const t = setup();
+  const exporter = t.exportLib.createExporter({properties: {provenance_aoi_hash: '0a1b2c3d'}});
+  exporter.image(t.image, 'Anomaly', {region: t.region, scale: 1000});
+  exporter.table(t.table, 'PA_Stats');
+  const [img, tbl] = t.recorder.exports;
+  assert.match(img.params.image.describe(), /set\(\{provenance_aoi_hash: "0a1b2c3d"\}\)/);
+  assert.doesNotMatch(tbl.params.collection.describe(), /provenance/);
+});
+
+test('queue_tasks false lists the exports without starting tasks', () => {
+  const t = setup();
+  const exporter = t.exportLib.createExporter({output_prefix: 'App', queue_tasks: false});
+  exporter.image(t.image, 'Anomaly', {region: t.region, scale: 1000});
+  exporter.table(t.table, 'PA_Stats');
+  assert.strictEqual(t.recorder.exports.length, 0);
+  assert.deepStrictEqual([...exporter.queued().map((q) => q.name + ' ' + q.kind)], ['App_Anomaly image', 'App_PA_Stats table']);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function seasonOf(start, end) {
+  return {window: (y) => ({start: y + start, end: y + end})};
+}
+
+test('study and baseline bands of every index', () => {
+  const {module: extremesLib, ee} = loadModule('scripts/modules/extremes.js');
+  const extremes = extremesLib.computeExtremes({
+    collection: ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY'),
+    season: seasonOf('-03-01', '-06-01'),
+    study_year: 2023,
+    baseline_start_year: 2001,
+    baseline_end_year: 2003
+  });
+  assert.deepStrictEqual([...extremesLib.BANDS],
+    ['rainy_days', 'cdd', 'rx1day', 'rx5day', 'r95_days', 'onset_day', 'cessation_day']);
+  assert.strictEqual(extremes.bands.length, 14);
+  assert.strictEqual(extremes.bands[7], 'rainy_days_baseline');
+
+  const p95 = extremes.p95.describe();
+  assert.match(p95, /Filter\.or\(Filter\.date\("2001-03-01", "2001-06-01"\).*Filter\.date\("2003-03-01", "2003-06-01"\)\)/);
+  assert.match(p95, /percentile\(\[95\]\)/);
+  assert.match(extremes.study.describe(), /filterDate\("2023-03-01", "2023-06-01"\)\.sort\("system:time_start"\)/);
+});
+
+test('zone table and bad options', () => {
+  const {module: extremesLib, ee} = loadModule('scripts/modules/extremes.js');
+  assert.throws(() => extremesLib.computeExtremes({collection: ee.ImageCollection('x')}), /^Error: Extremes: /);
+  const extremes = {image: ee.Image('extremes')};
+  const fc = extremesLib.zoneTable(extremes, ee.FeatureCollection('zones'), {
+    budget: {regions: (params) => params},
+    scale: 5000
+  });
+  assert.match(fc.describe(), /reduceRegions\(\{collection: FeatureCollection\("zones"\), reducer: Reducer\.mean\(\), scale: 5000\}\)/);
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+// lossyear groups: 0 = forest not lost, 1 = lost in 2001, ...
+const GROUPS = [{year: 0, sum: 900}, {year: 1, sum: 10}, {year: 21, sum: 5}, {year: 22, sum: 20}, {year: 24, sum: 3}];
+
+function load(getInfo) {
+  const fx = loadFixture('forest_loss', {area_unit: 'km2', getInfo: getInfo});
+  return Object.assign({lossLib: fx.lib}, fx);
+}
+
+test('lossByYear(): forest-2000 pixel area grouped by lossyear code', () => {
+  const {lossLib, ee, areas} = load();
+  const groups = lossLib.lossByYear({
+    forest2000: ee.Image('forest'),
+    lossyear: ee.Image('lossyear'),
+    geometry: ee.Geometry('aoi'),
+    areas: areas,
+    budget: {stats: (params) => params},
+    scale: 30
+  });
+  const text = groups.describe();
+  assert.match(text, /^Image\.pixelArea\(\)\.divide\(1000000\).*updateMask\(Image\("forest"\)\)/);
+  assert.match(text, /addBands\(Image\("lossyear"\)\.unmask\(0\)\.rename\("lossyear"\)\)/);
+  assert.match(text, /group\(\{groupField: 1, groupName: "year"\}\).*crs: "EPSG:6933"/);
+});
+
+test('annualTable(): one row per window year; remaining forest counts loss before the window', () => {
+  const {lossLib, ee, areas} = load();
+  const table = lossLib.annualTable({
+    groups: ee.Dictionary('groups'),
+    forest2000_area: ee.Number(1000),
+    start_year: 2022,
+    end_year: 2024,
+    areas: areas,
+    properties: {aoi: 'Test'}
+  });
+  const text = table.describe();
+  assert.strictEqual(text.match(/\.set\(\{year: /g).length, 3);
+  assert.match(text, /^FeatureCollection\(FeatureCollection\(\[Feature\(null, \{aoi: "Test"\}\)\.set\(\{year: 2022/);
+  // cumulative loss starts in the window, remaining forest subtracts 2001 onwards
+  assert.match(text, /cumulative_loss_km2: Number\(0\)\.add\(Number\(Dictionary\.fromLists\(.*\)\.get\("2022", 0\)\)\), remaining/);
+  assert.match(text, /remaining_forest_km2: Number\(Number\(1000\)\)\.subtract\(Number\(0\)\.add\(Number\(Dictionary\.fromLists\(.*\)\.get\("2001", 0\)\)\)/);
+
+  assert.deepStrictEqual([...lossLib.columns(['aoi'], areas)],
+    ['aoi', 'year', 'loss_km2', 'cumulative_loss_km2', 'remaining_forest_km2', 'remaining_pct', 'area_unit', 'area_crs']);
+});
+
+test('annualTable(): loss, cumulative loss and remaining forest from the lossyear groups', () => {
+  const {lossLib, ee, areas, value} = load();
+  const table = lossLib.annualTable({
+    groups: ee.Dictionary({groups: GROUPS}),
+    forest2000_area: ee.Number(1000),
+    start_year: 2022,
+    end_year: 2024,
+    areas: areas,
+    properties: {aoi: 'Test'}
+  });
+  const columns = lossLib.columns(['aoi'], areas);
+  // Loss before the window (2001, 2021) counts against the remaining forest,
+  // not the window's cumulative loss; 2023 had none
+  assert.deepStrictEqual(rows(value(table)).map((r) => columns.map((c) => r[c])), [
+    ['Test', 2022, 20, 20, 965, 965 / 1000 * 100, 'km2', 'EPSG:6933'],
+    ['Test', 2023, 0, 20, 965, 965 / 1000 * 100, 'km2', 'EPSG:6933'],
+    ['Test', 2024, 3, 23, 962, 962 / 1000 * 100, 'km2', 'EPSG:6933']
+  ]);
+
+  // No loss in the AOI at all: zero rows, not missing ones
+  const none = lossLib.annualTable({
+    groups: ee.Dictionary({groups: [{year: 0, sum: 50}]}),
+    forest2000_area: ee.Number(50),
+    start_year: 2023,
+    end_year: 2024,
+    areas: areas
+  });
+  assert.deepStrictEqual(rows(value(none)).map((r) => [r.year, r.loss_km2, r.remaining_forest_km2]),
+    [[2023, 0, 50], [2024, 0, 50]]);
+});
+
+test('charts(): annual loss columns and a remaining-forest line', () => {
+  const {lossLib, ee, areas} = load();
+  const charts = lossLib.charts(ee.FeatureCollection('annual'), {areas: areas, title_suffix: 'Test'});
+  assert.strictEqual(charts.loss.props.chartType, 'ColumnChart');
+  assert.deepStrictEqual([...charts.loss.props.params.yProperties], ['loss_km2']);
+  assert.strictEqual(charts.remaining.props.chartType, 'LineChart');
+  assert.strictEqual(charts.remaining.props.options.title, 'Remaining forest (km2) — Test');
+});
+
+test('zoneLoss() / zoneAnnual(): one grouped sum per zone, then one row per zone and year', () => {
+  const {lossLib, ee, areas} = load();
+  const years = {start_year: 2000, end_year: 2002, areas: areas};
+  const wide = lossLib.zoneLoss(Object.assign({
+    forest2000: ee.Image('forest'),
+    lossyear: ee.Image('lossyear'),
+    zones: ee.FeatureCollection('zones'),
+    budget: {regions: (params) => params},
+    scale: 30
+  }, years));
+  const text = wide.describe();
+  assert.match(text, /reduceRegions\(\{collection: FeatureCollection\("zones"\), reducer: Reducer\.sum\(\)\.group\(\{groupField: 1, groupName: "year"\}\), scale: 30, crs: "EPSG:6933"\}\)/);
+  assert.match(text, /Filter\.gt\("forest2000_km2", 0\)/);
+
+  // loss years start in 2001
+  assert.deepStrictEqual([...lossLib.zoneColumns(['ID'], years)],
+    ['ID', 'forest2000_km2', 'loss_km2', 'pct_loss', 'loss_2001_km2', 'loss_2002_km2', 'area_unit', 'area_crs']);
+  const long = lossLib.zoneAnnual(wide, ['ID'], years).describe();
+  assert.match(long, /flatten\(\)/);
+  assert.deepStrictEqual([...lossLib.zoneAnnualColumns(['ID'], areas)],
+    ['ID', 'year', 'loss_km2', 'forest2000_km2', 'pct_loss', 'area_unit', 'area_crs']);
+});
+
+test('zoneLoss() / zoneAnnual(): zone sums per year, and zones without forest are dropped', () => {
+  const zones = [
+    {ID: 'A', groups: [{year: 0, sum: 80}, {year: 1, sum: 5}, {year: 2, sum: 15}]},
+    {ID: 'B', groups: []},
+    {ID: 'C', groups: [{year: 0, sum: 40}]}
+  ];
+  const {lossLib, ee, areas, value} = load((obj, v) => (obj.lastMethod() === 'reduceRegions' ? collection(zones) : v));
+  const years = {start_year: 2000, end_year: 2002, areas: areas};
+  const wide = lossLib.zoneLoss(Object.assign({
+    forest2000: ee.Image('forest'),
+    lossyear: ee.Image('lossyear'),
+    zones: ee.FeatureCollection('zones'),
+    budget: {regions: (params) => params},
+    scale: 30
+  }, years));
+
+  const columns = lossLib.zoneColumns(['ID'], years);
+  assert.deepStrictEqual(rows(value(wide)).map((r) => columns.map((c) => r[c])), [
+    ['A', 100, 20, 20, 5, 15, 'km2', 'EPSG:6933'],
+    ['C', 40, 0, 0, 0, 0, 'km2', 'EPSG:6933']
+  ]);
+
+  const annualColumns = lossLib.zoneAnnualColumns(['ID'], areas);
+  assert.deepStrictEqual(rows(value(lossLib.zoneAnnual(wide, ['ID'], years))).map((r) => annualColumns.map((c) => r[c])), [
+    ['A', 2001, 5, 100, 5, 'km2', 'EPSG:6933'],
+    ['C', 2001, 0, 40, 0, 'km2', 'EPSG:6933'],
+    ['A', 2002, 15, 100, 15, 'km2', 'EPSG:6933'],
+    ['C', 2002, 0, 40, 0, 'km2', 'EPSG:6933']
+  ]);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+function load() {
+  return loadFixture('fragmentation', {area_unit: 'km2'});
+}
+
+// maxPixels given to reduceResolution() when forest is put on the grid
+function maxPixelsOf(image) {
+  const match = /reduceResolution\(\{reducer: Reducer\.mean\(\), maxPixels: (\d+)\}\)/.exec(image.describe());
+  return Number(match[1]);
+}
+
+test('classify(): forest on the equal-area grid, core by erosion, classes 1..6', () => {
+  const {lib: fragLib, ee, areas} = load();
+  const frag = fragLib.createFragmentation({scale: 100, edge_width: 250, areas: areas});
+  assert.strictEqual(frag.edge_pixels, 3);
+  const text = frag.classify(ee.Image('forest'), ee.Geometry.Point([0, 0])).describe();
+  assert.match(text, /reduceResolution\(.*\)\.reproject\(Projection\("EPSG:6933"\)\.atScale\(100\)\)\.gte\(0\.5\)/);
+  assert.match(text, /focal_min\(\{radius: 3, kernelType: "square", units: "pixels"\}\)/);
+  assert.match(text, /^Image\(6\)\.where\(.*\.where\(.*, 2\)\.where\(.*, 3\)\.where\(.*, 1\)/);
+  assert.match(text, /rename\("mspa"\)\.byte\(\)$/);
+  assert.deepStrictEqual([...fragLib.CLASSES.map((c) => c.name)],
+    ['core', 'edge', 'perforation', 'bridge', 'branch', 'patch']);
+  assert.throws(() => frag.classify(ee.Image('forest')), /^Error: Fragmentation: classify\(\) needs the region/);
+});
+
+test('classify(): core areas and links are vector objects, with no connected-component size limit', () => {
+  const {lib: fragLib, ee, areas} = load();
+  const frag = fragLib.createFragmentation({scale: 100, edge_width: 100, areas: areas});
+  const text = frag.classify(ee.Image('forest'), ee.Geometry.Point([0, 0])).describe();
+  assert.doesNotMatch(text, /connectedComponents|reduceConnectedComponents/);
+  assert.match(text, /reduceToVectors\(\{geometry: Geometry\.Point.*crs: "EPSG:6933", scale: 100, geometryType: "polygon", eightConnected: true, maxPixels: 10000000000000/);
+  assert.match(text, /reducer: Reducer\.min\(\)\.combine\(Reducer\.max\(\)\)/);
+});
+
+test('classify(): reduceResolution() takes every Hansen pixel of a grid cell, up to the coarsest scale', () => {
+  const {lib: fragLib, ee, areas} = load();
+  [30, 100, 500, 1000].forEach((scale) => {
+    const frag = fragLib.createFragmentation({scale: scale, edge_width: scale, areas: areas});
+    const maxPixels = maxPixelsOf(frag.classify(ee.Image('forest'), ee.Geometry.Point([0, 0])));
+    // 0.00025° pixels: 27.8 m square at the equator, 4.8 m wide at 80° latitude
+    const width = 27.8 * Math.cos(80 * Math.PI / 180);
+    assert.ok(maxPixels >= (scale / 27.8) * (scale / width), scale + ' m: ' + maxPixels);
+    assert.strictEqual(frag.input_pixels, maxPixels);
+  });
+});
+
+test('zoneTable(): class areas, patches and edge density per zone and year', () => {
+  // Per-zone sums of the metric bands, and the patches reduceToVectors() finds
+  const sums = (scaleBy) => collection([
+    {ID: 'A', forest: 10 * scaleBy, core: 6, edge: 2, perforation: 0, bridge: 1, branch: 0.5, patch: 0.5,
+      edge_m: 5000, zone_ha: 2000},
+    {ID: 'B', forest: 0, core: 0, edge: 0, perforation: 0, bridge: 0, branch: 0, patch: 0, edge_m: 0, zone_ha: 500}
+  ]);
+  const patches = {'A/f2000': 4, 'A/f2024': 2500, 'B/f2000': 0, 'B/f2024': 0};
+  const {lib: fragLib, ee, areas, value} = loadFixture('fragmentation', {
+    area_unit: 'km2',
+    getInfo: (obj, v) => {
+      const text = obj.describe();
+      if (obj.lastMethod() === 'reduceRegions') {
+        return sums(/f2024/.test(text) ? 0.5 : 1);
+      }
+      if (obj.lastMethod() === 'size' && obj.hasOp('reduceToVectors')) {
+        return patches[/ID: "(\w)"/.exec(text)[1] + '/' + /Image\("(f\d+)"\)/.exec(text)[1]];
+      }
+      return v;
+    }
+  });
+  const frag = fragLib.createFragmentation({scale: 100, edge_width: 100, areas: areas});
+  const table = frag.zoneTable([{year: 2000, forest: ee.Image('f2000')}, {year: 2024, forest: ee.Image('f2024')}],
+    ee.FeatureCollection('zones'), {id_fields: ['ID'], budget: {regions: (p) => p}});
+  assert.match(table.describe(), /reducer: Reducer\.sum\(\), scale: 100, crs: "EPSG:6933"/);
+
+  const columns = [...frag.columns(['ID'])];
+  assert.deepStrictEqual(columns, [
+    'ID', 'year', 'forest_km2', 'core_km2', 'edge_km2', 'perforation_km2', 'bridge_km2', 'branch_km2', 'patch_km2',
+    'patch_count', 'mean_patch_km2', 'edge_density_m_ha', 'area_unit', 'area_crs'
+  ]);
+  const out = rows(value(table)).map((r) => columns.map((c) => r[c]));
+  assert.deepStrictEqual(out, [
+    ['A', 2000, 10, 6, 2, 0, 1, 0.5, 0.5, 4, 2.5, 2.5, 'km2', 'EPSG:6933'],
+    ['B', 2000, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 'km2', 'EPSG:6933'],
+    // thousands of patches are counted one by one (no 1024-cell label limit)
+    ['A', 2024, 5, 6, 2, 0, 1, 0.5, 0.5, 2500, 0.002, 2.5, 'km2', 'EPSG:6933'],
+    ['B', 2024, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 'km2', 'EPSG:6933']
+  ]);
+});
+
+test('validate(): grid scale and edge width in whole pixels', () => {
+  const {problems} = load();
+  assert.deepStrictEqual(problems({fragmentation_scale: 100, fragmentation_edge_width: 200}), []);
+  assert.deepStrictEqual(problems({fragmentation_scale: 1000, fragmentation_edge_width: 1000}), []);
+
+  const bad = problems({fragmentation_scale: 10, fragmentation_edge_width: 5}).join('\n');
+  assert.match(bad, /fragmentation_scale must be a pixel size in metres from 30 to 1000/);
+  assert.match(bad, /fragmentation_edge_width must be a number from 10 to 100/);
+  assert.match(problems({fragmentation_scale: 1500, fragmentation_edge_width: 1500})[0], /from 30 to 1000/);
+  assert.match(problems({fragmentation_scale: 100, fragmentation_edge_width: 2000})[0], /from 100 to 1000/);
+});
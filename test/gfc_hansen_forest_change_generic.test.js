@@ -0,0 +1,319 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/gfc_hansen_forest_change_generic.js';
+
+test('custom AOI: Hansen rasters are exported at the processing scale', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.deepStrictEqual(run.exportNames, [
+    'GFC_CustomAOI_TreeCover2000',
+    'GFC_CustomAOI_Loss_Binary_2001_2024',
+    'GFC_CustomAOI_LossYear_2001_2024',
+    'GFC_CustomAOI_Gain_Binary_2000_2012',
+    'GFC_CustomAOI_Complete_2001_2024',
+    'GFC_CustomAOI_Area_Summary',
+    'GFC_CustomAOI_Annual_Loss_2001_2024',
+    'GFC_CustomAOI_Provenance'
+  ]);
+  run.exports.filter((e) => e.kind === 'image').forEach((e) => {
+    assert.strictEqual(e.kind, 'image');
+    assert.strictEqual(e.params.scale, 30, e.name);
+    assert.strictEqual(e.params.crs, 'EPSG:4326', e.name);
+    assert.strictEqual(e.params.fileFormat, 'GeoTIFF', e.name);
+    assert.match(e.params.region.describe(), /projects\/test\/assets\/AOI/, e.name);
+  });
+  assert.ok(run.datasets.some((d) => d.id === 'UMD/hansen/global_forest_change_2024_v1_12'));
+
+  // Loss year 0 outside the loss pixels but inside the AOI only, like the other bands
+  const complete = run.findExport('_Complete_2001_2024').params.image.describe();
+  assert.match(complete, /rename\("lossyear"\)\.unmask\(0\)\.clip\(/);
+});
+
+test('country mode: scale and years flow into exports', () => {
+  const run = runScript(SCRIPT, {
+    settings: {use_custom_aoi: false, country_name: 'Kenya', scale: 100, start_year: 2005, end_year: 2020}
+  });
+  const lossYear = run.findExport('_LossYear_2005_2020');
+  assert.ok(lossYear);
+  assert.strictEqual(run.exportNames[0], 'GFC_Kenya_TreeCover2000');
+  assert.strictEqual(lossYear.params.scale, 100);
+  assert.match(lossYear.params.region.describe(), /LSIB_SIMPLE.*Kenya/);
+});
+
+test('drawn geometry is accepted as custom AOI', () => {
+  const run = runScript(SCRIPT, {imports: {geometry: 'Geometry'}});
+  assert.strictEqual(run.exportNames[0], 'GFC_CustomAOI_TreeCover2000');
+  assert.ok(run.findLayer('Custom AOI (drawn)'));
+});
+
+test('batch mode: countries by name or ISO3 code', () => {
+  const run = runScript(SCRIPT, {settings: {batch_mode: true, batch_names: ['Spain', 'PRT']}});
+  assert.strictEqual(run.exports.length, 16);
+  assert.strictEqual(run.exportNames[0], 'GFC_Spain_TreeCover2000');
+  assert.strictEqual(run.exportNames[8], 'GFC_PRT_TreeCover2000');
+  assert.match(run.findExport('GFC_PRT_Complete_2001_2024').params.region.describe(), /geoBoundaries.*PRT/);
+});
+
+test('batch mode: GAUL units use batch_admin_level', () => {
+  const run = runScript(SCRIPT, {
+    settings: {batch_mode: true, batch_source: 'gaul', country_name: 'Kenya', batch_admin_level: 1, batch_names: ['Nairobi']}
+  });
+  assert.strictEqual(run.exportNames[0], 'GFC_Kenya_AdminLevel1_Nairobi_TreeCover2000');
+});
+
+test('years outside the Hansen record are rejected', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {end_year: 2026}, imports: {AOI: 'FeatureCollection'}}),
+    /end_year \(2000-2026\) fall outside Hansen GFC/);
+});
+
+test('pixel budget: a very large AOI gets coarser statistics and tiled rasters', () => {
+  const run = runScript(SCRIPT, {
+    imports: {AOI: 'FeatureCollection'},
+    getInfo: (obj, value) => (obj.lastMethod() === 'area' ? 2e12 : value)  // 2 million km²
+  });
+  // 2.2e9 pixels at 30 m → statistics at 60 m; still under the export budget, so no tiles
+  assert.ok(run.prints.some((p) => /Pixel budget — Loss area: .* using 60 m/.test(p[0])));
+  assert.strictEqual(run.exports.length, 8);
+
+  const tiled = runScript(SCRIPT, {
+    settings: {scale: 10},
+    imports: {AOI: 'FeatureCollection'},
+    getInfo: (obj, value) => (obj.lastMethod() === 'area' ? 2e12 : value)
+  });
+  // 2e10 pixels at 10 m → 2 x 2 tiles per raster, plus the summary, annual loss and provenance tables
+  assert.strictEqual(tiled.exports.length, 23);
+  assert.ok(tiled.findExport('GFC_CustomAOI_TreeCover2000_tile_R02C02'));
+});
+
+test('area statistics use the equal-area CRS and unit setting', () => {
+  const run = runScript(SCRIPT, {settings: {area_crs: 'EPSG:32737', area_unit: 'km2'}, imports: {AOI: 'FeatureCollection'}});
+  const summary = run.findExport('_Area_Summary');
+  assert.deepStrictEqual([...summary.params.selectors],
+    ['aoi', 'canopy_threshold', 'loss_start_year', 'loss_end_year', 'forest2000_km2', 'loss_km2', 'gain_km2',
+      'area_unit', 'area_crs']);
+  assert.match(summary.params.collection.describe(), /reduceRegion\(\{.*crs: "EPSG:32737"/);
+  assert.match(summary.params.collection.describe(), /pixelArea\(\)\.divide\(1000000\)/);
+});
+
+test('loss is counted on 2000 forest above the canopy threshold, inside the year window, on land', () => {
+  const run = runScript(SCRIPT, {
+    settings: {canopy_threshold: 30, start_year: 2010, end_year: 2015},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const loss = run.findExport('_Loss_Binary_2010_2015').params.image.describe();
+  assert.match(loss, /gte\(10\)\.and\(.*lte\(15\)\)/);
+  assert.match(loss, /gt\(30\)\.and\(.*eq\(1\)\)/);
+  assert.ok(run.findLayer('Forest 2000 (>30% canopy)'));
+  assert.ok(run.findLayer('Forest Loss (binary, 2010-2015)'));
+
+  const summary = run.findExport('_Area_Summary').params.collection.describe();
+  assert.match(summary, /canopy_threshold: 30/);
+  assert.match(summary, /loss_start_year: 2010, loss_end_year: 2015/);
+});
+
+test('annual loss: one row per window year with column and line charts', () => {
+  const run = runScript(SCRIPT, {settings: {start_year: 2015, end_year: 2020}, imports: {AOI: 'FeatureCollection'}});
+  const annual = run.findExport('_Annual_Loss_2015_2020');
+  assert.deepStrictEqual([...annual.params.selectors], [
+    'aoi', 'canopy_threshold', 'year', 'loss_ha', 'cumulative_loss_ha', 'remaining_forest_ha', 'remaining_pct',
+    'area_unit', 'area_crs'
+  ]);
+  const text = annual.params.collection.describe();
+  assert.match(text, /year: 2015/);
+  assert.match(text, /year: 2020/);
+  assert.doesNotMatch(text, /year: 2021/);
+  assert.match(text, /remaining_forest_ha: .*get\("2014", 0\)/);
+
+  assert.deepStrictEqual(run.charts.map((c) => c.props.options.title), [
+    'Annual forest loss (ha) — Custom AOI (imported), >25% canopy',
+    'Remaining forest (ha) — Custom AOI (imported), >25% canopy'
+  ]);
+  assert.strictEqual(run.charts[0].props.chartType, 'ColumnChart');
+  assert.strictEqual(run.charts[1].props.chartType, 'LineChart');
+});
+
+test('zone statistics: WDPA parks get a wide summary, a long annual table and a shapefile', () => {
+  const run = runScript(SCRIPT, {
+    settings: {zone_stats: true, start_year: 2020, end_year: 2022},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.deepStrictEqual(run.exportNames.slice(-4), [
+    'GFC_CustomAOI_PA_Forest_Loss',
+    'GFC_CustomAOI_PA_Forest_Loss_Annual',
+    'GFC_CustomAOI_PA_Polygons',
+    'GFC_CustomAOI_Provenance'
+  ]);
+  const wide = run.findExport('_PA_Forest_Loss');
+  assert.deepStrictEqual([...wide.params.selectors], [
+    'WDPAID', 'NAME', 'DESIG_ENG', 'forest2000_ha', 'loss_ha', 'pct_loss',
+    'loss_2020_ha', 'loss_2021_ha', 'loss_2022_ha', 'area_unit', 'area_crs'
+  ]);
+  assert.match(wide.params.collection.describe(), /WDPA.*inList\("DESIG_ENG", \["National Park"/);
+  const annual = run.findExport('_PA_Forest_Loss_Annual');
+  assert.deepStrictEqual([...annual.params.selectors],
+    ['WDPAID', 'NAME', 'DESIG_ENG', 'year', 'loss_ha', 'forest2000_ha', 'pct_loss', 'area_unit', 'area_crs']);
+  assert.ok(run.findLayer('Protected Areas (PA)'));
+});
+
+test('zone statistics: GAUL units and an imported ZONES collection', () => {
+  const gaul = runScript(SCRIPT, {
+    settings: {zone_stats: true, zone_source: 'gaul', zone_admin_level: 1},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.deepStrictEqual([...gaul.findExport('_Admin_Forest_Loss_Annual').params.selectors].slice(0, 4),
+    ['ADM1_CODE', 'ADM0_NAME', 'ADM1_NAME', 'year']);
+
+  const own = runScript(SCRIPT, {
+    settings: {zone_stats: true, zone_source: 'features', zone_id_fields: ['SITE_ID']},
+    imports: {AOI: 'FeatureCollection', ZONES: 'FeatureCollection'}
+  });
+  assert.match(own.findExport('_Zone_Forest_Loss').params.collection.describe(), /projects\/test\/assets\/ZONES/);
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {zone_stats: true, zone_source: 'features', zone_id_fields: ['SITE_ID']},
+    imports: {AOI: 'FeatureCollection'}
+  }), /import renamed to "ZONES"/);
+});
+
+test('leakage: loss inside every PA vs buffer rings with other PAs cut out, charted per PA', () => {
+  const run = runScript(SCRIPT, {
+    settings: {leakage_rings: [5000, 10000], start_year: 2020, end_year: 2021},
+    imports: {AOI: 'FeatureCollection'},
+    getInfo: (obj, value) => (obj._type === 'Dictionary' && /aggregate_array\("WDPAID"\)/.test(obj.describe()) ?
+      {ids: [101, 102], names: ['Park A', 'Park B']} : value)
+  });
+  const wide = run.findExport('_PA_Leakage');
+  assert.deepStrictEqual([...wide.params.selectors], [
+    'WDPAID', 'NAME', 'DESIG_ENG', 'ring', 'inner_m', 'outer_m', 'forest2000_ha', 'loss_ha', 'pct_loss',
+    'loss_2020_ha', 'loss_2021_ha', 'area_unit', 'area_crs'
+  ]);
+  assert.match(wide.params.collection.describe(), /WDPA.*inList\("DESIG_ENG", \["National Park"/);
+  assert.ok(run.findExport('_PA_Leakage_Annual'));
+  assert.ok(run.findLayer('Leakage rings (0-5km, 5-10km)'));
+
+  const charts = run.charts.filter((c) => /inside vs outside/.test(c.props.options.title));
+  assert.deepStrictEqual(charts.map((c) => c.props.options.title), [
+    'Annual forest loss inside vs outside Park A (WDPAID 101, % of 2000 forest)',
+    'Annual forest loss inside vs outside Park B (WDPAID 102, % of 2000 forest)'
+  ]);
+  assert.strictEqual(charts[0].props.params.seriesProperty, 'ring');
+});
+
+test('loss drivers: loss by driver and year for the AOI and every zone, with a stacked chart', () => {
+  const run = runScript(SCRIPT, {
+    settings: {loss_drivers: true, zone_stats: true, zone_source: 'gaul', zone_admin_level: 1},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const aoi = run.findExport('_Loss_Drivers_2001_2024');
+  assert.deepStrictEqual([...aoi.params.selectors],
+    ['aoi', 'year', 'driver_value', 'driver', 'loss_ha', 'area_unit', 'area_crs']);
+  assert.match(aoi.params.collection.describe(), /wri_gdm_drivers_forest_loss_1km.*select\(\[0\], \["driver"\]\)\.unmask\(0\)\.multiply\(100\)/);
+  assert.deepStrictEqual([...run.findExport('_Admin_Loss_Drivers').params.selectors].slice(0, 4),
+    ['ADM1_CODE', 'ADM0_NAME', 'ADM1_NAME', 'year']);
+  assert.ok(run.findLayer('Loss driver (2001-2024)'));
+
+  const chart = run.charts.find((c) => /^Forest loss by driver/.test(c.props.options.title));
+  assert.strictEqual(chart.props.options.isStacked, true);
+  assert.strictEqual(chart.props.params.seriesProperty, 'driver');
+
+  const own = runScript(SCRIPT, {
+    settings: {loss_drivers: true, drivers_asset: 'projects/me/assets/drivers'},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.match(own.findExport('_Loss_Drivers_2001_2024').params.collection.describe(), /Image\("projects\/me\/assets\/drivers"\)/);
+  assert.ok(own.datasets.every((d) => !/wri_gdm/.test(d.id)));
+});
+
+test('carbon: committed emissions raster, annual AOI table and per-zone table', () => {
+  const run = runScript(SCRIPT, {
+    settings: {carbon_emissions: true, root_to_shoot: 0.2, carbon_fraction: 0.5, zone_stats: true},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const raster = run.findExport('_Emissions_2001_2024');
+  assert.strictEqual(raster.kind, 'image');
+  // (1 + 0.2) x 0.5 x 44/12
+  assert.match(raster.params.image.describe(), /Image\("WHRC\/biomass\/tropical"\)\.select\(\[0\], \["agb"\]\).*multiply\(2\.(2|19999)\d*\)\.rename\("co2_t_ha"\)/);
+  const annual = run.findExport('_Emissions_Annual_2001_2024');
+  assert.deepStrictEqual([...annual.params.selectors], ['aoi', 'year', 'agb_t', 'carbon_t', 'co2_t']);
+  assert.match(annual.params.collection.describe(), /pixelArea\(\)\.divide\(10000\)/);
+  assert.deepStrictEqual([...run.findExport('_PA_Emissions').params.selectors],
+    ['WDPAID', 'NAME', 'DESIG_ENG', 'year', 'agb_t', 'carbon_t', 'co2_t']);
+  assert.ok(run.datasets.some((d) => d.id === 'WHRC/biomass/tropical'));
+
+  const cci = runScript(SCRIPT, {
+    settings: {carbon_emissions: true, biomass_source: 'CCI', start_year: 2015},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.match(cci.findExport('_Emissions_2015_2024').params.image.describe(), /ESA_CCI_AGB.*sort\("system:time_start"\)\.first\(\)/);
+  // The 2010 CCI map comes after loss from 2001-2010
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {carbon_emissions: true, biomass_source: 'CCI'},
+    imports: {AOI: 'FeatureCollection'}
+  }), /biomass_source 'CCI' maps biomass in 2010, after loss from 2001 was cleared/);
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {carbon_emissions: true, biomass_source: 'GEDI', carbon_fraction: 2},
+    imports: {AOI: 'FeatureCollection'}
+  }), /biomass_source must be one of WHRC, CCI[\s\S]*carbon_fraction/);
+});
+
+test('fragmentation: pattern rasters, layers and metric tables for 2000 and the end year', () => {
+  const run = runScript(SCRIPT, {
+    settings: {fragmentation: true, end_year: 2020, zone_stats: true},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const raster = run.findExport('_MSPA_2000_2020');
+  assert.strictEqual(raster.params.scale, 100);
+  assert.match(raster.params.image.describe(), /rename\("mspa_2000"\)/);
+  assert.match(raster.params.image.describe(), /lossyear"\)\.gte\(1\)\.and\(.*lte\(20\)\)\.not\(\)\)\.rename\("forest2020"\)/);
+  assert.ok(run.findLayer('Forest pattern 2000 (core, edge, perforation, bridge, branch, patch)'));
+  assert.ok(run.findLayer('Forest pattern 2020 (core, edge, perforation, bridge, branch, patch)'));
+
+  const table = run.findExport('_Fragmentation_2000_2020');
+  assert.deepStrictEqual([...table.params.selectors], [
+    'aoi', 'year', 'forest_ha', 'core_ha', 'edge_ha', 'perforation_ha', 'bridge_ha', 'branch_ha', 'patch_ha',
+    'patch_count', 'mean_patch_ha', 'edge_density_m_ha', 'area_unit', 'area_crs'
+  ]);
+  assert.strictEqual([...run.findExport('_PA_Fragmentation').params.selectors][0], 'WDPAID');
+
+  assert.throws(() => runScript(SCRIPT, {
+    settings: {fragmentation: true, fragmentation_edge_width: 5000},
+    imports: {AOI: 'FeatureCollection'}
+  }), /fragmentation_edge_width must be a number from 100 to 1000/);
+});
+
+test('leakage ring distances must be increasing metres', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {leakage_rings: [10000, 5000]}, imports: {AOI: 'FeatureCollection'}}),
+    /leakage_rings distances must increase/);
+});
+
+test('canopy thresholds outside the Hansen list and a 2000-only window are rejected', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {canopy_threshold: 40}, imports: {AOI: 'FeatureCollection'}}),
+    /canopy_threshold must be one of 10, 15, 20, 25, 30, 50, 75/);
+  assert.throws(() => runScript(SCRIPT, {settings: {end_year: 2000}, imports: {AOI: 'FeatureCollection'}}),
+    /end_year must be after 2000/);
+});
+
+test('unknown area units are rejected', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {area_unit: 'acres'}, imports: {AOI: 'FeatureCollection'}}),
+    /Area: area_unit must be 'm2', 'ha' or 'km2'/);
+});
+
+test('provenance: settings, Hansen version and every task are recorded', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: false, country_name: 'Kenya'}});
+  const table = run.findExport('_Provenance');
+  assert.deepStrictEqual([...table.params.selectors], ['section', 'name', 'value']);
+  const rows = table.params.collection.describe();
+  assert.match(rows, /section: "dataset", name: "UMD\/hansen\/global_forest_change_2024_v1_12", value: "v1.12"/);
+  assert.match(rows, /section: "setting", name: "country_name", value: "Kenya"/);
+  assert.match(rows, /section: "aoi", name: "dataset", value: "USDOS\/LSIB_SIMPLE\/2017"/);
+  assert.match(rows, /section: "export", name: "GFC_Kenya_Area_Summary", value: "table \(drive\)"/);
+  assert.match(rows, /section: "export", name: "GFC_Kenya_Provenance"/);
+
+  const image = run.findExport('_TreeCover2000').params.image.describe();
+  assert.match(image, /set\(\{provenance_script: "gfc_hansen_forest_change_generic.js"/);
+  assert.match(image, /provenance_aoi_hash: "[0-9a-f]{8}"/);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/gsw_occ_change_trans_generic.js';
+
+test('custom AOI: named prefix, transition table and rasters', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.deepStrictEqual(run.exportNames, [
+    'GSW_AOI_Inland_bassin_Transition_Summary_km2',
+    'GSW_AOI_Inland_bassin_Water_Mask_gt90',
+    'GSW_AOI_Inland_bassin_Water_Occurrence_1984_2021',
+    'GSW_AOI_Inland_bassin_Change_Intensity_1984_2021',
+    'GSW_AOI_Inland_bassin_Transition_Classes_1984_2021',
+    'GSW_AOI_Inland_bassin_Provenance'
+  ]);
+  assert.deepStrictEqual([...run.findExport('_Transition_Summary_km2').params.selectors],
+    ['transition_class_number', 'transition_class_name', 'area_km2', 'area_unit', 'area_crs']);
+  run.exports.filter((e) => e.kind === 'image').forEach((e) => {
+    assert.strictEqual(e.params.scale, 30, e.name);
+    assert.strictEqual(e.params.crs, 'EPSG:4326', e.name);
+    assert.match(e.params.region.describe(), /projects\/test\/assets\/AOI/, e.name);
+  });
+  assert.strictEqual(run.charts.length, 3);
+});
+
+test('country mode: slugified country prefix and export scale', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: false, country_name: 'Costa Rica', EXPORT_SCALE: 100}});
+  assert.strictEqual(run.exportNames[0], 'GSW_Costa_Rica_Transition_Summary_km2');
+  const occurrence = run.findExport('_Water_Occurrence_1984_2021');
+  assert.strictEqual(occurrence.params.scale, 100);
+  assert.match(occurrence.params.region.describe(), /LSIB_SIMPLE.*Costa Rica/);
+});
+
+test('end_year beyond the GSW1_4 record is rejected', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {end_year: 2023}, imports: {AOI: 'FeatureCollection'}}),
+    /start_year\/end_year \(1984-2023\) fall outside JRC Global Surface Water/);
+});
+
+test('area_unit and area_crs set the transition table units and the reduction grid', () => {
+  const run = runScript(SCRIPT, {
+    settings: {area_unit: 'ha', area_crs: 'EPSG:32736'},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  const table = run.findExport('_Transition_Summary_ha');
+  assert.deepStrictEqual([...table.params.selectors],
+    ['transition_class_number', 'transition_class_name', 'area_ha', 'area_unit', 'area_crs']);
+  assert.match(table.params.collection.describe(), /pixelArea\(\)\.divide\(10000\)/);
+  assert.match(table.params.collection.describe(), /EPSG:32736/);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+const PAS = [
+  {WDPAID: 101, NAME: 'Tsavo East', DESIG_ENG: 'National Park', REP_AREA: 13747},
+  {WDPAID: 202, NAME: 'Chyulu', DESIG_ENG: 'National Reserve'}
+];
+
+// Geometries evaluate to their expression, with each PA's boundary as 'PA'
+function leaves(obj, value) {
+  if (obj._type === 'Geometry') {
+    return obj.describe().replace(/Feature\(\{type: "Feature", geometry: null, properties: \{[^}]*\}\}\)\.geometry\(\)/g, 'PA');
+  }
+  return obj.describe() === 'FeatureCollection("pas")' ? collection(PAS) : value;
+}
+
+test('ring names: inside, then km (or m) bands between the distances', () => {
+  const {module: leakageLib} = loadModule('scripts/modules/leakage.js');
+  assert.deepStrictEqual([...leakageLib.ringNames([5000, 10000])], ['inside', '0-5km', '5-10km']);
+  assert.deepStrictEqual([...leakageLib.ringNames([500, 2000])], ['inside', '0-500m', '500-2000m']);
+});
+
+test('rings(): buffers minus the inner buffer minus nearby protected land, one collection per PA', () => {
+  const {module: leakageLib, ee} = loadModule('scripts/modules/leakage.js');
+  const rings = leakageLib.rings({
+    pas: ee.FeatureCollection('pas'),
+    others: ee.FeatureCollection('wdpa'),
+    distances: [1000, 3000]
+  });
+  const text = rings.describe();
+  assert.match(text, /^FeatureCollection\(FeatureCollection\("pas"\)\)\.map\(function\)\.flatten\(\)$/);
+  assert.throws(() => leakageLib.rings({pas: ee.FeatureCollection('pas'), others: ee.FeatureCollection('wdpa'), distances: []}),
+    /^Error: Leakage: rings\(\) needs at least one distance/);
+});
+
+test('rings(): an inside ring and one ring per distance for every PA, with its IDs', () => {
+  const {lib: leakageLib, ee, value} = loadFixture('leakage', {getInfo: leaves});
+  const rings = value(leakageLib.rings({
+    pas: ee.FeatureCollection('pas'),
+    others: ee.FeatureCollection('wdpa'),
+    distances: [1000, 3000]
+  }));
+  assert.deepStrictEqual(rows(rings).map((r) => [r.WDPAID, r.NAME, r.DESIG_ENG, r.ring, r.inner_m, r.outer_m]), [
+    [101, 'Tsavo East', 'National Park', 'inside', 0, 0],
+    [101, 'Tsavo East', 'National Park', '0-1km', 0, 1000],
+    [101, 'Tsavo East', 'National Park', '1-3km', 1000, 3000],
+    [202, 'Chyulu', 'National Reserve', 'inside', 0, 0],
+    [202, 'Chyulu', 'National Reserve', '0-1km', 0, 1000],
+    [202, 'Chyulu', 'National Reserve', '1-3km', 1000, 3000]
+  ]);
+  // Only the ID fields are copied from the PA
+  assert.strictEqual(rows(rings)[0].REP_AREA, undefined);
+
+  // Each ring drops the inner buffer (the PA itself for the first ring) and
+  // the protected land within the farthest distance
+  const nearby = 'FeatureCollection(FeatureCollection("wdpa")).filterBounds(PA.buffer(3000, 100)).union(100).geometry()';
+  assert.deepStrictEqual(rings.features.slice(0, 3).map((f) => f.geometry), [
+    'PA',
+    'PA.buffer(1000, 100).difference(PA, 100).difference(' + nearby + ', 100)',
+    'PA.buffer(3000, 100).difference(PA.buffer(1000, 100), 100).difference(' + nearby + ', 100)'
+  ]);
+});
+
+test('validate(): distance lists', () => {
+  const {problems} = loadFixture('leakage');
+  assert.deepStrictEqual(problems({leakage_rings: []}), []);
+  assert.deepStrictEqual(problems({leakage_rings: [1000, 5000]}), []);
+
+  [[[0], /above 0 and up to 100000/], [[5000, 200000], /up to 100000/], [[5000, 5000], /must increase/],
+    [5000, /must be a list/]].forEach(([rings, pattern]) => {
+    assert.match(problems({leakage_rings: rings}).join('\n'), pattern);
+  });
+});
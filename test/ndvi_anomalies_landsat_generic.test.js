@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/ndvi_anomalies_landsat_generic.js';
+
+test('custom AOI: monthly table and anomaly/baseline/study rasters', () => {
+  const run = runScript(SCRIPT, {imports: {AOI: 'FeatureCollection'}});
+  assert.deepStrictEqual(run.exportNames, [
+    'NDVI_Anomaly_CustomAOI_Monthly_Anomalies',
+    'NDVI_Anomaly_CustomAOI_Mean_Anomaly_2000_2020',
+    'NDVI_Anomaly_CustomAOI_Baseline_NDVI_2000_2015',
+    'NDVI_Anomaly_CustomAOI_Study_NDVI_2015_2018',
+    'NDVI_Anomaly_CustomAOI_Provenance'
+  ]);
+  assert.deepStrictEqual([...run.findExport('_Monthly_Anomalies').params.selectors], ['year', 'month', 'NDVI']);
+  run.exports.filter((e) => e.kind === 'image').forEach((e) => {
+    assert.strictEqual(e.params.scale, 100, e.name);
+    assert.strictEqual(e.params.crs, 'EPSG:4326', e.name);
+    assert.match(e.params.region.describe(), /projects\/test\/assets\/AOI/, e.name);
+  });
+  assert.ok(run.datasets.some((d) => d.id === 'LANDSAT/LE07/C02/T1_L2'));
+});
+
+test('country mode: LSIB region and custom scale', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: false, country_name: 'Kenya', scale: 250}});
+  const anomaly = run.findExport('_Mean_Anomaly_2000_2020');
+  assert.strictEqual(run.exportNames[0], 'NDVI_Anomaly_Kenya_Monthly_Anomalies');
+  assert.strictEqual(anomaly.params.scale, 250);
+  assert.match(anomaly.params.region.describe(), /LSIB_SIMPLE.*Kenya/);
+  assert.ok(run.findLayer('NDVI anomaly (mean)'));
+});
+
+test('baseline outside the Landsat 7 record and the filtered collection is rejected', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {b_start: '1995-01-01'}, imports: {AOI: 'FeatureCollection'}}),
+    (err) => {
+      assert.match(err.message, /^Settings: 2 problems found/);
+      assert.match(err.message, /b_start\/b_end .* fall outside Landsat 7/);
+      assert.match(err.message, /b_start\/b_end .* must lie inside f_start\/f_end/);
+      return true;
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+// AOI of `area` m² with a 2 x 1 degree bounding box
+function load(area) {
+  return loadModule('scripts/modules/pixels.js', {
+    getInfo: (obj, value) => {
+      if (obj.lastMethod() === 'area') {
+        return area;
+      }
+      if (obj.lastMethod() === 'bounds') {
+        return {type: 'Polygon', coordinates: [[[30, -2], [32, -2], [32, -1], [30, -1], [30, -2]]]};
+      }
+      return value;
+    }
+  });
+}
+
+test('small AOI: statistics keep their scale', () => {
+  const {module: pixelsLib, ee, recorder} = load(1e8);  // 100 km²
+  const aoi = ee.Geometry.Point([0, 0]);
+  const budget = pixelsLib.createBudget({geometry: aoi});
+  const params = budget.stats({geometry: aoi, reducer: ee.Reducer.sum(), scale: 30}, 'Loss area');
+  assert.strictEqual(params.scale, 30);
+  assert.strictEqual(params.tileScale, 1);
+  assert.strictEqual(params.maxPixels, 1e13);
+  assert.strictEqual(params.bestEffort, undefined);
+  assert.deepStrictEqual([...budget.notes()], []);
+  assert.strictEqual(budget.pixels(10), 1e6);
+  assert.strictEqual(recorder.getInfoCalls.length, 1);
+});
+
+test('auto mode: oversized statistics are computed at a coarser scale', () => {
+  const {module: pixelsLib, ee} = load(5e12);  // 5 million km²
+  const aoi = ee.Geometry.Point([0, 0]);
+  const budget = pixelsLib.createBudget({geometry: aoi, mode: 'auto'});
+
+  const stats = budget.stats({geometry: aoi, scale: 30, bestEffort: true}, 'Loss area');
+  assert.strictEqual(stats.scale, 120);  // 5.6e9 → 3.5e8 pixels
+  assert.strictEqual(stats.tileScale, 4);
+  assert.strictEqual(stats.bestEffort, true);
+
+  const regions = budget.regions({collection: ee.FeatureCollection('x'), scale: 30}, 'Zone stats');
+  assert.strictEqual(regions.scale, 120);
+  assert.strictEqual(regions.bestEffort, undefined);
+
+  const chart = budget.chart({region: aoi, scale: 30, maxPixels: 1e13}, 'Histogram');
+  assert.strictEqual(chart.scale, 120);
+  assert.match(budget.notes()[0], /^Loss area: 5\.6 billion pixels at 30 m; using 120 m\./);
+});
+
+test('warn mode keeps the scale and relies on bestEffort', () => {
+  const {module: pixelsLib, ee, recorder} = load(5e12);
+  const aoi = ee.Geometry.Point([0, 0]);
+  const budget = pixelsLib.createBudget({geometry: aoi, mode: 'warn'});
+  const stats = budget.stats({geometry: aoi, scale: 30}, 'Loss area');
+  assert.strictEqual(stats.scale, 30);
+  assert.strictEqual(stats.bestEffort, true);
+  assert.strictEqual(stats.tileScale, 16);
+  assert.match(recorder.prints[0][0], /Pixel budget — Loss area: .* may time out/);
+});
+
+test('notes go to the print the workflow passes instead of the Console', () => {
+  const {module: pixelsLib, ee, recorder} = load(5e12);
+  const aoi = ee.Geometry.Point([0, 0]);
+  const shown = [];
+  const budget = pixelsLib.createBudget({geometry: aoi, print: (text) => shown.push(text)});
+  budget.stats({geometry: aoi, scale: 30}, 'Loss area');
+  assert.strictEqual(shown.length, 1);
+  assert.match(shown[0], /^Pixel budget — Loss area: /);
+  assert.strictEqual(recorder.prints.length, 0);
+});
+
+test('off mode passes parameters through', () => {
+  const {module: pixelsLib, ee} = load(5e12);
+  const aoi = ee.Geometry.Point([0, 0]);
+  const params = {geometry: aoi, scale: 30};
+  const budget = pixelsLib.createBudget({geometry: aoi, mode: 'off'});
+  assert.strictEqual(budget.stats(params), params);
+  assert.strictEqual(budget.tiles(aoi, 30).length, 1);
+});
+
+test('tiles: oversized exports become a named grid over the AOI bounds', () => {
+  const {module: pixelsLib, ee} = load(5e12);
+  const aoi = ee.Geometry.Point([0, 0]);
+  const budget = pixelsLib.createBudget({geometry: aoi});
+  const tiles = budget.tiles(aoi, 10, 'GFC_Kenya_Loss');  // 5e10 pixels → 3 x 3
+  assert.deepStrictEqual([...tiles].map((t) => t.suffix), [
+    '_tile_R01C01', '_tile_R01C02', '_tile_R01C03',
+    '_tile_R02C01', '_tile_R02C02', '_tile_R02C03',
+    '_tile_R03C01', '_tile_R03C02', '_tile_R03C03'
+  ]);
+  assert.match(tiles[0].region.describe(), /Rectangle\(\[30, -1\.33.*, 30\.66.*, -1\]/);
+  assert.strictEqual(budget.tiles(aoi, 100, 'coarse').length, 1);
+});
+
+test('invalid mode or missing geometry is rejected', () => {
+  const {module: pixelsLib, ee} = load(1);
+  assert.throws(() => pixelsLib.createBudget({geometry: ee.Geometry.Point([0, 0]), mode: 'fast'}),
+    /Pixel budget: pixel_budget must be 'auto', 'warn' or 'off'/);
+  assert.throws(() => pixelsLib.createBudget({}), /needs the AOI geometry/);
+});
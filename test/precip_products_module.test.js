@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture} = require('../harness/fixtures');
+
+function seasonOf(start, end) {
+  const window = (y) => ({start: y + start, end: y + end});
+  return {
+    window: window,
+    total: (collection, y) => collection.filterDate(window(y).start, window(y).end).sum(),
+    totals: (collection, y0, y1) => collection.filterDate(window(y0).start, window(y1).end)
+  };
+}
+
+// What a harmonised collection's map() does to one daily image
+function perImage(ee, products) {
+  const map = products._ops[products._ops.length - 1];
+  assert.strictEqual(map.method, 'map');
+  return map.args[0](ee.Image('day')).describe();
+}
+
+test('products are harmonised to mm per image', () => {
+  const {lib: productsLib, ee} = loadFixture('precip_products');
+  const era5 = productsLib.load('ERA5_LAND');
+  assert.match(era5.describe(),
+    /ImageCollection\("ECMWF\/ERA5_LAND\/DAILY_AGGR"\)\.select\("total_precipitation_sum"\)\.map\(function\)/);
+  assert.strictEqual(perImage(ee, era5),
+    'Image("day").multiply(1000).rename("precipitation").copyProperties(Image("day"), ["system:time_start"])');
+  assert.match(productsLib.load('IMERG').describe(), /IMERG_V07.*select\("precipitation"\)/);
+  assert.match(perImage(ee, productsLib.load('IMERG')), /^Image\("day"\)\.multiply\(0\.5\)\.rename/);
+  assert.strictEqual(perImage(ee, productsLib.load('CHIRPS')), 'Image("day").rename("precipitation")');
+  assert.throws(() => productsLib.load('TRMM'), /^Error: Precipitation products: unknown product 'TRMM'/);
+});
+
+test('compare(): CHIRPS first, one band set per product, agreement and spread', () => {
+  const {lib: productsLib, ee} = loadFixture('precip_products');
+  const comparison = productsLib.compare({
+    products: ['IMERG', 'CHIRPS', 'IMERG'],
+    season: seasonOf('-03-01', '-06-01'),
+    study_year: 2023,
+    baseline_start_year: 2001,
+    baseline_end_year: 2020
+  });
+  assert.deepStrictEqual([...comparison.products.map((p) => p.key)], ['CHIRPS', 'IMERG']);
+  assert.deepStrictEqual([...comparison.bands], ['chirps_total_mm', 'imerg_total_mm']);
+  assert.deepStrictEqual([...comparison.columns], [
+    'chirps_total_mm', 'chirps_baseline_mm', 'chirps_anomaly_mm', 'chirps_pct_of_normal',
+    'imerg_total_mm', 'imerg_baseline_mm', 'imerg_anomaly_mm', 'imerg_pct_of_normal', 'spread_pct'
+  ]);
+  const agreement = comparison.agreement.describe();
+  assert.match(agreement, /where\(.*eq\(2\), 1\)\.where\(.*eq\(0\), 3\)/);
+  assert.match(agreement, /rename\("spread_pct"\)/);
+
+  const table = productsLib.zoneTable(comparison, ee.FeatureCollection('zones'), {
+    budget: {regions: (params) => params},
+    scale: 5000
+  });
+  assert.match(table.describe(), /reduceRegions\(\{collection: FeatureCollection\("zones"\), reducer: Reducer\.mean\(\), scale: 5000\}\)/);
+  // Every exported column is a band of the reduced image
+  comparison.columns.forEach((column) => {
+    assert.match(table.describe(), new RegExp('rename\\("' + column + '"\\)'));
+  });
+});
+
+test('validate(): product names and coverage of every compared season', () => {
+  const {problems} = loadFixture('precip_products');
+  const season = seasonOf('-10-01', '-03-01');
+
+  assert.deepStrictEqual(problems({products: ['ERA5_LAND', 'IMERG'], season: season,
+    study_year: 2020, baseline_start_year: 2001, baseline_end_year: 2019}), []);
+  // IMERG starts in June 2000: the 2000/01 season is the first it covers
+  assert.deepStrictEqual(problems({products: ['IMERG'], season: season,
+    study_year: 2020, baseline_start_year: 2000, baseline_end_year: 2019}), []);
+
+  const late = problems({products: ['IMERG'], season: season,
+    study_year: 2020, baseline_start_year: 1999, baseline_end_year: 2019});
+  assert.strictEqual(late.length, 1);
+  assert.match(late[0], /^IMERG is compared over 1999-10-01 to 2020-03-01 \(exclusive\), outside .* which covers 2000-06-01 to /);
+
+  // A season may end on the record's last day (today for ongoing records), not after it
+  const day = (offset) => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+  const recent = (end) => ({window: () => ({start: day(-90), end: end})});
+  const year = Number(day(-90).slice(0, 4));
+  const recentProblems = (end) => problems({products: ['IMERG'], season: recent(end),
+    study_year: year, baseline_start_year: 2001, baseline_end_year: 2019});
+  assert.deepStrictEqual(recentProblems(day(1)), []);
+  assert.strictEqual(recentProblems(day(2)).length, 1);
+
+  assert.match(problems({products: 'IMERG', season: season}).join('\n'), /compare_products must list products/);
+  assert.match(problems({products: ['TRMM'], season: season}).join('\n'), /got \["TRMM"\]/);
+  // CHIRPS is always compared and needs no coverage check here
+  assert.deepStrictEqual(problems({products: [], season: season,
+    study_year: 2020, baseline_start_year: 1950, baseline_end_year: 2019}), []);
+});
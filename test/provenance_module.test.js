@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function load(info) {
+  return loadModule('scripts/modules/provenance.js', {
+    getInfo: (obj, value) => (obj.lastMethod() === 'getInfo' || info === undefined ? value : info)
+  });
+}
+
+function aoiBundle(ee) {
+  return {
+    geometry: ee.Geometry.Point([0, 0]),
+    label: 'Kenya (entire country)',
+    slug: 'Kenya',
+    source: 'LSIB',
+    dataset: 'USDOS/LSIB_SIMPLE/2017'
+  };
+}
+
+test('rows cover run, AOI, settings, datasets and scales', () => {
+  const {module: provenanceLib, ee} = load();
+  const provenance = provenanceLib.createProvenance({
+    script: 'gfc_hansen_forest_change_generic.js',
+    settings: {country_name: 'Kenya', start_year: 2000, batch_names: ['Spain', 'PRT']},
+    datasets: [{id: 'UMD/hansen/global_forest_change_2024_v1_12', version: 'v1.12'}],
+    scales: {stats: 30},
+    aoi: aoiBundle(ee),
+    run_time: '2026-01-01T00:00:00.000Z'
+  });
+  const rows = [...provenance.rows()].map((r) => r.join(' | '));
+  assert.deepStrictEqual(rows, [
+    'run | script | gfc_hansen_forest_change_generic.js',
+    'run | run_time | 2026-01-01T00:00:00.000Z',
+    'aoi | label | Kenya (entire country)',
+    'aoi | slug | Kenya',
+    'aoi | source | LSIB',
+    'aoi | dataset | USDOS/LSIB_SIMPLE/2017',
+    'aoi | hash | ' + provenance.hash,
+    'setting | country_name | Kenya',
+    'setting | start_year | 2000',
+    'setting | batch_names | ["Spain","PRT"]',
+    'dataset | UMD/hansen/global_forest_change_2024_v1_12 | v1.12',
+    'dataset | USDOS/LSIB_SIMPLE/2017 | AOI boundaries',
+    'scale | stats | 30'
+  ]);
+  assert.match(provenance.hash, /^[0-9a-f]{8}$/);
+  assert.strictEqual(provenance.properties.provenance_datasets,
+    'UMD/hansen/global_forest_change_2024_v1_12 (v1.12); USDOS/LSIB_SIMPLE/2017 (AOI boundaries)');
+  assert.strictEqual(provenance.properties.provenance_settings,
+    '{"country_name":"Kenya","start_year":2000,"batch_names":["Spain","PRT"]}');
+});
+
+test('the AOI hash follows the geometry', () => {
+  const first = load({bounds: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]], area: 1.2e10});
+  const same = load({bounds: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]], area: 1.2e10});
+  const moved = load({bounds: [[[2, 0], [3, 0], [3, 1], [2, 1], [2, 0]]], area: 1.2e10});
+  const hash = (loaded) => loaded.module.createProvenance({script: 's.js', aoi: aoiBundle(loaded.ee)}).hash;
+  assert.strictEqual(hash(first), hash(same));
+  assert.notStrictEqual(hash(first), hash(moved));
+  assert.strictEqual(first.module.fnv1a(''), '811c9dc5');
+  assert.strictEqual(first.module.fnv1a('a'), 'e40c292c');
+});
+
+test('exportTable() lists every queued task, including itself', () => {
+  const {module: provenanceLib, ee} = load();
+  const tables = [];
+  const exporter = {
+    target: {type: 'gcs'},
+    name: (name) => 'GFC_Kenya_' + name,
+    queued: () => [{kind: 'table', name: 'GFC_Kenya_Area_Summary', destination: 'gcs'}],
+    table: (fc, name, options) => {
+      tables.push({fc, name, options});
+      return 'GFC_Kenya_' + name;
+    }
+  };
+  const provenance = provenanceLib.createProvenance({script: 's.js', aoi: aoiBundle(ee)});
+  assert.strictEqual(provenance.exportTable(exporter), 'GFC_Kenya_Provenance');
+
+  assert.deepStrictEqual([...tables[0].options.selectors], ['section', 'name', 'value']);
+  const rows = tables[0].fc.describe();
+  assert.match(rows, /section: "export", name: "GFC_Kenya_Area_Summary", value: "table \(gcs\)"/);
+  assert.match(rows, /section: "export", name: "GFC_Kenya_Provenance", value: "table \(gcs\)"/);
+});
+
+test('script name and AOI are required', () => {
+  const {module: provenanceLib, ee} = load();
+  assert.throws(() => provenanceLib.createProvenance({aoi: aoiBundle(ee)}), /Provenance: createProvenance\(\) needs the script name/);
+  assert.throws(() => provenanceLib.createProvenance({script: 's.js'}), /Provenance: .* needs the AOI bundle/);
+});
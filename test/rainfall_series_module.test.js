@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+function setup() {
+  const {module: seriesLib, ee} = loadModule('scripts/modules/rainfall_series.js');
+  const budget = {regions: (params) => params};
+  return {
+    seriesLib,
+    ee,
+    base: {
+      collection: ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY'),
+      start_year: 2020,
+      end_year: 2021,
+      baseline_start_year: 2001,
+      baseline_end_year: 2002,
+      zones: ee.FeatureCollection('zones'),
+      unit_field: 'NAME',
+      budget: budget,
+      scale: 5000
+    }
+  };
+}
+
+test('season mode: a crossing season per year against the baseline of the same window', () => {
+  const {seriesLib, base} = setup();
+  const season = {start: '10-01', end: '02-28', window: (y) => ({start: y + '-10-01', end: (y + 1) + '-03-01'})};
+  const text = seriesLib.zoneSeries(Object.assign({mode: 'season', season: season}, base)).describe();
+  assert.match(text, /filterDate\("2020-10-01", "2021-03-01"\)\.sum\(\)\.rename\("total_mm"\)/);
+  assert.match(text, /filterDate\("2021-10-01", "2022-03-01"\)\.sum\(\)\.rename\("total_mm"\)/);
+  assert.match(text, /filterDate\("2002-10-01", "2003-03-01"\)/);
+  assert.match(text, /flatten\(\)$/);
+});
+
+test('monthly mode: twelve months per year', () => {
+  const {seriesLib, base} = setup();
+  const text = seriesLib.zoneSeries(Object.assign({mode: 'monthly'}, base)).describe();
+  assert.strictEqual(text.match(/rename\("total_mm"\)/g).length, 24);
+  assert.match(text, /filterDate\("2021-02-01", "2021-03-01"\)/);
+});
+
+test('bad options and the chart', () => {
+  const {seriesLib, base, ee} = setup();
+  assert.throws(() => seriesLib.zoneSeries(Object.assign({mode: 'daily'}, base)), /^Error: Rainfall series: mode/);
+  assert.throws(() => seriesLib.zoneSeries(Object.assign({mode: 'season'}, base)), /needs the season/);
+
+  const chart = seriesLib.chart(ee.FeatureCollection('series'), {title: 'T', max_units: 3});
+  assert.strictEqual(chart.props.params.xProperty, 'time');
+  assert.strictEqual(chart.props.params.yProperty, 'total_mm');
+  assert.match(chart.props.params.features.describe(), /slice\(0, 3\)/);
+  assert.strictEqual(chart.props.options.title, 'T');
+});
+
+test('rows keep the zone ID columns, and uncharted() names the zones left out of the chart', () => {
+  const zones = [
+    {WDPAID: 1, NAME: 'Tsavo', total_mm: 300, baseline_mm: 250},
+    {WDPAID: 2, NAME: 'Tsavo', total_mm: 200, baseline_mm: 240},
+    {WDPAID: 3, NAME: 'Amboseli', total_mm: null, baseline_mm: 210},
+    {WDPAID: 4, NAME: 'Meru', total_mm: 100, baseline_mm: 100}
+  ];
+  const fx = loadFixture('rainfall_series', {
+    getInfo: (obj, value) => (obj.lastMethod() === 'reduceRegions' ? collection(zones) : value)
+  });
+  const season = {start: '03-01', end: '05-31', window: (y) => ({start: y + '-03-01', end: y + '-06-01'})};
+  const table = fx.lib.zoneSeries({
+    collection: fx.ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY'),
+    mode: 'season', season: season,
+    start_year: 2023, end_year: 2023, baseline_start_year: 2001, baseline_end_year: 2002,
+    zones: fx.ee.FeatureCollection('zones'), unit_field: 'NAME',
+    budget: {regions: (params) => params}, scale: 5000
+  });
+
+  const columns = fx.lib.columns(['WDPAID', 'NAME']);
+  assert.deepStrictEqual([...columns], ['WDPAID', 'NAME', 'unit', 'year', 'season', 'total_mm', 'baseline_mm', 'anomaly']);
+  assert.deepStrictEqual(rows(fx.value(table)).map((r) => columns.map((c) => r[c])), [
+    [1, 'Tsavo', 'Tsavo', 2023, '03-01 to 05-31', 300, 250, 50],
+    [2, 'Tsavo', 'Tsavo', 2023, '03-01 to 05-31', 200, 240, -40],
+    [4, 'Meru', 'Meru', 2023, '03-01 to 05-31', 100, 100, 0]
+  ]);
+
+  assert.strictEqual(fx.value(fx.lib.uncharted(table, {noun: 'PA', max_units: 1})),
+    'Not in the chart (all in the CSV): 1 PAs — Meru');
+  assert.strictEqual(fx.value(fx.lib.uncharted(table, {noun: 'PA'})), 'Every PA is in the chart.');
+});
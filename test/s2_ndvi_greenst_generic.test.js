@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/s2_ndvi_greenst_generic.JS';
+
+test('GAUL mode: greenest NDVI raster and per-admin table', () => {
+  const run = runScript(SCRIPT);
+  assert.deepStrictEqual(run.exportNames, [
+    'S2_NDVI_Greenest_Portugal_AdminLevel2_Odemira_NDVI_Greenest',
+    'S2_NDVI_Greenest_Portugal_AdminLevel2_Odemira_NDVI_Mean_By_Admin',
+    'S2_NDVI_Greenest_Portugal_AdminLevel2_Odemira_Provenance'
+  ]);
+  const raster = run.findExport('_NDVI_Greenest');
+  assert.strictEqual(raster.params.scale, 10);
+  assert.match(raster.params.region.describe(), /FAO\/GAUL\/2015\/level2.*Odemira/);
+  assert.deepStrictEqual([...run.findExport('_NDVI_Mean_By_Admin').params.selectors],
+    ['ADM0_NAME', 'ADM1_NAME', 'ADM2_NAME', 'mean']);
+});
+
+test('custom AOI mode: mean-only table', () => {
+  const run = runScript(SCRIPT, {settings: {use_custom_aoi: true}, imports: {AOI: 'FeatureCollection'}});
+  assert.strictEqual(run.exportNames[0], 'S2_NDVI_Greenest_CustomAOI_NDVI_Greenest');
+  assert.deepStrictEqual([...run.findExport('_NDVI_Mean_By_Admin').params.selectors], ['mean']);
+  assert.match(run.findExport('_NDVI_Greenest').params.region.describe(), /projects\/test\/assets\/AOI/);
+});
+
+test('batch mode: one AOI per imported feature', () => {
+  const run = runScript(SCRIPT, {
+    settings: {batch_mode: true, batch_source: 'features', batch_names: [], batch_name_field: 'NAME'},
+    imports: {AOI: 'FeatureCollection'},
+    getInfo: (obj) => (obj.lastMethod() === 'distinct' ? ['North Block', 'South Block'] : undefined)
+  });
+  assert.deepStrictEqual(run.exportNames, [
+    'S2_NDVI_Greenest_North_Block_NDVI_Greenest',
+    'S2_NDVI_Greenest_North_Block_NDVI_Mean_By_Admin',
+    'S2_NDVI_Greenest_North_Block_Provenance',
+    'S2_NDVI_Greenest_South_Block_NDVI_Greenest',
+    'S2_NDVI_Greenest_South_Block_NDVI_Mean_By_Admin',
+    'S2_NDVI_Greenest_South_Block_Provenance'
+  ]);
+  assert.deepStrictEqual([...run.findExport('South_Block_NDVI_Mean_By_Admin').params.selectors], ['NAME', 'mean']);
+});
+
+test('an empty Sentinel-2 window is rejected', () => {
+  assert.throws(() => runScript(SCRIPT, {settings: {start_date: '2021-07-31', end_date: '2021-07-01'}}),
+    /end_date \(2021-07-01\) must be after start_date/);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture} = require('../harness/fixtures');
+
+function load() {
+  const fx = loadFixture('season');
+  return Object.assign({seasonLib: fx.lib}, fx);
+}
+
+test('windows: same-year and new-year-crossing seasons, end exclusive', () => {
+  const {seasonLib} = load();
+  const mam = seasonLib.createSeason({season_start: '03-01', season_end: '05-31'});
+  assert.strictEqual(mam.wraps, false);
+  assert.deepStrictEqual({...mam.window(2023)}, {start: '2023-03-01', end: '2023-06-01'});
+
+  const ondjf = seasonLib.createSeason({season_start: '10-01', season_end: '02-29'});
+  assert.strictEqual(ondjf.wraps, true);
+  assert.deepStrictEqual({...ondjf.window(2023)}, {start: '2023-10-01', end: '2024-03-01'});
+  assert.deepStrictEqual({...ondjf.window(2022)}, {start: '2022-10-01', end: '2023-03-01'});
+
+  const year = seasonLib.createSeason({season_start: '01-01', season_end: '12-31'});
+  assert.deepStrictEqual({...year.window(2024)}, {start: '2024-01-01', end: '2025-01-01'});
+});
+
+test('totals: one image per season, tagged with its start year', () => {
+  const {seasonLib, ee} = load();
+  const season = seasonLib.createSeason({season_start: '11-15', season_end: '03-15'});
+  const chirps = ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY');
+  const text = season.totals(chirps, 2001, 2002).describe();
+  assert.match(text, /filterDate\("2001-11-15", "2002-03-16"\)\.sum\(\)\.set\(\{year: 2001/);
+  assert.match(text, /filterDate\("2002-11-15", "2003-03-16"\)\.sum\(\)\.set\(\{year: 2002/);
+});
+
+test('validate(): day format and the study season inside the record', () => {
+  const {seasonLib, validateLib, problems} = load();
+
+  const ok = validateLib.createValidator();
+  const season = seasonLib.validate(ok, {season_start: '10-01', season_end: '02-28', study_year: 2020,
+    baseline_end_year: 2015});
+  assert.strictEqual(ok.problems().length, 0);
+  assert.strictEqual(season.wraps, true);
+
+  const bad = validateLib.createValidator();
+  assert.strictEqual(seasonLib.validate(bad, {season_start: '02-29', season_end: '3-1'}), null);
+  seasonLib.validate(bad, {season_start: '10-01', season_end: '02-28', study_year: 1980});
+  const found = [...bad.problems()];
+  assert.strictEqual(found.length, 3);
+  assert.match(found[0], /season_end must be a day written as 'MM-DD'/);
+  assert.match(found[1], /season_start cannot be '02-29'/);
+  assert.match(found[2], /study season of 1980 needs rainfall from 1980-10-01 to 1981-03-01/);
+
+  // CHIRPS starts on 1981-01-01: the first season that fits starts that day
+  assert.deepStrictEqual(problems({season_start: '01-01', season_end: '03-31', study_year: 1981}), []);
+  assert.deepStrictEqual(problems({season_start: '03-01', season_end: '05-31', study_year: 2023.5}), [
+    'study_year must be a whole year, e.g. 2023 (got 2023.5).'
+  ]);
+});
+
+test('validate(): the last baseline season of a crossing season must end inside the record', () => {
+  const {problems} = load();
+  const crossing = problems({season_start: '10-01', season_end: '02-28', baseline_end_year: 2100});
+  assert.strictEqual(crossing.length, 1);
+  assert.match(crossing[0], /^the baseline season of 2100 needs rainfall from 2100-10-01 to 2101-03-01 \(exclusive\), outside CHIRPS/);
+  // A season may end on the record's last day (Hansen: 2024-12-31)
+  assert.deepStrictEqual(problems({season_start: '01-01', season_end: '12-31', study_year: 2024, dataset: 'HANSEN'}), []);
+  assert.match(problems({season_start: '01-02', season_end: '01-01', study_year: 2024, dataset: 'HANSEN'})[0],
+    /needs rainfall from 2024-01-02 to 2025-01-02 \(exclusive\), outside .* which covers 2000-01-01 to 2024-12-31/);
+  // Another product's record (ERA5-Land daily from 1950-01-02)
+  assert.deepStrictEqual(problems({season_start: '03-01', season_end: '05-31', study_year: 1960,
+    dataset: 'ERA5_LAND_DAILY'}), []);
+  assert.strictEqual(problems({season_start: '01-01', season_end: '01-31', study_year: 1950,
+    dataset: 'ERA5_LAND_DAILY'}).length, 1);
+  // Same-year seasons are covered by the study/baseline year checks
+  assert.deepStrictEqual(problems({season_start: '03-01', season_end: '05-31', baseline_end_year: 2100}), []);
+});
+
+test('createSeason() rejects bad days', () => {
+  const {seasonLib} = load();
+  assert.throws(() => seasonLib.createSeason({season_start: '04-31', season_end: '05-31'}), /^Error: Season: /);
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture, collection, rows} = require('../harness/fixtures');
+
+// Grouped class areas per zone, as reduceRegions() returns them
+const GROUPED = collection([
+  {NAME: 'North', groups: [{severity: 1, sum: 30}, {severity: 2, sum: 10}]},
+  {NAME: 'South', groups: [{severity: 2, sum: 5}]},
+  {NAME: 'Sea', groups: []}
+]);
+
+function load() {
+  return loadFixture('severity', {
+    getInfo: (obj, value) => (obj.lastMethod() === 'reduceRegions' ? GROUPED : value)
+  });
+}
+
+test('preset classes: values 1..n with ranges, classified from the wettest down', () => {
+  const {lib: severityLib, ee} = load();
+  const severity = severityLib.createSeverity({index: 'pct_of_normal', classes: []});
+  assert.deepStrictEqual([...severity.classes.map((c) => c.value)], [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual([...severity.classes.map((c) => c.range)],
+    ['< 50', '50 to 75', '75 to 90', '90 to 110', '110 to 125', '>= 125']);
+
+  const text = severity.classify(ee.Image('anomalies')).describe();
+  assert.match(text, /^Image\(6\)\.where\(.*lt\(125\), 5\)/);
+  assert.match(text, /lt\(50\), 1\)\.updateMask/);
+  assert.match(text, /rename\("severity"\)\.byte\(\)$/);
+});
+
+test('zone areas group pixel area by class; the tidy table has one row per zone and class', () => {
+  const {lib: severityLib, ee, areas, value} = load();
+  const severity = severityLib.createSeverity({
+    index: 'z_score',
+    classes: [{name: 'dry', max: -1}, {name: 'wet'}]
+  });
+  const wide = severity.zoneAreas(ee.Image('classes'), ee.FeatureCollection('zones'), {
+    areas: areas,
+    budget: {regions: (params) => params},
+    scale: 5000
+  });
+  assert.match(wide.describe(), /Image\.pixelArea\(\)\.divide\(10000\).*reduceRegions\(\{collection: FeatureCollection\("zones"\), reducer: Reducer\.sum\(\)\.group\(\{groupField: 1, groupName: "severity"\}\), scale: 5000, crs: "EPSG:6933"\}\)/);
+
+  // Zones without classified pixels are dropped; missing classes are 0
+  assert.deepStrictEqual(rows(value(wide)).map((r) => [r.NAME, r.dry_ha, r.wet_ha, r.classified_area]),
+    [['North', 30, 10, 40], ['South', 0, 5, 5]]);
+  const tidy = rows(value(severity.tidy(wide, ['NAME'], areas)));
+  assert.deepStrictEqual(tidy.map((r) => [r.NAME, r.class_name, r.class_range, r.area_ha, r.percent]), [
+    ['North', 'dry', '< -1', 30, 75],
+    ['South', 'dry', '< -1', 0, 0],
+    ['North', 'wet', '>= -1', 10, 25],
+    ['South', 'wet', '>= -1', 5, 100]
+  ]);
+  assert.strictEqual(tidy[0].area_unit, 'ha');
+
+  assert.deepStrictEqual([...severity.tidyColumns(['NAME'], areas)],
+    ['NAME', 'class_value', 'class_name', 'class_range', 'area_ha', 'percent', 'area_unit', 'area_crs']);
+  const chart = severity.chart(wide, {x_field: 'NAME', areas: areas});
+  assert.deepStrictEqual([...chart.props.params.yProperties], ['dry_ha', 'wet_ha']);
+});
+
+test('validate(): index and class list problems', () => {
+  const {lib: severityLib, problems} = load();
+  assert.deepStrictEqual(problems({severity_index: 'anomaly_mm', severity_classes: []}), []);
+  assert.match(problems({severity_index: 'spi', severity_classes: []})[0], /severity_index must be one of/);
+
+  const cases = [
+    [[{name: 'dry'}], /at least two classes/],
+    [[{name: 'Dry', max: 1}, {name: 'wet'}], /class 1 needs a name/],
+    [[{name: 'dry', max: 1}, {name: 'dry'}], /'dry' is used twice/],
+    [[{name: 'dry', max: 1}, {name: 'mid', max: 1}, {name: 'wet'}], /must increase/],
+    [[{name: 'dry'}, {name: 'wet'}], /'dry' needs a numeric max/]
+  ];
+  cases.forEach(([classes, pattern]) => {
+    assert.match(problems({severity_index: 'z_score', severity_classes: classes}).join('\n'), pattern);
+  });
+  assert.throws(() => severityLib.createSeverity({index: 'spi'}), /^Error: Severity: index must be one of/);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture} = require('../harness/fixtures');
+
+function load() {
+  return loadFixture('spi');
+}
+
+// Every [start, end) rainfall window an SPI image sums, in order
+function windows(image) {
+  return [...new Set([...image.describe().matchAll(/filterDate\("([\d-]+)", "([\d-]+)"\)/g)]
+    .map((m) => m[1] + '/' + m[2]))];
+}
+
+function compute(endDate, timescales, baseline, studyYear) {
+  const {lib: spiLib, ee} = load();
+  return spiLib.computeSpi({
+    collection: ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY'),
+    end_date: endDate,
+    study_year: studyYear,
+    baseline_start_year: baseline ? baseline[0] : 1991,
+    baseline_end_year: baseline ? baseline[1] : 2020,
+    timescales: timescales
+  });
+}
+
+test('SPI bands per timescale for the month before the exclusive end date', () => {
+  const spi = compute('2024-01-01', [1, 3]);
+  assert.strictEqual(spi.month, '2023-12');
+  assert.strictEqual(spi.last_day, '2023-12-31');
+  assert.deepStrictEqual([...spi.bands], ['spi_1', 'spi_3']);
+  assert.deepStrictEqual([...spi.class_bands], ['drought_1', 'drought_3']);
+
+  const text = spi.image.describe();
+  assert.match(text, /filterDate\("2023-10-01", "2024-01-01"\)/);   // SPI-3 study window
+  assert.match(text, /filterDate\("1991-12-01", "1992-01-01"\)/);   // SPI-1 first baseline year
+  assert.match(text, /filterDate\("2020-10-01", "2021-01-01"\)/);   // SPI-3 last baseline year
+  assert.match(text, /gammainc/);
+  assert.match(text, /erfInv/);
+});
+
+test('a season ending mid-month: windows end on the last study day, baseline years on the same day', () => {
+  const spi = compute('2024-02-16', [1, 3], [2018, 2020]);   // season_end '02-15'
+  assert.strictEqual(spi.last_day, '2024-02-15');
+  assert.deepStrictEqual(windows(spi.image), [
+    '2018-01-16/2018-02-16', '2019-01-16/2019-02-16', '2020-01-16/2020-02-16', '2024-01-16/2024-02-16',
+    '2017-11-16/2018-02-16', '2018-11-16/2019-02-16', '2019-11-16/2020-02-16', '2023-11-16/2024-02-16'
+  ]);
+  // No rain after the last study day is counted
+  windows(spi.image).forEach((w) => assert.ok(w.slice(-5) === '02-16', w));
+});
+
+test('window ends: leap days and short months', () => {
+  // Last study day 29 February: every year ends on 1 March (exclusive)
+  assert.deepStrictEqual(windows(compute('2024-03-01', [1], [2023, 2023]).image),
+    ['2023-02-01/2023-03-01', '2024-02-01/2024-03-01']);
+  // 30 March minus one month stays inside February
+  assert.deepStrictEqual(windows(compute('2023-03-31', [1], [2020, 2020]).image),
+    ['2020-02-29/2020-03-31', '2023-02-28/2023-03-31']);
+});
+
+test('a season crossing the new year: baseline years are the years the seasons start in', () => {
+  const season = load().require('season').createSeason({season_start: '11-01', season_end: '03-31'});
+  const study = season.window(2023);
+  const spi = compute(study.end, [1], [2018, 2019], 2023);
+  assert.strictEqual(spi.last_day, '2024-03-31');
+  // The same seasons as the season baseline: 2018/19 and 2019/20
+  assert.deepStrictEqual(windows(spi.image), ['2019-03-01/2019-04-01', '2020-03-01/2020-04-01', '2024-03-01/2024-04-01']);
+  [2018, 2019].forEach((y, i) => assert.strictEqual(windows(spi.image)[i].slice(-10), season.window(y).end));
+
+  // Seasons inside one year keep the baseline years as they are
+  assert.deepStrictEqual(windows(compute('2024-01-01', [1], [2018, 2018], 2023).image),
+    ['2018-12-01/2019-01-01', '2023-12-01/2024-01-01']);
+
+  // The first baseline window follows the season start year too
+  const {problems} = load();
+  assert.deepStrictEqual(problems({timescales: [12], end_date: study.end, study_year: 2023, baseline_start_year: 1981}), []);
+  assert.match(problems({timescales: [12], end_date: study.end, baseline_start_year: 1981})[0],
+    /12-month SPI needs rainfall from 1980-04-01/);
+});
+
+test('drought classes follow the McKee thresholds', () => {
+  const {lib: spiLib, ee} = load();
+  assert.deepStrictEqual([...spiLib.CLASSES.map((c) => c.name)], ['none', 'moderate', 'severe', 'extreme']);
+  const text = spiLib.classify(ee.Image('spi')).describe();
+  assert.match(text, /lte\(-1\).*lte\(-1\.5\).*lte\(-2\)/);
+});
+
+test('validate(): timescales and the first baseline window', () => {
+  const {problems} = load();
+  assert.deepStrictEqual(problems({timescales: [1, 3, 6, 12], end_date: '2023-06-01', baseline_start_year: 1982}), []);
+  assert.match(problems({timescales: [1, 2.5], end_date: '2023-06-01', baseline_start_year: 2000})[0],
+    /spi_timescales must be a list of months from 1 to 48/);
+  assert.match(problems({timescales: [24], end_date: '2023-06-01', baseline_start_year: 1982})[0],
+    /24-month SPI needs rainfall from 1980-06-01/);
+  // Mid-month end: the window starts on the same day of the month
+  assert.match(problems({timescales: [24], end_date: '2023-05-16', baseline_start_year: 1982})[0],
+    /needs rainfall from 1980-05-16/);
+});
+
+test('computeSpi() rejects bad options', () => {
+  const {lib: spiLib, ee} = load();
+  const collection = ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY');
+  assert.throws(() => spiLib.computeSpi({collection, end_date: '2023-05', timescales: [3]}),
+    /^Error: SPI: end_date/);
+  assert.throws(() => spiLib.computeSpi({collection, end_date: '2023-05-31', timescales: []}),
+    /^Error: SPI: timescales/);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+function validator() {
+  return loadModule('scripts/modules/validate.js').module.createValidator();
+}
+
+test('valid settings pass', () => {
+  const check = validator();
+  check.dateRange('study_start', 'study_end', '2023-03-01', '2023-05-31', 'CHIRPS');
+  check.yearRange('baseline_start_year', 'baseline_end_year', 2000, 2015, 'CHIRPS');
+  check.doyRange('doy_start', 'doy_end', 60, 151);
+  check.monthRange('startMonth', 'endMonth', 1, 12);
+  check.scale('scale', 30);
+  check.number('max_cloud_pct', 20, 0, 100);
+  assert.deepStrictEqual([...check.problems()], []);
+  assert.strictEqual(check.done(), true);
+});
+
+test('every problem is listed in one error', () => {
+  const check = validator();
+  check.dateRange('study_start', 'study_end', '2024-12-31', '2024-01-01', 'CHIRPS');
+  check.yearRange('baseline_start_year', 'baseline_end_year', 1975, 2000, 'CHIRPS');
+  check.doyRange('doy_start', 'doy_end', 0, 151);
+  check.scale('scale', -30);
+  assert.strictEqual(check.problems().length, 4);
+  assert.throws(() => check.done(), (err) => {
+    assert.match(err.message, /^Settings: 4 problems found:/);
+    assert.match(err.message, /study_end \(2024-01-01\) must be after study_start \(2024-12-31\)/);
+    assert.match(err.message, /baseline_start_year\/baseline_end_year \(1975-2000\) fall outside CHIRPS Daily.*1981-/);
+    assert.match(err.message, /doy_start must be a whole number from 1 to 366 \(got 0\)/);
+    assert.match(err.message, /scale must be a pixel size in metres/);
+    return true;
+  });
+});
+
+test('dataset coverage: Hansen, GSW, Landsat 7 and Sentinel-2 records', () => {
+  const check = validator();
+  check.yearRange('start_year', 'end_year', 2000, 2025, 'HANSEN');
+  check.yearRange('start_year', 'end_year', 1984, 2022, 'GSW');
+  check.dateRange('b_start', 'b_end', '1995-01-01', '2015-02-28', 'LANDSAT7');
+  check.dateRange('start_date', 'end_date', '2016-07-01', '2016-07-31', 'S2_SR');
+  const problems = check.problems();
+  assert.strictEqual(problems.length, 4);
+  assert.match(problems[0], /covers 2000-2024/);
+  assert.match(problems[1], /covers 1984-2021/);
+  assert.match(problems[2], /covers 1999-05-28 to 2024-01-19/);
+  assert.match(problems[3], /Sentinel-2 SR Harmonized/);
+});
+
+test('date ranges are end-exclusive: they may end the day after the record', () => {
+  const check = validator();
+  check.dateRange('f_start', 'f_end', '2023-06-01', '2024-01-20', 'LANDSAT7');
+  assert.deepStrictEqual([...check.problems()], []);
+  check.dateRange('f_start', 'f_end', '2023-06-01', '2024-01-21', 'LANDSAT7');
+  assert.strictEqual(check.problems().length, 1);
+});
+
+test('empty windows, bad dates and reversed ranges', () => {
+  const check = validator();
+  check.dateRange('start_date', 'end_date', '2021-07-01', '2021-07-01', 'S2_SR');
+  check.dateRange('start_date', 'end_date', '2021-02-30', '2021/07/31');
+  check.yearRange('start_year', 'end_year', 2020, 2010);
+  check.monthRange('startMonth', 'endMonth', 9, 3);
+  check.doyRange('doy_start', 'doy_end', 300, 60);
+  const problems = check.problems();
+  assert.match(problems[0], /range is empty/);
+  assert.match(problems[1], /start_date must be a date written as 'YYYY-MM-DD' \(got "2021-02-30"\)/);
+  assert.match(problems[2], /end_date must be a date/);
+  assert.match(problems[3], /end_year \(2010\) is before start_year \(2020\)/);
+  assert.match(problems[4], /endMonth \(3\) is before startMonth \(9\)/);
+  assert.match(problems[5], /cross the new year/);
+});
+
+test('dateWithin keeps sub-periods inside the filtered collection', () => {
+  const check = validator();
+  check.dateWithin('anom_start', 'anom_end', '2015-03-01', '2021-07-31', 'f_start', 'f_end', '2000-01-01', '2020-12-31');
+  assert.match(check.problems()[0], /anom_start\/anom_end .* must lie inside f_start\/f_end/);
+});
+
+test('open-ended datasets are checked against today', () => {
+  const check = validator();
+  check.dateRange('study_start', 'study_end', '2023-01-01', '2999-01-01', 'CHIRPS');
+  assert.strictEqual(check.problems().length, 1);
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {runScript} = require('../harness/run_script');
+
+const SCRIPT = 'scripts/wdpa_protected_areas_generic.js';
+
+test('country mode: polygons, points, rasters and summary', () => {
+  const run = runScript(SCRIPT);
+  assert.deepStrictEqual(run.exportNames, [
+    'WDPA_Kenya_Polygons',
+    'WDPA_Kenya_Points',
+    'WDPA_Kenya_Raster_Binary',
+    'WDPA_Kenya_Raster_Area',
+    'WDPA_Kenya_Summary_Stats',
+    'WDPA_Kenya_Provenance'
+  ]);
+  const binary = run.findExport('_Raster_Binary');
+  assert.strictEqual(binary.params.scale, 100);
+  assert.strictEqual(binary.params.crs, 'EPSG:4326');
+  assert.match(binary.params.region.describe(), /LSIB_SIMPLE.*Kenya/);
+  assert.match(run.findExport('_Polygons').params.collection.describe(), /DESIG_ENG/);
+  assert.ok(run.datasets.some((d) => d.id === 'WCMC/WDPA/current/polygons'));
+});
+
+test('custom AOI mode with no designation filter', () => {
+  const run = runScript(SCRIPT, {
+    settings: {use_custom_aoi: true, allowedDesigs: []},
+    imports: {AOI: 'FeatureCollection'}
+  });
+  assert.strictEqual(run.exportNames[0], 'WDPA_CustomAOI_Polygons');
+  assert.ok(!run.findExport('_Polygons').params.collection.hasOp('filter', 'DESIG_ENG'));
+  assert.match(run.findExport('_Raster_Area').params.region.describe(), /projects\/test\/assets\/AOI/);
+});
+
+test('PA areas are measured in the equal-area CRS and unit', () => {
+  const run = runScript(SCRIPT, {settings: {area_unit: 'ha', area_crs: 'EPSG:32737'}});
+  const summary = run.findExport('_Summary_Stats');
+  assert.deepStrictEqual([...summary.params.selectors], ['Metric', 'Value', 'area_unit', 'area_crs']);
+  const described = summary.params.collection.describe();
+  assert.match(described, /PA_Area_in_AOI/);
+  assert.match(described, /area\(.*EPSG:32737.*\)\.divide\(10000\)/);
+  assert.ok(run.layers.some((l) => /PA Area Raster \(area_ha/.test(l.name)));
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadModule} = require('../harness/run_script');
+
+test('settings: defaults fill the gaps, unknown names stop the run', () => {
+  const workflowLib = loadModule('scripts/modules/workflow.js').module;
+  const defaults = {country_name: 'Kenya', scale: 1000};
+  assert.deepStrictEqual({...workflowLib.settings({scale: 250}, defaults)}, {country_name: 'Kenya', scale: 250});
+  assert.throws(() => workflowLib.settings({sclae: 250}, defaults),
+    /Workflow: unknown setting 'sclae' \(known: country_name, scale\)/);
+});
+
+test('context: the host AOI wins over the AOI settings; imports fill the rest', () => {
+  const {module: workflowLib, ee} = loadModule('scripts/modules/workflow.js');
+  const hostAoi = {fc: ee.FeatureCollection('x'), geometry: ee.Geometry.Point([0, 0]), label: 'Host'};
+  const hosted = workflowLib.createContext({aoi: hostAoi, queue_exports: false}, 'dem.js');
+  assert.strictEqual(hosted.resolveAoi({use_custom_aoi: true}), hostAoi);
+  assert.strictEqual(hosted.queue_exports, false);
+  assert.strictEqual(hosted.script, 'dem.js');
+
+  const drawn = ee.Geometry.Point([36, -1]);
+  const script = workflowLib.createContext({drawn_geometry: drawn});
+  const aoi = script.resolveAoi({use_custom_aoi: true});
+  assert.strictEqual(aoi.geometry, drawn);
+  assert.strictEqual(aoi.label, 'Custom AOI (drawn)');
+  assert.strictEqual(script.queue_exports, true);
+});
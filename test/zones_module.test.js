@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadFixture, rows} = require('../harness/fixtures');
+
+// AOI bounds in the grid projection: 25 km x 12 km from the origin
+const BOUNDS = [[[0, 0], [25000, 0], [25000, 12000], [0, 12000], [0, 0]]];
+
+function load(getInfo) {
+  const fx = loadFixture('zones', {getInfo: getInfo});
+  const ee = fx.ee;
+  const aoi = {
+    fc: ee.FeatureCollection('projects/test/assets/AOI'),
+    geometry: ee.FeatureCollection('projects/test/assets/AOI').geometry(),
+    label: 'Custom AOI',
+    name_fields: []
+  };
+  return Object.assign({zonesLib: fx.lib, aoi: aoi}, fx);
+}
+
+test('aoi and wdpa zones: ID fields, export names and datasets', () => {
+  const {zonesLib, aoi} = load();
+  const own = zonesLib.resolveZones({zone_source: 'aoi', aoi: aoi});
+  assert.deepStrictEqual([...own.id_fields], []);
+  assert.strictEqual(own.name_field, null);
+  assert.strictEqual(own.prefix, 'Admin');
+  assert.strictEqual(own.fc, aoi.fc);
+
+  const pa = zonesLib.resolveZones({zone_source: 'wdpa', aoi: aoi, allowedDesigs: ['National Park']});
+  assert.deepStrictEqual([...pa.id_fields], ['WDPAID', 'NAME', 'DESIG_ENG']);
+  assert.strictEqual(pa.shapefile, 'PA_Polygons');
+  assert.deepStrictEqual([...pa.datasets], ['WDPA_POLYGONS']);
+  assert.match(pa.fc.describe(), /inList\("DESIG_ENG", \["National Park"\]\).*filterBounds/);
+  assert.doesNotMatch(zonesLib.resolveZones({zone_source: 'wdpa', aoi: aoi, allowedDesigs: []}).fc.describe(),
+    /DESIG_ENG/);
+});
+
+test('gaul and imported zones keep their own ID columns', () => {
+  const {zonesLib, ee, aoi} = load();
+  const gaul = zonesLib.resolveZones({zone_source: 'gaul', aoi: aoi, zone_admin_level: 1});
+  assert.deepStrictEqual([...gaul.id_fields], ['ADM1_CODE', 'ADM0_NAME', 'ADM1_NAME']);
+  assert.strictEqual(gaul.name_field, 'ADM1_NAME');
+  assert.match(gaul.fc.describe(), /FAO\/GAUL\/2015\/level1.*filterBounds/);
+
+  const own = zonesLib.resolveZones({
+    zone_source: 'features',
+    aoi: aoi,
+    zone_features: ee.FeatureCollection('projects/test/assets/ZONES'),
+    zone_id_fields: ['SITE_ID', 'SITE_NAME']
+  });
+  assert.deepStrictEqual([...own.id_fields], ['SITE_ID', 'SITE_NAME']);
+  assert.strictEqual(own.name_field, 'SITE_NAME');
+  assert.strictEqual(own.prefix, 'Zone');
+  assert.match(own.fc.describe(), /projects\/test\/assets\/ZONES.*filterBounds/);
+
+  assert.throws(() => zonesLib.resolveZones({zone_source: 'features', aoi: aoi, zone_id_fields: ['ID']}),
+    /^Error: Zones: .*"ZONES"/);
+  assert.throws(() => zonesLib.resolveZones({zone_source: 'gaul', aoi: aoi, zone_admin_level: 3}),
+    /zone_admin_level must be 0, 1 or 2/);
+});
+
+test('grid zones: hexagon rows 1.5 circumradii apart, squares one cell apart', () => {
+  const {zonesLib, aoi} = load();
+  const hex = zonesLib.resolveZones({
+    zone_source: 'grid', aoi: aoi, zone_grid_shape: 'hex', zone_grid_size: 10000, zone_grid_crs: 'EPSG:6933'
+  });
+  assert.deepStrictEqual([...hex.id_fields], ['zone_id', 'row', 'col']);
+  assert.strictEqual(hex.shapefile, 'Grid_Cells');
+  const text = hex.fc.describe();
+  assert.match(text, /bounds\(1, Projection\("EPSG:6933"\)\)/);
+  assert.match(text, /divide\(8660\.25/);
+  assert.match(text, /\.filterBounds\(/);
+
+  const square = zonesLib.grid(aoi.geometry, 'square', 5000, 'EPSG:3035');
+  assert.match(square.describe(), /Projection\("EPSG:3035"\).*divide\(5000\)/);
+  assert.throws(() => zonesLib.resolveZones({zone_source: 'grid', aoi: aoi, zone_grid_shape: 'tri', zone_grid_size: 1}),
+    /zone_grid_shape must be 'hex' or 'square'/);
+});
+
+test('grid zones: one named cell per row and column over the AOI bounds', () => {
+  const {zonesLib, aoi, value} = load((obj, v) => (obj.lastMethod() === 'coordinates' ? BOUNDS : v));
+  const cells = (shape, size) => rows(value(zonesLib.grid(aoi.geometry, shape, size, 'EPSG:6933')))
+    .map((r) => [r.zone_id, r.row, r.col]);
+
+  // Squares: 0..ceil(12000/5000) rows, 0..ceil(25000/5000) columns
+  const squares = cells('square', 5000);
+  assert.strictEqual(squares.length, 4 * 6);
+  assert.deepStrictEqual(squares.slice(0, 2), [['R000C000', 0, 0], ['R000C001', 0, 1]]);
+  assert.deepStrictEqual(squares[squares.length - 1], ['R003C005', 3, 5]);
+
+  // Hexagons: rows 1.5 circumradii (8660 m) apart
+  const hexes = cells('hex', 10000);
+  assert.strictEqual(hexes.length, 3 * 4);
+  assert.deepStrictEqual(hexes[hexes.length - 1], ['R002C003', 2, 3]);
+});
+
+test('grid zones: rows and columns are cast to integers before the cell IDs are formatted', () => {
+  const formatted = [];
+  const {zonesLib, aoi, value} = load((obj, v) => {
+    if (obj.lastMethod() === 'format') {
+      formatted.push(obj.describe());
+    }
+    return obj.lastMethod() === 'coordinates' ? BOUNDS : v;
+  });
+  value(zonesLib.grid(aoi.geometry, 'square', 5000, 'EPSG:6933'));
+  assert.ok(formatted.length > 0);
+  formatted.forEach((text) => assert.match(text, /\.int\(\)\.format\("%03d"\)$/));
+});
+
+test('validate(): every zone problem is reported', () => {
+  const {problems} = load();
+  assert.deepStrictEqual(problems({zone_source: 'grid', zone_grid_shape: 'square', zone_grid_size: 2500}), []);
+  assert.deepStrictEqual(problems({zone_source: 'gaul', zone_admin_level: 2}), []);
+  assert.deepStrictEqual(problems({zone_source: 'features', zone_id_fields: ['SITE_ID']}), []);
+
+  assert.match(problems({zone_source: 'parks'}).join('\n'), /zone_source must be one of aoi, wdpa, gaul, features, grid/);
+  assert.match(problems({zone_source: 'gaul', zone_admin_level: 3}).join('\n'), /zone_admin_level must be 0, 1 or 2/);
+  assert.match(problems({zone_source: 'features', zone_id_fields: []}).join('\n'), /zone_id_fields must list the ID columns/);
+  assert.match(problems({zone_source: 'features', zone_id_fields: ['']}).join('\n'), /zone_id_fields/);
+  const grid = problems({zone_source: 'grid', zone_grid_shape: 'tri', zone_grid_size: 10});
+  assert.strictEqual(grid.length, 2);
+  assert.match(grid[0], /zone_grid_shape must be 'hex' or 'square'/);
+  assert.match(grid[1], /zone_grid_size/);
+});